@@ -0,0 +1,123 @@
+const http = require('http');
+
+const AuxChain = require('../../lib/auxChain');
+const DaemonInterface = require('../../lib/daemon').interface;
+
+describe('AuxChain', () => {
+    let chain, answers, calls;
+
+    // Answers every call with answers[method]: a response, or {error} for a failing daemon
+    const daemon = {
+        cmd: (method, params, callback) => {
+            calls.push([method, params]);
+            const answer = answers[method];
+            process.nextTick(() => callback([answer && answer.error
+                ? { error: answer.error, response: null, instance: { index: 0 } }
+                : { error: null, response: answer, instance: { index: 0 } }]));
+        }
+    };
+
+    const auxBlock = (hash) => ({
+        hash, chainid: 1, previousblockhash: 'cc'.repeat(32), coinbasevalue: 5000000000, bits: '207fffff', height: 120
+    });
+
+    const refresh = () => new Promise((resolve) => chain.refresh((error, block, changed) => resolve({ error, block, changed })));
+
+    beforeEach(() => {
+        calls = [];
+        answers = {};
+    });
+
+    afterEach(() => chain.stop());
+
+    it('should fetch blocks paying to the address with createauxblock and report changed blocks', async () => {
+        chain = new AuxChain({ name: 'namecoin', symbol: 'NMC', address: 'N1address' }, daemon);
+        const auxBlocks = [];
+        chain.on('auxBlock', (block) => auxBlocks.push(block));
+
+        answers.createauxblock = auxBlock('aa'.repeat(32));
+        const first = await refresh();
+        const again = await refresh();
+        answers.createauxblock = auxBlock('bb'.repeat(32));
+        await refresh();
+
+        expect(calls[0]).toEqual(['createauxblock', ['N1address']]);
+        expect(first).toMatchObject({ error: null, changed: true });
+        expect(again.changed).toBe(false);
+        expect(auxBlocks.map((block) => block.hash)).toEqual(['aa'.repeat(32), 'bb'.repeat(32)]);
+        expect(chain.block).toMatchObject({ chain: 'namecoin', symbol: 'NMC', chainId: 1, height: 120, reward: 5000000000 });
+        expect(chain.block.target.toString(16)).toBe('7fffff' + '0'.repeat(58));
+    });
+
+    it('should use getauxblock without an address and keep the block when the daemon fails', async () => {
+        chain = new AuxChain({ name: 'aux', chainId: 7 }, daemon);
+        const logs = [];
+        chain.on('log', (severity, message) => logs.push([severity, message]));
+
+        answers.getauxblock = auxBlock('aa'.repeat(32));
+        await refresh();
+        answers.getauxblock = { error: { code: -10, message: 'Aux chain is downloading blocks' } };
+        const failed = await refresh();
+
+        expect(calls[0]).toEqual(['getauxblock', []]);
+        expect(chain.block).toMatchObject({ hash: 'aa'.repeat(32), chainId: 7 });
+        expect(failed.error).toBe('Aux chain is downloading blocks');
+        expect(logs).toEqual([['warning', 'getauxblock failed for aux chain aux: Aux chain is downloading blocks']]);
+    });
+
+    it('should submit proofs with the call matching the way blocks are fetched', async () => {
+        const submit = () => new Promise((resolve) => chain.submit('aa'.repeat(32), 'abcdef', (accepted, reason) => resolve([accepted, reason])));
+
+        chain = new AuxChain({ name: 'namecoin', address: 'N1address' }, daemon);
+        answers.submitauxblock = true;
+        expect(await submit()).toEqual([true, null]);
+        answers.submitauxblock = { error: { code: -1, message: 'block hash unknown' } };
+        expect(await submit()).toEqual([false, 'block hash unknown']);
+
+        chain = new AuxChain({ name: 'aux' }, daemon);
+        answers.getauxblock = false;
+        expect(await submit()).toEqual([false, 'rejected']);
+        expect(calls.map((call) => call[0])).toEqual(['submitauxblock', 'submitauxblock', 'getauxblock']);
+        expect(calls[2][1]).toEqual(['aa'.repeat(32), 'abcdef']);
+    });
+
+    it('should fetch and submit aux blocks through a daemon interface', async () => {
+        const methods = [];
+        const rpcServer = await new Promise((resolve) => {
+            const server = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', (chunk) => body += chunk);
+                req.on('end', () => {
+                    const request = JSON.parse(body);
+                    methods.push(request.method);
+                    const result = request.method === 'createauxblock' ? auxBlock('aa'.repeat(32)) : true;
+                    res.end(JSON.stringify({ id: request.id, error: null, result }));
+                });
+            }).listen(34417, '127.0.0.1', () => resolve(server));
+        });
+        const daemonInterface = new DaemonInterface([{ host: '127.0.0.1', port: 34417, user: 'u', password: 'p' }], () => {});
+        chain = new AuxChain({ name: 'namecoin', address: 'N1address' }, daemonInterface);
+
+        const refreshed = await refresh();
+        const submitted = await new Promise((resolve) => chain.submit('aa'.repeat(32), 'abcdef', (accepted, reason) => resolve([accepted, reason])));
+        await new Promise((resolve) => rpcServer.close(resolve));
+
+        expect(refreshed).toMatchObject({ error: null, changed: true });
+        expect(submitted).toEqual([true, null]);
+        expect(methods).toEqual(['createauxblock', 'submitauxblock']);
+    });
+
+    it('should refresh on an interval once started', async () => {
+        chain = new AuxChain({ name: 'namecoin', address: 'N1address' }, daemon);
+        answers.createauxblock = auxBlock('aa'.repeat(32));
+        chain.start(10);
+
+        await new Promise((resolve) => setTimeout(resolve, 60));
+        chain.stop();
+        const refreshes = calls.length;
+        await new Promise((resolve) => setTimeout(resolve, 30));
+
+        expect(refreshes).toBeGreaterThan(2);
+        expect(calls).toHaveLength(refreshes);
+    });
+});
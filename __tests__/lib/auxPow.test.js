@@ -0,0 +1,99 @@
+const auxPow = require('../../lib/auxPow');
+const util = require('../../lib/util');
+
+describe('auxPow', () => {
+    const hashes = ['11', '22', '33'].map((byte) => byte.repeat(31) + '01');
+    const header = Buffer.alloc(80, 7);
+    const coinbaseBranch = [Buffer.alloc(32, 8), Buffer.alloc(32, 9)];
+
+    // Reads a serialized proof back, as aux chains deserialize it before checking it (Namecoin's CAuxPow)
+    const parse = (serialized, coinbaseLength, chainBranchLength) => {
+        let offset = 0;
+        const read = (length) => serialized.slice(offset, offset += length);
+        const readBranch = () => {
+            const hashes = Array.from({ length: read(1)[0] }, () => read(32));
+            return { hashes, index: read(4).readInt32LE(0) };
+        };
+        const proof = { coinbase: read(coinbaseLength), parentHash: read(32) };
+        proof.coinbaseBranch = readBranch();
+        proof.chainBranch = readBranch();
+        proof.header = read(80);
+        expect(offset).toBe(serialized.length);
+        expect(proof.chainBranch.hashes).toHaveLength(chainBranchLength);
+        return proof;
+    };
+
+    const climb = (hash, { hashes, index }) => hashes.reduce((node, sibling, depth) => util.sha256d(
+        (index >> depth) & 1 ? Buffer.concat([sibling, node]) : Buffer.concat([node, sibling])), hash);
+
+    it('should compute chain slots as aux chains expect them', () => {
+        expect(auxPow.chainSlot(1, 0, 1)).toBe(0);
+        // rand = ((nonce * 1103515245 + 12345) + chainId) * 1103515245 + 12345, modulo 2^32
+        const rand = (Math.imul((Math.imul(0, 1103515245) + 12345 + 1) >>> 0, 1103515245) + 12345) >>> 0;
+        expect(auxPow.chainSlot(1, 0, 8)).toBe(rand % 8);
+        expect(auxPow.chainSlot(1, 0, 8)).not.toBe(auxPow.chainSlot(2, 0, 8));
+    });
+
+    it('should commit to a single aux block hash directly', () => {
+        const merkle = auxPow.buildAuxMerkle([{ chain: 'namecoin', hash: hashes[0], chainId: 1 }]);
+
+        expect(merkle).toMatchObject({ root: hashes[0], size: 1, nonce: 0 });
+        expect(merkle.commitment.toString('hex')).toBe('2c' + 'fabe6d6d' + hashes[0] + '01000000' + '00000000');
+        expect(merkle.blocks[0]).toMatchObject({ chain: 'namecoin', index: 0, branch: [] });
+    });
+
+    it('should place several chains in distinct slots whose branches lead to the committed root', () => {
+        const blocks = hashes.map((hash, i) => ({ chain: 'chain' + i, hash, chainId: i + 1 }));
+
+        const merkle = auxPow.buildAuxMerkle(blocks);
+
+        expect(new Set(merkle.blocks.map((block) => block.index)).size).toBe(3);
+        expect(merkle.size).toBeGreaterThanOrEqual(4);
+        merkle.blocks.forEach((block) => {
+            expect(block.index).toBe(auxPow.chainSlot(block.chainId, merkle.nonce, merkle.size));
+            expect(block.branch).toHaveLength(Math.log2(merkle.size));
+            expect(util.reverseBuffer(climb(util.uint256BufferFromHash(block.hash), { hashes: block.branch, index: block.index }))
+                .toString('hex')).toBe(merkle.root);
+        });
+        expect(() => auxPow.buildAuxMerkle([blocks[0], Object.assign({}, blocks[1], { chainId: 1 })]))
+            .toThrow(/cannot be placed in a chain merkle tree/);
+    });
+
+    it('should serialize a proof the aux chain can check against the parent header', () => {
+        const blocks = hashes.slice(0, 2).map((hash, i) => ({ chain: 'chain' + i, hash, chainId: i + 1 }));
+        const merkle = auxPow.buildAuxMerkle(blocks);
+        const coinbase = Buffer.concat([Buffer.from('01000000010000', 'hex'), merkle.commitment, Buffer.from('ffffffff00000000', 'hex')]);
+        const block = merkle.blocks[1];
+
+        const proof = parse(auxPow.serializeAuxPow({
+            coinbase,
+            parentHash: util.sha256d(header),
+            coinbaseBranch,
+            chainBranch: block.branch,
+            chainIndex: block.index,
+            header
+        }), coinbase.length, block.branch.length);
+
+        expect(proof.coinbase.equals(coinbase)).toBe(true);
+        expect(proof.parentHash.equals(util.sha256d(header))).toBe(true);
+        expect(proof.coinbaseBranch.index).toBe(0);
+        expect(climb(util.sha256d(coinbase), proof.coinbaseBranch).equals(
+            climb(util.sha256d(coinbase), { hashes: coinbaseBranch, index: 0 }))).toBe(true);
+
+        // The reversed chain root follows the merged mining header, then the tree size and nonce
+        const root = util.reverseBuffer(climb(util.uint256BufferFromHash(hashes[1]), proof.chainBranch));
+        const at = coinbase.indexOf(Buffer.concat([Buffer.from('fabe6d6d', 'hex'), root]));
+        expect(at).toBeGreaterThan(0);
+        const size = coinbase.readUInt32LE(at + 36);
+        const nonce = coinbase.readUInt32LE(at + 40);
+        expect(size).toBe(1 << proof.chainBranch.hashes.length);
+        expect(proof.chainBranch.index).toBe(auxPow.chainSlot(2, nonce, size));
+        expect(proof.header.equals(header)).toBe(true);
+    });
+
+    it('should read the aux target from bits or from the little endian target', () => {
+        expect(auxPow.auxTarget({ bits: '1d00ffff' }).toString(16)).toBe('ffff' + '0'.repeat(52));
+        expect(auxPow.auxTarget({ _target: '0'.repeat(52) + 'ffff0000' }).toString(16)).toBe('ffff' + '0'.repeat(52));
+        expect(() => auxPow.auxTarget({ hash: 'aa' })).toThrow('Aux block aa has neither bits nor a target');
+    });
+});
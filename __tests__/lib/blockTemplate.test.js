@@ -1,12 +1,21 @@
 const BlockTemplate = require('../../lib/blockTemplate');
 
 // Need to mock transactions module
-jest.mock('../../lib/transactions', () => ({
-    CreateGeneration: jest.fn(() => [
-        Buffer.from('0100000001', 'hex'), // mock p1
-        Buffer.from('0200000002', 'hex')  // mock p2
-    ])
-}));
+jest.mock('../../lib/transactions', () => {
+    const build = jest.fn(() => ({
+        coinbase: [
+            Buffer.from('0100000001', 'hex'), // mock p1
+            Buffer.from('0200000002', 'hex')  // mock p2
+        ],
+        metadata: { outputs: [] }
+    }));
+    return {
+        createCoinbaseBuilder: jest.fn(() => ({ build })),
+        witnessCoinbase: jest.requireActual('../../lib/transactions').witnessCoinbase
+    };
+});
+
+const util = require('../../lib/util');
 
 describe('BlockTemplate', () => {
     let rpcData;
@@ -153,6 +162,54 @@ describe('BlockTemplate', () => {
             expect(block).toBeInstanceOf(Buffer);
             expect(block.length).toBeGreaterThan(80); // Header + transactions
         });
+
+        // Mainnet genesis block, a pre-segwit block without witness commitment
+        const genesisHeader = Buffer.from('0100000000000000000000000000000000000000000000000000000000000000000000003ba3edfd7a7b12b27ac72c3e67768f617fc81bc3888a51323a9fb8aa4b1e5e4a29ab5f49ffff001d1dac2b7c', 'hex');
+        const genesisCoinbase = Buffer.from('01000000010000000000000000000000000000000000000000000000000000000000000000ffffffff4d04ffff001d0104455468652054696d65732030332f4a616e2f32303039204368616e63656c6c6f72206f6e206272696e6b206f66207365636f6e64206261696c6f757420666f722062616e6b73ffffffff0100f2052a01000000434104678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5fac00000000', 'hex');
+
+        it('should serialize the mainnet genesis block without witness data', () => {
+            const template = new BlockTemplate('5', rpcData, poolAddressScript, extraNoncePlaceholder, reward, false, []);
+
+            const block = template.serializeBlock(genesisHeader, genesisCoinbase);
+
+            expect(template.segwit).toBe(false);
+            expect(block.equals(Buffer.concat([genesisHeader, Buffer.from([1]), genesisCoinbase]))).toBe(true);
+            expect(util.reverseBuffer(util.sha256d(block.slice(0, 80))).toString('hex'))
+                .toBe('000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f');
+        });
+
+        it('should witness serialize the coinbase when the template carries a witness commitment', () => {
+            // Commitment of every mainnet segwit block without transactions: sha256d(wtxid root || reserved value)
+            rpcData.default_witness_commitment = '6a24aa21a9ede2f61c3f71d1defd3fa999dfa36953755c690689799962b48bebd836974e8cf9';
+            const template = new BlockTemplate('5', rpcData, poolAddressScript, extraNoncePlaceholder, reward, false, []);
+
+            const block = template.serializeBlock(genesisHeader, genesisCoinbase);
+            const coinbase = block.slice(81);
+            const reservedValue = coinbase.slice(-36, -4);
+
+            expect(template.segwit).toBe(true);
+            expect(block.slice(0, 81).equals(Buffer.concat([genesisHeader, Buffer.from([1])]))).toBe(true);
+            expect(coinbase.slice(4, 6).toString('hex')).toBe('0001');
+            expect(coinbase.slice(-38, -36).toString('hex')).toBe('0120');
+            // The coinbase wtxid counts as zero in the witness merkle tree, the only leaf here
+            expect(util.sha256d(Buffer.concat([Buffer.alloc(32), reservedValue])).toString('hex'))
+                .toBe(rpcData.default_witness_commitment.slice(12));
+        });
+
+        it('should append the template transactions as sent by the daemon after the witness coinbase', () => {
+            const witnessTx = '02000000000101' + 'ab'.repeat(32) + '00000000' + '00' + 'ffffffff' +
+                '01' + '1027000000000000' + '160014' + 'cd'.repeat(20) + '02' + '47' + '30'.repeat(71) + '21' + '02'.repeat(33) + '00000000';
+            rpcData.default_witness_commitment = '6a24aa21a9ed' + 'ef'.repeat(32);
+            rpcData.transactions = [{ data: witnessTx, txid: '11'.repeat(32), hash: '22'.repeat(32) }];
+            const template = new BlockTemplate('5', rpcData, poolAddressScript, extraNoncePlaceholder, reward, false, []);
+
+            const block = template.serializeBlock(genesisHeader, genesisCoinbase);
+
+            expect(block[80]).toBe(2);
+            expect(block.slice(81, 81 + genesisCoinbase.length + 36).equals(
+                jest.requireActual('../../lib/transactions').witnessCoinbase(genesisCoinbase))).toBe(true);
+            expect(block.slice(-witnessTx.length / 2).toString('hex')).toBe(witnessTx);
+        });
     });
 
     describe('job parameters', () => {
@@ -207,6 +264,71 @@ describe('BlockTemplate', () => {
         });
     });
 
+    describe('coinbase variants', () => {
+        const transactions = require('../../lib/transactions');
+        const build = transactions.createCoinbaseBuilder().build;
+        const minerScript = Buffer.from('76a914' + '62'.repeat(20) + '88ac', 'hex');
+
+        it('should create one coinbase per payout script and reuse it', () => {
+            const template = new BlockTemplate('9', rpcData, poolAddressScript, extraNoncePlaceholder, reward, false, []);
+            build.mockClear();
+
+            const generation = template.getGenerationTransaction({ payoutScript: minerScript, worker: 'miner' });
+
+            expect(template.getGenerationTransaction({ payoutScript: Buffer.from(minerScript), worker: 'miner' })).toBe(generation);
+            expect(template.getGenerationTransaction()).toBe(template.generationTransaction);
+            expect(build).toHaveBeenCalledTimes(1);
+            expect(build.mock.calls[0][0].payoutScript).toBe(minerScript);
+            expect(build.mock.calls[0][0].worker).toBe('miner');
+        });
+
+        it('should build port signature variants on the pool address with the pool coinbase options', () => {
+            const template = new BlockTemplate('9', rpcData, poolAddressScript, extraNoncePlaceholder, reward, false, [], undefined,
+                { signature: '/{pool}/', poolName: 'Pool' });
+            build.mockClear();
+
+            template.getGenerationTransaction({ signature: '/{pool}/port 3334/' });
+
+            expect(build.mock.calls[0][0]).toMatchObject({
+                payoutScript: poolAddressScript,
+                signature: '/{pool}/port 3334/',
+                poolName: 'Pool',
+                rpcData,
+                extraNoncePlaceholder
+            });
+        });
+
+        it('should send and hash the same coinbase for a variant', () => {
+            const template = new BlockTemplate('9', rpcData, poolAddressScript, extraNoncePlaceholder, reward, false, []);
+            build.mockReturnValueOnce({ coinbase: [Buffer.from('aa', 'hex'), Buffer.from('bb', 'hex')], metadata: { outputs: [] } });
+            const coinbase = { payoutScript: minerScript };
+
+            const params = template.getJobParams(coinbase);
+
+            expect(params[2]).toBe('aa');
+            expect(params[3]).toBe('bb');
+            expect(params[0]).toBe('9');
+            expect(template.getJobParams({ payoutScript: minerScript })).toBe(params);
+            expect(template.getJobParams()[2]).toBe('0100000001');
+            expect(template.serializeCoinbase(Buffer.from('01', 'hex'), Buffer.from('02', 'hex'), coinbase).toString('hex'))
+                .toBe('aa0102bb');
+        });
+
+        it('should build with the given coinbase builder and keep the metadata of each coinbase', () => {
+            const metadata = { outputs: [{ name: 'pool', script: '51', amount: 625000000 }] };
+            const builder = { build: jest.fn(() => ({ coinbase: [Buffer.from('cc', 'hex'), Buffer.from('dd', 'hex')], metadata })) };
+
+            const template = new BlockTemplate('9', rpcData, poolAddressScript, extraNoncePlaceholder, reward, false, [], undefined,
+                { builder });
+
+            expect(template.generationTransaction[0].toString('hex')).toBe('cc');
+            expect(template.coinbaseMetadata).toBe(metadata);
+            expect(template.getCoinbaseMetadata()).toBe(metadata);
+            expect(template.getCoinbaseMetadata({ payoutScript: minerScript })).toBe(metadata);
+            expect(builder.build).toHaveBeenCalledTimes(2);
+        });
+    });
+
     describe('registerSubmit', () => {
         it('should register share submission', () => {
             const template = new BlockTemplate(
@@ -232,5 +354,45 @@ describe('BlockTemplate', () => {
             const duplicate = template.registerSubmit(extraNonce1, extraNonce2, nTime, nonce);
             expect(duplicate).toBe(false);
         });
+
+        it('should treat hex case variants as the same submission', () => {
+            const template = new BlockTemplate('8', rpcData, poolAddressScript, extraNoncePlaceholder, reward, false, []);
+
+            expect(template.registerSubmit('0000abcd', '00000000', '499602d7', 'deadbeef')).toBe(true);
+            expect(template.registerSubmit('0000ABCD', '00000000', '499602D7', 'DEADBEEF')).toBe(false);
+        });
+
+        it('should tell apart the same nonce under different rolled versions', () => {
+            const template = new BlockTemplate('8', rpcData, poolAddressScript, extraNoncePlaceholder, reward, false, []);
+
+            expect(template.registerSubmit('00000000', '00000000', '499602d7', '12345678')).toBe(true);
+            expect(template.registerSubmit('00000000', '00000000', '499602d7', '12345678', 0x20002000)).toBe(true);
+            expect(template.registerSubmit('00000000', '00000000', '499602d7', '12345678', 0x20004000)).toBe(true);
+            expect(template.registerSubmit('00000000', '00000000', '499602d7', '12345678', 0x20002000)).toBe(false);
+        });
+
+        it('should tell apart the same nonce on different coinbase variants', () => {
+            const template = new BlockTemplate('8', rpcData, poolAddressScript, extraNoncePlaceholder, reward, false, []);
+            const solo = { payoutScript: Buffer.from('0014' + '22'.repeat(20), 'hex'), worker: 'rig1' };
+
+            expect(template.registerSubmit('00000000', '00000000', '499602d7', '12345678')).toBe(true);
+            expect(template.registerSubmit('00000000', '00000000', '499602d7', '12345678', undefined, solo)).toBe(true);
+            expect(template.registerSubmit('00000000', '00000000', '499602d7', '12345678', undefined, { signature: '/port/' })).toBe(true);
+            expect(template.registerSubmit('00000000', '00000000', '499602d7', '12345678', undefined, solo)).toBe(false);
+        });
+
+        it('should take no more submissions once maxSubmits is reached', () => {
+            const template = new BlockTemplate('8', rpcData, poolAddressScript, extraNoncePlaceholder, reward, false, [], 2);
+
+            expect(template.registerSubmit('00000000', '00000000', '499602d7', '00000001')).toBe(true);
+            expect(template.isSubmitLimitReached()).toBe(false);
+            expect(template.registerSubmit('00000000', '00000000', '499602d7', '00000002')).toBe(true);
+            expect(template.isSubmitLimitReached()).toBe(true);
+            expect(template.registerSubmit('00000000', '00000000', '499602d7', '00000003')).toBe(false);
+
+            expect(template.hasSubmit('00000000', '00000000', '499602d7', '00000001')).toBe(true);
+            expect(template.hasSubmit('00000000', '00000000', '499602d7', '00000002')).toBe(true);
+            expect(template.hasSubmit('00000000', '00000000', '499602d7', '00000003')).toBe(false);
+        });
     });
 });
\ No newline at end of file
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BlockTracker = require('../../lib/blockTracker');
+
+describe('BlockTracker', () => {
+    let tracker, stateFile, headers;
+
+    // Answers getblockheader from the per-daemon entries of headers[hash]: a confirmation count or an error
+    const daemon = {
+        cmd: (method, params, callback) => {
+            const answers = [].concat(headers[params[0]]);
+            process.nextTick(() => callback(answers.map((answer, index) => typeof answer === 'number'
+                ? { error: null, response: { hash: params[0], confirmations: answer }, instance: { index } }
+                : { error: answer, response: null, instance: { index } })));
+        }
+    };
+
+    const block = { hash: 'aa'.repeat(32), height: 700000, worker: 'worker1', reward: 625000000, txHash: 'c0ffee' };
+
+    const next = (event) => new Promise((resolve) => tracker.once(event, resolve));
+
+    beforeEach(() => {
+        stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'blocktracker-')), 'blocks.json');
+        headers = { [block.hash]: 0 };
+    });
+
+    afterEach(() => {
+        tracker.stop();
+        fs.rmSync(path.dirname(stateFile), { recursive: true, force: true });
+    });
+
+    it('should emit blockConfirmed at each depth and stop tracking after the deepest', async () => {
+        tracker = new BlockTracker(daemon, { confirmations: [100, 1], checkInterval: 10 });
+        const confirmed = [];
+        tracker.on('blockConfirmed', (confirmedBlock) => confirmed.push(confirmedBlock));
+        tracker.start();
+
+        headers[block.hash] = 1;
+        tracker.track(block);
+        await next('blockConfirmed');
+        headers[block.hash] = 120;
+        await next('blockConfirmed');
+
+        expect(confirmed.map((b) => [b.depth, b.confirmations])).toEqual([[1, 1], [100, 120]]);
+        expect(confirmed[1]).toMatchObject({ height: 700000, worker: 'worker1', reward: 625000000, txHash: 'c0ffee' });
+        expect(tracker.getBlocks()).toEqual([]);
+    });
+
+    it('should emit blockOrphaned when the block left the main chain', async () => {
+        tracker = new BlockTracker(daemon, { checkInterval: 10 });
+        tracker.start();
+        headers[block.hash] = 2;
+        tracker.track(block);
+        await next('blockConfirmed');
+
+        headers[block.hash] = -1;
+        const orphaned = await next('blockOrphaned');
+
+        expect(orphaned).toMatchObject({ hash: block.hash, height: 700000, confirmations: 2 });
+        expect(tracker.getBlocks()).toEqual([]);
+    });
+
+    it('should only orphan unknown blocks when no daemon has them', async () => {
+        const notFound = { code: -5, message: 'Block not found' };
+        tracker = new BlockTracker(daemon, { checkInterval: 10 });
+        const orphaned = jest.fn();
+        tracker.on('blockOrphaned', orphaned);
+        tracker.start();
+
+        headers[block.hash] = [notFound, 3];
+        tracker.track(block);
+        await next('blockConfirmed');
+        headers[block.hash] = [{ type: 'offline', message: 'connect ECONNREFUSED' }, notFound];
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        expect(orphaned).not.toHaveBeenCalled();
+
+        headers[block.hash] = [notFound, notFound];
+        await next('blockOrphaned');
+    });
+
+    it('should persist the tracked blocks and resume tracking them after a restart', async () => {
+        tracker = new BlockTracker(daemon, { stateFile, checkInterval: 10 });
+        tracker.start();
+        tracker.track(block);
+        tracker.stop();
+
+        expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).blocks).toEqual([
+            expect.objectContaining({ hash: block.hash, confirmations: 0, depth: 0 })
+        ]);
+
+        tracker = new BlockTracker(daemon, { stateFile, checkInterval: 10 });
+        headers[block.hash] = 5;
+        tracker.start();
+        const confirmed = await next('blockConfirmed');
+
+        expect(confirmed).toMatchObject({ hash: block.hash, worker: 'worker1', depth: 1, confirmations: 5 });
+        expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).blocks[0].confirmations).toBe(5);
+    });
+
+    it('should report an unreadable state file', () => {
+        fs.writeFileSync(stateFile, '{not json');
+        tracker = new BlockTracker(daemon, { stateFile });
+        const stateError = jest.fn();
+        tracker.on('stateError', stateError);
+
+        tracker.start();
+
+        expect(stateError).toHaveBeenCalledWith(expect.any(SyntaxError));
+    });
+});
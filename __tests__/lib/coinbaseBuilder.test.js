@@ -0,0 +1,117 @@
+const CoinbaseBuilder = require('../../lib/coinbaseBuilder');
+const transactions = require('../../lib/transactions');
+
+describe('CoinbaseBuilder', () => {
+    const extraNoncePlaceholder = Buffer.from('f000000ff111111f', 'hex');
+    const poolScript = Buffer.from('76a914' + '00'.repeat(20) + '88ac', 'hex');
+    const feeScript = Buffer.from('a914' + '11'.repeat(20) + '87', 'hex');
+    const payeeScript = Buffer.from('0014' + '22'.repeat(20), 'hex');
+    let rpcData;
+
+    // Reads the outputs of a coinbase without timestamp (scriptSig below 253 bytes): [amount, script hex]
+    const outputs = (coinbase) => {
+        const tx = Buffer.concat([coinbase[0], extraNoncePlaceholder, coinbase[1]]);
+        let offset = 42 + tx[41] + 4;
+        return Array.from({ length: tx[offset++] }, () => {
+            const amount = Number(tx.readBigUInt64LE(offset));
+            const script = tx.slice(offset + 9, offset + 9 + tx[offset + 8]).toString('hex');
+            offset += 9 + tx[offset + 8];
+            return [amount, script];
+        });
+    };
+
+    beforeEach(() => {
+        rpcData = { height: 700000, coinbasevalue: 625000000, coinbaseaux: { flags: '' }, curtime: 1234567890 };
+    });
+
+    it('should place the segments around the extranonce with the chosen version and lock time', () => {
+        const builder = new CoinbaseBuilder({ version: 2, lockTime: 699999 })
+            .addScriptSigSegment('tag', Buffer.from('0201ff', 'hex'), 'prefix')
+            .addScriptSigSegment('note', (context, available) => Buffer.from([1, available]))
+            .addOutputProvider('pool', () => ({ script: poolScript, remainder: true }));
+
+        const built = builder.setLockTime(700000).build({ rpcData, extraNoncePlaceholder });
+        const tx = Buffer.concat([built.coinbase[0], extraNoncePlaceholder, built.coinbase[1]]);
+
+        expect(tx.readUInt32LE(0)).toBe(2);
+        expect(tx[41]).toBe(3 + 1 + 8 + 2);
+        expect(built.coinbase[0].slice(42).toString('hex')).toBe('0201ff08');
+        expect(built.coinbase[1].slice(0, 2).toString('hex')).toBe('01' + (100 - 12).toString(16));
+        expect(tx.readUInt32LE(tx.length - 4)).toBe(700000);
+        expect(built.metadata).toMatchObject({
+            version: 2,
+            lockTime: 700000,
+            reward: 625000000,
+            scriptSigSize: 14,
+            scriptSig: [{ name: 'tag', size: 3 }, { name: 'extraNonce', size: 9 }, { name: 'note', size: 2 }]
+        });
+    });
+
+    it('should pay fixed amounts first, percentages of what is left and the remainder last', () => {
+        const builder = new CoinbaseBuilder()
+            .addOutputProvider('pool', () => ({ script: poolScript, remainder: true }))
+            .addOutputProvider('fees', () => [{ script: feeScript, percent: 0.01 }])
+            .addOutputProvider('masternode', (context, remaining) => ({ script: payeeScript, amount: Math.ceil(remaining / 5) }))
+            .addOutputProvider('tag', () => ({ name: 'opReturn', script: transactions.opReturnScript(Buffer.from('hi')), amount: 0 }));
+
+        const built = builder.build({ rpcData, extraNoncePlaceholder });
+
+        expect(outputs(built.coinbase)).toEqual([
+            [500000000 - 5000000, poolScript.toString('hex')],
+            [5000000, feeScript.toString('hex')],
+            [125000000, payeeScript.toString('hex')],
+            [0, '6a026869']
+        ]);
+        expect(built.metadata.outputs.map((output) => [output.name, output.amount])).toEqual([
+            ['pool', 495000000], ['fees', 5000000], ['masternode', 125000000], ['opReturn', 0]
+        ]);
+    });
+
+    it('should replace providers and segments registered under the same name in place', () => {
+        const builder = transactions.createCoinbaseBuilder()
+            .addOutputProvider('recipients', () => ({ script: feeScript, amount: 1000 }))
+            .addOutputProvider('masternode', () => ({ script: payeeScript, amount: 2000 }))
+            .addScriptSigSegment('signature', Buffer.from('03616263', 'hex'));
+
+        const built = builder.build({ rpcData, extraNoncePlaceholder, payoutScript: poolScript });
+
+        expect(built.metadata.outputs.map((output) => output.name)).toEqual(['pool', 'recipients', 'masternode']);
+        expect(built.metadata.outputs[0].amount).toBe(625000000 - 3000);
+        expect(built.metadata.scriptSig.map((segment) => segment.name)).toEqual(['height', 'flags', 'time', 'auxpow', 'extraNonce', 'signature']);
+        expect(built.coinbase[1].slice(0, 4).toString()).toBe('\u0003abc');
+    });
+
+    it('should build the same coinbase as CreateGeneration', () => {
+        const recipients = [{ percent: 0.02, script: feeScript }];
+        const extraOutputs = [{ script: payeeScript, amount: 1000 }];
+        rpcData.default_witness_commitment = '6a24aa21a9ed' + '33'.repeat(32);
+
+        const built = transactions.createCoinbaseBuilder({ reward: 'POW', txMessages: true }).build({
+            rpcData, extraNoncePlaceholder, payoutScript: poolScript, recipients, extraOutputs, worker: 'alice'
+        });
+        const generation = transactions.CreateGeneration(rpcData, poolScript, extraNoncePlaceholder, 'POW', true, recipients,
+            'alice', { extraOutputs });
+
+        expect(built.coinbase[1].toString('hex')).toBe(generation[1].toString('hex'));
+        expect(built.metadata.outputs.map((output) => output.name))
+            .toEqual(['witnessCommitment', 'pool', 'recipients', 'extraOutputs']);
+    });
+
+    it('should refuse outputs paying more than the reward and invalid providers or segments', () => {
+        const builder = new CoinbaseBuilder().addOutputProvider('pool', () => ({ script: poolScript, amount: 625000001 }));
+        expect(() => builder.build({ rpcData, extraNoncePlaceholder })).toThrow(RangeError);
+        expect(() => builder.build({ rpcData, extraNoncePlaceholder })).toThrow(expect.objectContaining({ code: CoinbaseBuilder.OUTPUTS_ERROR }));
+
+        builder.addOutputProvider('pool', () => [{ script: poolScript, remainder: true }, { script: feeScript, remainder: true }]);
+        expect(() => builder.build({ rpcData, extraNoncePlaceholder })).toThrow('Only one coinbase output can take the remaining reward');
+
+        builder.addOutputProvider('pool', () => ({ script: poolScript, amount: 1.5 }));
+        expect(() => builder.build({ rpcData, extraNoncePlaceholder })).toThrow('Output provider pool returned an invalid amount 1.5');
+
+        builder.addOutputProvider('pool', () => ({ script: poolScript, remainder: true }))
+            .addScriptSigSegment('big', Buffer.alloc(92));
+        expect(() => builder.build({ rpcData, extraNoncePlaceholder })).toThrow('Coinbase scriptSig would be 101 bytes, over the 100 byte limit');
+
+        expect(() => builder.addScriptSigSegment('late', Buffer.alloc(1), 'middle')).toThrow(/prefix or suffix/);
+    });
+});
@@ -1,3 +1,5 @@
+const http = require('http');
+
 const DaemonInterface = require('../../lib/daemon').interface;
 
 describe('DaemonInterface', () => {
@@ -79,5 +81,277 @@ describe('DaemonInterface', () => {
                 done();
             });
         });
+
+        it('should be online while at least one daemon responds', async () => {
+            const rpcServer = await new Promise((resolve) => {
+                const server = http.createServer((req, res) => {
+                    let body = '';
+                    req.on('data', (chunk) => body += chunk);
+                    req.on('end', () => res.end(JSON.stringify({ id: JSON.parse(body).id, error: null, result: [] })));
+                }).listen(34419, '127.0.0.1', () => resolve(server));
+            });
+            daemon = new DaemonInterface([34420, 34419].map((port) => ({ host: '127.0.0.1', port, user: 'u', password: 'p' })), () => {});
+            const failures = [];
+            daemon.on('connectionFailed', (results) => failures.push(results));
+
+            const online = await new Promise((resolve) => daemon.isOnline(resolve));
+            await new Promise((resolve) => rpcServer.close(resolve));
+
+            expect(online).toBe(true);
+            expect(failures).toEqual([]);
+        });
+    });
+
+    describe('promise API', () => {
+        let rpcServer;
+
+        beforeAll((done) => {
+            rpcServer = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', (chunk) => body += chunk);
+                req.on('end', () => {
+                    const request = JSON.parse(body);
+                    const respond = (call) => ({ id: call.id, error: null, result: call.method === 'getblockcount' ? 700000 : 'ok' });
+                    res.end(JSON.stringify(Array.isArray(request) ? request.map(respond) : respond(request)));
+                });
+            }).listen(34391, '127.0.0.1', done);
+        });
+
+        afterAll((done) => {
+            rpcServer.close(done);
+        });
+
+        it('should resolve cmdAsync with one result per instance', async () => {
+            daemon = new DaemonInterface([{ host: '127.0.0.1', port: 34391, user: 'u', password: 'p' }]);
+
+            const results = await daemon.cmdAsync('getblockcount', []);
+
+            expect(results).toHaveLength(1);
+            expect(results[0].response).toBe(700000);
+        });
+
+        it('should report validation errors in the cmdAsync results', async () => {
+            daemon = new DaemonInterface([{ host: '127.0.0.1', port: 34391, user: 'u', password: 'p' }]);
+
+            const results = await daemon.cmdAsync('dropeverything', []);
+
+            expect(results[0].error.type).toBe('validation error');
+        });
+
+        it('should resolve batchCmdAsync with the batch responses', async () => {
+            daemon = new DaemonInterface([{ host: '127.0.0.1', port: 34391, user: 'u', password: 'p' }]);
+
+            const results = await daemon.batchCmdAsync([['getblockcount', []], ['getdifficulty', []]]);
+
+            expect(results.map((result) => result.result)).toEqual([700000, 'ok']);
+        });
+
+        it('should reject batchCmdAsync with an Error carrying the failure type', async () => {
+            daemon = new DaemonInterface([{ host: '127.0.0.1', port: 34392, user: 'u', password: 'p' }]);
+
+            await expect(daemon.batchCmdAsync([['getblockcount', []]])).rejects.toMatchObject({ type: 'offline' });
+            await expect(daemon.batchCmdAsync([['dropeverything', []]])).rejects.toThrow('Method not allowed: dropeverything');
+        });
+    });
+
+    describe('long polling', () => {
+        let rpcServer, pending;
+
+        // Holds getblocktemplate requests until the test pushes a template
+        beforeAll((done) => {
+            rpcServer = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', (chunk) => body += chunk);
+                req.on('end', () => {
+                    const request = JSON.parse(body);
+                    pending.push({
+                        request,
+                        closed: new Promise((resolve) => res.on('close', resolve)),
+                        respond: (result) => res.end(JSON.stringify({ id: request.id, error: null, result }))
+                    });
+                    if (rpcServer.onRequest) rpcServer.onRequest();
+                });
+            }).listen(34403, '127.0.0.1', done);
+        });
+
+        beforeEach(() => {
+            pending = [];
+        });
+
+        afterAll((done) => {
+            rpcServer.close(done);
+        });
+
+        const nextRequest = () => new Promise((resolve) => {
+            rpcServer.onRequest = () => resolve(pending[pending.length - 1]);
+        });
+
+        it('should call back once the daemon answers the long poll', async () => {
+            daemon = new DaemonInterface([{ host: '127.0.0.1', port: 34403, user: 'u', password: 'p' }]);
+            const requested = nextRequest();
+            const answered = new Promise((resolve) => {
+                daemon.longPollCmd('getblocktemplate', [{ longpollid: 'tip1' }], resolve);
+            });
+
+            const request = await requested;
+            expect(request.request.params).toEqual([{ longpollid: 'tip1' }]);
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            request.respond({ height: 700001, longpollid: 'tip2' });
+
+            const result = await answered;
+            expect(result.error).toBeNull();
+            expect(result.response).toEqual({ height: 700001, longpollid: 'tip2' });
+            expect(result.instance.port).toBe(34403);
+        });
+
+        it('should abort the request without calling back when cancelled', async () => {
+            daemon = new DaemonInterface([{ host: '127.0.0.1', port: 34403, user: 'u', password: 'p' }]);
+            const callback = jest.fn();
+            const requested = nextRequest();
+            const longPoll = daemon.longPollCmd('getblocktemplate', [{ longpollid: 'tip1' }], callback);
+            const request = await requested;
+
+            longPoll.cancel();
+
+            await request.closed;
+            expect(callback).not.toHaveBeenCalled();
+        });
+
+        it('should report validation errors', () => {
+            daemon = new DaemonInterface([{ host: '127.0.0.1', port: 34403, user: 'u', password: 'p' }]);
+            const callback = jest.fn();
+
+            daemon.longPollCmd('dropeverything', [], callback).cancel();
+
+            expect(callback.mock.calls[0][0].error.type).toBe('validation error');
+        });
+    });
+
+    describe('failover mode', () => {
+        let rpcServers;
+
+        // Minimal bitcoind stand-in recording the methods it was asked for
+        const startRpcServer = (port, chain) => new Promise((resolve) => {
+            const server = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', (chunk) => body += chunk);
+                req.on('end', () => {
+                    const request = JSON.parse(body);
+                    const respond = (call) => {
+                        server.methods.push(call.method);
+                        const result = call.method === 'getblockchaininfo' ? chain : call.method === 'getblocktemplate' ? { port } : null;
+                        return { id: call.id, error: null, result };
+                    };
+                    res.end(JSON.stringify(Array.isArray(request) ? request.map(respond) : respond(request)));
+                });
+            });
+            server.methods = [];
+            rpcServers.push(server);
+            server.listen(port, '127.0.0.1', () => resolve(server));
+        });
+
+        const createDaemon = (ports, healthCheckInterval = 60000) => new DaemonInterface(
+            ports.map((port) => ({ host: '127.0.0.1', port, user: 'u', password: 'p' })),
+            () => {},
+            { mode: 'failover', healthCheckInterval }
+        );
+
+        const nextState = (index, state) => new Promise((resolve) => {
+            const listener = (health) => {
+                if (health.index !== index || health.state !== state) return;
+                daemon.removeListener('daemonStateChanged', listener);
+                resolve(health);
+            };
+            daemon.on('daemonStateChanged', listener);
+        });
+
+        const synced = { blocks: 700000, initialblockdownload: false };
+
+        beforeEach(() => {
+            rpcServers = [];
+        });
+
+        afterEach(async () => {
+            if (daemon && daemon.close) daemon.close();
+            await Promise.all(rpcServers.map((server) => new Promise((resolve) => server.close(resolve))));
+        });
+
+        it('should send calls to the primary only and submissions to every daemon', async () => {
+            const [primary, secondary] = await Promise.all([startRpcServer(34393, synced), startRpcServer(34394, synced)]);
+            daemon = createDaemon([34393, 34394]);
+
+            const results = await daemon.cmdAsync('getblocktemplate', []);
+            await daemon.cmdAsync('submitblock', ['00']);
+
+            expect(results).toHaveLength(1);
+            expect(results[0].response).toEqual({ port: 34393 });
+            expect(primary.methods).toEqual(['getblocktemplate', 'submitblock']);
+            expect(secondary.methods).toEqual(['submitblock']);
+        });
+
+        it('should fail over to the next daemon when the primary cannot be reached', async () => {
+            await startRpcServer(34395, synced);
+            daemon = createDaemon([34396, 34395]);
+
+            const [result] = await daemon.cmdAsync('getblocktemplate', []);
+            const batch = await daemon.batchCmdAsync([['getblocktemplate', []]]);
+
+            expect(result.response).toEqual({ port: 34395 });
+            expect(batch[0].result).toEqual({ port: 34395 });
+            // the primary is now ranked below the secondary and not retried on every call
+            expect(daemon.getHealth()[0]).toMatchObject({ state: 'degraded', errors: 1, score: 85 });
+        });
+
+        it('should mark daemons offline after repeated failed health checks', async () => {
+            await startRpcServer(34401, synced);
+            daemon = createDaemon([34402, 34401], 10);
+            const offline = nextState(0, 'offline');
+            const online = nextState(1, 'online');
+
+            daemon.init();
+            const [health] = await Promise.all([offline, online]);
+
+            expect(health).toMatchObject({ previousState: 'degraded', score: 0, port: 34402, errors: 3 });
+        });
+
+        it('should stop the health checks when no daemon can be reached', async () => {
+            daemon = createDaemon([34421, 34422], 10);
+
+            await new Promise((resolve) => {
+                daemon.once('connectionFailed', resolve);
+                daemon.init();
+            });
+            await new Promise((resolve) => setTimeout(resolve, 30));
+            const errors = daemon.getHealth().map((health) => health.errors);
+            await new Promise((resolve) => setTimeout(resolve, 60));
+
+            expect(daemon.getHealth().map((health) => health.errors)).toEqual(errors);
+        });
+
+        it('should take templates from an in-sync daemon rather than a syncing primary', async () => {
+            await Promise.all([
+                startRpcServer(34397, { blocks: 699000, initialblockdownload: true }),
+                startRpcServer(34398, synced)
+            ]);
+            daemon = createDaemon([34397, 34398]);
+            const syncing = nextState(0, 'syncing');
+
+            daemon.init();
+            await syncing;
+            const [result] = await daemon.cmdAsync('getblocktemplate', []);
+
+            expect(result.response).toEqual({ port: 34398 });
+            expect(daemon.getHealth()[0]).toMatchObject({ height: 699000, synced: false });
+        });
+
+        it('should keep broadcasting to all daemons by default', async () => {
+            const servers = await Promise.all([startRpcServer(34399, synced), startRpcServer(34400, synced)]);
+            daemon = new DaemonInterface([34399, 34400].map((port) => ({ host: '127.0.0.1', port, user: 'u', password: 'p' })), () => {});
+
+            const results = await daemon.cmdAsync('getblocktemplate', []);
+
+            expect(results).toHaveLength(2);
+            expect(servers.map((server) => server.methods)).toEqual([['getblocktemplate'], ['getblocktemplate']]);
+        });
     });
-});
\ No newline at end of file
+});
@@ -3,7 +3,7 @@ const util = require('../../lib/util');
 
 // Mock dependencies
 jest.mock('../../lib/blockTemplate', () => {
-    return jest.fn().mockImplementation((jobId, rpcData, poolAddressScript, extraNoncePlaceholder, reward, txMessages, recipients) => {
+    return jest.fn().mockImplementation((jobId, rpcData, poolAddressScript, extraNoncePlaceholder, reward, txMessages, recipients, maxSubmits) => {
         const submits = new Set();
         return {
             jobId: jobId,
@@ -22,9 +22,11 @@ jest.mock('../../lib/blockTemplate', () => {
             serializeCoinbase: jest.fn().mockReturnValue(Buffer.alloc(100)),
             serializeHeader: jest.fn().mockReturnValue(Buffer.alloc(80)),
             serializeBlock: jest.fn().mockReturnValue(Buffer.alloc(200)),
+            hasSubmit: jest.fn((en1, en2, ntime, nonce) => submits.has(en1 + en2 + ntime + nonce)),
+            isSubmitLimitReached: jest.fn(() => submits.size >= (maxSubmits || 250000)),
             registerSubmit: jest.fn((en1, en2, ntime, nonce) => {
                 const key = en1 + en2 + ntime + nonce;
-                if (submits.has(key)) {
+                if (submits.has(key) || submits.size >= (maxSubmits || 250000)) {
                     return false;
                 }
                 submits.add(key);
@@ -191,6 +193,7 @@ describe('JobManager', () => {
 
             jobManager.once('share', (result) => {
                 expect(result.error).toContain('duplicate share');
+                expect(jobManager.duplicateShares).toEqual({ worker1: 1 });
                 done();
             });
 
@@ -210,6 +213,44 @@ describe('JobManager', () => {
             );
         });
 
+        it('should only count duplicate shares for a bounded number of worker names', () => {
+            const limited = new JobManager({ ...options, maxDuplicateShareWorkers: 2 });
+            limited.processTemplate(job.rpcData);
+            const limitedJob = limited.currentJob;
+            const nTime = limitedJob.rpcData.curtime.toString(16);
+            const errors = [];
+            limited.on('share', (result) => errors.push(result.error));
+
+            ['worker1', 'worker2', 'worker2', 'worker3'].forEach((workerName) => {
+                limitedJob.registerSubmit('00000000', '00000000', nTime, '12345678');
+                limited.processShare(limitedJob.jobId, 16, 16, '00000000', '00000000', nTime, '12345678',
+                    '127.0.0.1', '3333', workerName, null);
+            });
+
+            expect(errors.every((error) => /duplicate share/.test(error))).toBe(true);
+            expect(errors).toHaveLength(4);
+            expect(limited.duplicateShares).toEqual({ worker2: 2, worker3: 1 });
+        });
+
+        it('should not let a share accepted earlier be replayed once the job is full', () => {
+            const limited = new JobManager({ ...options, maxSubmitsPerJob: 2 });
+            limited.processTemplate(job.rpcData);
+            const limitedJob = limited.currentJob;
+            const nTime = limitedJob.rpcData.curtime.toString(16);
+            // Every nonce hashes the same mocked header, so the worker difficulty alone decides acceptance
+            const submit = (nonce, difficulty) => limited.processShare(limitedJob.jobId, difficulty, difficulty,
+                '00000000', '00000000', nTime, nonce, '127.0.0.1', '3333', 'worker1', null);
+
+            expect(submit('00000001', 1e-12).result).toBe(true);
+            ['00000002', '00000003', '00000004'].forEach((nonce) => {
+                expect(submit(nonce, 16).error[0]).toBe(23);
+            });
+            expect(submit('00000005', 1e-12).result).toBe(true);
+            expect(submit('00000006', 1e-12).error).toEqual([21, 'job submission limit reached']);
+            expect(submit('00000001', 1e-12).error).toEqual([22, 'duplicate share']);
+            expect(submit('00000005', 1e-12).error).toEqual([22, 'duplicate share']);
+        });
+
         it('should reject share with invalid nonce size', (done) => {
             const shareData = {
                 jobId: job.jobId,
@@ -331,5 +372,99 @@ describe('JobManager', () => {
             expect(updatedJob).toBe(true);
             expect(jobManager.currentJob.jobId).not.toBe(oldJobId);
         });
+
+        it('should keep at most maxJobsPerHeight jobs valid, dropping the oldest', () => {
+            jobManager = new JobManager(Object.assign({}, options, { maxJobsPerHeight: 3 }));
+            const rpcData = {
+                height: 700000,
+                previousblockhash: '00000000000000000001234567890abcdef1234567890abcdef1234567890abc',
+                transactions: [],
+                bits: '1d00ffff',
+                curtime: Math.floor(Date.now() / 1000),
+                version: 536870912
+            };
+
+            jobManager.processTemplate(rpcData);
+            const firstJobId = jobManager.currentJob.jobId;
+            for (let i = 0; i < 4; i++)
+                jobManager.updateCurrentJob(rpcData);
+
+            expect(Object.keys(jobManager.validJobs)).toHaveLength(3);
+            expect(jobManager.validJobs[firstJobId]).toBeUndefined();
+            expect(jobManager.validJobs[jobManager.currentJob.jobId]).toBe(jobManager.currentJob);
+        });
+    });
+
+    describe('coinbase variants', () => {
+        it('should hash shares against the coinbase variant of the worker', () => {
+            jobManager.processTemplate({
+                height: 700000,
+                previousblockhash: 'aa'.repeat(32),
+                transactions: [],
+                bits: '1d00ffff',
+                curtime: Math.floor(Date.now() / 1000),
+                version: 536870912
+            });
+            const coinbase = { payoutScript: Buffer.from('76a914' + '62'.repeat(20) + '88ac', 'hex') };
+
+            jobManager.processShare(jobManager.currentJob.jobId, 16, 16, '00000000', '00000000',
+                Math.floor(Date.now() / 1000).toString(16), '12345678', '127.0.0.1', 3333, 'worker1',
+                undefined, undefined, coinbase);
+
+            expect(jobManager.currentJob.serializeCoinbase).toHaveBeenCalledWith(
+                Buffer.from('00000000', 'hex'), Buffer.from('00000000', 'hex'), coinbase);
+        });
+    });
+
+    describe('stale shares', () => {
+        const rpcData = (height, previousblockhash) => ({
+            height,
+            previousblockhash,
+            transactions: [],
+            bits: '1d00ffff',
+            curtime: Math.floor(Date.now() / 1000),
+            version: 536870912
+        });
+
+        const submit = (jobId) => jobManager.processShare(jobId, 16, 16, '00000000', '00000000',
+            Math.floor(Date.now() / 1000).toString(16), '12345678', '127.0.0.1', 3333, 'worker1');
+
+        it('should report shares for jobs of the previous block as stale', () => {
+            jobManager.processTemplate(rpcData(700000, 'aa'.repeat(32)));
+            const oldJobId = jobManager.currentJob.jobId;
+            jobManager.processTemplate(rpcData(700001, 'bb'.repeat(32)));
+            const shares = [];
+            jobManager.on('share', (shareData) => shares.push(shareData));
+
+            expect(submit(oldJobId).error).toEqual([21, 'stale share']);
+            expect(submit('ffff').error).toEqual([21, 'job not found']);
+            expect(shares.map((share) => [share.error, share.stale, share.worker])).toEqual([
+                ['stale share', true, 'worker1'],
+                ['job not found', false, 'worker1']
+            ]);
+        });
+
+        it('should report shares for jobs dropped by maxJobsPerHeight as stale', () => {
+            jobManager = new JobManager(Object.assign({}, options, { maxJobsPerHeight: 2 }));
+            jobManager.processTemplate(rpcData(700000, 'aa'.repeat(32)));
+            const droppedJobId = jobManager.currentJob.jobId;
+            jobManager.updateCurrentJob(rpcData(700000, 'aa'.repeat(32)));
+            jobManager.updateCurrentJob(rpcData(700000, 'aa'.repeat(32)));
+
+            expect(jobManager.validJobs[droppedJobId]).toBeUndefined();
+            expect(submit(droppedJobId).error).toEqual([21, 'stale share']);
+
+            jobManager.processTemplate(rpcData(700001, 'bb'.repeat(32)));
+            expect(submit(droppedJobId).error).toEqual([21, 'stale share']);
+        });
+
+        it('should only remember the jobs of the previous block', () => {
+            jobManager.processTemplate(rpcData(700000, 'aa'.repeat(32)));
+            const oldJobId = jobManager.currentJob.jobId;
+            jobManager.processTemplate(rpcData(700001, 'bb'.repeat(32)));
+            jobManager.processTemplate(rpcData(700002, 'cc'.repeat(32)));
+
+            expect(submit(oldJobId).error).toEqual([21, 'job not found']);
+        });
     });
 });
\ No newline at end of file
@@ -0,0 +1,124 @@
+require('../../lib/algoProperties');
+const daemon = require('../../lib/daemon');
+const MockDaemon = require('../../lib/mockDaemon');
+const Pool = require('../../lib/pool');
+const StratumMinerClient = require('../../lib/stratumMinerClient');
+
+describe('MockDaemon', () => {
+    let mockDaemon, pool, client, rpc;
+
+    const startMockDaemon = async (daemonOptions) => {
+        mockDaemon = new MockDaemon(Object.assign({ height: 100, user: 'user', password: 'pass' }, daemonOptions));
+        await mockDaemon.start();
+        rpc = new daemon.interface([mockDaemon.getDaemonConfig()], () => {});
+        return mockDaemon;
+    };
+
+    const call = (method, params = []) => new Promise((resolve) => rpc.cmd(method, params, (results) => resolve(results[0])));
+
+    const startPool = (port) => new Promise((resolve, reject) => {
+        pool = new Pool({
+            coin: { name: 'Bitcoin', symbol: 'BTC', algorithm: 'sha256', reward: 'POW' },
+            address: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa',
+            daemons: [mockDaemon.getDaemonConfig()],
+            ports: { [port]: { diff: 1e-10 } },
+            longPolling: true,
+            connectionTimeout: 600
+        }, (ip, port, worker, password, callback) => callback({ error: null, authorized: true }));
+        pool.on('log', () => {});
+        pool.start().then(resolve, reject);
+    });
+
+    const connectMiner = (port) => new Promise((resolve, reject) => {
+        client = new StratumMinerClient({ host: '127.0.0.1', port, user: 'worker1' });
+        client.connect((error) => error ? reject(error) : resolve(client));
+    });
+
+    const nextJob = (height) => new Promise((resolve) => {
+        if (client.currentJob && client.currentJob.rpcData.height === height) return resolve(client.currentJob);
+        client.on('job', (job) => job.rpcData.height === height && resolve(job));
+    });
+
+    afterEach(async () => {
+        if (client) client.close();
+        client = null;
+        if (pool) await pool.stop();
+        pool = null;
+        if (rpc) rpc.close();
+        rpc = null;
+        if (mockDaemon) await mockDaemon.stop();
+        mockDaemon = null;
+    });
+
+    it('should run a pool from start to an accepted block and move it to the next height', async () => {
+        await startMockDaemon();
+        const submitted = [];
+        mockDaemon.on('request', (method, params) => method === 'submitblock' && params.length && submitted.push(params[0]));
+        await startPool(34409);
+        await connectMiner(34409);
+        await nextJob(101);
+        const accepted = new Promise((resolve) => pool.on('blockAccepted', resolve));
+
+        const share = await new Promise((resolve) => client.findShare({ difficulty: 1e-9 }, (error, share) => resolve(share)));
+        const result = await new Promise((resolve) => client.submit(share, (accepted) => resolve(accepted)));
+        const block = await accepted;
+        const job = await nextJob(102);
+
+        expect(result).toBe(true);
+        expect(block).toMatchObject({ height: 101, hash: share.hash, txHash: mockDaemon.tip.tx[0] });
+        expect(mockDaemon.tip).toMatchObject({ hash: share.hash, height: 101 });
+        expect(job.rpcData.previousblockhash).toBe(share.hash);
+        expect((await call('getblock', [share.hash])).response).toMatchObject({ height: 101, confirmations: 1 });
+
+        // The same block checked by a daemon on the same chain
+        await mockDaemon.stop();
+        rpc.close();
+        await startMockDaemon();
+        const rejected = jest.fn();
+        mockDaemon.on('blockRejected', rejected);
+        const tampered = submitted[0].slice(0, -2) + (submitted[0].slice(-2) === '00' ? '01' : '00');
+
+        expect((await call('submitblock', [tampered])).response).toBe('bad-txnmrklroot');
+        expect((await call('submitblock', [submitted[0]])).response).toBeNull();
+        expect((await call('submitblock', [submitted[0]])).response).toBe('duplicate');
+        expect(rejected).toHaveBeenCalledWith('bad-txnmrklroot', tampered);
+    });
+
+    it('should hand pools waiting on long polls the blocks it advances to', async () => {
+        await startMockDaemon();
+        const blocks = [];
+        mockDaemon.on('block', (block, source) => blocks.push([block.height, source]));
+        await startPool(34410);
+        await connectMiner(34410);
+        await nextJob(101);
+
+        const [hash] = mockDaemon.advance();
+        const job = await nextJob(102);
+
+        expect(job.rpcData.previousblockhash).toBe(hash);
+        expect(blocks).toEqual([[101, 'advance']]);
+        expect((await call('getblockchaininfo')).response).toMatchObject({ chain: 'main', blocks: 101, bestblockhash: hash });
+    });
+
+    it('should answer the pool start calls and put mempool transactions in templates', async () => {
+        await startMockDaemon({ coinbaseValue: 1000 });
+        const tx = '01000000' + '01' + '11'.repeat(32) + '00000000' + '00' + 'ffffffff' + '01' + 'e803000000000000' + '00' + '00000000';
+        const txid = mockDaemon.addTransaction(tx, 250);
+
+        const template = (await call('getblocktemplate', [{ rules: ['segwit'] }])).response;
+        const submitDetection = await call('submitblock');
+        const invalidAddress = await call('validateaddress', ['not an address']);
+        const unknownBlock = await call('getblock', ['00'.repeat(32)]);
+
+        expect(template).toMatchObject({ height: 101, bits: '207fffff', coinbasevalue: 1250, previousblockhash: mockDaemon.tip.hash });
+        expect(template.transactions).toEqual([expect.objectContaining({ data: tx, txid, fee: 250 })]);
+        expect(submitDetection.error.code).toBe(-1);
+        expect(invalidAddress.response).toEqual({ isvalid: false });
+        expect(unknownBlock.error).toMatchObject({ code: -5 });
+        expect((await call('getpeerinfo')).response).toEqual([]);
+
+        rpc.close();
+        rpc = new daemon.interface([Object.assign(mockDaemon.getDaemonConfig(), { password: 'wrong' })], () => {});
+        expect((await call('getdifficulty')).error).toMatchObject({ type: 'unauthorized' });
+    });
+});
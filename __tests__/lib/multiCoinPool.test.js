@@ -0,0 +1,226 @@
+const net = require('net');
+
+require('../../lib/algoProperties');
+const MultiCoinPool = require('../../lib/multiCoinPool');
+
+// Every coin's daemon answers with the template of its RPC port
+jest.mock('../../lib/daemon', () => {
+    const { EventEmitter } = require('events');
+
+    class MockDaemonInterface extends EventEmitter {
+        constructor(daemons) {
+            super();
+            this.port = daemons[0].port;
+        }
+
+        init() {
+            process.nextTick(() => this.emit('online'));
+        }
+
+        close() {}
+
+        batchCmd(calls, callback) {
+            const results = {
+                validateaddress: { result: { isvalid: true, scriptPubKey: '76a914' + '12'.repeat(20) + '88ac' } },
+                getdifficulty: { result: 1 },
+                getmininginfo: { result: { networkhashps: 1000 } },
+                submitblock: { error: { code: -1, message: 'JSON value is not a string as expected' } },
+                getblockchaininfo: { result: { chain: 'main', difficulty: 1 } },
+                getnetworkinfo: { result: { protocolversion: 70016, connections: 8 } }
+            };
+            callback(null, calls.map(([method]) => results[method]));
+        }
+
+        cmd(method, params, callback, streamResults) {
+            const result = { error: null, response: method === 'getblocktemplate' ? mockTemplates[this.port] : null, instance: { index: 0 } };
+            callback(streamResults ? result : [result]);
+        }
+    }
+
+    return { interface: MockDaemonInterface };
+});
+
+const template = (height, previousblockhash) => ({
+    version: 0x20000000,
+    previousblockhash,
+    coinbasevalue: 625000000,
+    target: '00000000ffff0000000000000000000000000000000000000000000000000000',
+    transactions: [],
+    height,
+    curtime: Math.floor(Date.now() / 1000),
+    bits: '1d00ffff'
+});
+
+const mockTemplates = {
+    8332: template(700000, 'aa'.repeat(32)),
+    8432: template(800000, 'bb'.repeat(32))
+};
+
+describe('MultiCoinPool', () => {
+    let multiPool, sockets;
+
+    const coins = [
+        { coin: { name: 'Bitcoin', symbol: 'BTC', algorithm: 'sha256', reward: 'POW' }, daemons: [{ host: '127.0.0.1', port: 8332 }] },
+        { name: 'BCH', coin: { name: 'Bitcoin Cash', symbol: 'BCH', algorithm: 'sha256', reward: 'POW' }, daemons: [{ host: '127.0.0.1', port: 8432 }] }
+    ];
+
+    const createMultiPool = (options) => {
+        multiPool = new MultiCoinPool(Object.assign({
+            coins,
+            address: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa',
+            ports: { 34368: { diff: 8 } },
+            connectionTimeout: 600
+        }, options), (ip, port, worker, password, callback) => callback({ error: null, authorized: true }));
+        return multiPool;
+    };
+
+    const startMultiPool = (options) => createMultiPool(options).start();
+
+    // Connects a miner sending the given requests, resolving once the subscription was answered
+    const connectMiner = (requests) => new Promise((resolve) => {
+        const socket = net.connect(34368, '127.0.0.1');
+        const miner = { socket, messages: [] };
+        let buffer = '';
+        sockets.push(socket);
+        socket.setEncoding('utf8');
+        socket.on('data', (data) => {
+            buffer += data;
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach((line) => miner.messages.push(JSON.parse(line)));
+            if (miner.messages.some((message) => message.id === 1)) resolve(miner);
+        });
+        requests.forEach((request) => socket.write(JSON.stringify(request) + '\n'));
+    });
+
+    const subscribe = { id: 1, method: 'mining.subscribe', params: [] };
+    const extranonceSubscribe = { id: 2, method: 'mining.extranonce.subscribe', params: [] };
+
+    const waitFor = async (condition) => {
+        for (let i = 0; i < 100 && !condition(); i++)
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        expect(condition()).toBeTruthy();
+    };
+
+    const notifications = (miner, method) => miner.messages.filter((message) => message.method === method);
+
+    beforeEach(() => {
+        sockets = [];
+    });
+
+    afterEach(async () => {
+        sockets.forEach((socket) => socket.destroy());
+        if (multiPool) await multiPool.stop();
+        multiPool = null;
+    });
+
+    it('should serve miners from the first coin and move them to another without reconnecting', async () => {
+        await startMultiPool();
+        const switched = jest.fn();
+        multiPool.on('coinSwitched', switched);
+        const [subscribed, other] = await Promise.all([connectMiner([extranonceSubscribe, subscribe]), connectMiner([subscribe])]);
+        const extraNonce1 = other.messages.find((message) => message.id === 1).result[1];
+
+        expect(multiPool.activeCoin).toBe('BTC');
+        expect(notifications(other, 'mining.notify')[0].params[1]).toBe('aa'.repeat(32));
+
+        expect(multiPool.switchCoin('BCH')).toBe(true);
+        await waitFor(() => notifications(other, 'mining.notify').length === 2 && notifications(subscribed, 'mining.notify').length === 2);
+
+        expect(switched).toHaveBeenCalledWith({ from: 'BTC', to: 'BCH', miners: 2 });
+        [subscribed, other].forEach((miner) => {
+            const job = notifications(miner, 'mining.notify')[1].params;
+            expect(job[1]).toBe('bb'.repeat(32));
+            expect(job[8]).toBe(true);
+        });
+        // The BCH instance hands out extranonces of its own instance ID
+        const setExtraNonce = notifications(subscribed, 'mining.set_extranonce');
+        expect(setExtraNonce).toHaveLength(1);
+        expect(setExtraNonce[0].params).toEqual(['10000000', 4]);
+        expect(notifications(other, 'mining.set_extranonce')).toHaveLength(0);
+        expect(extraNonce1.slice(0, 2)).toBe('08');
+        expect(multiPool.switchCoin('BCH')).toBe(false);
+        expect(() => multiPool.switchCoin('DOGE')).toThrow('Unknown coin DOGE');
+    });
+
+    it('should hand shares to the pool of the coin being mined', async () => {
+        await startMultiPool();
+        const shares = { BTC: [], BCH: [] };
+        Object.keys(shares).forEach((name) => multiPool.pools[name].on('share', (isValid, isBlock, shareData) => shares[name].push(shareData)));
+        const miner = await connectMiner([subscribe]);
+        multiPool.switchCoin('BCH');
+        await waitFor(() => notifications(miner, 'mining.notify').length === 2);
+        const jobId = notifications(miner, 'mining.notify')[1].params[0];
+
+        miner.socket.write(JSON.stringify({ id: 3, method: 'mining.authorize', params: ['worker1', 'x'] }) + '\n');
+        miner.socket.write(JSON.stringify({ id: 4, method: 'mining.submit', params: ['worker1', jobId, '00000000', '00000000', '00000000'] }) + '\n');
+        await waitFor(() => miner.messages.some((message) => message.id === 4));
+
+        expect(shares.BTC).toHaveLength(0);
+        expect(shares.BCH).toHaveLength(1);
+        expect(shares.BCH[0]).toMatchObject({ job: jobId, worker: 'worker1' });
+        expect(shares.BCH[0].error).not.toBe('job not found');
+    });
+
+    it('should switch to the coin the profitability function picks', async () => {
+        let pick = 'BCH';
+        const profitability = jest.fn((coins, callback) => callback(null, pick));
+        const switched = jest.fn();
+        const logs = [];
+        createMultiPool({ profitability, switchInterval: 20 }).on('coinSwitched', switched)
+            .on('log', (severity, text) => logs.push([severity, text]));
+
+        await multiPool.start();
+
+        expect(multiPool.activeCoin).toBe('BCH');
+        expect(switched).toHaveBeenCalledWith({ from: 'BTC', to: 'BCH', miners: 0 });
+        expect(profitability.mock.calls[0][0].map(({ name, symbol, height, active }) => ({ name, symbol, height, active }))).toEqual([
+            { name: 'BTC', symbol: 'BTC', height: 700000, active: true },
+            { name: 'BCH', symbol: 'BCH', height: 800000, active: false }
+        ]);
+        expect(profitability.mock.calls[0][0][1]).toMatchObject({ reward: 625000000, difficulty: 1, pool: multiPool.pools.BCH });
+
+        pick = 'DOGE';
+        await waitFor(() => logs.some(([severity, text]) => severity === 'warning' && text === 'Profitability check picked unknown coin DOGE'));
+        pick = 'BTC';
+        await waitFor(() => multiPool.activeCoin === 'BTC');
+        expect(switched).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep checking when the profitability function throws', async () => {
+        let calls = 0;
+        const profitability = jest.fn((coins, callback) => {
+            if (++calls === 1) throw new Error('price feed down');
+            callback(null, 'BCH');
+        });
+        const logs = [];
+        createMultiPool({ profitability, switchInterval: 20 }).on('log', (severity, text) => logs.push([severity, text]));
+
+        await multiPool.start();
+
+        expect(logs).toContainEqual(['warning', 'Profitability check failed: price feed down']);
+        await waitFor(() => multiPool.activeCoin === 'BCH');
+    });
+
+    it('should give up on a profitability check that does not call back in time', async () => {
+        const callbacks = [];
+        const profitability = jest.fn((coins, callback) => callbacks.push(callback));
+        const logs = [];
+        createMultiPool({ profitability, switchInterval: 20, profitabilityTimeout: 30 })
+            .on('log', (severity, text) => logs.push([severity, text]));
+
+        await multiPool.start();
+
+        await waitFor(() => logs.some(([severity, text]) => severity === 'warning' && text === 'Profitability check did not call back within 30ms'));
+        await waitFor(() => profitability.mock.calls.length > 1);
+        callbacks[0](null, 'BCH');
+        expect(multiPool.activeCoin).toBe('BTC');
+        callbacks[callbacks.length - 1](null, 'BCH');
+        expect(multiPool.activeCoin).toBe('BCH');
+    });
+
+    it('should refuse configurations it cannot run', () => {
+        expect(() => new MultiCoinPool({ coins: [], ports: {} })).toThrow('A multi-coin pool needs at least one coin');
+        expect(() => new MultiCoinPool({ coins: [coins[0], coins[0]], ports: {} })).toThrow('Coin BTC is configured twice');
+    });
+});
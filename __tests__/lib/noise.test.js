@@ -0,0 +1,82 @@
+const noise = require('../../lib/noise');
+const secp256k1 = require('../../lib/secp256k1');
+
+describe('noise', () => {
+    const authorityKey = secp256k1.generatePrivateKey();
+    const staticKey = secp256k1.generatePrivateKey();
+    const now = Math.floor(Date.now() / 1000);
+
+    const handshake = (initiatorOptions, certificate) => {
+        const responder = new noise.Responder({
+            staticPrivateKey: staticKey,
+            certificate: certificate || noise.createCertificate(authorityKey, staticKey, now - 60, now + 3600)
+        });
+        const initiator = new noise.Initiator(initiatorOptions);
+        const actOne = initiator.initiate();
+        const actTwo = responder.respond(actOne);
+        const result = initiator.finish(actTwo);
+        return { initiator, responder, result };
+    };
+
+    it('should complete the NX handshake and verify the certificate', () => {
+        const { result } = handshake({ authorityPublicKey: secp256k1.getXOnlyPublicKey(authorityKey) });
+
+        expect(result.staticKey.equals(secp256k1.getXOnlyPublicKey(staticKey))).toBe(true);
+        expect(result.certificate.notValidAfter).toBe(now + 3600);
+    });
+
+    it('should produce acts of the spec lengths', () => {
+        const initiator = new noise.Initiator();
+        const actOne = initiator.initiate();
+        const responder = new noise.Responder({
+            staticPrivateKey: staticKey,
+            certificate: noise.createCertificate(authorityKey, staticKey, now - 60, now + 3600)
+        });
+
+        expect(actOne.length).toBe(64);
+        expect(responder.respond(actOne).length).toBe(234);
+    });
+
+    it('should reject a certificate signed by another authority', () => {
+        const otherAuthority = secp256k1.getXOnlyPublicKey(secp256k1.generatePrivateKey());
+        expect(() => handshake({ authorityPublicKey: otherAuthority })).toThrow('signature is invalid');
+    });
+
+    it('should reject an expired certificate', () => {
+        const expired = noise.createCertificate(authorityKey, staticKey, now - 7200, now - 3600);
+        expect(() => handshake({ authorityPublicKey: secp256k1.getXOnlyPublicKey(authorityKey) }, expired))
+            .toThrow('not currently valid');
+    });
+
+    it('should encrypt frames in both directions', () => {
+        const { initiator, responder } = handshake();
+        const frame = Buffer.concat([Buffer.from([0, 0x80, 0x15, 3, 0, 0]), Buffer.from('abc')]);
+
+        const encrypted = initiator.session.encryptFrame(frame);
+        expect(encrypted.length).toBe(22 + noise.encryptedPayloadLength(3));
+        expect(responder.session.decryptHeader(encrypted.slice(0, 22)).equals(frame.slice(0, 6))).toBe(true);
+        expect(responder.session.decryptPayload(encrypted.slice(22)).toString()).toBe('abc');
+
+        const reply = responder.session.encryptFrame(frame);
+        expect(initiator.session.decryptHeader(reply.slice(0, 22)).equals(frame.slice(0, 6))).toBe(true);
+    });
+
+    it('should split large payloads into MAC protected chunks', () => {
+        const { initiator, responder } = handshake();
+        const payload = Buffer.alloc(70000, 0xab);
+        const header = Buffer.alloc(6);
+        header.writeUIntLE(payload.length, 3, 3);
+
+        const encrypted = initiator.session.encryptFrame(Buffer.concat([header, payload]));
+        expect(encrypted.length).toBe(22 + payload.length + 32);
+        responder.session.decryptHeader(encrypted.slice(0, 22));
+        expect(responder.session.decryptPayload(encrypted.slice(22)).equals(payload)).toBe(true);
+    });
+
+    it('should reject tampered ciphertext', () => {
+        const { initiator, responder } = handshake();
+        const encrypted = initiator.session.encryptFrame(Buffer.alloc(6));
+        encrypted[0] ^= 1;
+        expect(() => responder.session.decryptHeader(encrypted.slice(0, 22))).toThrow();
+    });
+});
@@ -0,0 +1,1077 @@
+const net = require('net');
+
+require('../../lib/algoProperties');
+const Pool = require('../../lib/pool');
+const transactions = require('../../lib/transactions');
+
+jest.mock('../../lib/daemon', () => {
+    const { EventEmitter } = require('events');
+
+    class MockDaemonInterface extends EventEmitter {
+        constructor() {
+            super();
+            mockDaemon.instance = this;
+            this.calls = [];
+            this.longPolls = [];
+        }
+
+        init() {
+            process.nextTick(() => this.emit('online'));
+        }
+
+        close() {
+            this.closed = true;
+        }
+
+        longPollCmd(method, params, callback) {
+            const longPoll = { method, params, cancelled: false };
+            longPoll.respond = (response, error = null) => callback({ error, response, instance: { index: 0 } });
+            this.longPolls.push(longPoll);
+            if (mockDaemon.onLongPoll) mockDaemon.onLongPoll(longPoll);
+            return { cancel: () => { longPoll.cancelled = true; } };
+        }
+
+        batchCmd(calls, callback) {
+            const results = {
+                validateaddress: { result: { isvalid: true, scriptPubKey: '76a914' + '12'.repeat(20) + '88ac' } },
+                getdifficulty: { result: 1 },
+                getmininginfo: { result: { networkhashps: 1000 } },
+                submitblock: { error: { code: -1, message: 'JSON value is not a string as expected' } },
+                getblockchaininfo: { result: { chain: 'main', difficulty: 1 } },
+                getnetworkinfo: { result: { protocolversion: 70016, connections: 8 } }
+            };
+            Object.assign(results, mockDaemon.batchResults);
+            callback(null, calls.map(([method]) => results[method]));
+        }
+
+        cmd(method, params, callback, streamResults) {
+            this.calls.push(method);
+            const respond = (response, error = null) => {
+                const result = { error, response, instance: { index: 0 } };
+                callback(streamResults ? result : [result]);
+            };
+            if (method === 'getblocktemplate' && mockDaemon.syncing)
+                process.nextTick(respond, null, { code: -10, message: 'Bitcoin is downloading blocks...' });
+            else if (method === 'getblocktemplate' && mockDaemon.templateError && streamResults)
+                respond(null, mockDaemon.templateError);
+            else if (method === 'getblocktemplate')
+                respond(mockDaemon.template);
+            else if (method === 'submitblock')
+                mockDaemon.onSubmit(respond);
+            else if (method === 'getblockchaininfo')
+                respond({ blocks: 500 });
+            else if (method === 'getpeerinfo')
+                respond([{ startingheight: 1000 }]);
+            else if (method === 'getblock')
+                respond(mockDaemon.blockOnChain ? { hash: params[0], tx: ['c0ffee'] } : null);
+            else if (method === 'getblockheader')
+                respond({ hash: params[0], confirmations: 1 });
+            else if (method === 'createauxblock')
+                respond(mockDaemon.auxBlock);
+            else if (method === 'submitauxblock')
+                mockDaemon.onSubmitAux(params, respond);
+            else
+                respond(null);
+        }
+    }
+
+    return { interface: MockDaemonInterface };
+});
+
+const baseTemplate = {
+    version: 0x20000000,
+    previousblockhash: '00000000000000000001e2b3c4d5e6f708192a3b4c5d6e7f8091a2b3c4d5e6f7',
+    coinbasevalue: 625000000,
+    target: '00000000ffff0000000000000000000000000000000000000000000000000000',
+    transactions: [],
+    height: 700000,
+    curtime: Math.floor(Date.now() / 1000),
+    bits: '1d00ffff'
+};
+
+const mockDaemon = {
+    template: baseTemplate,
+    batchResults: {},
+    templateError: null,
+    syncing: false,
+    onSubmit: (respond) => respond(),
+    onLongPoll: null,
+    blockOnChain: true,
+    auxBlock: null,
+    onSubmitAux: (params, respond) => respond(true)
+};
+
+describe('pool', () => {
+    let pool, sockets;
+
+    const createPool = (port, poolOptions) => {
+        pool = new Pool(Object.assign({
+            coin: { name: 'Bitcoin', symbol: 'BTC', algorithm: 'sha256', reward: 'POW' },
+            address: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa',
+            daemons: [{ host: '127.0.0.1', port: 8332, user: 'user', password: 'pass' }],
+            ports: { [port]: { diff: 8 } },
+            connectionTimeout: 600,
+            banning: { enabled: true, time: 600, invalidPercent: 50, checkThreshold: 500, purgeInterval: 300 }
+        }, poolOptions), (ip, port, worker, password, callback) => callback({ error: null, authorized: true }));
+        return pool;
+    };
+
+    const startPool = (port, poolOptions) => new Promise((resolve) => {
+        createPool(port, poolOptions).on('started', resolve);
+        pool.start();
+    });
+
+    // Connects and subscribes a miner, resolving once the subscription was answered
+    const connectMiner = (port) => new Promise((resolve) => {
+        const socket = net.connect(port, '127.0.0.1');
+        const miner = { socket, messages: [] };
+        let buffer = '';
+        sockets.push(socket);
+        socket.setEncoding('utf8');
+        socket.on('data', (data) => {
+            buffer += data;
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach((line) => miner.messages.push(JSON.parse(line)));
+            if (miner.messages.some((message) => message.id === 1)) resolve(miner);
+        });
+        socket.write(JSON.stringify({ id: 1, method: 'mining.subscribe', params: [] }) + '\n');
+    });
+
+    const closed = (socket) => new Promise((resolve) => {
+        if (socket.destroyed) return resolve();
+        socket.on('close', resolve);
+    });
+
+    beforeEach(() => {
+        sockets = [];
+        mockDaemon.batchResults = {};
+        mockDaemon.templateError = null;
+        mockDaemon.syncing = false;
+        mockDaemon.onSubmit = (respond) => respond();
+        mockDaemon.onLongPoll = null;
+        mockDaemon.blockOnChain = true;
+        mockDaemon.template = baseTemplate;
+        mockDaemon.auxBlock = null;
+        mockDaemon.onSubmitAux = (params, respond) => respond(true);
+    });
+
+    afterEach(async () => {
+        sockets.forEach((socket) => socket.destroy());
+        if (pool) await pool.stop();
+        pool = null;
+    });
+
+    describe('start', () => {
+        it('should resolve with the pool once it is started', async () => {
+            const started = jest.fn();
+            createPool(34386).on('started', started);
+
+            await expect(pool.start()).resolves.toBe(pool);
+            expect(started).toHaveBeenCalledTimes(1);
+        });
+
+        it('should reject when no daemons are configured', async () => {
+            await expect(createPool(34387, { daemons: [] }).start())
+                .rejects.toMatchObject({ name: 'PoolStartError', stage: 'daemons' });
+        });
+
+        it('should reject when the daemon does not know the pool address', async () => {
+            mockDaemon.batchResults = { validateaddress: { result: { isvalid: false } } };
+
+            await expect(createPool(34387).start()).rejects.toMatchObject({ stage: 'address' });
+        });
+
+        it('should reject a pool address of another network when the daemon returns no scriptPubKey', async () => {
+            mockDaemon.batchResults = { validateaddress: { result: { isvalid: true, address: 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx' } } };
+
+            await expect(createPool(34387, { address: 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx' }).start()).rejects.toMatchObject({
+                stage: 'address',
+                message: 'Address tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx has prefix tb which is not a mainnet address'
+            });
+        });
+
+        it('should pay reward recipients of any address type', async () => {
+            await createPool(34387, { rewardRecipients: {
+                '3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy': 1,
+                'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4': 0.5
+            } }).start();
+
+            expect(pool.options.recipients.map((recipient) => recipient.script.toString('hex'))).toEqual([
+                'a914b472a266d0bd89c13706a4132ccfb16f7c3b9fcb87',
+                '0014751e76e8199196d454941c45d1b3a323f1433bd6'
+            ]);
+            expect(pool.options.feePercent).toBe(1.5);
+        });
+
+        it('should reject reward recipients of another network', async () => {
+            await expect(createPool(34387, { rewardRecipients: {
+                '3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy': 1,
+                'mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn': 2
+            } }).start()).rejects.toMatchObject({
+                stage: 'recipients',
+                message: 'Error generating transaction output script for mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn in ' +
+                    'rewardRecipients: Address mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn has version byte 0x6f which is not a mainnet address'
+            });
+        });
+
+        it('should take regtest addresses when the daemon runs regtest', async () => {
+            mockDaemon.batchResults = { getblockchaininfo: { result: { chain: 'regtest', difficulty: 1 } } };
+
+            await createPool(34387, { rewardRecipients: {
+                'bcrt1qw508d6qejxtdg4y5r3zarvary0c5xw7kygt080': 1,
+                'mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn': 0.5
+            } }).start();
+
+            expect(pool.options.recipients.map((recipient) => recipient.script.toString('hex'))).toEqual([
+                '0014751e76e8199196d454941c45d1b3a323f1433bd6',
+                '76a914243f1394f44554f4ce3fd68649c19adc483ce92488ac'
+            ]);
+            await pool.stop();
+
+            await expect(createPool(34387, { rewardRecipients: { 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4': 2 } }).start())
+                .rejects.toMatchObject({ stage: 'recipients', message: expect.stringContaining('has prefix bc which is not a regtest address') });
+        });
+
+        it('should reject when the block submission method cannot be detected', async () => {
+            mockDaemon.batchResults = { submitblock: { error: { code: -32601, message: 'Unexpected' } } };
+
+            await expect(createPool(34387).start()).rejects.toMatchObject({ stage: 'submitMethod' });
+        });
+
+        it('should reject when the first block template cannot be fetched', async () => {
+            mockDaemon.templateError = { code: -9, message: 'Bitcoin is not connected!' };
+            const logs = [];
+            createPool(34387).on('log', (severity, text) => logs.push(severity + ': ' + text));
+
+            const error = await pool.start().catch((e) => e);
+
+            expect(error).toBeInstanceOf(Pool.PoolStartError);
+            expect(error.stage).toBe('firstTemplate');
+            expect(error.details).toEqual(mockDaemon.templateError);
+            expect(logs).toContain('error: ' + error.message);
+        });
+
+        it('should reject when a coinbase signature does not fit in the scriptSig', async () => {
+            await expect(createPool(34387, { ports: { 34387: { diff: 8, coinbaseSignature: 'x'.repeat(90) } } }).start())
+                .rejects.toMatchObject({ stage: 'coinbaseSignature', message: expect.stringContaining('Port 34387') });
+            await expect(createPool(34387, { coinbaseSignature: 'x'.repeat(90) }).start())
+                .rejects.toMatchObject({ stage: 'coinbaseSignature' });
+        });
+
+        it('should send the coinbase signature of the port a miner is connected to', async () => {
+            await startPool(34378, { poolName: 'Example', ports: { 34378: { diff: 8, coinbaseSignature: '/{pool}/fast/' } } });
+
+            const miner = await connectMiner(34378);
+            const notify = miner.messages.find((message) => message.method === 'mining.notify')
+                || await new Promise((resolve) => miner.socket.on('data', () => {
+                    const message = miner.messages.find((m) => m.method === 'mining.notify');
+                    if (message) resolve(message);
+                }));
+
+            expect(Buffer.from(notify.params[3], 'hex').toString()).toContain('/Example/fast/');
+            expect(Buffer.from(pool.jobManager.currentJob.getJobParams()[3], 'hex').toString()).toContain('/Example/');
+            expect(Buffer.from(pool.jobManager.currentJob.getJobParams()[3], 'hex').toString()).not.toContain('fast');
+        });
+
+        it('should throw for unsupported algorithms', () => {
+            expect(() => createPool(34387, { coin: { name: 'X', symbol: 'X', algorithm: 'nope' } }))
+                .toThrow(Pool.PoolStartError);
+        });
+    });
+
+    describe('block candidates', () => {
+        const util = require('../../lib/util');
+        const easyTemplate = Object.assign({}, baseTemplate, {
+            target: '7f' + 'ff'.repeat(31),
+            bits: '207fffff'
+        });
+
+        // Submits nonces until one is accepted as a block, null if none is
+        const findBlock = (extraNonce1, extraNonce2) => {
+            const job = pool.jobManager.currentJob;
+            const nTime = job.rpcData.curtime.toString(16);
+            for (let nonce = 0; nonce < 64; nonce++) {
+                const nonceHex = ('0000000' + nonce.toString(16)).slice(-8);
+                const result = pool.jobManager.processShare(job.jobId, 0, 8, extraNonce1, extraNonce2, nTime, nonceHex,
+                    '127.0.0.1', 34379, 'worker1');
+                if (result.blockHash) return result;
+            }
+            return null;
+        };
+
+        it('should submit the exact coinbase and header the miner hashed', async () => {
+            mockDaemon.template = easyTemplate;
+            await startPool(34379);
+            const job = pool.jobManager.currentJob;
+            let blockHex;
+            pool.jobManager.on('share', (shareData, hex) => { if (hex) blockHex = hex; });
+
+            const result = findBlock('00000001', '0000002a');
+
+            const block = Buffer.from(blockHex, 'hex');
+            const header = block.slice(0, 80);
+            const coinbase = job.serializeCoinbase(Buffer.from('00000001', 'hex'), Buffer.from('0000002a', 'hex'));
+            expect(util.reverseBuffer(util.sha256d(header)).toString('hex')).toBe(result.blockHash);
+            expect(block.slice(81, 81 + coinbase.length).equals(coinbase)).toBe(true);
+            expect(header.slice(36, 68).equals(job.merkleTree.withFirst(util.sha256d(coinbase)))).toBe(true);
+        });
+
+        it('should submit the witness serialized coinbase for segwit templates', async () => {
+            mockDaemon.template = Object.assign({}, easyTemplate, {
+                default_witness_commitment: '6a24aa21a9ede2f61c3f71d1defd3fa999dfa36953755c690689799962b48bebd836974e8cf9'
+            });
+            await startPool(34379);
+            const job = pool.jobManager.currentJob;
+            const invalid = jest.fn();
+            let blockHex;
+            pool.on('blockCandidateInvalid', invalid);
+            pool.jobManager.on('share', (shareData, hex) => { if (hex) blockHex = hex; });
+
+            expect(findBlock('00000001', '0000002a')).not.toBeNull();
+
+            const coinbase = job.serializeCoinbase(Buffer.from('00000001', 'hex'), Buffer.from('0000002a', 'hex'));
+            const block = Buffer.from(blockHex, 'hex');
+            expect(invalid).not.toHaveBeenCalled();
+            expect(block.slice(81).toString('hex')).toBe(require('../../lib/transactions').witnessCoinbase(coinbase).toString('hex'));
+        });
+
+        it('should not submit a block that fails the self-check', async () => {
+            mockDaemon.template = easyTemplate;
+            await startPool(34379);
+            const job = pool.jobManager.currentJob;
+            const serializeBlock = job.serializeBlock;
+            job.serializeBlock = (header, coinbase) => {
+                const tampered = Buffer.from(coinbase);
+                tampered[tampered.length - 1] ^= 1;
+                return serializeBlock.call(job, header, tampered);
+            };
+            const invalid = jest.fn();
+            const shares = [];
+            pool.on('blockCandidateInvalid', invalid);
+            pool.jobManager.on('share', (shareData, hex) => shares.push(hex));
+
+            expect(findBlock('00000001', '0000002a')).toBeNull();
+            expect(invalid).toHaveBeenCalledWith(expect.objectContaining({
+                worker: 'worker1',
+                reason: 'coinbase in block differs from the hashed coinbase'
+            }));
+            expect(shares.every((hex) => hex === undefined)).toBe(true);
+            expect(mockDaemon.instance.calls).not.toContain('submitblock');
+        });
+    });
+
+    describe('block submission', () => {
+        const easyTemplate = Object.assign({}, baseTemplate, {
+            target: '7f' + 'ff'.repeat(31),
+            bits: '207fffff'
+        });
+
+        // Submits shares until one solves a block, resolving with the pool's share event for it
+        const solveBlock = () => new Promise((resolve) => {
+            pool.on('share', (isValidShare, isValidBlock, shareData) => {
+                if (shareData.blockHash) resolve({ isValidBlock, shareData });
+            });
+            const job = pool.jobManager.currentJob;
+            const nTime = job.rpcData.curtime.toString(16);
+            for (let nonce = 0; nonce < 64; nonce++) {
+                const nonceHex = ('0000000' + nonce.toString(16)).slice(-8);
+                if (pool.jobManager.processShare(job.jobId, 0, 8, '00000001', '0000002a', nTime, nonceHex,
+                    '127.0.0.1', 34380, 'worker1').blockHash) break;
+            }
+        });
+
+        const record = (events) => ['blockCandidate', 'blockSubmitted', 'blockAccepted', 'blockRejected']
+            .forEach((event) => pool.on(event, (block) => events.push(Object.assign({ event }, block))));
+
+        it('should report the candidate, each daemon answer and the acceptance', async () => {
+            mockDaemon.template = easyTemplate;
+            await startPool(34380);
+            const events = [];
+            record(events);
+
+            const { isValidBlock, shareData } = await solveBlock();
+
+            expect(isValidBlock).toBe(true);
+            expect(shareData.txHash).toBe('c0ffee');
+            expect(events.map((event) => event.event)).toEqual(['blockCandidate', 'blockSubmitted', 'blockAccepted']);
+            events.forEach((event) => expect(event).toMatchObject({
+                height: 700000, hash: shareData.blockHash, worker: 'worker1', reward: 625000000
+            }));
+            expect(events[1]).toMatchObject({ daemon: 0, attempt: 1, error: null });
+            expect(events[2].txHash).toBe('c0ffee');
+        });
+
+        it('should emit the share and blockRejected when a daemon rejects the block', async () => {
+            mockDaemon.template = easyTemplate;
+            mockDaemon.onSubmit = (respond) => respond('high-hash');
+            mockDaemon.blockOnChain = false;
+            await startPool(34380);
+            const events = [];
+            record(events);
+
+            const { isValidBlock } = await solveBlock();
+
+            expect(isValidBlock).toBe(false);
+            expect(events[1]).toMatchObject({ event: 'blockSubmitted', response: 'high-hash' });
+            expect(events[2]).toMatchObject({ event: 'blockRejected', reason: 'high-hash' });
+            expect(mockDaemon.instance.calls.filter((method) => method === 'submitblock')).toHaveLength(1);
+        });
+
+        it('should retry with backoff and fall back to the p2p peer when no daemon is reachable', async () => {
+            mockDaemon.template = easyTemplate;
+            mockDaemon.onSubmit = (respond) => respond(null, { type: 'offline', message: 'connect ECONNREFUSED' });
+            await startPool(34380, { blockSubmitRetries: 2, blockSubmitRetryDelay: 10 });
+            pool.peer = { sendBlock: jest.fn(() => true), close: () => {} };
+            const events = [];
+            record(events);
+
+            const { isValidBlock } = await solveBlock();
+
+            expect(events.filter((event) => event.event === 'blockSubmitted').map((event) => event.attempt))
+                .toEqual([1, 2, 3, 3]);
+            expect(events[4]).toMatchObject({ p2p: true, daemon: null });
+            expect(pool.peer.sendBlock.mock.calls[0][0].slice(0, 80)).toHaveLength(80);
+            expect(events[5].event).toBe('blockAccepted');
+            expect(isValidBlock).toBe(true);
+        });
+
+        it('should treat a JSON-RPC error as a rejection without retrying or relaying', async () => {
+            mockDaemon.template = easyTemplate;
+            mockDaemon.onSubmit = (respond) => respond(null, { code: -22, message: 'Block decode failed' });
+            mockDaemon.blockOnChain = false;
+            await startPool(34380, { blockSubmitRetries: 2, blockSubmitRetryDelay: 10 });
+            pool.peer = { sendBlock: jest.fn(() => true), close: () => {} };
+            const events = [];
+            record(events);
+
+            const { isValidBlock } = await solveBlock();
+
+            expect(isValidBlock).toBe(false);
+            expect(events.map((event) => event.event)).toEqual(['blockCandidate', 'blockSubmitted', 'blockRejected']);
+            expect(events[2].reason).toBe('Block decode failed');
+            expect(mockDaemon.instance.calls.filter((method) => method === 'submitblock')).toHaveLength(1);
+            expect(pool.peer.sendBlock).not.toHaveBeenCalled();
+        });
+
+        it('should treat duplicate as taken without retrying', async () => {
+            mockDaemon.template = easyTemplate;
+            mockDaemon.onSubmit = (respond) => respond('duplicate');
+            await startPool(34380, { blockSubmitRetryDelay: 10 });
+            const events = [];
+            record(events);
+
+            await solveBlock();
+
+            expect(events.map((event) => event.event)).toEqual(['blockCandidate', 'blockSubmitted', 'blockAccepted']);
+            expect(events[1].response).toBe('duplicate');
+        });
+
+        it('should track the confirmations of accepted blocks when blockTracking is enabled', async () => {
+            mockDaemon.template = easyTemplate;
+            await startPool(34380, { blockTracking: { enabled: true, confirmations: [1, 100] } });
+            const confirmed = new Promise((resolve) => pool.on('blockConfirmed', resolve));
+
+            const { shareData } = await solveBlock();
+
+            expect(await confirmed).toMatchObject({ hash: shareData.blockHash, worker: 'worker1', txHash: 'c0ffee', depth: 1 });
+            expect(pool.blockTracker.getBlocks()).toHaveLength(1);
+        });
+    });
+
+    describe('coinbase outputs', () => {
+        const coinbaseHex = () => {
+            const params = pool.jobManager.currentJob.getJobParams();
+            return params[2] + params[3];
+        };
+
+        it('should reject invalid coinbaseOutputs on start', async () => {
+            await expect(createPool(34366, { coinbaseOutputs: [{ text: 'tag' }, { data: '00'.repeat(81) }] }).start())
+                .rejects.toMatchObject({ stage: 'coinbaseOutputs', message: 'coinbaseOutputs[1]: OP_RETURN data is 81 bytes, over the 80 byte limit' });
+            await expect(createPool(34366, { coinbaseOutputs: [{ address: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa', amount: 1.5 }] }).start())
+                .rejects.toMatchObject({ stage: 'coinbaseOutputs', message: 'coinbaseOutputs[0]: amount must be a positive number of satoshis' });
+        });
+
+        it('should reject fixed outputs the first template cannot pay', async () => {
+            await expect(createPool(34366, { coinbaseOutputs: [{ address: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa', amount: 700000000 }] }).start())
+                .rejects.toMatchObject({ stage: 'coinbaseOutputs' });
+        });
+
+        it('should not report other range errors from the first template as bad coinbase outputs', async () => {
+            const coinbaseBuilder = transactions.createCoinbaseBuilder({})
+                .addOutputProvider('broken', () => { throw new RangeError('Invalid array length'); });
+
+            await expect(createPool(34366, { coinbaseBuilder }).start())
+                .rejects.toMatchObject({ stage: 'coinbaseSignature', message: 'Invalid array length' });
+        });
+
+        it('should add the configured outputs and replace them on a running pool', async () => {
+            await startPool(34366, { coinbaseOutputs: [{ data: 'cafe' }, { address: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa', amount: 1000 }] });
+            const updated = jest.fn();
+            pool.jobManager.on('updatedBlock', updated);
+
+            expect(coinbaseHex()).toContain('0000000000000000' + '04' + '6a02cafe');
+            expect(coinbaseHex()).toContain('e803000000000000' + '19' + '76a91462e907b15cbf27d5425399ebf6f0fb50ebb88f1888ac');
+
+            pool.setCoinbaseOutputs([{ text: 'merged' }]);
+
+            expect(updated).toHaveBeenCalledTimes(1);
+            expect(coinbaseHex()).toContain('6a06' + Buffer.from('merged').toString('hex'));
+            expect(coinbaseHex()).not.toContain('6a02cafe');
+            expect(() => pool.setCoinbaseOutputs([{ script: '0014' + '22'.repeat(20), amount: 700000000 }])).toThrow(RangeError);
+            expect(() => pool.setCoinbaseOutputs([{ script: 'zz', amount: 1 }])).toThrow('coinbaseOutputs[0]: needs an address, a hex script, data or text');
+            expect(coinbaseHex()).toContain('6a06' + Buffer.from('merged').toString('hex'));
+        });
+    });
+
+    describe('merged mining', () => {
+        const auxHash = 'ab'.repeat(32);
+        const auxChains = [{ name: 'namecoin', symbol: 'NMC', address: 'N1address', daemons: [{ host: '127.0.0.1', port: 8336 }] }];
+
+        // Waits for the aux block to reach the current job
+        const auxJob = async () => {
+            while (!pool.jobManager.currentJob.auxMerkle)
+                await new Promise((resolve) => setImmediate(resolve));
+            return pool.jobManager.currentJob;
+        };
+
+        // Submits shares at a tiny difficulty until one solves the aux block
+        const solveAuxBlock = (job) => {
+            const nTime = job.rpcData.curtime.toString(16);
+            for (let nonce = 0; nonce < 64; nonce++) {
+                const nonceHex = ('0000000' + nonce.toString(16)).slice(-8);
+                pool.jobManager.processShare(job.jobId, 0, 1e-12, '00000001', '0000002a', nTime, nonceHex,
+                    '127.0.0.1', 34367, 'worker1');
+                if (mockDaemon.submittedAux) return;
+            }
+        };
+
+        beforeEach(() => {
+            mockDaemon.submittedAux = null;
+            mockDaemon.auxBlock = {
+                hash: auxHash, chainid: 1, previousblockhash: 'cd'.repeat(32), coinbasevalue: 5000000000, bits: '207fffff', height: 500000
+            };
+        });
+
+        it('should commit to the aux block and submit the AuxPoW of a share meeting its target', async () => {
+            mockDaemon.onSubmitAux = (params, respond) => {
+                mockDaemon.submittedAux = params;
+                respond(true);
+            };
+            await startPool(34367, { auxChains });
+            const accepted = new Promise((resolve) => pool.on('auxBlockAccepted', resolve));
+            const auxShares = [];
+            pool.on('auxShare', (chain, isValidShare, isValidBlock, shareData) => auxShares.push({ chain, isValidShare, isValidBlock, shareData }));
+            const job = await auxJob();
+
+            expect(job.getJobParams()[2]).toContain('2cfabe6d6d' + auxHash + '01000000' + '00000000');
+
+            solveAuxBlock(job);
+
+            expect(await accepted).toEqual({ chain: 'namecoin', height: 500000, hash: auxHash, worker: 'worker1', reward: 5000000000 });
+            const [hash, proof] = mockDaemon.submittedAux;
+            expect(hash).toBe(auxHash);
+            expect(proof.slice(-160)).toHaveLength(160);
+            expect(proof).toContain(auxHash);
+            const solved = auxShares.filter((share) => share.isValidBlock);
+            expect(solved).toHaveLength(1);
+            expect(solved[0]).toMatchObject({ chain: 'namecoin', isValidShare: true, shareData: { height: 500000, blockHash: auxHash, blockReward: 5000000000 } });
+            expect(auxShares.every((share) => share.chain === 'namecoin' && share.isValidShare)).toBe(true);
+        });
+
+        it('should report aux blocks the aux chain rejects', async () => {
+            mockDaemon.onSubmitAux = (params, respond) => {
+                mockDaemon.submittedAux = params;
+                respond(null, { code: -1, message: 'block hash unknown' });
+            };
+            await startPool(34367, { auxChains });
+            const rejected = new Promise((resolve) => pool.on('auxBlockRejected', resolve));
+            const auxShares = [];
+            pool.on('auxShare', (chain, isValidShare, isValidBlock) => auxShares.push([chain, isValidShare, isValidBlock]));
+
+            solveAuxBlock(await auxJob());
+
+            expect(await rejected).toMatchObject({ chain: 'namecoin', hash: auxHash, reason: 'block hash unknown' });
+            expect(auxShares.some(([, , isValidBlock]) => isValidBlock)).toBe(false);
+            pool.jobManager.processShare('nope', 0, 8, '00000001', '0000002a', '00000000', '00000000', '127.0.0.1', 34367, 'worker1');
+            expect(auxShares[auxShares.length - 1]).toEqual(['namecoin', false, false]);
+        });
+    });
+
+    describe('solo mining', () => {
+        const bchaddr = require('bchaddrjs');
+        const minerAddress = '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa';
+        const minerScript = '76a914' + '62e907b15cbf27d5425399ebf6f0fb50ebb88f18' + '88ac';
+
+        const authorize = (miner, id, worker) => new Promise((resolve) => {
+            miner.socket.on('data', () => {
+                const response = miner.messages.find((message) => message.id === id);
+                if (response) resolve(response);
+            });
+            miner.socket.write(JSON.stringify({ id, method: 'mining.authorize', params: [worker, 'x'] }) + '\n');
+        });
+
+        const notifications = (miner) => miner.messages.filter((message) => message.method === 'mining.notify');
+
+        const receivedJobs = (miner, count) => new Promise((resolve) => {
+            const check = () => notifications(miner).length >= count && resolve();
+            miner.socket.on('data', check);
+            check();
+        });
+
+        it('should only send work once the miner authorized with its payout address', async () => {
+            await startPool(34375, { soloMining: true });
+            const miner = await connectMiner(34375);
+            expect(notifications(miner)).toHaveLength(0);
+
+            const response = await authorize(miner, 2, bchaddr.toCashAddress(minerAddress) + '.rig1');
+            await receivedJobs(miner, 1);
+
+            expect(response.result).toBe(true);
+            const [notify] = notifications(miner);
+            expect(notify.params[3]).toContain(minerScript);
+            expect(notify.params[3]).not.toContain('76a914' + '12'.repeat(20) + '88ac');
+        });
+
+        it('should give every miner a coinbase paying its own address', async () => {
+            await startPool(34376, { soloMining: true });
+            const [soloMiner, otherMiner] = await Promise.all([connectMiner(34376), connectMiner(34376)]);
+            await authorize(soloMiner, 2, minerAddress);
+            await authorize(otherMiner, 2, 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4.rig1');
+            pool.jobManager.updateCurrentJob(Object.assign({}, baseTemplate, { coinbasevalue: 625001000 }));
+            await Promise.all([receivedJobs(soloMiner, 2), receivedJobs(otherMiner, 2)]);
+
+            const [soloJob, otherJob] = [soloMiner, otherMiner].map((miner) => notifications(miner)[1].params);
+            expect(soloJob[0]).toBe(otherJob[0]);
+            expect(soloJob[3]).toContain(minerScript);
+            expect(otherJob[3]).not.toContain(minerScript);
+            expect(otherJob[3]).toContain('160014751e76e8199196d454941c45d1b3a323f1433bd6');
+            expect(soloJob[8]).toBe(false);
+        });
+
+        it('should refuse usernames that are not payout addresses', async () => {
+            await startPool(34377, { soloMining: true });
+            const miner = await connectMiner(34377);
+
+            const response = await authorize(miner, 2, 'worker1');
+            const testnetResponse = await authorize(miner, 3, 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx.rig1');
+
+            expect(response.result).toBe(false);
+            expect(response.error).toEqual([24, 'username must be a valid payout address']);
+            expect(testnetResponse.result).toBe(false);
+            expect(notifications(miner)).toHaveLength(0);
+        });
+
+        it('should check shares of every worker of a connection against the coinbase it was sent', async () => {
+            const util = require('../../lib/util');
+            // Difficulty 2^-26: about one nonce in 64 meets it, so a share hashed on another coinbase fails
+            const difficulty = Math.pow(2, -26);
+            await startPool(34423, { soloMining: true, ports: { 34423: { diff: difficulty } } });
+            const miner = await connectMiner(34423);
+            const extraNonce1 = miner.messages.find((message) => message.id === 1).result[1];
+            const shares = [];
+            pool.on('share', (isValidShare, isValidBlock, shareData) => shares.push(shareData));
+            await authorize(miner, 2, minerAddress + '.rig1');
+            await authorize(miner, 3, 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4.rig2');
+            await receivedJobs(miner, 2);
+            const [jobId, , coinb1, coinb2, , , , nTime] = notifications(miner)[1].params;
+
+            // Mine a nonce on the coinbase of the latest job, the one paying rig2
+            const job = pool.jobManager.validJobs[jobId];
+            const coinbaseHash = util.sha256d(Buffer.from(coinb1 + extraNonce1 + '00000000' + coinb2, 'hex'));
+            const merkleRoot = util.reverseBuffer(job.merkleTree.withFirst(coinbaseHash)).toString('hex');
+            const maxHash = BigInt('0x00000000ffff' + '0'.repeat(52)) * (1n << 26n);
+            let nonce;
+            for (let i = 0; nonce === undefined; i++) {
+                const nonceHex = ('0000000' + i.toString(16)).slice(-8);
+                const hash = util.reverseBuffer(util.sha256d(job.serializeHeader(merkleRoot, nTime, nonceHex, job.rpcData.version)));
+                if (BigInt('0x' + hash.toString('hex')) <= maxHash) nonce = nonceHex;
+            }
+
+            const submit = (id, worker) => new Promise((resolve) => {
+                miner.socket.on('data', () => {
+                    const response = miner.messages.find((message) => message.id === id);
+                    if (response) resolve(response);
+                });
+                miner.socket.write(JSON.stringify({ id, method: 'mining.submit', params: [worker, jobId, '00000000', nTime, nonce] }) + '\n');
+            });
+            const accepted = await submit(4, minerAddress + '.rig1');
+            const unauthorized = await submit(5, 'worker1');
+
+            expect(coinb2).toContain('160014751e76e8199196d454941c45d1b3a323f1433bd6');
+            expect(accepted).toMatchObject({ result: true, error: null });
+            expect(shares).toHaveLength(1);
+            expect(shares[0]).toMatchObject({ worker: minerAddress + '.rig1' });
+            expect(shares[0].error).toBeUndefined();
+            expect(unauthorized.error).toEqual([24, 'unauthorized worker']);
+        });
+    });
+
+    describe('long polling', () => {
+        const nextLongPoll = () => new Promise((resolve) => { mockDaemon.onLongPoll = resolve; });
+
+        it('should poll with the longpollid of the current template and process pushed templates', async () => {
+            mockDaemon.template = Object.assign({}, baseTemplate, { longpollid: 'tip1' });
+            const firstPoll = nextLongPoll();
+            await startPool(34388, { longPolling: true, blockRefreshInterval: 20 });
+            const longPoll = await firstPoll;
+            const newBlock = jest.fn();
+            pool.jobManager.on('newBlock', newBlock);
+            const templateCalls = mockDaemon.instance.calls.filter((call) => call === 'getblocktemplate').length;
+
+            expect(longPoll.params[0]).toMatchObject({ longpollid: 'tip1', rules: ['segwit'] });
+            const secondPoll = nextLongPoll();
+            longPoll.respond(Object.assign({}, baseTemplate, {
+                previousblockhash: '11'.repeat(32), height: 700001, longpollid: 'tip2'
+            }));
+
+            expect((await secondPoll).params[0].longpollid).toBe('tip2');
+            expect(newBlock).toHaveBeenCalledTimes(1);
+            expect(pool.jobManager.currentJob.rpcData.height).toBe(700001);
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            expect(mockDaemon.instance.calls.filter((call) => call === 'getblocktemplate')).toHaveLength(templateCalls);
+        });
+
+        it('should update the current job when the template changes without a new block', async () => {
+            mockDaemon.template = Object.assign({}, baseTemplate, { longpollid: 'tip1' });
+            const firstPoll = nextLongPoll();
+            await startPool(34389, { longPolling: true });
+            const updatedBlock = jest.fn();
+            pool.jobManager.on('updatedBlock', updatedBlock);
+
+            const secondPoll = nextLongPoll();
+            (await firstPoll).respond(Object.assign({}, mockDaemon.template, { coinbasevalue: 625001000, longpollid: 'tip1a' }));
+            await secondPoll;
+
+            expect(updatedBlock).toHaveBeenCalledTimes(1);
+            expect(pool.jobManager.currentJob.rpcData.coinbasevalue).toBe(625001000);
+        });
+
+        it('should cancel the outstanding long poll on stop', async () => {
+            mockDaemon.template = Object.assign({}, baseTemplate, { longpollid: 'tip1' });
+            const firstPoll = nextLongPoll();
+            await startPool(34390, { longPolling: true });
+            const longPoll = await firstPoll;
+
+            await pool.stop();
+
+            expect(longPoll.cancelled).toBe(true);
+        });
+
+        it('should log a template the coinbase cannot be built for and keep polling', async () => {
+            mockDaemon.template = Object.assign({}, baseTemplate, { longpollid: 'tip1' });
+            const coinbaseBuilder = transactions.createCoinbaseBuilder({}).addOutputProvider('broken', (context) => {
+                if (context.rpcData.height === 700001) throw new Error('provider failed');
+            });
+            const logs = [];
+            const firstPoll = nextLongPoll();
+            await startPool(34426, { longPolling: true, coinbaseBuilder });
+            pool.on('log', (severity, text) => logs.push(severity + ': ' + text));
+            const longPoll = await firstPoll;
+
+            const secondPoll = nextLongPoll();
+            longPoll.respond(Object.assign({}, baseTemplate, {
+                previousblockhash: '11'.repeat(32), height: 700001, longpollid: 'tip2'
+            }));
+
+            expect((await secondPoll).params[0].longpollid).toBe('tip2');
+            expect(logs).toContain('error: Could not create a job from the block template: provider failed');
+            expect(pool.jobManager.currentJob.rpcData.height).toBe(700000);
+        });
+
+        it('should fall back to interval polling when the daemon does not advertise long polling', async () => {
+            const logs = [];
+            createPool(34390, { longPolling: true, blockRefreshInterval: 10 })
+                .on('log', (severity, text) => logs.push(severity + ': ' + text));
+            await pool.start();
+            await new Promise((resolve) => setTimeout(resolve, 50));
+
+            expect(mockDaemon.instance.longPolls).toHaveLength(0);
+            expect(mockDaemon.instance.calls.filter((call) => call === 'getblocktemplate').length).toBeGreaterThan(1);
+            expect(logs).toContain('warning: Daemon does not advertise getblocktemplate long polling, falling back to interval polling');
+        });
+
+        it('should fall back to interval polling after repeated long poll failures', async () => {
+            mockDaemon.template = Object.assign({}, baseTemplate, { longpollid: 'tip1' });
+            const logs = [];
+            const firstPoll = nextLongPoll();
+            await startPool(34419, { longPolling: true, blockRefreshInterval: 1000 });
+            pool.on('log', (severity, text) => logs.push(severity + ': ' + text));
+            const templateCalls = () => mockDaemon.instance.calls.filter((call) => call === 'getblocktemplate').length;
+            const calls = templateCalls();
+
+            jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+            try {
+                let longPoll = await firstPoll;
+                for (let failure = 1; failure < 3; failure++) {
+                    const retry = nextLongPoll();
+                    longPoll.respond(null, { code: -1, message: 'daemon unreachable' });
+                    jest.advanceTimersByTime(5000);
+                    longPoll = await retry;
+                }
+                longPoll.respond(null, { code: -1, message: 'daemon unreachable' });
+                expect(templateCalls()).toBe(calls);
+
+                jest.advanceTimersByTime(7000);
+                expect(templateCalls()).toBe(calls + 7);
+                expect(mockDaemon.instance.longPolls).toHaveLength(3);
+            } finally {
+                await pool.stop();
+                jest.useRealTimers();
+            }
+            expect(logs).toContain('warning: getblocktemplate long polling failed 3 times in a row, falling back to interval polling');
+        });
+    });
+
+    describe('proxy', () => {
+        const BlockTemplate = require('../../lib/blockTemplate');
+        const upstreamParams = new BlockTemplate('u1', baseTemplate, Buffer.from('76a914' + '34'.repeat(20) + '88ac', 'hex'), Buffer.alloc(8), 'POW', false, []).getJobParams();
+        let upstreamPool;
+
+        // Upstream pool giving out the extranonce1 f000000a with an 8 byte extranonce2 and accepting every share,
+        // granting version rolling with versionMask if given
+        const startUpstreamPool = (difficulty, user = 'proxy', versionMask = null) => new Promise((resolve) => {
+            upstreamPool = { submits: [], connections: [] };
+            upstreamPool.server = net.createServer((socket) => {
+                let buffer = '';
+                upstreamPool.connections.push(socket);
+                socket.setEncoding('utf8');
+                socket.on('error', () => {});
+                socket.on('data', (data) => {
+                    buffer += data;
+                    const lines = buffer.split('\n');
+                    buffer = lines.pop();
+                    lines.forEach((line) => {
+                        const request = JSON.parse(line);
+                        const reply = (result, error = null) => socket.write(JSON.stringify({ id: request.id, result, error }) + '\n');
+                        if (request.method === 'mining.subscribe')
+                            reply([[['mining.notify', '1']], 'f000000a', 8]);
+                        else if (request.method === 'mining.authorize') {
+                            reply(request.params[0] === user, request.params[0] === user ? null : [24, 'unauthorized worker']);
+                            socket.write(JSON.stringify({ id: null, method: 'mining.set_difficulty', params: [difficulty] }) + '\n');
+                            socket.write(JSON.stringify({ id: null, method: 'mining.notify', params: upstreamParams }) + '\n');
+                        }
+                        else if (request.method === 'mining.submit') {
+                            upstreamPool.submits.push(request.params);
+                            reply(true);
+                        }
+                        else if (request.method === 'mining.configure')
+                            reply(versionMask ? { 'version-rolling': true, 'version-rolling.mask': versionMask } : { 'version-rolling': false });
+                    });
+                });
+            }).listen(34369, '127.0.0.1', resolve);
+        });
+
+        const startProxy = (poolOptions) => startPool(34370, Object.assign({
+            upstream: { host: '127.0.0.1', port: 34369, user: 'proxy' },
+            ports: { 34370: { diff: 1e-12 } }
+        }, poolOptions));
+
+        // Sends a request and resolves with its response
+        const request = (miner, id, method, params) => new Promise((resolve) => {
+            miner.socket.on('data', () => {
+                const response = miner.messages.find((message) => message.id === id);
+                if (response) resolve(response);
+            });
+            miner.socket.write(JSON.stringify({ id, method, params }) + '\n');
+        });
+
+        const submitShare = (miner) => new Promise((resolve) => {
+            const jobId = miner.messages.find((message) => message.method === 'mining.notify').params[0];
+            miner.socket.on('data', () => {
+                const response = miner.messages.find((message) => message.id === 3);
+                if (response) resolve(response);
+            });
+            miner.socket.write(JSON.stringify({ id: 2, method: 'mining.authorize', params: ['worker1', 'x'] }) + '\n');
+            miner.socket.write(JSON.stringify({ id: 3, method: 'mining.submit', params: ['worker1', jobId, '00000000', upstreamParams[7], '12345678'] }) + '\n');
+        });
+
+        // Configures version rolling with the pool's whole mask and submits a share rolling the given version
+        const submitRolledShares = async (versions) => {
+            const miner = await connectMiner(34370);
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            const jobId = miner.messages.find((message) => message.method === 'mining.notify').params[0];
+            const configured = await request(miner, 2, 'mining.configure', [['version-rolling'], { 'version-rolling.mask': 'ffffffff', 'version-rolling.min-bit-count': 2 }]);
+            await request(miner, 3, 'mining.authorize', ['worker1', 'x']);
+            const responses = [];
+            for (let i = 0; i < versions.length; i++)
+                responses.push(await request(miner, 4 + i, 'mining.submit', ['worker1', jobId, '0000000' + i, upstreamParams[7], '12345678', versions[i]]));
+            return { configured: configured.result, responses };
+        };
+
+        afterEach(async () => {
+            sockets.forEach((socket) => socket.destroy());
+            if (pool) await pool.stop();
+            pool = null;
+            upstreamPool.connections.forEach((socket) => socket.destroy());
+            await new Promise((resolve) => upstreamPool.server.close(resolve));
+        });
+
+        it('should hand out the upstream jobs with the upstream extranonce1 in coinb1', async () => {
+            await startUpstreamPool(1e-12);
+            await startProxy();
+
+            const miner = await connectMiner(34370);
+            const subscription = miner.messages.find((message) => message.id === 1).result;
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            const notify = miner.messages.find((message) => message.method === 'mining.notify');
+
+            expect(pool.daemon).toBeUndefined();
+            expect(subscription[2]).toBe(4);
+            expect(notify.params[1]).toBe(upstreamParams[1]);
+            expect(notify.params[2]).toBe(upstreamParams[2] + 'f000000a');
+            expect(notify.params[3]).toBe(upstreamParams[3]);
+            expect(pool.jobManager.currentJob.rpcData.height).toBe(700000);
+        });
+
+        it('should forward shares meeting the upstream difficulty with the combined extranonce2', async () => {
+            await startUpstreamPool(1e-12);
+            await startProxy();
+            const forwarded = new Promise((resolve) => pool.on('upstreamShare', (accepted, shareData) => resolve([accepted, shareData])));
+            const miner = await connectMiner(34370);
+            const extraNonce1 = miner.messages.find((message) => message.id === 1).result[1];
+            await new Promise((resolve) => setTimeout(resolve, 20));
+
+            const response = await submitShare(miner);
+            const [accepted, shareData] = await forwarded;
+
+            expect(response.result).toBe(true);
+            expect(accepted).toBe(true);
+            expect(shareData.worker).toBe('worker1');
+            expect(upstreamPool.submits).toEqual([['proxy', 'u1', extraNonce1 + '00000000', upstreamParams[7], '12345678']]);
+        });
+
+        it('should keep shares below the upstream difficulty local', async () => {
+            await startUpstreamPool(1e6);
+            await startProxy();
+            const forwarded = jest.fn();
+            pool.on('upstreamShare', forwarded);
+            const miner = await connectMiner(34370);
+            await new Promise((resolve) => setTimeout(resolve, 20));
+
+            const response = await submitShare(miner);
+            await new Promise((resolve) => setTimeout(resolve, 20));
+
+            expect(response.result).toBe(true);
+            expect(forwarded).not.toHaveBeenCalled();
+            expect(upstreamPool.submits).toEqual([]);
+        });
+
+        it('should only let miners roll the version bits the upstream pool accepts', async () => {
+            await startUpstreamPool(1e-12, 'proxy', '00ffe000');
+            await startProxy({ coin: { name: 'Bitcoin', symbol: 'BTC', algorithm: 'sha256', reward: 'POW', asicboost: true } });
+
+            const { configured, responses } = await submitRolledShares(['20002000', '21000000']);
+            await new Promise((resolve) => setTimeout(resolve, 20));
+
+            expect(pool.upstream.versionMask).toBe(0x00ffe000);
+            expect(pool.options.versionMask).toBeUndefined();
+            expect(configured['version-rolling.mask']).toBe('00ffe000');
+            expect(responses.map((response) => response.result)).toEqual([true, null]);
+            expect(responses[1].error[1]).toBe('version rolling outside allowed mask');
+            expect(upstreamPool.submits.map((params) => params[5])).toEqual(['20002000']);
+        });
+
+        it('should refuse version rolling and forward no version when the upstream pool refused it', async () => {
+            await startUpstreamPool(1e-12);
+            await startProxy({ coin: { name: 'Bitcoin', symbol: 'BTC', algorithm: 'sha256', reward: 'POW', asicboost: true } });
+
+            const { configured, responses } = await submitRolledShares(['20002000', '00000000']);
+            await new Promise((resolve) => setTimeout(resolve, 20));
+
+            expect(pool.upstream.versionMask).toBeNull();
+            expect(configured['version-rolling']).toBe(false);
+            expect(responses[0].error[1]).toBe('version rolling outside allowed mask');
+            expect(responses[1].result).toBe(true);
+            expect(upstreamPool.submits).toHaveLength(1);
+            expect(upstreamPool.submits[0]).toHaveLength(5);
+        });
+
+        it('should not start when the upstream pool refuses the worker', async () => {
+            await startUpstreamPool(1, 'someone');
+
+            await expect(createPool(34370, { upstream: { host: '127.0.0.1', port: 34369, user: 'proxy' } }).start())
+                .rejects.toMatchObject({ stage: 'upstream', message: 'Upstream: Pool refused worker proxy: unauthorized worker' });
+        });
+    });
+
+    describe('stop', () => {
+        it('should reject a pending start when stopped while the daemon is syncing', async () => {
+            mockDaemon.syncing = true;
+            const starting = createPool(34387).start();
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            expect(mockDaemon.instance.calls).toContain('getblocktemplate');
+
+            await pool.stop();
+
+            await expect(starting).rejects.toMatchObject({ stage: 'stopped' });
+        });
+
+        it('should close the stratum ports and disconnect miners', async () => {
+            await startPool(34381);
+            const miner = await connectMiner(34381);
+            const stopped = jest.fn();
+            pool.on('stopped', stopped);
+
+            await pool.stop();
+
+            await closed(miner.socket);
+            expect(stopped).toHaveBeenCalledTimes(1);
+            await expect(new Promise((resolve, reject) => {
+                const socket = net.connect(34381, '127.0.0.1', resolve);
+                sockets.push(socket);
+                socket.on('error', reject);
+            })).rejects.toHaveProperty('code', 'ECONNREFUSED');
+        });
+
+        it('should stop polling for block templates', async () => {
+            await startPool(34382, { blockRefreshInterval: 20 });
+            await pool.stop();
+            const templateCalls = mockDaemon.instance.calls.filter((call) => call === 'getblocktemplate').length;
+
+            await new Promise((resolve) => setTimeout(resolve, 80));
+
+            expect(mockDaemon.instance.calls.filter((call) => call === 'getblocktemplate').length).toBe(templateCalls);
+        });
+
+        it('should ask miners to reconnect and let them leave within the drain timeout', async () => {
+            await startPool(34383);
+            const miner = await connectMiner(34383);
+            miner.socket.on('data', (data) => {
+                if (data.indexOf('client.reconnect') !== -1) miner.socket.end();
+            });
+            const started = Date.now();
+
+            await pool.stop({ reconnect: { host: 'backup.pool', port: 3333, waitTime: 5 }, drainTimeout: 5000 });
+
+            expect(Date.now() - started).toBeLessThan(5000);
+            expect(miner.messages.find((message) => message.method === 'client.reconnect').params)
+                .toEqual(['backup.pool', 3333, 5]);
+        });
+
+        it('should return the same promise when called twice', async () => {
+            await startPool(34384);
+
+            expect(pool.stop()).toBe(pool.stop());
+            await pool.stop();
+        });
+
+        it('should flush an in-flight block submission before resolving', async () => {
+            await startPool(34385);
+            let respondToSubmit;
+            mockDaemon.onSubmit = (respond) => { respondToSubmit = respond; };
+            const events = [];
+            pool.on('share', (isValidShare, isValidBlock) => events.push('share ' + isValidBlock));
+            pool.on('stopped', () => events.push('stopped'));
+
+            pool.jobManager.emit('share', { blockHash: '00'.repeat(32) }, 'deadbeef');
+            const stopping = pool.stop();
+            await new Promise((resolve) => setImmediate(resolve));
+            expect(events).toEqual([]);
+
+            respondToSubmit();
+            await stopping;
+            expect(events).toEqual(['share true', 'stopped']);
+        });
+    });
+});
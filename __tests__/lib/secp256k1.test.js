@@ -0,0 +1,64 @@
+const secp256k1 = require('../../lib/secp256k1');
+
+describe('secp256k1', () => {
+    const privateKeyThree = Buffer.alloc(32);
+    privateKeyThree[31] = 3;
+
+    describe('BIP 340', () => {
+        it('should derive the x-only public key of test vector 0', () => {
+            expect(secp256k1.getXOnlyPublicKey(privateKeyThree).toString('hex'))
+                .toBe('f9308a019258c31049344f85f89d5229b531c845836f99b08601f113bce036f9');
+        });
+
+        it('should produce the signature of test vector 0', () => {
+            const signature = secp256k1.schnorrSign(Buffer.alloc(32), privateKeyThree, Buffer.alloc(32));
+            expect(signature.toString('hex')).toBe(
+                'e907831f80848d1069a5371b402410364bdf1c5f8307b0084c55f1ce2dca8215' +
+                '25f66a4a85ea8b71e482a74f382d2ce5ebeee8fdb2172f477df4900d310536c0');
+        });
+
+        it('should verify valid signatures and reject tampered ones', () => {
+            const privateKey = secp256k1.generatePrivateKey();
+            const publicKey = secp256k1.getXOnlyPublicKey(privateKey);
+            const message = Buffer.alloc(32, 7);
+            const signature = secp256k1.schnorrSign(message, privateKey);
+
+            expect(secp256k1.schnorrVerify(signature, message, publicKey)).toBe(true);
+            expect(secp256k1.schnorrVerify(signature, Buffer.alloc(32, 8), publicKey)).toBe(false);
+            const tampered = Buffer.from(signature);
+            tampered[40] ^= 1;
+            expect(secp256k1.schnorrVerify(tampered, message, publicKey)).toBe(false);
+        });
+    });
+
+    describe('ElligatorSwift', () => {
+        it('should decode the all-zero encoding as in BIP 324', () => {
+            expect(secp256k1.ellswiftDecode(Buffer.alloc(64)).toString('hex'))
+                .toBe('edd1fd3e327ce90cc7a3542614289aee9682003e9cf7dcc9cf2ca9743be5aa0c');
+        });
+
+        it('should encode public keys that decode back to the same x coordinate', () => {
+            const privateKey = secp256k1.generatePrivateKey();
+            const encoding = secp256k1.ellswiftCreate(privateKey);
+
+            expect(encoding.length).toBe(64);
+            expect(secp256k1.ellswiftDecode(encoding).equals(secp256k1.getXOnlyPublicKey(privateKey))).toBe(true);
+        });
+
+        it('should agree on the shared secret from both sides', () => {
+            const initiatorKey = secp256k1.generatePrivateKey();
+            const responderKey = secp256k1.generatePrivateKey();
+            const ellA = secp256k1.ellswiftCreate(initiatorKey);
+            const ellB = secp256k1.ellswiftCreate(responderKey);
+
+            const initiatorSecret = secp256k1.ellswiftXdh(ellA, ellB, initiatorKey, true);
+            const responderSecret = secp256k1.ellswiftXdh(ellA, ellB, responderKey, false);
+
+            expect(initiatorSecret.equals(responderSecret)).toBe(true);
+        });
+
+        it('should reject encodings of the wrong length', () => {
+            expect(() => secp256k1.ellswiftDecode(Buffer.alloc(33))).toThrow();
+        });
+    });
+});
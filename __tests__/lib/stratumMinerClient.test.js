@@ -0,0 +1,151 @@
+require('../../lib/algoProperties');
+const Pool = require('../../lib/pool');
+const StratumMinerClient = require('../../lib/stratumMinerClient');
+const util = require('../../lib/util');
+
+jest.mock('../../lib/daemon', () => {
+    const { EventEmitter } = require('events');
+
+    class MockDaemonInterface extends EventEmitter {
+        init() {
+            process.nextTick(() => this.emit('online'));
+        }
+
+        close() {}
+
+        batchCmd(calls, callback) {
+            const results = {
+                validateaddress: { result: { isvalid: true, scriptPubKey: '76a914' + '12'.repeat(20) + '88ac' } },
+                getdifficulty: { result: 1 },
+                getmininginfo: { result: { networkhashps: 1000 } },
+                submitblock: { error: { code: -1, message: 'JSON value is not a string as expected' } },
+                getblockchaininfo: { result: { chain: 'main', difficulty: 1 } },
+                getnetworkinfo: { result: { protocolversion: 70016, connections: 8 } }
+            };
+            callback(null, calls.map(([method]) => results[method]));
+        }
+
+        cmd(method, params, callback, streamResults) {
+            const result = {
+                error: null,
+                response: method === 'getblocktemplate' ? {
+                    version: 0x20000000,
+                    previousblockhash: '00000000000000000001e2b3c4d5e6f708192a3b4c5d6e7f8091a2b3c4d5e6f7',
+                    coinbasevalue: 625000000,
+                    target: '00000000ffff0000000000000000000000000000000000000000000000000000',
+                    transactions: [{ data: '01', txid: '11'.repeat(32), hash: '11'.repeat(32), fee: 0 }],
+                    height: 700000,
+                    curtime: Math.floor(Date.now() / 1000),
+                    bits: '1d00ffff'
+                } : null,
+                instance: { index: 0 }
+            };
+            callback(streamResults ? result : [result]);
+        }
+    }
+
+    return { interface: MockDaemonInterface };
+});
+
+describe('StratumMinerClient', () => {
+    let pool, client;
+
+    const startPool = (port, poolOptions) => new Promise((resolve) => {
+        pool = new Pool(Object.assign({
+            coin: { name: 'Bitcoin', symbol: 'BTC', algorithm: 'sha256', reward: 'POW', asicboost: true },
+            address: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa',
+            daemons: [{ host: '127.0.0.1', port: 8332 }],
+            ports: { [port]: { diff: 0.00001 } },
+            connectionTimeout: 600
+        }, poolOptions), (ip, port, worker, password, callback) => callback({ error: null, authorized: password !== 'wrong' }));
+        pool.on('started', resolve).start();
+    });
+
+    const connect = (port, clientOptions) => new Promise((resolve) => {
+        client = new StratumMinerClient(Object.assign({ host: '127.0.0.1', port, user: 'worker1' }, clientOptions));
+        client.connect(resolve);
+    });
+
+    const firstJob = () => new Promise((resolve) => {
+        if (client.currentJob) return resolve(client.currentJob);
+        client.once('job', resolve);
+    });
+
+    const findShare = (search) => new Promise((resolve, reject) => client.findShare(search || {}, (error, share) => error ? reject(error) : resolve(share)));
+    const submit = (share) => new Promise((resolve) => client.submit(share, (accepted, reason) => resolve([accepted, reason])));
+
+    afterEach(async () => {
+        if (client) client.close();
+        client = null;
+        if (pool) await pool.stop();
+        pool = null;
+    });
+
+    it('should subscribe, authorize and track the difficulty and jobs of the pool', async () => {
+        await startPool(34405);
+
+        expect(await connect(34405)).toBeNull();
+        const job = await firstJob();
+
+        expect(client.authorized).toBe(true);
+        expect(client.extraNonce1).toHaveLength(8);
+        expect(client.extraNonce2Size).toBe(4);
+        expect(client.difficulty).toBe(0.00001);
+        expect(client.jobs[job.jobId]).toBe(job);
+        expect(job.rpcData.height).toBe(700000);
+        expect(client.nextExtraNonce2()).toBe('00000000');
+        expect(client.nextExtraNonce2()).toBe('00000001');
+    });
+
+    it('should build the coinbase and header the pool checks shares against', async () => {
+        await startPool(34406);
+        await connect(34406);
+        const job = await firstJob();
+        const template = pool.jobManager.currentJob;
+        const extraNonce2 = '0000002a';
+
+        const coinbase = client.buildCoinbase(job, extraNonce2);
+        const expectedCoinbase = template.serializeCoinbase(Buffer.from(client.extraNonce1, 'hex'), Buffer.from(extraNonce2, 'hex'));
+        const expectedRoot = util.reverseBuffer(template.merkleTree.withFirst(util.sha256d(expectedCoinbase))).toString('hex');
+
+        expect(coinbase).toEqual(expectedCoinbase);
+        expect(client.buildMerkleRoot(job, extraNonce2)).toBe(expectedRoot);
+        expect(client.buildHeader(job, extraNonce2, '60000000', '00000001'))
+            .toEqual(template.serializeHeader(expectedRoot, '60000000', '00000001'));
+    });
+
+    it('should find shares on the CPU that the pool accepts', async () => {
+        await startPool(34407);
+        const shares = [];
+        pool.on('share', (isValidShare, isValidBlock, shareData) => shares.push([isValidShare, shareData]));
+        await connect(34407, { versionMask: 0x1fffe000 });
+        await firstJob();
+
+        const share = await findShare({ version: 0x20002000 });
+        const accepted = await submit(share);
+        const duplicate = await submit(share);
+
+        expect(client.versionMask).toBe(0x1fffe000);
+        expect(share.version).toBe('20002000');
+        expect(share.difficulty).toBeGreaterThanOrEqual(0.00001);
+        expect(accepted).toEqual([true, null]);
+        expect(duplicate).toEqual([false, 'duplicate share']);
+        expect(shares[0][0]).toBe(true);
+        expect(shares[0][1]).toMatchObject({ worker: 'worker1', difficulty: 0.00001 });
+    });
+
+    it('should give up a search after maxNonces and report refused workers', async () => {
+        await startPool(34408);
+        await connect(34408);
+        await firstJob();
+
+        expect(await findShare({ difficulty: 1e12, maxNonces: 10 })).toBeNull();
+        client.close();
+
+        expect(await connect(34408, { password: 'wrong' })).toBe('Pool refused worker worker1: refused');
+        expect(client.authorized).toBe(false);
+        client.close();
+        client = new StratumMinerClient({ host: '127.0.0.1', port: 34408, user: 'worker1' });
+        await expect(findShare()).rejects.toBe('No job to mine');
+    });
+});
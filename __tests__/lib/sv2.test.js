@@ -0,0 +1,327 @@
+const { EventEmitter } = require('events');
+
+const sv2 = require('../../lib/sv2');
+const noise = require('../../lib/noise');
+const stratum = require('../../lib/stratum');
+const JobManager = require('../../lib/jobManager');
+const util = require('../../lib/util');
+
+describe('sv2', () => {
+    describe('message codec', () => {
+        it('should round-trip an extended job', () => {
+            const fields = {
+                channelId: 7,
+                jobId: 42,
+                minNtime: null,
+                version: 0x20000000,
+                versionRollingAllowed: true,
+                merklePath: [Buffer.alloc(32, 1), Buffer.alloc(32, 2)],
+                coinbaseTxPrefix: Buffer.from('0102', 'hex'),
+                coinbaseTxSuffix: Buffer.from('0304', 'hex')
+            };
+            const frame = sv2.encodeMessage('NewExtendedMiningJob', fields);
+            const header = sv2.decodeHeader(frame.slice(0, 6));
+
+            expect(header.channelMessage).toBe(true);
+            expect(header.messageType).toBe(0x1f);
+            expect(header.length).toBe(frame.length - 6);
+            expect(sv2.decodeMessage(header.messageType, frame.slice(6))).toEqual({ name: 'NewExtendedMiningJob', fields });
+        });
+
+        it('should encode optional values with a presence byte', () => {
+            const frame = sv2.encodeMessage('NewMiningJob', {
+                channelId: 1, jobId: 2, minNtime: 0x5f000000, version: 4, merkleRoot: Buffer.alloc(32)
+            });
+            expect(frame.slice(0, 3).toString('hex')).toBe('008015');
+            expect(frame.slice(14, 19).toString('hex')).toBe('010000005f');
+        });
+
+        it('should reject truncated payloads', () => {
+            const frame = sv2.encodeMessage('SubmitSharesStandard', {
+                channelId: 1, sequenceNumber: 2, jobId: 3, nonce: 4, ntime: 5, version: 6
+            });
+            expect(() => sv2.decodeMessage(0x1a, frame.slice(6, 20))).toThrow('Truncated');
+        });
+
+        it('should return null for unknown message types', () => {
+            expect(sv2.decodeMessage(0x70, Buffer.alloc(0))).toBeNull();
+        });
+
+        it('should convert targets to little-endian U256', () => {
+            const target = util.targetFromDifficulty(1);
+            const u256 = sv2.targetToU256(target);
+
+            expect(u256.slice(26, 28).toString('hex')).toBe('ffff');
+            expect(sv2.u256ToTarget(u256)).toBe(target);
+        });
+    });
+
+    describe('listener', () => {
+        const authorityPrivateKey = '0000000000000000000000000000000000000000000000000000000000000003';
+        const maxTarget = sv2.targetToU256((1n << 256n) - 1n);
+        const minDifficulty = util.difficultyFromTarget((1n << 256n) - 1n);
+        let server, jobManager, keys, socket, session, received, shares, authorizeFn;
+
+        const rpcData = {
+            version: 0x20000000,
+            previousblockhash: '00000000000000000001e2b3c4d5e6f708192a3b4c5d6e7f8091a2b3c4d5e6f7',
+            coinbasevalue: 625000000,
+            target: '00000000ffff0000000000000000000000000000000000000000000000000000',
+            transactions: [],
+            height: 700000,
+            curtime: Math.floor(Date.now() / 1000),
+            bits: '1d00ffff'
+        };
+
+        const send = (name, fields) => {
+            socket.emit('data', session.encryptFrame(sv2.encodeMessage(name, fields)));
+        };
+
+        const nextMessages = () => {
+            const messages = received.map((frame) => {
+                const header = sv2.decodeHeader(session.decryptHeader(frame.slice(0, 22)));
+                return sv2.decodeMessage(header.messageType, session.decryptPayload(frame.slice(22)));
+            });
+            received = [];
+            return messages;
+        };
+
+        const connect = (options) => {
+            socket = new EventEmitter();
+            socket.remoteAddress = '127.0.0.1';
+            socket.localPort = 3336;
+            socket.setKeepAlive = jest.fn();
+            socket.destroy = jest.fn(() => { socket.destroyed = true; });
+            socket.end = jest.fn();
+            received = [];
+            socket.write = jest.fn((data) => received.push(data));
+            server.handleNewSv2Connection(socket, keys);
+
+            const initiator = new noise.Initiator(options);
+            socket.emit('data', initiator.initiate());
+            const result = initiator.finish(received.shift());
+            session = initiator.session;
+            return result;
+        };
+
+        const setup = (flags) => {
+            send('SetupConnection', {
+                protocol: 0, minVersion: 2, maxVersion: 2, flags: flags || 0,
+                endpointHost: 'pool.example', endpointPort: 3336, vendor: 'test', hardwareVersion: '',
+                firmware: '', deviceId: ''
+            });
+            return nextMessages()[0];
+        };
+
+        const headerHash = (version, prevHash, merkleRoot, ntime, nbits, nonce) => {
+            const header = Buffer.alloc(80);
+            header.writeUInt32LE(version, 0);
+            prevHash.copy(header, 4);
+            merkleRoot.copy(header, 36);
+            header.writeUInt32LE(ntime, 68);
+            header.writeUInt32LE(nbits, 72);
+            header.writeUInt32LE(nonce, 76);
+            return util.reverseBuffer(util.sha256d(header)).toString('hex');
+        };
+
+        beforeAll(() => {
+            keys = sv2.createServerKeys({ authorityPrivateKey });
+        });
+
+        beforeEach(() => {
+            jobManager = new JobManager({
+                coin: { name: 'Bitcoin', symbol: 'BTC', algorithm: 'sha256', asicboost: true, reward: 'POW', txMessages: false },
+                poolAddressScript: Buffer.from('76a914' + '12'.repeat(20) + '88ac', 'hex'),
+                recipients: [],
+                emitInvalidBlockHashes: true
+            });
+            jobManager.processTemplate(rpcData);
+            shares = [];
+            jobManager.on('share', (share) => shares.push(share));
+
+            authorizeFn = jest.fn((ip, port, workerName, password, callback) => callback({ error: null, authorized: workerName !== 'blocked' }));
+            server = new stratum.Server({ ports: {}, connectionTimeout: 600, coin: { asicboost: true } }, authorizeFn);
+            server.on('client.connected', (client) => {
+                client.on('subscription', function(params, resultCallback){
+                    resultCallback(null, jobManager.extraNonceCounter.next(), jobManager.extraNonce2Size);
+                    this.sendDifficulty(minDifficulty);
+                    this.sendMiningJob(jobManager.currentJob.getJobParams());
+                }).on('submit', (params, resultCallback) => {
+                    const result = jobManager.processShare(params.jobId, client.previousDifficulty, client.difficulty,
+                        client.extraNonce1, params.extraNonce2, params.nTime, params.nonce, client.remoteAddress,
+                        client.socket.localPort, params.name, params.version, client.asicboost ? client.versionMask : undefined);
+                    resultCallback(result.error, result.result ? true : null);
+                });
+            });
+        });
+
+        it('should expose the authority key for configured ports', () => {
+            expect(keys.authorityPublicKey.toString('hex'))
+                .toBe('f9308a019258c31049344f85f89d5229b531c845836f99b08601f113bce036f9');
+        });
+
+        it('should authenticate with the configured authority key', () => {
+            const result = connect({ authorityPublicKey: keys.authorityPublicKey });
+            expect(result.staticKey.length).toBe(32);
+        });
+
+        it('should refuse connections that require work selection', () => {
+            connect();
+            const response = setup(0x02);
+
+            expect(response.name).toBe('SetupConnectionError');
+            expect(response.fields.errorCode).toBe('unsupported-feature-flags');
+        });
+
+        it('should open a standard channel and accept its shares', () => {
+            connect({ authorityPublicKey: keys.authorityPublicKey });
+            expect(setup(0x04).name).toBe('SetupConnectionSuccess');
+
+            send('OpenStandardMiningChannel', { requestId: 9, userIdentity: 'miner.rig1', nominalHashRate: 1e12, maxTarget });
+            const messages = nextMessages();
+            expect(messages.map((m) => m.name)).toEqual(['OpenStandardMiningChannelSuccess', 'NewMiningJob', 'SetNewPrevHash']);
+
+            const opened = messages[0].fields;
+            const job = messages[1].fields;
+            const prevHash = messages[2].fields;
+            expect(opened.requestId).toBe(9);
+            expect(opened.extranoncePrefix.length).toBe(8);
+            expect(job.minNtime).toBeNull();
+            expect(prevHash.prevHash.toString('hex')).toBe(util.reverseBuffer(Buffer.from(rpcData.previousblockhash, 'hex')).toString('hex'));
+            expect(prevHash.nbits).toBe(0x1d00ffff);
+
+            const version = (job.version | 0x00002000) >>> 0;
+            send('SubmitSharesStandard', {
+                channelId: opened.channelId, sequenceNumber: 1, jobId: job.jobId,
+                nonce: 0x12345678, ntime: prevHash.minNtime, version
+            });
+
+            expect(nextMessages()[0]).toEqual({
+                name: 'SubmitSharesSuccess',
+                fields: { channelId: opened.channelId, lastSequenceNumber: 1, newSubmitsAcceptedCount: 1, newSharesSum: 0 }
+            });
+            expect(shares.length).toBe(1);
+            expect(shares[0].worker).toBe('miner.rig1');
+            expect(shares[0].version).toBe(version);
+            expect(shares[0].blockHashInvalid).toBe(headerHash(version, prevHash.prevHash, job.merkleRoot, prevHash.minNtime, prevHash.nbits, 0x12345678));
+        });
+
+        it('should add up the shares sum of a fractional difficulty channel', () => {
+            authorizeFn.mockImplementation((ip, port, workerName, password, callback) => callback({ error: null, authorized: true, difficulty: 0.75 }));
+            jest.spyOn(jobManager, 'processShare').mockReturnValue({ result: true, error: null });
+            connect();
+            setup();
+            send('OpenStandardMiningChannel', { requestId: 1, userIdentity: 'miner', nominalHashRate: 1, maxTarget });
+            const [opened, job, prevHash] = nextMessages().map((m) => m.fields);
+
+            const sums = [1, 2, 3, 4].map((sequenceNumber) => {
+                send('SubmitSharesStandard', {
+                    channelId: opened.channelId, sequenceNumber, jobId: job.jobId,
+                    nonce: sequenceNumber, ntime: prevHash.minNtime, version: job.version
+                });
+                return nextMessages().find((m) => m.name === 'SubmitSharesSuccess').fields.newSharesSum;
+            });
+
+            expect(sums).toEqual([0, 1, 1, 1]);
+        });
+
+        it('should open an extended channel and rebuild the coinbase from the rolled extranonce', () => {
+            connect();
+            setup();
+
+            send('OpenExtendedMiningChannel', { requestId: 1, userIdentity: 'miner', nominalHashRate: 1e12, maxTarget, minExtranonceSize: 4 });
+            const messages = nextMessages();
+            expect(messages.map((m) => m.name)).toEqual(['OpenExtendedMiningChannelSuccess', 'NewExtendedMiningJob', 'SetNewPrevHash']);
+
+            const opened = messages[0].fields;
+            const job = messages[1].fields;
+            const prevHash = messages[2].fields;
+            expect(opened.extranonceSize).toBe(4);
+            expect(job.versionRollingAllowed).toBe(true);
+
+            const extranonce = Buffer.from('cafebabe', 'hex');
+            const coinbase = Buffer.concat([job.coinbaseTxPrefix, opened.extranoncePrefix, extranonce, job.coinbaseTxSuffix]);
+            const merkleRoot = job.merklePath.reduce((root, step) => util.sha256d(Buffer.concat([root, step])), util.sha256d(coinbase));
+
+            send('SubmitSharesExtended', {
+                channelId: opened.channelId, sequenceNumber: 5, jobId: job.jobId,
+                nonce: 1, ntime: prevHash.minNtime, version: job.version, extranonce
+            });
+
+            expect(nextMessages()[0].name).toBe('SubmitSharesSuccess');
+            expect(shares[0].blockHashInvalid).toBe(headerHash(job.version, prevHash.prevHash, merkleRoot, prevHash.minNtime, prevHash.nbits, 1));
+        });
+
+        it('should report duplicate and out of mask shares as errors', () => {
+            connect();
+            setup();
+            send('OpenStandardMiningChannel', { requestId: 1, userIdentity: 'miner', nominalHashRate: 1, maxTarget });
+            const [opened, job, prevHash] = nextMessages().map((m) => m.fields);
+            const share = { channelId: opened.channelId, sequenceNumber: 1, jobId: job.jobId, nonce: 1, ntime: prevHash.minNtime, version: job.version };
+
+            send('SubmitSharesStandard', share);
+            send('SubmitSharesStandard', Object.assign({}, share, { sequenceNumber: 2 }));
+            send('SubmitSharesStandard', Object.assign({}, share, { sequenceNumber: 3, nonce: 2, version: (job.version ^ 0x40000000) >>> 0 }));
+
+            expect(nextMessages().map((m) => m.fields.errorCode)).toEqual([undefined, 'duplicate-share', 'version-rolling-outside-allowed-mask']);
+        });
+
+        it('should refuse channels for unauthorized users', () => {
+            connect();
+            setup();
+            send('OpenStandardMiningChannel', { requestId: 3, userIdentity: 'blocked', nominalHashRate: 1, maxTarget });
+
+            expect(nextMessages()).toEqual([{ name: 'OpenMiningChannelError', fields: { requestId: 3, errorCode: 'unknown-user' } }]);
+            expect(Object.keys(server.getStratumClients()).length).toBe(0);
+        });
+
+        it('should send SetTarget when the difficulty changes and cap it at the device maximum', () => {
+            connect();
+            setup();
+            const deviceMax = sv2.targetToU256(util.targetFromDifficulty(1000));
+            send('OpenStandardMiningChannel', { requestId: 1, userIdentity: 'miner', nominalHashRate: 1, maxTarget: deviceMax });
+            nextMessages();
+
+            const client = Object.values(server.getStratumClients())[0];
+            expect(client.difficulty).toBeCloseTo(1000, 6);
+
+            expect(client.sendDifficulty(5000)).toBe(true);
+            const [setTarget] = nextMessages();
+            expect(setTarget.name).toBe('SetTarget');
+            expect(sv2.u256ToTarget(setTarget.fields.maximumTarget)).toBe(util.targetFromDifficulty(5000));
+        });
+
+        it('should unregister channels when the connection closes', () => {
+            connect();
+            setup();
+            send('OpenStandardMiningChannel', { requestId: 1, userIdentity: 'a', nominalHashRate: 1, maxTarget });
+            send('OpenExtendedMiningChannel', { requestId: 2, userIdentity: 'b', nominalHashRate: 1, maxTarget, minExtranonceSize: 0 });
+            expect(Object.keys(server.getStratumClients()).length).toBe(2);
+
+            socket.emit('close');
+            expect(Object.keys(server.getStratumClients()).length).toBe(0);
+        });
+
+        it('should send Reconnect once per connection', () => {
+            connect();
+            setup();
+            send('OpenStandardMiningChannel', { requestId: 1, userIdentity: 'a', nominalHashRate: 1, maxTarget });
+            send('OpenStandardMiningChannel', { requestId: 2, userIdentity: 'b', nominalHashRate: 1, maxTarget });
+            nextMessages();
+
+            const clients = server.getStratumClients();
+            Object.keys(clients).forEach((id) => clients[id].sendReconnect('backup.pool', 3337));
+
+            const messages = nextMessages();
+            expect(messages.length).toBe(1);
+            expect(messages[0].name).toBe('Reconnect');
+            expect(messages[0].fields).toEqual({ newHost: 'backup.pool', newPort: 3337 });
+        });
+
+        it('should drop connections that send garbage after the handshake', () => {
+            connect();
+            socket.emit('data', Buffer.alloc(22));
+            expect(socket.destroy).toHaveBeenCalled();
+        });
+    });
+});
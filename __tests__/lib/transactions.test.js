@@ -165,6 +165,99 @@ describe('transactions', () => {
             expect(scriptSig).toContain(Buffer.from('TestMiner').toString('hex'));
         });
 
+        describe('coinbase signature', () => {
+            // POW coinbase: version (4), input count (1), prevout (36), then the scriptSig length
+            const scriptSig = (generation) => {
+                const p1 = generation[0];
+                return Buffer.concat([p1.slice(42), extraNoncePlaceholder, generation[1]]).slice(0, p1[41]);
+            };
+
+            it('should render the {worker}, {height} and {pool} placeholders', () => {
+                const generation = transactions.CreateGeneration(rpcData, publicKey, extraNoncePlaceholder, 'POW', false, [],
+                    'alice', { signature: '/{pool}/{height}/{worker}/', poolName: 'Example' });
+
+                expect(scriptSig(generation).toString()).toContain('/Example/700000/alice/');
+            });
+
+            it('should default to the pool name and leave {worker} empty without a miner name', () => {
+                expect(transactions.renderSignature('/{pool}/by {worker}/', { pool: 'P', height: 1 })).toBe('/P/by /');
+                const generation = transactions.CreateGeneration(rpcData, publicKey, extraNoncePlaceholder, 'POW', false, []);
+
+                expect(scriptSig(generation).toString()).toMatch(/\/EloPool\.Cloud\/$/);
+            });
+
+            it('should include the coinbaseaux flags after the height', () => {
+                rpcData.coinbaseaux.flags = 'cafe';
+                const generation = transactions.CreateGeneration(rpcData, publicKey, extraNoncePlaceholder, 'POW', false, []);
+
+                expect(scriptSig(generation).slice(0, 6).toString('hex')).toBe('0360ae0acafe');
+            });
+
+            it('should shorten a long worker so the scriptSig stays within 100 bytes', () => {
+                const generation = transactions.CreateGeneration(rpcData, publicKey, extraNoncePlaceholder, 'POW', false, [],
+                    'w'.repeat(120));
+
+                expect(generation[0][41]).toBe(100);
+                expect(scriptSig(generation).toString()).toMatch(/Mined by w+\/$/);
+            });
+
+            it('should throw when the signature cannot fit in 100 bytes', () => {
+                expect(() => transactions.CreateGeneration(rpcData, publicKey, extraNoncePlaceholder, 'POW', false, [],
+                    undefined, { signature: 'x'.repeat(90) })).toThrow(/over the 100 byte limit/);
+            });
+
+            it('should use the configured transaction comment', () => {
+                const generation = transactions.CreateGeneration(rpcData, publicKey, extraNoncePlaceholder, 'POW', true, [],
+                    undefined, { txComment: 'hello' });
+
+                expect(generation[1].slice(-6).toString('hex')).toBe('05' + Buffer.from('hello').toString('hex'));
+            });
+        });
+
+        describe('extra outputs', () => {
+            // Reads the outputs of a POW coinbase (scriptSig below 253 bytes): [amount, script hex]
+            const outputs = (generation) => {
+                const tx = Buffer.concat([generation[0], extraNoncePlaceholder, generation[1]]);
+                let offset = 42 + tx[41] + 4;
+                return Array.from({ length: tx[offset++] }, () => {
+                    const amount = Number(tx.readBigUInt64LE(offset));
+                    const script = tx.slice(offset + 9, offset + 9 + tx[offset + 8]).toString('hex');
+                    offset += 9 + tx[offset + 8];
+                    return [amount, script];
+                });
+            };
+            const feeScript = Buffer.from('a914' + '11'.repeat(20) + '87', 'hex');
+
+            it('should pay fixed outputs before computing the recipients percentages', () => {
+                const generation = transactions.CreateGeneration(rpcData, publicKey, extraNoncePlaceholder, 'POW', false,
+                    [{ percent: 0.01, script: feeScript }], undefined, {
+                        extraOutputs: [
+                            { script: Buffer.from('0014' + '22'.repeat(20), 'hex'), amount: 25000000 },
+                            { script: transactions.opReturnScript(Buffer.from('pool tag')), amount: 0 }
+                        ]
+                    });
+
+                expect(outputs(generation)).toEqual([
+                    [625000000 - 25000000 - 6000000, publicKey.toString('hex')],
+                    [6000000, feeScript.toString('hex')],
+                    [25000000, '0014' + '22'.repeat(20)],
+                    [0, '6a08' + Buffer.from('pool tag').toString('hex')]
+                ]);
+            });
+
+            it('should refuse extra outputs paying more than the block reward', () => {
+                expect(() => transactions.CreateGeneration(rpcData, publicKey, extraNoncePlaceholder, 'POW', false, [],
+                    undefined, { extraOutputs: [{ script: feeScript, amount: 625000001 }] }))
+                    .toThrow(expect.objectContaining({ name: 'RangeError', code: 'COINBASE_OUTPUTS' }));
+            });
+
+            it('should build OP_RETURN scripts of up to 80 bytes of data', () => {
+                expect(transactions.opReturnScript(Buffer.alloc(75, 1)).slice(0, 2).toString('hex')).toBe('6a4b');
+                expect(transactions.opReturnScript(Buffer.alloc(80, 1)).slice(0, 3).toString('hex')).toBe('6a4c50');
+                expect(() => transactions.opReturnScript(Buffer.alloc(81))).toThrow('OP_RETURN data is 81 bytes, over the 80 byte limit');
+            });
+        });
+
         it('should handle POS reward type', () => {
             const generation = transactions.CreateGeneration(
                 rpcData,
@@ -215,4 +308,58 @@ describe('transactions', () => {
             // Pool should get 97% of the reward
         });
     });
+
+    describe('witnessCoinbase', () => {
+        // Coinbase of the mainnet genesis block, whose txid is the genesis merkle root
+        const genesisCoinbase = Buffer.from('01000000010000000000000000000000000000000000000000000000000000000000000000ffffffff4d04ffff001d0104455468652054696d65732030332f4a616e2f32303039204368616e63656c6c6f72206f6e206272696e6b206f66207365636f6e64206261696c6f757420666f722062616e6b73ffffffff0100f2052a01000000434104678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5fac00000000', 'hex');
+
+        it('should add the marker, flag and witness reserved value around the legacy serialization', () => {
+            const witness = transactions.witnessCoinbase(genesisCoinbase);
+
+            expect(witness.slice(0, 6).toString('hex')).toBe('010000000001');
+            expect(witness.slice(-38).toString('hex')).toBe('0120' + '00'.repeat(32) + '00000000');
+            expect(witness).toHaveLength(genesisCoinbase.length + 2 + 34);
+        });
+
+        it('should keep the txid of the legacy serialization', () => {
+            const witness = transactions.witnessCoinbase(genesisCoinbase);
+            const stripped = Buffer.concat([witness.slice(0, 4), witness.slice(6, -38), witness.slice(-4)]);
+
+            expect(stripped.equals(genesisCoinbase)).toBe(true);
+            expect(util.reverseBuffer(util.sha256d(stripped)).toString('hex'))
+                .toBe('4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b');
+        });
+
+        // Witness serialization of a coinbase built by CreateGeneration: the witness right after the outputs
+        const generationWitness = (reward, txMessages, timestamp) => {
+            const rpcData = { height: 700000, coinbasevalue: 625000000, coinbaseaux: { flags: '' }, curtime: 1234567890 };
+            const extraNonce = Buffer.from('f000000ff111111f', 'hex');
+            const [p1, p2] = transactions.CreateGeneration(rpcData, Buffer.from('76a914' + '00'.repeat(20) + '88ac', 'hex'),
+                extraNonce, reward, txMessages, [], undefined, { txComment: 'proxied by node-stratum' });
+            const coinbase = Buffer.concat([p1, extraNonce, p2]);
+            return { coinbase, witness: transactions.witnessCoinbase(coinbase, { timestamp }) };
+        };
+
+        it('should keep the comment of txMessages coinbases after the lock time', () => {
+            const { coinbase, witness } = generationWitness('POW', true);
+            const comment = util.serializeString('proxied by node-stratum');
+            const outputsEnd = coinbase.length - comment.length - 4;
+
+            expect(coinbase.slice(-comment.length).equals(comment)).toBe(true);
+            expect(witness.toString('hex')).toBe(coinbase.slice(0, 4).toString('hex') + '0001' +
+                coinbase.slice(4, outputsEnd).toString('hex') + '0120' + '00'.repeat(32) + coinbase.slice(outputsEnd).toString('hex'));
+        });
+
+        it('should put the marker and flag after the timestamp of POS coinbases', () => {
+            const { coinbase, witness } = generationWitness('POS', false, true);
+
+            expect(witness.slice(0, 10).toString('hex')).toBe(coinbase.slice(0, 8).toString('hex') + '0001');
+            expect(witness.slice(-38).toString('hex')).toBe('0120' + '00'.repeat(32) + '00000000');
+            expect(witness).toHaveLength(coinbase.length + 2 + 34);
+        });
+
+        it('should refuse truncated coinbases', () => {
+            expect(() => transactions.witnessCoinbase(genesisCoinbase.slice(0, -10))).toThrow('Truncated coinbase transaction');
+        });
+    });
 });
\ No newline at end of file
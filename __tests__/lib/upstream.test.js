@@ -0,0 +1,134 @@
+const net = require('net');
+
+const Upstream = require('../../lib/upstream');
+
+// Stratum pool answering subscriptions with the given extranonce and authorizing the worker 'proxy'
+const createUpstreamPool = (port) => new Promise((resolve) => {
+    const upstreamPool = { requests: [], connections: [], extraNonce1: 'f000000a', submitResult: true };
+    upstreamPool.send = (message) => upstreamPool.connections.forEach((socket) => socket.write(JSON.stringify(message) + '\n'));
+    upstreamPool.server = net.createServer((socket) => {
+        let buffer = '';
+        upstreamPool.connections.push(socket);
+        socket.setEncoding('utf8');
+        socket.on('error', () => {});
+        socket.on('data', (data) => {
+            buffer += data;
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach((line) => {
+                const request = JSON.parse(line);
+                upstreamPool.requests.push(request);
+                const reply = (result, error = null) => socket.write(JSON.stringify({ id: request.id, result, error }) + '\n');
+                if (request.method === 'mining.subscribe')
+                    reply([[['mining.notify', '1']], upstreamPool.extraNonce1, 8]);
+                else if (request.method === 'mining.authorize')
+                    reply(request.params[0] === 'proxy', request.params[0] === 'proxy' ? null : [24, 'unauthorized worker']);
+                else if (request.method === 'mining.configure')
+                    reply({ 'version-rolling': true, 'version-rolling.mask': '1fffe000' });
+                else if (request.method === 'mining.submit')
+                    reply(upstreamPool.submitResult === true ? true : null, upstreamPool.submitResult === true ? null : upstreamPool.submitResult);
+            });
+        });
+    }).listen(port, '127.0.0.1', () => resolve(upstreamPool));
+    upstreamPool.close = () => new Promise((done) => {
+        upstreamPool.connections.forEach((socket) => socket.destroy());
+        upstreamPool.server.close(done);
+    });
+});
+
+describe('Upstream', () => {
+    let upstreamPool, upstream;
+
+    const connect = (options) => new Promise((resolve) => {
+        upstream = new Upstream(Object.assign({ host: '127.0.0.1', port: 34404, user: 'proxy' }, options));
+        upstream.connect(resolve);
+    });
+
+    const waitFor = async (condition) => {
+        for (let i = 0; i < 100 && !condition(); i++)
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        expect(condition()).toBeTruthy();
+    };
+
+    beforeEach(async () => {
+        upstreamPool = await createUpstreamPool(34404);
+    });
+
+    afterEach(async () => {
+        if (upstream) upstream.close();
+        upstream = null;
+        await upstreamPool.close();
+    });
+
+    it('should subscribe, authorize and report the extranonce, difficulty and jobs', async () => {
+        const subscribed = jest.fn();
+        const jobs = [];
+
+        const error = await new Promise((resolve) => {
+            upstream = new Upstream({ host: '127.0.0.1', port: 34404, user: 'proxy', password: 'secret' });
+            upstream.on('subscribed', subscribed).on('job', (params) => jobs.push(params));
+            upstream.connect(resolve);
+        });
+        upstreamPool.send({ id: null, method: 'mining.set_difficulty', params: [1024] });
+        upstreamPool.send({ id: null, method: 'mining.notify', params: ['job1', '00'.repeat(32), 'aa', 'bb', [], '20000000', '1d00ffff', '60000000', true] });
+        await waitFor(() => jobs.length === 1);
+
+        expect(error).toBeNull();
+        expect(upstream.connected).toBe(true);
+        expect(subscribed).toHaveBeenCalledWith('f000000a', 8);
+        expect(upstream.difficulty).toBe(1024);
+        expect(jobs[0][0]).toBe('job1');
+        expect(upstreamPool.requests.map((request) => request.method)).toEqual(['mining.subscribe', 'mining.authorize']);
+        expect(upstreamPool.requests[1].params).toEqual(['proxy', 'secret']);
+    });
+
+    it('should negotiate version rolling when given a mask', async () => {
+        await connect({ versionMask: 0x1fffe000 });
+
+        expect(upstreamPool.requests[0].method).toBe('mining.configure');
+        expect(upstreamPool.requests[0].params[1]['version-rolling.mask']).toBe('1fffe000');
+        expect(upstream.versionMask).toBe(0x1fffe000);
+    });
+
+    it('should submit shares and report whether the upstream accepted them', async () => {
+        await connect();
+        const submit = (share) => new Promise((resolve) => upstream.submit(share, (accepted, reason) => resolve([accepted, reason])));
+
+        const accepted = await submit({ jobId: 'job1', extraNonce2: '0800000100000000', nTime: '60000000', nonce: '12345678' });
+        upstreamPool.submitResult = [23, 'low difficulty share'];
+        const rejected = await submit({ jobId: 'job1', extraNonce2: '0800000100000001', nTime: '60000000', nonce: '12345678', version: '20002000' });
+
+        expect(accepted).toEqual([true, null]);
+        expect(rejected).toEqual([false, 'low difficulty share']);
+        expect(upstreamPool.requests.filter((request) => request.method === 'mining.submit').map((request) => request.params)).toEqual([
+            ['proxy', 'job1', '0800000100000000', '60000000', '12345678'],
+            ['proxy', 'job1', '0800000100000001', '60000000', '12345678', '20002000']
+        ]);
+    });
+
+    it('should fail the first connection when the worker is refused', async () => {
+        const error = await connect({ user: 'stranger' });
+
+        expect(error).toBe('Upstream: Pool refused worker stranger: unauthorized worker');
+        expect(upstream.connected).toBe(false);
+        await new Promise((resolve) => upstream.submit({}, (accepted, reason) => {
+            expect(reason).toBe('upstream disconnected');
+            resolve();
+        }));
+    });
+
+    it('should reconnect and subscribe again after the connection dropped', async () => {
+        await connect({ reconnectDelay: 10 });
+        const disconnected = jest.fn();
+        const subscribed = jest.fn();
+        upstream.on('disconnected', disconnected).on('subscribed', subscribed);
+        upstreamPool.extraNonce1 = 'f000000b';
+
+        upstreamPool.connections.forEach((socket) => socket.destroy());
+        await waitFor(() => upstream.connected && subscribed.mock.calls.length === 1);
+
+        expect(disconnected).toHaveBeenCalledTimes(1);
+        expect(upstream.extraNonce1).toBe('f000000b');
+        expect(subscribed).toHaveBeenCalledWith('f000000b', 8);
+    });
+});
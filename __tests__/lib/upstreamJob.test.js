@@ -0,0 +1,80 @@
+const BlockTemplate = require('../../lib/blockTemplate');
+const UpstreamJob = require('../../lib/upstreamJob');
+const util = require('../../lib/util');
+
+describe('UpstreamJob', () => {
+    const rpcData = {
+        height: 700000,
+        version: 0x20000000,
+        previousblockhash: '00000000000000000001234567890abcdef1234567890abcdef1234567890abc',
+        transactions: [
+            { data: '01', txid: '11'.repeat(32), hash: '11'.repeat(32), fee: 0 },
+            { data: '02', txid: '22'.repeat(32), hash: '22'.repeat(32), fee: 0 }
+        ],
+        coinbasevalue: 625000000,
+        target: '00000000ffff0000000000000000000000000000000000000000000000000000',
+        curtime: 1700000000,
+        bits: '1d00ffff'
+    };
+    const poolAddressScript = Buffer.from('76a914' + '12'.repeat(20) + '88ac', 'hex');
+    const upstreamExtraNonce1 = 'f000000a';
+
+    // The upstream pool's job, its 8 byte extranonce being the proxy's extranonce1 and the miners' extranonces
+    const template = new BlockTemplate('1', rpcData, poolAddressScript, Buffer.alloc(8), 'POW', false, []);
+    const params = template.getJobParams();
+
+    it('should carry the block fields of the upstream job', () => {
+        const job = new UpstreamJob('a', params, upstreamExtraNonce1);
+
+        expect(job.jobId).toBe('a');
+        expect(job.upstreamJobId).toBe('1');
+        expect(job.upstream).toBe(true);
+        expect(job.rpcData).toEqual({
+            previousblockhash: rpcData.previousblockhash,
+            version: 0x20000000,
+            bits: '1d00ffff',
+            curtime: 1700000000,
+            height: 700000,
+            transactions: []
+        });
+        expect(job.difficulty).toBe(1);
+        expect(job.getJobParams()).toEqual(['a', params[1], params[2] + upstreamExtraNonce1, params[3], params[4], params[5], params[6], params[7], true]);
+    });
+
+    it('should hash the coinbase and header the upstream pool would for the combined extranonce', () => {
+        const job = new UpstreamJob('a', params, upstreamExtraNonce1);
+        const extraNonce1 = Buffer.from('08000001', 'hex');
+        const extraNonce2 = Buffer.from('0000', 'hex');
+
+        const coinbase = job.serializeCoinbase(extraNonce1, extraNonce2);
+        const expectedCoinbase = template.serializeCoinbase(Buffer.from(upstreamExtraNonce1, 'hex'), Buffer.concat([extraNonce1, extraNonce2]));
+        const merkleRoot = util.reverseBuffer(job.merkleTree.withFirst(util.sha256d(coinbase))).toString('hex');
+        const expectedRoot = util.reverseBuffer(template.merkleTree.withFirst(util.sha256d(expectedCoinbase))).toString('hex');
+
+        expect(coinbase).toEqual(expectedCoinbase);
+        expect(merkleRoot).toBe(expectedRoot);
+        expect(job.serializeHeader(merkleRoot, params[7], '12345678', 0x20002000))
+            .toEqual(template.serializeHeader(expectedRoot, params[7], '12345678', 0x20002000));
+    });
+
+    it('should read small heights pushed as opcodes and reject duplicate submissions', () => {
+        const coinb1 = Buffer.from(params[2], 'hex');
+        coinb1[42] = 0x51;
+        const job = new UpstreamJob('b', [params[0], params[1], coinb1.toString('hex')].concat(params.slice(3)), upstreamExtraNonce1);
+
+        expect(job.rpcData.height).toBe(1);
+        expect(job.registerSubmit('08000001', '0000', params[7], '12345678')).toBe(true);
+        expect(job.registerSubmit('08000001', '0000', params[7], '12345678')).toBe(false);
+        expect(job.registerSubmit('08000001', '0000', params[7], '12345678', 0x20002000)).toBe(true);
+    });
+
+    it('should take no more submissions once maxSubmits is reached', () => {
+        const job = new UpstreamJob('c', params, upstreamExtraNonce1, 1);
+
+        expect(job.registerSubmit('08000001', '0000', params[7], '12345678')).toBe(true);
+        expect(job.isSubmitLimitReached()).toBe(true);
+        expect(job.registerSubmit('08000001', '0000', params[7], '87654321')).toBe(false);
+        expect(job.hasSubmit('08000001', '0000', params[7], '12345678')).toBe(true);
+        expect(job.hasSubmit('08000001', '0000', params[7], '87654321')).toBe(false);
+    });
+});
@@ -136,6 +136,51 @@ describe('util', () => {
         it('should throw on invalid address', () => {
             expect(() => util.addressToScript('invalid')).toThrow();
         });
+
+        const scriptOf = (address, network = util.networks.mainnet) => util.addressToScript(address, network).toString('hex');
+
+        it('should produce P2PKH and P2SH scripts for base58 addresses', () => {
+            expect(scriptOf('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa')).toBe('76a914' + '62e907b15cbf27d5425399ebf6f0fb50ebb88f18' + '88ac');
+            expect(scriptOf('3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy')).toBe('a914' + 'b472a266d0bd89c13706a4132ccfb16f7c3b9fcb' + '87');
+            expect(scriptOf('2NFecgvisbwjgiLnwnbdwfNMj8fhrm9Fbqe', util.networks.testnet)).toMatch(/^a914[0-9a-f]{40}87$/);
+        });
+
+        it('should reject base58 addresses with a bad checksum', () => {
+            expect(() => util.addressToScript('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNb')).toThrow('Invalid address');
+        });
+
+        it('should produce P2PKH and P2SH scripts for CashAddr addresses', () => {
+            expect(scriptOf('bitcoincash:qpm2qsznhks23z7629mms6s4cwef74vcwvy22gdx6a')).toBe('76a914' + '76a04053bda0a88bda5177b86a15c3b29f559873' + '88ac');
+            expect(scriptOf('qpm2qsznhks23z7629mms6s4cwef74vcwvy22gdx6a')).toBe('76a914' + '76a04053bda0a88bda5177b86a15c3b29f559873' + '88ac');
+            expect(scriptOf('bchtest:pr6m7j9njldwwzlg9v7v53unlr4jkmx6eyvwc0uz5t', util.networks.testnet)).toMatch(/^a914[0-9a-f]{40}87$/);
+        });
+
+        it('should produce witness program scripts for bech32 and bech32m addresses', () => {
+            // BIP173 and BIP350 test vectors
+            expect(scriptOf('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4')).toBe('0014' + '751e76e8199196d454941c45d1b3a323f1433bd6');
+            expect(scriptOf('BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4')).toBe('0014' + '751e76e8199196d454941c45d1b3a323f1433bd6');
+            expect(scriptOf('bc1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3qccfmv3'))
+                .toBe('0020' + '1863143c14c5166804bd19203356da136c985678cd4d27a1b8c6329604903262');
+            expect(scriptOf('bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0'))
+                .toBe('5120' + '79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798');
+            expect(scriptOf('tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx', util.networks.testnet)).toBe('0014' + '751e76e8199196d454941c45d1b3a323f1433bd6');
+            expect(scriptOf('bcrt1qw508d6qejxtdg4y5r3zarvary0c5xw7kygt080', util.networks.regtest)).toBe('0014' + '751e76e8199196d454941c45d1b3a323f1433bd6');
+            expect(() => scriptOf('tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx', util.networks.regtest)).toThrow(/prefix tb which is not a regtest address/);
+        });
+
+        it('should reject witness addresses with the checksum of the other bech32 variant', () => {
+            // BIP350: version 0 program with a bech32m checksum
+            expect(() => util.addressToScript('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kemeawh')).toThrow(/wrong checksum for witness version 0/);
+        });
+
+        it('should name the address when it is for another network', () => {
+            expect(() => scriptOf('mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn')).toThrow(
+                'Address mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn has version byte 0x6f which is not a mainnet address');
+            expect(() => scriptOf('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa', util.networks.testnet)).toThrow(/not a testnet address/);
+            expect(() => scriptOf('tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx')).toThrow(
+                'Address tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx has prefix tb which is not a mainnet address');
+            expect(() => scriptOf('bchtest:pr6m7j9njldwwzlg9v7v53unlr4jkmx6eyvwc0uz5t')).toThrow(/prefix bchtest which is not a mainnet address/);
+        });
     });
 
     describe('getReadableHashRateString', () => {
@@ -156,4 +201,28 @@ describe('util', () => {
             expect(util.range(5, 0, -1)).toEqual([5, 4, 3, 2, 1]);
         });
     });
-});
\ No newline at end of file
+
+    describe('parseVersionMask', () => {
+        it('should accept numbers and hex strings', () => {
+            expect(util.parseVersionMask(0x1fffe000)).toBe(0x1fffe000);
+            expect(util.parseVersionMask('0x3fffe000')).toBe(0x3fffe000);
+            expect(util.parseVersionMask('1fffe000')).toBe(0x1fffe000);
+        });
+
+        it('should fall back to the default mask', () => {
+            expect(util.parseVersionMask(undefined)).toBe(0x1fffe000);
+            expect(util.parseVersionMask('bogus', 0x0fffe000)).toBe(0x0fffe000);
+        });
+    });
+
+    describe('targetFromDifficulty / difficultyFromTarget', () => {
+        it('should map difficulty 1 to the diff1 target', () => {
+            expect(util.targetFromDifficulty(1).toString(16)).toBe('ffff' + '0'.repeat(52));
+            expect(util.difficultyFromTarget(util.targetFromDifficulty(1024))).toBeCloseTo(1024, 6);
+        });
+
+        it('should clamp tiny difficulties to the maximum target', () => {
+            expect(util.targetFromDifficulty(0)).toBe((1n << 256n) - 1n);
+        });
+    });
+});
@@ -62,5 +62,14 @@ describe('VariableDifficulty', () => {
         it('should manage client without errors', () => {
             expect(() => varDiff.manageClient(client)).not.toThrow();
         });
+
+        it('should stop watching the client once released', () => {
+            const release = varDiff.manageClient(client);
+            expect(client.listenerCount('submit')).toBe(1);
+
+            release();
+
+            expect(client.listenerCount('submit')).toBe(0);
+        });
     });
 });
\ No newline at end of file
@@ -0,0 +1,159 @@
+const { EventEmitter } = require('events');
+
+const websocket = require('../../lib/websocket');
+
+describe('websocket', () => {
+    let socket, written;
+
+    const createSocket = () => {
+        socket = new EventEmitter();
+        written = [];
+        socket.write = jest.fn((data) => written.push(Buffer.from(data)));
+        socket.end = jest.fn((data) => { if (data) written.push(Buffer.from(data)); });
+        socket.destroy = jest.fn();
+        socket.setKeepAlive = jest.fn();
+        socket.remoteAddress = '198.51.100.4';
+        socket.localPort = 3340;
+        return socket;
+    };
+
+    const clientFrame = (opcode, payload, fin = true) => {
+        const mask = Buffer.from([1, 2, 3, 4]);
+        const data = Buffer.from(payload);
+        const masked = Buffer.from(data.map((byte, i) => byte ^ mask[i & 3]));
+        let header;
+        if (data.length < 126) {
+            header = Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | data.length]);
+        } else {
+            header = Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | 126, data.length >> 8, data.length & 0xff]);
+        }
+        return Buffer.concat([header, mask, masked]);
+    };
+
+    const upgradeRequest = (path = '/', extra = '') =>
+        'GET ' + path + ' HTTP/1.1\r\nHost: pool\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+        'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n' + extra + '\r\n';
+
+    const accept = (options) => {
+        createSocket();
+        const callback = jest.fn();
+        websocket.accept(socket, options, callback);
+        return callback;
+    };
+
+    it('should compute the RFC 6455 sample accept key', () => {
+        expect(websocket.acceptKey('dGhlIHNhbXBsZSBub25jZQ==')).toBe('s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+    });
+
+    it('should encode frames with 7, 16 and 64 bit lengths', () => {
+        expect(websocket.encodeFrame(1, Buffer.from('hi')).toString('hex')).toBe('81026869');
+        expect(websocket.encodeFrame(1, Buffer.alloc(300)).slice(0, 4).toString('hex')).toBe('817e012c');
+        expect(websocket.encodeFrame(2, Buffer.alloc(70000)).slice(0, 10).toString('hex')).toBe('827f0000000000011170');
+    });
+
+    it('should complete the upgrade and echo the first requested subprotocol', () => {
+        const callback = accept({});
+        socket.emit('data', Buffer.from(upgradeRequest('/', 'Sec-WebSocket-Protocol: stratum, json\r\n')));
+
+        const response = written[0].toString();
+        expect(response).toMatch(/^HTTP\/1.1 101 Switching Protocols/);
+        expect(response).toContain('Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+        expect(response).toContain('Sec-WebSocket-Protocol: stratum');
+        expect(callback).toHaveBeenCalledWith(null, expect.any(websocket.Connection));
+    });
+
+    it('should refuse plain HTTP requests and unknown paths', () => {
+        let callback = accept({});
+        socket.emit('data', Buffer.from('GET / HTTP/1.1\r\nHost: pool\r\n\r\n'));
+        expect(written[0].toString()).toMatch(/^HTTP\/1.1 400/);
+        expect(callback.mock.calls[0][0]).toHaveProperty('message');
+
+        callback = accept({ path: '/stratum' });
+        socket.emit('data', Buffer.from(upgradeRequest('/other')));
+        expect(written[0].toString()).toMatch(/^HTTP\/1.1 404/);
+    });
+
+    it('should destroy sockets that fail or stall before completing the upgrade', async () => {
+        let callback = accept({});
+        socket.emit('data', Buffer.from('GET / HTTP/1.1\r\n'));
+        socket.emit('error', Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' }));
+        socket.emit('data', Buffer.from('Host: pool\r\n\r\n'));
+
+        expect(socket.destroy).toHaveBeenCalled();
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(callback.mock.calls[0][0].message).toBe('read ECONNRESET');
+        expect(written).toEqual([]);
+
+        callback = accept({ handshakeTimeout: 10 });
+        socket.emit('data', Buffer.from('GET / HTTP/1.1\r\n'));
+        await new Promise((resolve) => setTimeout(resolve, 30));
+
+        expect(socket.destroy).toHaveBeenCalled();
+        expect(callback.mock.calls[0][0].message).toBe('WebSocket handshake timed out');
+        expect(socket.listenerCount('data')).toBe(0);
+
+        // a reset after a refused upgrade is swallowed too
+        callback = accept({});
+        socket.emit('data', Buffer.from('GET / HTTP/1.1\r\nHost: pool\r\n\r\n'));
+        expect(() => socket.emit('error', new Error('write EPIPE'))).not.toThrow();
+        expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should emit text messages as newline terminated lines, including data sent with the upgrade', async () => {
+        const callback = accept({});
+        socket.emit('data', Buffer.concat([Buffer.from(upgradeRequest()), clientFrame(1, '{"id":1}')]));
+        const connection = callback.mock.calls[0][1];
+        const lines = [];
+        connection.on('data', (line) => lines.push(line));
+
+        await new Promise((resolve) => process.nextTick(resolve));
+        socket.emit('data', clientFrame(1, '{"id":', false));
+        socket.emit('data', clientFrame(0, '2}'));
+
+        expect(lines).toEqual(['{"id":1}\n', '{"id":2}\n']);
+        expect(connection.remoteAddress).toBe('198.51.100.4');
+        expect(connection.localPort).toBe(3340);
+    });
+
+    it('should send every written line as its own text frame', () => {
+        const callback = accept({});
+        socket.emit('data', Buffer.from(upgradeRequest()));
+        const connection = callback.mock.calls[0][1];
+        written = [];
+
+        connection.write('{"a":1}\n{"b":2}\n');
+
+        expect(written.map((frame) => frame.slice(2).toString())).toEqual(['{"a":1}', '{"b":2}']);
+    });
+
+    it('should answer pings and close frames', () => {
+        const callback = accept({});
+        socket.emit('data', Buffer.from(upgradeRequest()));
+        callback.mock.calls[0][1].on('data', jest.fn());
+        written = [];
+
+        socket.emit('data', clientFrame(9, 'ka'));
+        expect(written[0].toString('hex')).toBe('8a026b61');
+
+        socket.emit('data', clientFrame(8, Buffer.from([0x03, 0xe8])));
+        expect(socket.end).toHaveBeenCalledWith(Buffer.from([0x88, 0x02, 0x03, 0xe8]));
+    });
+
+    it('should close the connection on unmasked, binary or oversized frames', () => {
+        let callback = accept({});
+        socket.emit('data', Buffer.from(upgradeRequest()));
+        socket.emit('data', Buffer.from([0x81, 0x01, 0x41]));
+        expect(socket.end.mock.calls[0][0].readUInt16BE(2)).toBe(1002);
+
+        callback = accept({});
+        socket.emit('data', Buffer.from(upgradeRequest()));
+        socket.emit('data', clientFrame(2, 'x'));
+        expect(socket.end.mock.calls[0][0].readUInt16BE(2)).toBe(1003);
+
+        callback = accept({});
+        socket.emit('data', Buffer.from(upgradeRequest()));
+        socket.emit('data', Buffer.from([0x81, 0xff, 0, 0, 0, 0, 0, 0x10, 0, 0]));
+        expect(socket.end.mock.calls[0][0].readUInt16BE(2)).toBe(1009);
+        expect(callback).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,198 @@
+const net = require('net');
+
+const zmq = require('../../lib/zmq');
+const util = require('../../lib/util');
+
+describe('zmq', () => {
+    let server, peers, subscriber;
+
+    // Publisher side of ZMTP 3.0: greeting, READY and the subscription messages the client sends
+    const startPublisher = (port, socketType = 'PUB') => new Promise((resolve) => {
+        peers = [];
+        server = net.createServer((socket) => {
+            const peer = { socket, frames: [], subscriptions: [] };
+            let buffer = Buffer.alloc(0);
+            let greeted = false;
+            peers.push(peer);
+
+            const greeting = Buffer.alloc(64);
+            greeting[0] = 0xff;
+            greeting[9] = 0x7f;
+            greeting[10] = 3;
+            greeting[11] = 1;
+            greeting.write('NULL', 12);
+            socket.write(greeting);
+            socket.write(zmq.encodeCommand('READY', { 'Socket-Type': socketType }));
+
+            socket.on('data', (data) => {
+                buffer = Buffer.concat([buffer, data]);
+                if (!greeted && buffer.length >= 64) {
+                    peer.greeting = buffer.slice(0, 64);
+                    buffer = buffer.slice(64);
+                    greeted = true;
+                }
+                while (greeted && buffer.length >= 2 && buffer.length >= 2 + buffer[1]) {
+                    const frame = { flags: buffer[0], body: buffer.slice(2, 2 + buffer[1]) };
+                    buffer = buffer.slice(2 + buffer[1]);
+                    peer.frames.push(frame);
+                    if (!(frame.flags & 0x04) && frame.body[0] === 1)
+                        peer.subscriptions.push(frame.body.slice(1).toString());
+                    if (peer.onFrame) peer.onFrame();
+                }
+            });
+            socket.on('error', () => {});
+            if (server.onPeer) server.onPeer(peer);
+        });
+        server.listen(port, '127.0.0.1', resolve);
+    });
+
+    const publish = (peer, topic, body, sequence) => {
+        const sequenceBuffer = Buffer.alloc(4);
+        sequenceBuffer.writeUInt32LE(sequence, 0);
+        peer.socket.write(Buffer.concat([
+            zmq.encodeFrame(Buffer.from(topic), { more: true }),
+            zmq.encodeFrame(body, { more: true }),
+            zmq.encodeFrame(sequenceBuffer)
+        ]));
+    };
+
+    const subscribe = (port, options) => new Promise((resolve) => {
+        subscriber = new zmq.Subscriber(Object.assign({ host: '127.0.0.1', port }, options));
+        subscriber.once('connected', () => {
+            const peer = peers[peers.length - 1];
+            const topics = options && options.topics ? options.topics.length : 1;
+            if (peer.subscriptions.length >= topics) return resolve(peer);
+            peer.onFrame = () => peer.subscriptions.length >= topics && resolve(peer);
+        });
+        subscriber.connect();
+    });
+
+    afterEach((done) => {
+        if (subscriber) subscriber.close();
+        subscriber = null;
+        peers.forEach((peer) => peer.socket.destroy());
+        server.close(() => done());
+    });
+
+    it('should complete the NULL handshake as a SUB socket and subscribe to the topics', async () => {
+        await startPublisher(34411);
+        const peer = await subscribe(34411, { topics: ['hashblock', 'rawblock'] });
+
+        expect(peer.greeting.slice(0, 12).toString('hex')).toBe('ff00000000000000007f0300');
+        expect(peer.greeting.slice(12, 16).toString()).toBe('NULL');
+        expect(peer.frames[0].flags).toBe(0x04);
+        expect(peer.frames[0].body.toString()).toContain('Socket-Type');
+        expect(peer.frames[0].body.toString()).toContain('SUB');
+        expect(peer.subscriptions).toEqual(['hashblock', 'rawblock']);
+    });
+
+    it('should emit hashblock notifications with the block hash in RPC byte order', async () => {
+        await startPublisher(34412);
+        const peer = await subscribe(34412);
+        const hash = '00000000000000000001e2b3c4d5e6f708192a3b4c5d6e7f8091a2b3c4d5e6f7';
+        const received = new Promise((resolve) => subscriber.on('hashblock', (...args) => resolve(args)));
+
+        publish(peer, 'hashblock', Buffer.from(hash, 'hex'), 7);
+
+        expect(await received).toEqual([hash, 7]);
+    });
+
+    it('should hash the header of rawblock notifications', async () => {
+        await startPublisher(34413);
+        const peer = await subscribe(34413, { topics: ['rawblock'] });
+        const block = Buffer.alloc(300, 0x5a);
+        const received = new Promise((resolve) => subscriber.on('rawblock', (...args) => resolve(args)));
+
+        publish(peer, 'rawblock', block, 1);
+
+        const [hash, body] = await received;
+        expect(hash).toBe(util.reverseBuffer(util.sha256d(block.slice(0, 80))).toString('hex'));
+        expect(body.equals(block)).toBe(true);
+    });
+
+    it('should join a rawblock arriving in many chunks only once it is complete', async () => {
+        await startPublisher(34425);
+        const peer = await subscribe(34425, { topics: ['rawblock'] });
+        const block = Buffer.alloc(1024 * 1024, 0x5a);
+        const sequence = Buffer.alloc(4);
+        const data = Buffer.concat([
+            zmq.encodeFrame(Buffer.from('rawblock'), { more: true }),
+            zmq.encodeFrame(block, { more: true }),
+            zmq.encodeFrame(sequence)
+        ]);
+        const received = new Promise((resolve) => subscriber.on('rawblock', (...args) => resolve(args)));
+        const concat = jest.spyOn(Buffer, 'concat');
+
+        for (let offset = 0; offset < data.length; offset += 16384) {
+            peer.socket.write(data.slice(offset, offset + 16384));
+            await new Promise((resolve) => setImmediate(resolve));
+        }
+
+        const [, body] = await received;
+        const concatCalls = concat.mock.calls.length;
+        concat.mockRestore();
+        expect(body.equals(block)).toBe(true);
+        expect(concatCalls).toBeLessThanOrEqual(2);
+    });
+
+    it('should report gaps in the notification sequence', async () => {
+        await startPublisher(34414);
+        const peer = await subscribe(34414);
+        const missed = new Promise((resolve) => subscriber.on('missedNotifications', (...args) => resolve(args)));
+
+        publish(peer, 'hashblock', Buffer.alloc(32, 1), 3);
+        publish(peer, 'hashblock', Buffer.alloc(32, 2), 6);
+
+        expect(await missed).toEqual(['hashblock', 4, 6]);
+    });
+
+    it('should reconnect and subscribe again after the connection drops', async () => {
+        await startPublisher(34415);
+        const peer = await subscribe(34415, { reconnectInterval: 10 });
+        const disconnected = jest.fn();
+        subscriber.on('disconnected', disconnected);
+        const resubscribed = new Promise((resolve) => {
+            server.onPeer = (newPeer) => { newPeer.onFrame = () => newPeer.subscriptions.length && resolve(newPeer); };
+        });
+
+        peer.socket.destroy();
+        const newPeer = await resubscribed;
+
+        expect(disconnected).toHaveBeenCalledTimes(1);
+        expect(newPeer.subscriptions).toEqual(['hashblock']);
+    });
+
+    it('should refuse peers that are not publishers', async () => {
+        await startPublisher(34416, 'REQ');
+        subscriber = new zmq.Subscriber({ host: '127.0.0.1', port: 34416, reconnectInterval: 60000 });
+        const error = new Promise((resolve) => subscriber.on('socketError', resolve));
+
+        subscriber.connect();
+
+        expect(await error).toBe('unexpected peer socket type REQ');
+    });
+
+    it('should drop the connection on malformed commands', async () => {
+        await startPublisher(34424);
+        const peer = await subscribe(34424, { reconnectInterval: 60000 });
+        const errors = [];
+        subscriber.on('socketError', (error) => errors.push(error));
+        const disconnected = new Promise((resolve) => subscriber.once('disconnected', resolve));
+
+        // READY whose Test property is cut off in the middle of its value length
+        peer.socket.write(zmq.encodeFrame(Buffer.concat([
+            Buffer.from([5]), Buffer.from('READY'), Buffer.from([4]), Buffer.from('Test'), Buffer.from([0, 0])
+        ]), { command: true }));
+        await disconnected;
+
+        expect(errors).toEqual(['malformed ZMTP command']);
+        expect(subscriber.connected).toBe(false);
+    });
+
+    it('should use 8 byte sizes for frames over 255 bytes', () => {
+        const frame = zmq.encodeFrame(Buffer.alloc(300), { more: true });
+
+        expect(frame.slice(0, 9).toString('hex')).toBe('03000000000000012c');
+        expect(frame.length).toBe(309);
+    });
+});
@@ -1,6 +1,8 @@
 const JobManager = require('../lib/jobManager.js');
 const BlockTemplate = require('../lib/blockTemplate.js');
 const bignum = require('../lib/bignum-compat');
+const stratum = require('../lib/stratum');
+const { EventEmitter } = require('events');
 
 describe('Version Validation Fix Tests', () => {
     let jobManager;
@@ -203,4 +205,138 @@ describe('Version Validation Fix Tests', () => {
             }
         });
     });
-});
\ No newline at end of file
+
+    describe('Share event and mask enforcement', () => {
+        const rpcData = () => ({
+            version: 0x20000000,
+            previousblockhash: '0000000000000000000000000000000000000000000000000000000000000000',
+            coinbasevalue: 625000000,
+            target: '00000000ffff0000000000000000000000000000000000000000000000000000',
+            transactions: [],
+            height: 700000,
+            curtime: Math.floor(Date.now() / 1000),
+            bits: '170d21b9'
+        });
+
+        it('should report the rolled version used for hashing in the share event', () => {
+            const data = rpcData();
+            const job = new BlockTemplate('job4', data, options.poolAddressScript, Buffer.alloc(8), 'POW', false, options.recipients);
+            jobManager.validJobs['job4'] = job;
+            const serializeHeader = jest.spyOn(job, 'serializeHeader');
+
+            let shareData = null;
+            jobManager.on('share', (data) => { shareData = data; });
+
+            // Worker difficulty low enough for any hash to count as a valid share
+            jobManager.processShare('job4', 0, 1e-12, '01000000', '00000000', data.curtime.toString(16),
+                '12345678', '::1', 3333, 'testworker', '2000e000', 0x1fffe000);
+
+            expect(serializeHeader.mock.calls[0][3]).toBe(0x2000e000);
+            expect(shareData.error).toBeUndefined();
+            expect(shareData.version).toBe(0x2000e000);
+        });
+
+        it('should reject rolled versions without a negotiated mask when enforcePoolVersionMask is set', () => {
+            options.enforcePoolVersionMask = true;
+            jobManager = new JobManager(options);
+            const data = rpcData();
+            jobManager.validJobs['job5'] = new BlockTemplate('job5', data, options.poolAddressScript, Buffer.alloc(8), 'POW', false, options.recipients);
+
+            const result = jobManager.processShare('job5', 0, 1e-12, '01000000', '00000000', data.curtime.toString(16),
+                '12345678', '::1', 3333, 'testworker', '2000e000', undefined);
+
+            expect(result.error[1]).toBe('version rolling outside allowed mask');
+        });
+
+        it('should reject rolled versions when the coin has ASICBoost disabled', () => {
+            options.coin.asicboost = false;
+            jobManager = new JobManager(options);
+            const data = rpcData();
+            jobManager.validJobs['job6'] = new BlockTemplate('job6', data, options.poolAddressScript, Buffer.alloc(8), 'POW', false, options.recipients);
+
+            const result = jobManager.processShare('job6', 0, 1e-12, '01000000', '00000000', data.curtime.toString(16),
+                '12345678', '::1', 3333, 'testworker', '2000e000', 0x1fffe000);
+
+            expect(result.error[1]).toBe('version rolling outside allowed mask');
+        });
+    });
+
+    describe('mining.configure negotiation', () => {
+        let server;
+        let socket;
+
+        const createClient = (serverOptions) => {
+            server = new stratum.Server(Object.assign({ ports: {}, connectionTimeout: 600 }, serverOptions), jest.fn());
+            socket = new EventEmitter();
+            socket.remoteAddress = '127.0.0.1';
+            socket.localPort = 3333;
+            socket.setKeepAlive = jest.fn();
+            socket.setEncoding = jest.fn();
+            socket.destroy = jest.fn();
+            socket.write = jest.fn();
+            const subId = server.handleNewClient(socket);
+            return server.getStratumClients()[subId];
+        };
+
+        const send = (message) => {
+            socket.emit('data', JSON.stringify(message) + '\n');
+            return JSON.parse(socket.write.mock.calls[socket.write.mock.calls.length - 1][0]);
+        };
+
+        it('should negotiate the intersection of pool and miner masks', () => {
+            const client = createClient({ coin: { asicboost: true }, versionMask: '0x3fffe000' });
+            const response = send({
+                id: 1,
+                method: 'mining.configure',
+                params: [['version-rolling'], { 'version-rolling.mask': '1fffe000', 'version-rolling.min-bit-count': 2 }]
+            });
+
+            expect(response.result['version-rolling']).toBe(true);
+            expect(response.result['version-rolling.mask']).toBe('1fffe000');
+            expect(client.asicboost).toBe(true);
+            expect(client.versionMask).toBe(0x1fffe000);
+        });
+
+        it('should grant the BIP 320 bits when no pool mask is configured', () => {
+            const client = createClient({ coin: { asicboost: true } });
+            const response = send({
+                id: 1,
+                method: 'mining.configure',
+                params: [['version-rolling'], { 'version-rolling.mask': 'ffffffff' }]
+            });
+
+            expect(response.result['version-rolling.mask']).toBe('1fffe000');
+            expect(client.versionMask).toBe(0x1fffe000);
+        });
+
+        it('should refuse version rolling when ASICBoost is disabled', () => {
+            const client = createClient({ coin: { asicboost: false } });
+            const response = send({
+                id: 1,
+                method: 'mining.configure',
+                params: [['version-rolling'], { 'version-rolling.mask': 'ffffffff' }]
+            });
+
+            expect(response.result['version-rolling']).toBe(false);
+            expect(client.asicboost).toBeUndefined();
+        });
+
+        it('should pass the submitted version through the submit event', () => {
+            const client = createClient({ coin: { asicboost: true } });
+            client.authorized = true;
+            client.extraNonce1 = '01000000';
+
+            let submitted = null;
+            client.on('submit', (params, callback) => {
+                submitted = params;
+                callback(null, true);
+            });
+
+            send({ id: 2, method: 'mining.submit', params: ['worker', '1', '00000000', '5e4a4c3b', '12345678', '2000e000'] });
+            expect(submitted.version).toBe('2000e000');
+
+            const response = send({ id: 3, method: 'mining.submit', params: ['worker', '1', '00000000', '5e4a4c3b', '12345678', 'zz'] });
+            expect(response.error[1]).toBe('invalid version');
+        });
+    });
+});
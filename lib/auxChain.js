@@ -0,0 +1,162 @@
+/**
+ * @module auxChain
+ * @description An auxiliary chain merge mined alongside the parent chain: keeps the block its daemons want
+ * mined up to date and submits AuxPoW proofs for it.
+ */
+
+var events = require('events');
+
+var auxPow = require('./auxPow.js');
+
+var DEFAULT_REFRESH_INTERVAL = 5000;
+
+
+/**
+ * Fetches aux blocks with createauxblock when a payout address is configured, or with getauxblock which pays
+ * to the daemon's wallet, and submits solutions with the matching submitauxblock or getauxblock call.
+ *
+ * @class AuxChain
+ * @extends {EventEmitter}
+ * @param {Object} chainOptions
+ * @param {string} chainOptions.name - Chain name used in events and logs
+ * @param {string} [chainOptions.symbol] - Coin symbol
+ * @param {string} [chainOptions.address] - Address createauxblock pays the aux block reward to
+ * @param {number} [chainOptions.chainId] - Chain ID, if the daemon does not report chainid
+ * @param {DaemonInterface} daemon - Daemon interface of the auxiliary chain
+ *
+ * @fires AuxChain#auxBlock - With the new aux block {chain, symbol, hash, chainId, height, previousblockhash,
+ *        reward, target} when the block to mine changed
+ * @fires AuxChain#log - With (severity, message) when a request failed
+ */
+var AuxChain = module.exports = function AuxChain(chainOptions, daemon){
+
+    var _this = this;
+    var refreshTimeout = null;
+    var stopped = true;
+
+    var getMethod = chainOptions.address ? 'createauxblock' : 'getauxblock';
+    var submitMethod = chainOptions.address ? 'submitauxblock' : 'getauxblock';
+
+
+    function firstResponse(results){
+        for (var i = 0; i < results.length; i++){
+            if (!results[i].error && results[i].response)
+                return results[i].response;
+        }
+        return null;
+    }
+
+    function firstError(results){
+        for (var i = 0; i < results.length; i++){
+            if (results[i].error)
+                return results[i].error.message || JSON.stringify(results[i].error);
+        }
+        return null;
+    }
+
+    function schedule(interval){
+        clearTimeout(refreshTimeout);
+        if (stopped)
+            return;
+        refreshTimeout = setTimeout(function(){
+            _this.refresh(function(){
+                schedule(interval);
+            });
+        }, interval);
+    }
+
+
+    this.name = chainOptions.name;
+    this.symbol = chainOptions.symbol;
+    this.daemon = daemon;
+
+    // Block currently mined on, null until the daemon answered
+    this.block = null;
+
+    /**
+     * Fetches the block to mine from the daemon.
+     *
+     * @method refresh
+     * @param {Function} [callback] - Called with (error, block, changed)
+     * @fires AuxChain#auxBlock
+     */
+    this.refresh = function(callback){
+        callback = callback || function(){};
+        daemon.cmd(getMethod, chainOptions.address ? [chainOptions.address] : [], function(results){
+            var response = firstResponse(results);
+            if (!response){
+                var error = firstError(results) || 'no response';
+                _this.emit('log', 'warning', getMethod + ' failed for aux chain ' + _this.name + ': ' + error);
+                return callback(error);
+            }
+
+            var block;
+            try {
+                block = {
+                    chain: _this.name,
+                    symbol: _this.symbol,
+                    hash: response.hash,
+                    chainId: chainOptions.chainId !== undefined ? chainOptions.chainId : response.chainid,
+                    height: response.height,
+                    previousblockhash: response.previousblockhash,
+                    reward: response.coinbasevalue,
+                    target: auxPow.auxTarget(response)
+                };
+            }
+            catch(e){
+                _this.emit('log', 'warning', getMethod + ' answer of aux chain ' + _this.name + ' unusable: ' + e.message);
+                return callback(e.message);
+            }
+
+            var changed = !_this.block || _this.block.hash !== block.hash;
+            _this.block = block;
+            if (changed)
+                _this.emit('auxBlock', block);
+            callback(null, block, changed);
+        });
+    };
+
+    /**
+     * Submits the AuxPoW proof of an aux block.
+     *
+     * @method submit
+     * @param {string} hash - Hash of the aux block, as the daemon reported it
+     * @param {string} auxPowHex - Serialized AuxPoW, see auxPow.serializeAuxPow
+     * @param {Function} callback - Called with (accepted, reason), reason being the daemon's error when rejected
+     */
+    this.submit = function(hash, auxPowHex, callback){
+        daemon.cmd(submitMethod, [hash, auxPowHex], function(results){
+            var accepted = results.some(function(result){
+                return !result.error && result.response === true;
+            });
+            callback(accepted, accepted ? null : firstError(results) || 'rejected');
+        });
+    };
+
+    /**
+     * Fetches the block to mine now and then every interval.
+     *
+     * @method start
+     * @param {number} [interval=5000] - Refresh interval (ms)
+     */
+    this.start = function(interval){
+        if (!stopped)
+            return;
+        stopped = false;
+        interval = interval || DEFAULT_REFRESH_INTERVAL;
+        _this.refresh(function(){
+            schedule(interval);
+        });
+    };
+
+    /**
+     * Stops refreshing the block.
+     *
+     * @method stop
+     */
+    this.stop = function(){
+        stopped = true;
+        clearTimeout(refreshTimeout);
+    };
+};
+AuxChain.prototype.__proto__ = events.EventEmitter.prototype;
@@ -0,0 +1,155 @@
+/**
+ * @module auxPow
+ * @description Merged mining (AuxPoW) helpers: the chain merkle tree committing to the blocks of the auxiliary
+ * chains, its commitment in the parent coinbase scriptSig and the proof submitted to an auxiliary chain.
+ * @see {@link https://en.bitcoin.it/wiki/Merged_mining_specification}
+ */
+
+var bignum = require('./bignum-compat');
+
+var util = require('./util.js');
+
+// Magic bytes in front of the chain merkle root in the parent coinbase
+var MERGED_MINING_HEADER = Buffer.from('fabe6d6d', 'hex');
+// Largest chain merkle tree tried when placing the chains in distinct slots
+var MAX_MERKLE_SIZE = 256;
+var MAX_MERKLE_NONCE = 256;
+
+
+/**
+ * Returns the slot of a chain in a chain merkle tree, as auxiliary chains compute it to check the proof.
+ *
+ * @function chainSlot
+ * @param {number} chainId - Chain ID of the auxiliary chain
+ * @param {number} nonce - Merkle nonce
+ * @param {number} size - Number of leaves of the chain merkle tree, a power of two
+ * @returns {number} Slot index
+ */
+var chainSlot = exports.chainSlot = function(chainId, nonce, size){
+    var rand = nonce >>> 0;
+    rand = (Math.imul(rand, 1103515245) + 12345) >>> 0;
+    rand = (rand + chainId) >>> 0;
+    rand = (Math.imul(rand, 1103515245) + 12345) >>> 0;
+    return rand % size;
+};
+
+/**
+ * Reads the target of an auxiliary block from createauxblock or getauxblock: from its compact bits, or from
+ * its target, which is hex of the little endian number.
+ *
+ * @function auxTarget
+ * @param {Object} auxBlock - Result of createauxblock or getauxblock
+ * @returns {bignum} Target
+ */
+exports.auxTarget = function(auxBlock){
+    if (auxBlock.bits)
+        return util.bignumFromBitsHex(auxBlock.bits);
+    var target = auxBlock.target || auxBlock._target;
+    if (!target)
+        throw new Error('Aux block ' + auxBlock.hash + ' has neither bits nor a target');
+    return bignum(util.reverseHex(target), 16);
+};
+
+/**
+ * Builds the chain merkle tree of the current blocks of the auxiliary chains. Every chain needs a slot of its
+ * own, so the smallest tree (and merkle nonce) placing all chain IDs in distinct slots is used; empty slots
+ * are zero hashes.
+ *
+ * @function buildAuxMerkle
+ * @param {Array<Object>} auxBlocks - {chain, hash, chainId, ...}, hash in RPC (display) byte order
+ * @returns {Object} {root, size, nonce, commitment, blocks}: root in display byte order, commitment the
+ *          scriptSig push of the merged mining header, root, size and nonce, and blocks the given blocks with
+ *          their {index, branch} in the tree
+ * @throws {Error} If two chains share a chain ID or no tree places them in distinct slots
+ */
+exports.buildAuxMerkle = function(auxBlocks){
+    var size, nonce, slots;
+
+    var place = function(){
+        slots = {};
+        return auxBlocks.every(function(auxBlock){
+            var slot = chainSlot(auxBlock.chainId, nonce, size);
+            if (slot in slots)
+                return false;
+            slots[slot] = auxBlock;
+            return true;
+        });
+    };
+
+    var placed = false;
+    for (size = 1; size <= MAX_MERKLE_SIZE && !placed; size *= 2){
+        for (nonce = 0; nonce < MAX_MERKLE_NONCE && !placed; nonce++)
+            placed = place();
+    }
+    if (!placed)
+        throw new Error('Aux chains ' + auxBlocks.map(function(auxBlock){ return auxBlock.chain; }).join(', ') +
+            ' cannot be placed in a chain merkle tree, check their chain IDs');
+    size /= 2;
+    nonce--;
+
+    // Levels of the tree from the leaves up, hashes in internal byte order
+    var levels = [util.range(0, size).map(function(slot){
+        return slots[slot] ? util.uint256BufferFromHash(slots[slot].hash) : Buffer.alloc(32);
+    })];
+    while (levels[levels.length - 1].length > 1){
+        var level = levels[levels.length - 1];
+        levels.push(util.range(0, level.length, 2).map(function(i){
+            return util.sha256d(Buffer.concat([level[i], level[i + 1]]));
+        }));
+    }
+    var root = util.reverseBuffer(levels[levels.length - 1][0]);
+
+    return {
+        root: root.toString('hex'),
+        size: size,
+        nonce: nonce,
+        commitment: Buffer.concat([
+            Buffer.from([MERGED_MINING_HEADER.length + 32 + 8]),
+            MERGED_MINING_HEADER,
+            root,
+            util.packUInt32LE(size),
+            util.packUInt32LE(nonce)
+        ]),
+        blocks: auxBlocks.map(function(auxBlock){
+            var index = chainSlot(auxBlock.chainId, nonce, size);
+            return Object.assign({}, auxBlock, {
+                index: index,
+                branch: levels.slice(0, -1).map(function(level, depth){
+                    return level[(index >> depth) ^ 1];
+                })
+            });
+        })
+    };
+};
+
+/**
+ * Serializes the proof that a parent block header commits to an auxiliary block, as submitauxblock and
+ * getauxblock take it.
+ *
+ * @function serializeAuxPow
+ * @param {Object} proof
+ * @param {Buffer} proof.coinbase - Legacy serialized parent coinbase transaction
+ * @param {Buffer} proof.parentHash - Hash of the parent header, internal byte order
+ * @param {Array<Buffer>} proof.coinbaseBranch - Merkle branch of the coinbase in the parent block
+ * @param {Array<Buffer>} proof.chainBranch - Merkle branch of the auxiliary block in the chain merkle tree
+ * @param {number} proof.chainIndex - Slot of the auxiliary block in the chain merkle tree
+ * @param {Buffer} proof.header - 80 byte parent block header
+ * @returns {Buffer} Serialized AuxPoW
+ */
+exports.serializeAuxPow = function(proof){
+    var branch = function(hashes, index){
+        return Buffer.concat([
+            util.varIntBuffer(hashes.length),
+            Buffer.concat(hashes),
+            util.packInt32LE(index)
+        ]);
+    };
+
+    return Buffer.concat([
+        proof.coinbase,
+        proof.parentHash,
+        branch(proof.coinbaseBranch, 0),
+        branch(proof.chainBranch, proof.chainIndex),
+        proof.header
+    ]);
+};
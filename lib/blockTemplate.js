@@ -4,6 +4,7 @@ var merkleTree = require('./merkleTree.js');
 var transactions = require('./transactions.js');
 var util = require('./util.js');
 
+var DEFAULT_MAX_SUBMITS = 250000;
 
 /**
  * The BlockTemplate class holds a single mining job.
@@ -18,12 +19,58 @@ var util = require('./util.js');
  * @param {string} reward - Reward type ('POW' or 'POS')
  * @param {Array} txMessages - Additional messages to include in coinbase
  * @param {Array} recipients - Fee recipients for coinbase outputs
+ * @param {number} [maxSubmits=250000] - Number of submissions remembered for duplicate detection; once reached
+ *        the job takes no more submissions
+ * @param {Object} [coinbaseOptions] - Coinbase signature options, see transactions.CreateGeneration
+ * @param {Object} [coinbaseOptions.auxMerkle] - Chain merkle tree of the merge mined aux blocks, see
+ *        auxPow.buildAuxMerkle
+ * @param {CoinbaseBuilder} [coinbaseOptions.builder] - Builder of the coinbase transactions; defaults to
+ *        transactions.createCoinbaseBuilder for the reward type and txMessages
  */
-var BlockTemplate = module.exports = function BlockTemplate(jobId, rpcData, poolAddressScript, extraNoncePlaceholder, reward, txMessages, recipients){
+var BlockTemplate = module.exports = function BlockTemplate(jobId, rpcData, poolAddressScript, extraNoncePlaceholder, reward, txMessages, recipients, maxSubmits, coinbaseOptions){
 
     //private members
 
-    var submits = [];
+    var submits = new Set();
+    maxSubmits = maxSubmits || DEFAULT_MAX_SUBMITS;
+    coinbaseOptions = coinbaseOptions || {};
+    // Taken when the job is created so coinbase variants built later commit to the same outputs and aux blocks
+    var extraOutputs = coinbaseOptions.extraOutputs;
+    var auxMerkle = coinbaseOptions.auxMerkle || null;
+    var coinbaseBuilder = coinbaseOptions.builder || transactions.createCoinbaseBuilder({
+        reward: reward,
+        txMessages: txMessages,
+        txComment: coinbaseOptions.txComment
+    });
+
+    // Coinbase transactions and job params of coinbase variants (solo miners, port signatures)
+    var variantGenerations = {};
+    var variantJobParams = {};
+
+    function variantKey(coinbase){
+        return [coinbase.payoutScript ? coinbase.payoutScript.toString('hex') : '', coinbase.signature || '', coinbase.worker || ''].join('|');
+    }
+
+    function buildGeneration(coinbase){
+        return coinbaseBuilder.build({
+            rpcData: rpcData,
+            extraNoncePlaceholder: extraNoncePlaceholder,
+            payoutScript: coinbase.payoutScript || poolAddressScript,
+            recipients: recipients || [],
+            extraOutputs: extraOutputs,
+            worker: coinbase.worker,
+            signature: coinbase.signature || coinbaseOptions.signature,
+            poolName: coinbaseOptions.poolName,
+            auxCommitment: auxMerkle ? auxMerkle.commitment : undefined
+        });
+    }
+
+    function getVariantGeneration(coinbase){
+        var key = variantKey(coinbase);
+        if (!variantGenerations[key])
+            variantGenerations[key] = buildGeneration(coinbase);
+        return variantGenerations[key];
+    }
 
     function getMerkleHashes(steps){
         return steps.map(function(step){
@@ -58,6 +105,12 @@ var BlockTemplate = module.exports = function BlockTemplate(jobId, rpcData, pool
     this.rpcData = rpcData;
     this.jobId = jobId;
 
+    // Aux blocks the coinbase commits to, with their branches in the chain merkle tree
+    this.auxMerkle = auxMerkle;
+
+    // The coinbase commits to witness data, so the block must carry the coinbase witness (BIP141)
+    this.segwit = rpcData.default_witness_commitment !== undefined;
+
     // Debug logging for version field
     console.log('DEBUG: BlockTemplate constructor - rpcData.version = ' + rpcData.version);
     console.log('DEBUG: BlockTemplate constructor - rpcData.version (hex) = 0x' + rpcData.version.toString(16));
@@ -84,14 +137,44 @@ var BlockTemplate = module.exports = function BlockTemplate(jobId, rpcData, pool
     }));
     this.merkleTree = new merkleTree(getTransactionBuffers(rpcData.transactions));
     this.merkleBranch = getMerkleHashes(this.merkleTree.steps);
-    this.generationTransaction = transactions.CreateGeneration(
-        rpcData,
-        poolAddressScript,
-        extraNoncePlaceholder,
-        reward,
-        txMessages,
-        recipients
-    );
+    var generation = buildGeneration({});
+    this.generationTransaction = generation.coinbase;
+
+    // Versions, scriptSig segments and per-output values of the pool's coinbase, for auditing
+    this.coinbaseMetadata = generation.metadata;
+
+    /**
+     * Gets a coinbase transaction that differs from the pool's: paying the block reward to a solo
+     * miner's script, or with the signature of the port a miner is connected to. Created once per
+     * variant and job, so the coinbase sent with mining.notify is exactly the one shares are checked
+     * and blocks are built with.
+     *
+     * @method getGenerationTransaction
+     * @param {Object} [coinbase] - Coinbase variant; the pool's coinbase if omitted
+     * @param {Buffer} [coinbase.payoutScript] - Output script receiving the reward instead of the pool address
+     * @param {string} [coinbase.signature] - Signature template replacing the pool's
+     * @param {string} [coinbase.worker] - Value of the signature's {worker} placeholder
+     * @returns {Array<Buffer>} Two-part transaction split at the extranonce placeholder
+     */
+    this.getGenerationTransaction = function(coinbase){
+        if (!coinbase)
+            return this.generationTransaction;
+        return getVariantGeneration(coinbase).coinbase;
+    };
+
+    /**
+     * Gets the build metadata of a coinbase: the {name, script, amount} of each output and the sizes of
+     * the scriptSig segments, see CoinbaseBuilder.build.
+     *
+     * @method getCoinbaseMetadata
+     * @param {Object} [coinbase] - Coinbase variant, see getGenerationTransaction; the pool's coinbase if omitted
+     * @returns {Object} Coinbase metadata
+     */
+    this.getCoinbaseMetadata = function(coinbase){
+        if (!coinbase)
+            return this.coinbaseMetadata;
+        return getVariantGeneration(coinbase).metadata;
+    };
 
     /**
      * Serializes the coinbase transaction with the provided extranonces.
@@ -99,14 +182,16 @@ var BlockTemplate = module.exports = function BlockTemplate(jobId, rpcData, pool
      * @method serializeCoinbase
      * @param {Buffer} extraNonce1 - Worker's extranonce1
      * @param {Buffer} extraNonce2 - Miner's extranonce2
+     * @param {Object} [coinbase] - Coinbase variant, see getGenerationTransaction
      * @returns {Buffer} Complete serialized coinbase transaction
      */
-    this.serializeCoinbase = function(extraNonce1, extraNonce2){
+    this.serializeCoinbase = function(extraNonce1, extraNonce2, coinbase){
+        var generationTransaction = this.getGenerationTransaction(coinbase);
         return Buffer.concat([
-            this.generationTransaction[0],
+            generationTransaction[0],
             extraNonce1,
             extraNonce2,
-            this.generationTransaction[1]
+            generationTransaction[1]
         ]);
     };
 
@@ -144,12 +229,26 @@ var BlockTemplate = module.exports = function BlockTemplate(jobId, rpcData, pool
         return header;
     };
 
+    /**
+     * Serializes the coinbase transaction as it is included in the block: witness serialized when the
+     * template carries a witness commitment, as is otherwise.
+     *
+     * @method serializeBlockCoinbase
+     * @param {Buffer} coinbase - Serialized coinbase transaction, as hashed into the merkle root
+     * @returns {Buffer} Coinbase transaction for the block
+     */
+    this.serializeBlockCoinbase = function(coinbase){
+        return this.segwit ? transactions.witnessCoinbase(coinbase, {timestamp: reward === 'POS'}) : coinbase;
+    };
+
     /**
      * Serializes a complete block including header and all transactions.
+     * The template's transaction data is used as the daemon sent it, which for segwit templates is
+     * already the witness serialization.
      * 
      * @method serializeBlock
      * @param {Buffer} header - Serialized block header
-     * @param {Buffer} coinbase - Serialized coinbase transaction
+     * @param {Buffer} coinbase - Serialized coinbase transaction, as hashed into the merkle root
      * @returns {Buffer} Complete serialized block ready for submission
      */
     this.serializeBlock = function(header, coinbase){
@@ -157,7 +256,7 @@ var BlockTemplate = module.exports = function BlockTemplate(jobId, rpcData, pool
             header,
 
             util.varIntBuffer(this.rpcData.transactions.length + 1),
-            coinbase,
+            this.serializeBlockCoinbase(coinbase),
             this.transactionData,
 
             getVoteData(),
@@ -167,29 +266,63 @@ var BlockTemplate = module.exports = function BlockTemplate(jobId, rpcData, pool
         ]);
     };
 
+    function submissionKey(extraNonce1, extraNonce2, nTime, nonce, version, coinbase){
+        var submission = (extraNonce1 + extraNonce2 + nTime + nonce).toLowerCase();
+        if (version !== undefined)
+            submission += ':' + (version >>> 0).toString(16);
+        if (coinbase)
+            submission += ':' + variantKey(coinbase);
+        return submission;
+    }
+
+    /**
+     * Tells whether a share submission was registered before. Takes the arguments of registerSubmit.
+     *
+     * @method hasSubmit
+     * @returns {boolean} True if the submission is a duplicate
+     */
+    this.hasSubmit = function(extraNonce1, extraNonce2, nTime, nonce, version, coinbase){
+        return submits.has(submissionKey(extraNonce1, extraNonce2, nTime, nonce, version, coinbase));
+    };
+
     /**
-     * Registers a share submission to prevent duplicate shares.
+     * Tells whether the job remembers maxSubmits submissions and takes no more. Registered submissions
+     * are never forgotten, so an accepted share cannot be pushed out and replayed.
+     *
+     * @method isSubmitLimitReached
+     * @returns {boolean}
+     */
+    this.isSubmitLimitReached = function(){
+        return submits.size >= maxSubmits;
+    };
+
+    /**
+     * Registers an accepted share submission to prevent duplicate shares.
      * 
      * @method registerSubmit
      * @param {string} extraNonce1 - Worker's extranonce1
      * @param {string} extraNonce2 - Miner's extranonce2
      * @param {string} nTime - Block timestamp
      * @param {string} nonce - Mining nonce
-     * @returns {boolean} True if this is a new submission, false if duplicate
+     * @param {number} [version] - Rolled block version; the same nonce under another version is a different share
+     * @param {Object} [coinbase] - Coinbase variant the share was hashed with; the same nonces on another
+     *        coinbase are a different share
+     * @returns {boolean} True if the submission was registered, false if it is a duplicate or the submit
+     *          limit is reached
      */
-    this.registerSubmit = function(extraNonce1, extraNonce2, nTime, nonce){
-        var submission = extraNonce1 + extraNonce2 + nTime + nonce;
-        if (submits.indexOf(submission) === -1){
-            submits.push(submission);
-            return true;
-        }
-        return false;
+    this.registerSubmit = function(extraNonce1, extraNonce2, nTime, nonce, version, coinbase){
+        var submission = submissionKey(extraNonce1, extraNonce2, nTime, nonce, version, coinbase);
+        if (submits.has(submission) || submits.size >= maxSubmits)
+            return false;
+        submits.add(submission);
+        return true;
     };
 
     /**
      * Gets the job parameters for Stratum mining.notify message.
      * 
      * @method getJobParams
+     * @param {Object} [coinbase] - Coinbase variant, see getGenerationTransaction
      * @returns {Array} Job parameters array for Stratum protocol
      * @returns {string} params[0] - Job ID
      * @returns {string} params[1] - Previous block hash (reversed)
@@ -201,7 +334,17 @@ var BlockTemplate = module.exports = function BlockTemplate(jobId, rpcData, pool
      * @returns {string} params[7] - Current time
      * @returns {boolean} params[8] - Clean jobs flag
      */
-    this.getJobParams = function(){
+    this.getJobParams = function(coinbase){
+        if (coinbase){
+            var key = variantKey(coinbase);
+            if (!variantJobParams[key]){
+                var generationTransaction = this.getGenerationTransaction(coinbase);
+                variantJobParams[key] = this.getJobParams().slice();
+                variantJobParams[key][2] = generationTransaction[0].toString('hex');
+                variantJobParams[key][3] = generationTransaction[1].toString('hex');
+            }
+            return variantJobParams[key];
+        }
         if (!this.jobParams){
             // Debug logging for version in job params
             console.log('DEBUG: getJobParams - rpcData.version = ' + this.rpcData.version);
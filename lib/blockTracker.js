@@ -0,0 +1,204 @@
+/**
+ * @module blockTracker
+ * @description Follows the blocks the pool found until they are buried deep enough or dropped from the
+ * main chain. The tracked blocks are kept in a JSON state file so a restarted pool resumes tracking them.
+ */
+
+var fs = require('fs');
+var events = require('events');
+var async = require('async');
+
+//JSON-RPC error code the daemon answers getblockheader with for unknown hashes
+var RPC_INVALID_ADDRESS_OR_KEY = -5;
+
+var DEFAULT_CONFIRMATIONS = [1, 100];
+var DEFAULT_CHECK_INTERVAL = 60000;
+
+
+/**
+ * Tracks found blocks with getblockheader. getblockheader reports -1 confirmations for a block that is
+ * known but not in the main chain, which after a reorg is how an orphaned block shows up. A block is
+ * tracked until it reaches the deepest confirmation depth or is orphaned.
+ *
+ * When several daemons are queried the best answer counts, so a lagging daemon does not orphan a block.
+ *
+ * @class BlockTracker
+ * @extends {EventEmitter}
+ * @param {DaemonInterface} daemon - Daemon interface to query
+ * @param {Object} [options]
+ * @param {Array<number>|number} [options.confirmations=[1, 100]] - Depths blockConfirmed is emitted at
+ * @param {number} [options.checkInterval=60000] - Delay between confirmation checks (ms)
+ * @param {string} [options.stateFile] - JSON file the tracked blocks are persisted to
+ *
+ * @fires BlockTracker#blockConfirmed - With the block when it reached one of the depths; block.depth is that depth
+ * @fires BlockTracker#blockOrphaned - With the block when it is no longer in the main chain
+ * @fires BlockTracker#stateError - With an Error when the state file cannot be read or written
+ */
+var BlockTracker = module.exports = function BlockTracker(daemon, options){
+
+    var _this = this;
+    options = options || {};
+
+    var depths = [].concat(options.confirmations || DEFAULT_CONFIRMATIONS).sort(function(a, b){ return a - b; });
+    var checkInterval = options.checkInterval || DEFAULT_CHECK_INTERVAL;
+    var blocks = {};
+    var checkTimeout = null;
+    var checking = false;
+    var checkAgain = false;
+    var stopped = true;
+
+
+    function load(){
+        if (!options.stateFile)
+            return;
+        try {
+            var state = JSON.parse(fs.readFileSync(options.stateFile, 'utf8'));
+            (state.blocks || []).forEach(function(block){
+                blocks[block.hash] = block;
+            });
+        }
+        catch(e){
+            if (e.code !== 'ENOENT')
+                _this.emit('stateError', e);
+        }
+    }
+
+    //Writes to a temporary file first so a crash never leaves a truncated state file behind
+    function save(){
+        if (!options.stateFile)
+            return;
+        var tmpFile = options.stateFile + '.tmp';
+        try {
+            fs.writeFileSync(tmpFile, JSON.stringify({blocks: _this.getBlocks()}, null, 2));
+            fs.renameSync(tmpFile, options.stateFile);
+        }
+        catch(e){
+            _this.emit('stateError', e);
+        }
+    }
+
+    function schedule(){
+        clearTimeout(checkTimeout);
+        if (!stopped)
+            checkTimeout = setTimeout(check, checkInterval);
+    }
+
+    function orphan(block){
+        delete blocks[block.hash];
+        _this.emit('blockOrphaned', Object.assign({}, block));
+    }
+
+    //Returns whether the block changed
+    function update(block, results){
+        var answers = results.filter(function(result){
+            return !result.error && result.response;
+        });
+
+        if (answers.length === 0){
+            var unknown = results.length > 0 && results.every(function(result){
+                return result.error && result.error.code === RPC_INVALID_ADDRESS_OR_KEY;
+            });
+            if (unknown)
+                orphan(block);
+            return unknown;
+        }
+
+        var confirmations = Math.max.apply(null, answers.map(function(result){
+            return result.response.confirmations;
+        }));
+        if (confirmations < 0){
+            orphan(block);
+            return true;
+        }
+        if (confirmations === block.confirmations)
+            return false;
+
+        block.confirmations = confirmations;
+        depths.forEach(function(depth){
+            if (depth > block.depth && depth <= confirmations){
+                block.depth = depth;
+                _this.emit('blockConfirmed', Object.assign({}, block));
+            }
+        });
+        if (block.depth >= depths[depths.length - 1])
+            delete blocks[block.hash];
+        return true;
+    }
+
+    function check(){
+        if (checking){
+            checkAgain = true;
+            return;
+        }
+        checking = true;
+        checkAgain = false;
+        var changed = false;
+
+        async.eachSeries(Object.keys(blocks), function(hash, next){
+            daemon.cmd('getblockheader', [hash], function(results){
+                //The block may have been untracked, or the tracker stopped, while the request was in flight
+                if (!stopped && blocks[hash] && update(blocks[hash], results))
+                    changed = true;
+                next();
+            });
+        }, function(){
+            checking = false;
+            if (changed)
+                save();
+            if (checkAgain && !stopped)
+                check();
+            else
+                schedule();
+        });
+    }
+
+
+    /**
+     * Loads the persisted blocks and starts checking their confirmations.
+     */
+    this.start = function(){
+        if (!stopped)
+            return;
+        stopped = false;
+        load();
+        check();
+    };
+
+    /**
+     * Stops checking; the tracked blocks stay in the state file for the next start.
+     */
+    this.stop = function(){
+        stopped = true;
+        clearTimeout(checkTimeout);
+    };
+
+    /**
+     * Starts tracking a found block and checks it right away.
+     *
+     * @param {Object} block - {hash, height, worker, reward, txHash}; other properties are kept as well
+     */
+    this.track = function(block){
+        if (blocks[block.hash])
+            return;
+        blocks[block.hash] = Object.assign({}, block, {
+            confirmations: 0,
+            depth: 0,
+            foundAt: block.foundAt || Date.now()
+        });
+        save();
+        if (!stopped)
+            check();
+    };
+
+    /**
+     * Returns the blocks that are being tracked.
+     *
+     * @returns {Array<Object>} Copies of the blocks, with their confirmations and the deepest depth reached
+     */
+    this.getBlocks = function(){
+        return Object.keys(blocks).map(function(hash){
+            return Object.assign({}, blocks[hash]);
+        });
+    };
+};
+BlockTracker.prototype.__proto__ = events.EventEmitter.prototype;
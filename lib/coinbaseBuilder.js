@@ -0,0 +1,274 @@
+/**
+ * @module coinbaseBuilder
+ * @description Assembles coinbase transactions from registered output providers and scriptSig segments.
+ * The pool's own coinbase is a builder configured by transactions.createCoinbaseBuilder; pools add outputs or
+ * scriptSig data by registering more providers and segments on it.
+ */
+
+var util = require('./util.js');
+
+// Consensus limit for the coinbase input script
+var MAX_SCRIPTSIG_SIZE = 100;
+
+// Code of the errors thrown when the coinbase outputs cannot be paid from the block reward
+var OUTPUTS_ERROR = 'COINBASE_OUTPUTS';
+
+
+/**
+ * Builds coinbase transactions split at the extranonce placeholder.
+ *
+ * Output providers are called in the order they were registered, which is also the order of the outputs in the
+ * transaction. A provider returns an output, an array of outputs or nothing. An output has a `script` and one of:
+ * - `amount`: a fixed value in satoshis, paid before any percentage
+ * - `percent`: a fraction of the reward left once all fixed amounts are paid
+ * - `remainder: true`: whatever is left after the fixed and percentage outputs; at most one output may take it
+ *
+ * ScriptSig segments are Buffers, or functions returning one, placed before ('prefix') or after ('suffix') the
+ * extranonce, in the order they were registered.
+ *
+ * @class CoinbaseBuilder
+ * @param {Object} [options]
+ * @param {number} [options.version=1] - Transaction version
+ * @param {number} [options.lockTime=0] - Transaction lock time
+ * @param {number} [options.sequence=0] - Sequence of the coinbase input
+ * @param {boolean} [options.timestamp] - Write the template's curtime after the version, as POS coins require
+ * @param {Buffer} [options.comment] - Serialized transaction comment written after the lock time
+ */
+var CoinbaseBuilder = module.exports = function CoinbaseBuilder(options){
+
+    var _this = this;
+    options = options || {};
+
+    var version = options.version || 1;
+    var lockTime = options.lockTime || 0;
+    var providers = [];
+    var segments = [];
+
+
+    //Replaces an entry of the same name in place so defaults can be overridden without reordering
+    function register(list, entry){
+        for (var i = 0; i < list.length; i++){
+            if (list[i].name === entry.name){
+                list[i] = entry;
+                return;
+            }
+        }
+        list.push(entry);
+    }
+
+    function resolveOutputs(context){
+        var reward = context.rpcData.coinbasevalue;
+        var remaining = reward;
+        var outputs = [];
+
+        providers.forEach(function(entry){
+            [].concat(entry.provider(context, remaining) || []).forEach(function(output){
+                if (!Buffer.isBuffer(output.script))
+                    throw new Error('Output provider ' + entry.name + ' returned an output without a script');
+                if (output.amount !== undefined){
+                    if (!Number.isSafeInteger(output.amount) || output.amount < 0)
+                        throw new Error('Output provider ' + entry.name + ' returned an invalid amount ' + output.amount);
+                    remaining -= output.amount;
+                }
+                else if (!output.remainder && !(output.percent >= 0))
+                    throw new Error('Output provider ' + entry.name + ' returned an output without an amount, percent or remainder');
+                outputs.push({name: output.name || entry.name, output: output});
+            });
+        });
+
+        if (remaining < 0)
+            throw outputsError('Coinbase outputs pay ' + (reward - remaining) + ' but the block reward is ' + reward);
+
+        var left = remaining;
+        outputs.forEach(function(entry){
+            if (entry.output.amount === undefined && !entry.output.remainder){
+                entry.amount = Math.floor(entry.output.percent * remaining);
+                left -= entry.amount;
+            }
+        });
+        var remainders = outputs.filter(function(entry){
+            return entry.output.amount === undefined && entry.output.remainder;
+        });
+        if (remainders.length > 1)
+            throw new Error('Only one coinbase output can take the remaining reward');
+        if (left < 0)
+            throw outputsError('Coinbase output percentages pay ' + (remaining - left) + ' but only ' + remaining + ' of the block reward is left');
+        remainders.forEach(function(entry){
+            entry.amount = left;
+        });
+
+        return outputs.map(function(entry){
+            return {
+                name: entry.name,
+                script: entry.output.script,
+                amount: entry.output.amount !== undefined ? entry.output.amount : entry.amount
+            };
+        });
+    }
+
+    function renderSegments(position, context, used, rendered){
+        segments.forEach(function(entry){
+            if (entry.position !== position)
+                return;
+            var data = typeof entry.segment === 'function' ?
+                entry.segment(context, MAX_SCRIPTSIG_SIZE - used) : entry.segment;
+            if (!Buffer.isBuffer(data))
+                throw new Error('ScriptSig segment ' + entry.name + ' is not a Buffer');
+            used += data.length;
+            rendered.push({name: entry.name, data: data});
+        });
+        return used;
+    }
+
+
+    /**
+     * Registers an output provider, replacing the provider of the same name.
+     *
+     * @method addOutputProvider
+     * @param {string} name - Provider name, reported with its outputs in the build metadata
+     * @param {Function} provider - (context, remaining) returning an output, an array of outputs or nothing;
+     *        remaining is the reward not yet paid by fixed amounts of the providers before it
+     * @returns {CoinbaseBuilder} this
+     */
+    this.addOutputProvider = function(name, provider){
+        register(providers, {name: name, provider: provider});
+        return _this;
+    };
+
+    /**
+     * Registers a scriptSig segment, replacing the segment of the same name.
+     *
+     * @method addScriptSigSegment
+     * @param {string} name - Segment name, reported with its size in the build metadata
+     * @param {Buffer|Function} segment - Script bytes, or (context, available) returning them where available is
+     *        what the 100 byte scriptSig limit leaves for this and the following segments
+     * @param {string} [position='suffix'] - 'prefix' to place the segment before the extranonce
+     * @returns {CoinbaseBuilder} this
+     */
+    this.addScriptSigSegment = function(name, segment, position){
+        position = position || 'suffix';
+        if (position !== 'prefix' && position !== 'suffix')
+            throw new Error('ScriptSig segment position must be prefix or suffix, not ' + position);
+        register(segments, {name: name, segment: segment, position: position});
+        return _this;
+    };
+
+    /**
+     * @method setVersion
+     * @param {number} txVersion - Transaction version
+     * @returns {CoinbaseBuilder} this
+     */
+    this.setVersion = function(txVersion){
+        version = txVersion;
+        return _this;
+    };
+
+    /**
+     * @method setLockTime
+     * @param {number} txLockTime - Transaction lock time
+     * @returns {CoinbaseBuilder} this
+     */
+    this.setLockTime = function(txLockTime){
+        lockTime = txLockTime;
+        return _this;
+    };
+
+    /**
+     * Builds the coinbase transaction of a block template.
+     *
+     * @method build
+     * @param {Object} context - Passed on to the providers and segments
+     * @param {Object} context.rpcData - Block template data from getblocktemplate RPC
+     * @param {Buffer} context.extraNoncePlaceholder - Placeholder bytes for the extranonce
+     * @returns {Object} {coinbase, metadata}: coinbase is the two-part transaction split at the extranonce
+     *          placeholder; metadata is {version, lockTime, reward, scriptSigSize, scriptSig, outputs} with the
+     *          {name, size} of each scriptSig segment and the {name, script, amount} of each output, scripts in hex
+     * @throws {RangeError} If the outputs pay more than the block reward
+     * @throws {Error} If the scriptSig exceeds 100 bytes or a provider or segment returned invalid data
+     */
+    this.build = function(context){
+        var placeholder = context.extraNoncePlaceholder;
+        var prefix = [];
+        var suffix = [];
+
+        var used = renderSegments('prefix', context, 1 + placeholder.length, prefix);
+        used = renderSegments('suffix', context, used, suffix);
+        if (used > MAX_SCRIPTSIG_SIZE)
+            throw new Error('Coinbase scriptSig would be ' + used + ' bytes, over the ' + MAX_SCRIPTSIG_SIZE + ' byte limit');
+
+        var outputs = resolveOutputs(context);
+
+        var data = function(segment){
+            return segment.data;
+        };
+
+        var p1 = Buffer.concat([
+            util.packUInt32LE(version),
+            options.timestamp ? util.packUInt32LE(context.rpcData.curtime) : Buffer.alloc(0),
+
+            //transaction input
+            util.varIntBuffer(1),
+            util.uint256BufferFromHash(''),
+            util.packUInt32LE(Math.pow(2, 32) - 1),
+            util.varIntBuffer(used),
+            Buffer.concat(prefix.map(data)),
+            Buffer.from([placeholder.length])
+        ]);
+
+        var p2 = Buffer.concat([
+            Buffer.concat(suffix.map(data)),
+            util.packUInt32LE(options.sequence || 0),
+            //end transaction input
+
+            util.varIntBuffer(outputs.length),
+            Buffer.concat(outputs.map(function(output){
+                return Buffer.concat([
+                    util.packInt64LE(output.amount),
+                    util.varIntBuffer(output.script.length),
+                    output.script
+                ]);
+            })),
+
+            util.packUInt32LE(lockTime),
+            options.comment || Buffer.alloc(0)
+        ]);
+
+        var size = function(segment){
+            return {name: segment.name, size: segment.data.length};
+        };
+
+        return {
+            coinbase: [p1, p2],
+            metadata: {
+                version: version,
+                lockTime: lockTime,
+                reward: context.rpcData.coinbasevalue,
+                scriptSigSize: used,
+                scriptSig: prefix.map(size)
+                    .concat([{name: 'extraNonce', size: 1 + placeholder.length}])
+                    .concat(suffix.map(size)),
+                outputs: outputs.map(function(output){
+                    return {name: output.name, script: output.script.toString('hex'), amount: output.amount};
+                })
+            }
+        };
+    };
+};
+
+
+/**
+ * Creates the RangeError thrown when coinbase outputs pay more than the block reward, with its `code` set to
+ * {@link CoinbaseBuilder.OUTPUTS_ERROR} so callers can tell it apart from other failures.
+ *
+ * @function outputsError
+ * @memberof CoinbaseBuilder
+ * @param {string} message - Error message
+ * @returns {RangeError}
+ */
+var outputsError = CoinbaseBuilder.outputsError = function(message){
+    var error = new RangeError(message);
+    error.code = OUTPUTS_ERROR;
+    return error;
+};
+
+CoinbaseBuilder.OUTPUTS_ERROR = OUTPUTS_ERROR;
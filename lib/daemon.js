@@ -9,6 +9,15 @@ const REQUEST_TIMEOUT = 30000; // 30 seconds
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000; // Initial retry delay in ms
 
+// Failover mode health scoring
+const HEALTH_CHECK_INTERVAL = 10000; // ms between getblockchaininfo health checks
+const OFFLINE_ERROR_COUNT = 3; // consecutive failed requests before an instance is considered offline
+const SLOW_LATENCY = 2000; // ms, instances answering slower than this are degraded
+const MAX_BLOCKS_BEHIND = 1; // instances further behind the best known height are considered syncing
+
+// Calls that must reach every daemon even in failover mode
+const FANOUT_METHODS = ['submitblock', 'getpeerinfo'];
+
 // Whitelist of allowed RPC methods
 const ALLOWED_RPC_METHODS = [
     'getinfo', 'getmininginfo', 'getblocktemplate', 'submitblock',
@@ -32,7 +41,8 @@ const ALLOWED_RPC_METHODS = [
     'verifychain', 'getbestblockhash', 'getconnectioncount', 'ping',
     'addnode', 'getaddednodeinfo', 'getchaintips', 'getmempoolinfo',
     'getrawmempool', 'getmempoolentry', 'prioritisetransaction',
-    'estimatefee', 'estimatepriority', 'estimatesmartfee', 'estimatesmartpriority'
+    'estimatefee', 'estimatepriority', 'estimatesmartfee', 'estimatesmartpriority',
+    'createauxblock', 'getauxblock', 'submitauxblock'
 ];
 
 /**
@@ -47,12 +57,18 @@ const ALLOWED_RPC_METHODS = [
  * @param {string} daemons[].user - RPC username
  * @param {string} daemons[].password - RPC password
  * @param {Function} [logger] - Optional logging function
+ * @param {Object} [options]
+ * @param {string} [options.mode='broadcast'] - 'broadcast' sends every call to all daemons; 'failover' sends
+ *        calls to the healthiest in-sync daemon only, moving on to the next one when it cannot be reached.
+ *        submitblock is always sent to all daemons.
+ * @param {number} [options.healthCheckInterval=10000] - Interval of the failover mode health checks (ms)
  * 
  * @fires DaemonInterface#online - When daemon connection is established
  * @fires DaemonInterface#connectionFailed - When daemon connection fails
  * @fires DaemonInterface#error - On RPC errors
+ * @fires DaemonInterface#daemonStateChanged - When an instance becomes online, degraded, syncing or offline
  */
-function DaemonInterface(daemons, logger){
+function DaemonInterface(daemons, logger, options){
 
     //private members
     var _this = this;
@@ -61,32 +77,129 @@ function DaemonInterface(daemons, logger){
     };
 
 
+    options = options || {};
+    var failover = options.mode === 'failover';
+    var healthCheckInterval;
+
+
     var instances = (function(){
         for (var i = 0; i < daemons.length; i++)
             daemons[i]['index'] = i;
         return daemons;
     })();
 
+    var health = instances.map(function(instance){
+        return {
+            index: instance.index,
+            host: instance.host,
+            port: instance.port,
+            state: 'unknown',
+            score: 100,
+            latency: null,
+            errors: 0,
+            height: null,
+            initialBlockDownload: false,
+            synced: true,
+            lastError: null
+        };
+    });
+
 
     function init(){
+        if (failover){
+            checkHealth();
+            healthCheckInterval = setInterval(checkHealth, options.healthCheckInterval || HEALTH_CHECK_INTERVAL);
+        }
         isOnline(function(online){
             if (online)
                 _this.emit('online');
+            else
+                clearInterval(healthCheckInterval);
         });
     }
 
+    //One reachable daemon is enough, the others are retried by every later call
     function isOnline(callback){
         cmd('getpeerinfo', [], function(results){
-            var allOnline = results.every(function(result){
-                return !results.error;
+            var online = results.length === 0 || results.some(function(result){
+                return !result.error;
             });
-            callback(allOnline);
-            if (!allOnline)
+            callback(online);
+            if (!online)
                 _this.emit('connectionFailed', results);
         });
     }
 
 
+    /* Health score of an instance: 100 for a fast, error free, in-sync daemon, minus up to 40 for
+       latency, 15 per consecutive failed request and 50 when it is syncing. 0 once offline. */
+    function updateHealth(instanceHealth){
+        var state;
+        if (instanceHealth.errors >= OFFLINE_ERROR_COUNT)
+            state = 'offline';
+        else if (!instanceHealth.synced)
+            state = 'syncing';
+        else if (instanceHealth.errors > 0 || instanceHealth.latency > SLOW_LATENCY)
+            state = 'degraded';
+        else
+            state = 'online';
+
+        instanceHealth.score = state === 'offline' ? 0 : Math.max(1, Math.round(100
+            - Math.min(40, (instanceHealth.latency || 0) / 50)
+            - instanceHealth.errors * 15
+            - (instanceHealth.synced ? 0 : 50)));
+
+        if (state !== instanceHealth.state){
+            var previousState = instanceHealth.state;
+            instanceHealth.state = state;
+            _this.emit('daemonStateChanged', Object.assign({previousState: previousState}, instanceHealth));
+        }
+    }
+
+    //Transport failures count against an instance; any JSON-RPC answer, even an error, shows it is up
+    function recordRequest(instance, error, elapsed){
+        var instanceHealth = health[instance.index];
+        if (error && error.type){
+            instanceHealth.errors++;
+            instanceHealth.lastError = error.message;
+        }
+        else {
+            instanceHealth.errors = 0;
+            instanceHealth.latency = instanceHealth.latency === null ? elapsed : Math.round(instanceHealth.latency * 0.7 + elapsed * 0.3);
+        }
+        updateHealth(instanceHealth);
+    }
+
+    function checkHealth(){
+        async.each(instances, function(instance, eachCallback){
+            var requestJson = JSON.stringify({method: 'getblockchaininfo', params: [], id: Date.now()});
+            sendRequest(instance, requestJson, function(error, result){
+                if (!error && result && result.result){
+                    health[instance.index].height = result.result.blocks;
+                    health[instance.index].initialBlockDownload = result.result.initialblockdownload === true;
+                }
+                eachCallback();
+            });
+        }, function(){
+            var bestHeight = Math.max.apply(null, health.map(function(instanceHealth){
+                return instanceHealth.height || 0;
+            }));
+            health.forEach(function(instanceHealth){
+                instanceHealth.synced = !instanceHealth.initialBlockDownload &&
+                    (instanceHealth.height === null || instanceHealth.height >= bestHeight - MAX_BLOCKS_BEHIND);
+                updateHealth(instanceHealth);
+            });
+        });
+    }
+
+    //Healthiest first; ties keep the configured order so the first daemon acts as primary
+    function rankedInstances(){
+        return instances.slice().sort(function(a, b){
+            return health[b.index].score - health[a.index].score || a.index - b.index;
+        });
+    }
+
+
     function validateInput(method, params) {
         // Validate method name
         if (typeof method !== 'string' || method.length === 0) {
@@ -130,8 +243,11 @@ function DaemonInterface(daemons, logger){
         return { valid: true };
     }
 
-    function performHttpRequest(instance, jsonData, callback, retryCount){
+    /* Posts a JSON RPC request to one instance. A requestTimeout of 0 waits for the answer indefinitely,
+       as long polling requires. Returns the request so it can be aborted. */
+    function performHttpRequest(instance, jsonData, callback, retryCount, requestTimeout){
         retryCount = retryCount || 0;
+        requestTimeout = requestTimeout === undefined ? REQUEST_TIMEOUT : requestTimeout;
         
         var options = {
             hostname: (typeof(instance.host) === 'undefined' ? '127.0.0.1' : instance.host),
@@ -142,7 +258,7 @@ function DaemonInterface(daemons, logger){
                 'Content-Length': jsonData.length,
                 'Content-Type': 'application/json'
             },
-            timeout: REQUEST_TIMEOUT
+            timeout: requestTimeout
         };
 
         var parseJson = function(res, data){
@@ -150,6 +266,7 @@ function DaemonInterface(daemons, logger){
 
             if (res.statusCode === 401){
                 logger('error', 'Unauthorized RPC access - invalid RPC username or password');
+                callback({type: 'unauthorized', message: 'Unauthorized RPC access'}, null);
                 return;
             }
 
@@ -165,10 +282,10 @@ function DaemonInterface(daemons, logger){
                 logger('error', 'Could not parse rpc data from daemon instance  ' + instance.index
                     + '\nRequest Data: ' + jsonData
                     + '\nReponse Data: ' + data);
-
+                callback({type: 'parse error', message: 'Could not parse rpc data'}, null, data);
+                return;
             }
-            if (dataJson)
-                callback(dataJson.error, dataJson, data);
+            callback((dataJson || {}).error, dataJson, data);
         };
 
         var req = http.request(options, function(res) {
@@ -190,7 +307,7 @@ function DaemonInterface(daemons, logger){
                 var delay = RETRY_DELAY * Math.pow(2, retryCount);
                 logger('warn', 'Request timeout, retrying in ' + delay + 'ms (attempt ' + (retryCount + 1) + '/' + MAX_RETRIES + ')');
                 setTimeout(function() {
-                    performHttpRequest(instance, jsonData, callback, retryCount + 1);
+                    performHttpRequest(instance, jsonData, callback, retryCount + 1, requestTimeout);
                 }, delay);
             } else {
                 callback({type: 'request error', message: e.message}, null);
@@ -199,15 +316,72 @@ function DaemonInterface(daemons, logger){
         
         req.on('timeout', function() {
             req.abort();
-            logger('warn', 'Request timeout after ' + REQUEST_TIMEOUT + 'ms');
+            logger('warn', 'Request timeout after ' + requestTimeout + 'ms');
         });
 
         req.end(jsonData);
+        return req;
     }
 
 
 
-    //Performs a batch JSON-RPC command - only uses the first configured rpc daemon
+    function sendRequest(instance, jsonData, callback){
+        var started = Date.now();
+        performHttpRequest(instance, jsonData, function(error, result, data){
+            recordRequest(instance, error, Date.now() - started);
+            callback(error, result, data);
+        });
+    }
+
+    //Sends the request to each instance in turn until one of them can be reached
+    function sendWithFailover(jsonData, callback){
+        var candidates = rankedInstances();
+        (function tryInstance(i){
+            sendRequest(candidates[i], jsonData, function(error, result, data){
+                if (error && error.type && i + 1 < candidates.length){
+                    logger('warn', 'Daemon instance ' + candidates[i].index + ' failed (' + error.message + '), failing over to instance ' + candidates[i + 1].index);
+                    return tryInstance(i + 1);
+                }
+                callback(error, result, data, candidates[i]);
+            });
+        })(0);
+    }
+
+
+
+    /* Sends a long polling request (getblocktemplate with a longpollid) to the primary, or in failover
+       mode the healthiest, daemon. The daemon only answers once it has a new template, so the request
+       has no timeout; cancel() aborts it without calling back. */
+    function longPollCmd(method, params, callback){
+        var validation = validateInput(method, params);
+        if (!validation.valid) {
+            callback({error: {type: 'validation error', message: validation.error}, response: null, instance: null});
+            return {cancel: function(){}};
+        }
+
+        var cancelled = false;
+        var instance = failover ? rankedInstances()[0] : instances[0];
+        var requestJson = JSON.stringify({
+            method: method,
+            params: params,
+            id: Date.now() + Math.floor(Math.random() * 10)
+        });
+        var req = performHttpRequest(instance, requestJson, function(error, result){
+            if (cancelled) return;
+            callback({error: error, response: (result || {}).result, instance: instance});
+        }, 0, 0);
+
+        return {
+            cancel: function(){
+                cancelled = true;
+                req.destroy();
+            }
+        };
+    }
+
+
+
+    //Performs a batch JSON-RPC command - only uses the first configured rpc daemon, or the healthiest one in failover mode
     /* First argument must have:
      [
          [ methodName, [params] ],
@@ -236,13 +410,21 @@ function DaemonInterface(daemons, logger){
 
         var serializedRequest = JSON.stringify(requestJson);
 
-        performHttpRequest(instances[0], serializedRequest, function(error, result){
+        if (failover){
+            sendWithFailover(serializedRequest, function(error, result){
+                callback(error, result);
+            });
+            return;
+        }
+
+        sendRequest(instances[0], serializedRequest, function(error, result){
             callback(error, result);
         });
 
     }
 
-    /* Sends a JSON RPC (http://json-rpc.org/wiki/specification) command to every configured daemon.
+    /* Sends a JSON RPC (http://json-rpc.org/wiki/specification) command to every configured daemon,
+       or in failover mode to the healthiest one only (submissions still go to all of them).
        The callback function is fired once with the result from each daemon unless streamResults is
        set to true. */
     function cmd(method, params, callback, streamResults, returnRawData){
@@ -258,6 +440,27 @@ function DaemonInterface(daemons, logger){
             return;
         }
 
+        var isSubmission = FANOUT_METHODS.indexOf(method) !== -1 ||
+            (method === 'getblocktemplate' && params[0] && params[0].mode === 'submit');
+
+        if (failover && !isSubmission){
+            var failoverRequest = JSON.stringify({
+                method: method,
+                params: params,
+                id: Date.now() + Math.floor(Math.random() * 10)
+            });
+            sendWithFailover(failoverRequest, function(error, result, data, instance){
+                var returnObj = {
+                    error: error,
+                    response: (result || {}).result,
+                    instance: instance
+                };
+                if (returnRawData) returnObj.data = data;
+                callback(streamResults ? returnObj : [returnObj]);
+            });
+            return;
+        }
+
         var results = [];
 
         async.each(instances, function(instance, eachCallback){
@@ -282,7 +485,7 @@ function DaemonInterface(daemons, logger){
                 id: Date.now() + Math.floor(Math.random() * 10)
             });
 
-            performHttpRequest(instance, requestJson, function(error, result, data){
+            sendRequest(instance, requestJson, function(error, result, data){
                 itemFinished(error, result, data);
             });
 
@@ -296,6 +499,20 @@ function DaemonInterface(daemons, logger){
     }
 
 
+    /**
+     * Wraps the {type, message} or JSON-RPC {code, message} errors passed to callbacks in an Error.
+     * @param {Object} error
+     * @returns {Error}
+     * @private
+     */
+    function toError(error){
+        var wrapped = new Error(error.message || JSON.stringify(error));
+        wrapped.type = error.type;
+        wrapped.code = error.code;
+        return wrapped;
+    }
+
+
     //public members
 
     /**
@@ -308,7 +525,7 @@ function DaemonInterface(daemons, logger){
     this.init = init;
     
     /**
-     * Checks if all daemon instances are online.
+     * Checks if at least one daemon instance is online.
      * 
      * @method isOnline
      * @param {Function} callback - Callback with boolean indicating online status
@@ -335,6 +552,72 @@ function DaemonInterface(daemons, logger){
      * @param {Function} callback - Callback with batch results
      */
     this.batchCmd = batchCmd;
+
+    /**
+     * Sends a long polling RPC command to a single daemon, without request timeout.
+     *
+     * @method longPollCmd
+     * @param {string} method - RPC method name
+     * @param {Array} params - Array of parameters for the RPC method
+     * @param {Function} callback - Called once with {error, response, instance}
+     * @returns {Object} Handle with a cancel() method that aborts the request
+     */
+    this.longPollCmd = longPollCmd;
+
+    /**
+     * Returns the health of every daemon instance, ordered by configuration index.
+     *
+     * @method getHealth
+     * @returns {Array<Object>} {index, host, port, state, score, latency, errors, height, synced, lastError}
+     */
+    this.getHealth = function(){
+        return health.map(function(instanceHealth){
+            return Object.assign({}, instanceHealth);
+        });
+    };
+
+    /**
+     * Stops the failover mode health checks.
+     *
+     * @method close
+     */
+    this.close = function(){
+        clearInterval(healthCheckInterval);
+    };
+
+    /**
+     * Promise version of {@link DaemonInterface#cmd}. Per-instance errors are reported in the
+     * results, like cmd does, so the promise is never rejected.
+     *
+     * @method cmdAsync
+     * @param {string} method - RPC method name
+     * @param {Array} params - Array of parameters for the RPC method
+     * @returns {Promise<Array<Object>>} One {error, response, instance} per daemon instance
+     */
+    this.cmdAsync = function(method, params){
+        return new Promise(function(resolve){
+            cmd(method, params, resolve);
+        });
+    };
+
+    /**
+     * Promise version of {@link DaemonInterface#batchCmd}.
+     *
+     * @method batchCmdAsync
+     * @param {Array} cmdArray - Array of [method, params] pairs
+     * @returns {Promise<Array<Object>>} The JSON-RPC responses, rejected with an Error carrying the
+     *          original `type` and `code` when the request fails
+     */
+    this.batchCmdAsync = function(cmdArray){
+        return new Promise(function(resolve, reject){
+            batchCmd(cmdArray, function(error, results){
+                if (error)
+                    reject(toError(error));
+                else
+                    resolve(results);
+            });
+        });
+    };
 }
 
 DaemonInterface.prototype.__proto__ = events.EventEmitter.prototype;
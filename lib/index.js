@@ -27,7 +27,11 @@
  *     callback(true); // authorized
  * });
  * 
- * pool.start();
+ * pool.start().then(function(){
+ *     // listening for miners
+ * }).catch(function(error){
+ *     console.error('Pool failed to start at stage ' + error.stage + ': ' + error.message);
+ * });
  */
 
 var net = require('net');
@@ -44,6 +48,48 @@ var pool = require('./pool.js');
  */
 exports.daemon = require('./daemon.js');
 
+/**
+ * Error pool.start() rejects with; its `stage` property names the startup stage that failed.
+ * @type {PoolStartError}
+ */
+exports.PoolStartError = pool.PoolStartError;
+
+/**
+ * Confirmation and orphan tracking of found blocks, also usable on its own by payout processors.
+ * @type {module:blockTracker}
+ */
+exports.BlockTracker = require('./blockTracker.js');
+
+/**
+ * Coinbase transaction builder with pluggable output providers and scriptSig segments.
+ * @type {module:coinbaseBuilder}
+ */
+exports.CoinbaseBuilder = require('./coinbaseBuilder.js');
+
+/**
+ * Coinbase transaction construction; createCoinbaseBuilder returns the builder of the pool's own coinbase.
+ * @type {module:transactions}
+ */
+exports.transactions = require('./transactions.js');
+
+/**
+ * Coordinator mining several SHA-256 coins on shared stratum ports, switching miners between them.
+ * @type {MultiCoinPool}
+ */
+exports.MultiCoinPool = require('./multiCoinPool.js');
+
+/**
+ * Stratum V1 client connecting to a pool as a miner, for proxies and end-to-end tests.
+ * @type {StratumMinerClient}
+ */
+exports.StratumMinerClient = require('./stratumMinerClient.js');
+
+/**
+ * In-process JSON-RPC daemon with a fake chain, for running full pool flows in tests.
+ * @type {MockDaemon}
+ */
+exports.MockDaemon = require('./mockDaemon.js');
+
 /**
  * Variable difficulty module for automatic difficulty adjustment.
  * @type {module:varDiff}
@@ -62,3 +108,15 @@ exports.createPool = function(poolOptions, authorizeFn){
     var newPool = new pool(poolOptions, authorizeFn);
     return newPool;
 };
+
+/**
+ * Creates a pool per coin on shared stratum ports, see {@link module:multiCoinPool}.
+ *
+ * @function createMultiCoinPool
+ * @param {Object} options - Shared pool options with the per-coin pool options in `coins`
+ * @param {Function} authorizeFn - Worker authorization callback
+ * @returns {MultiCoinPool} New multi-coin pool instance
+ */
+exports.createMultiCoinPool = function(options, authorizeFn){
+    return new exports.MultiCoinPool(options, authorizeFn);
+};
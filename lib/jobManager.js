@@ -8,7 +8,12 @@ var bignum = require('./bignum-compat');
 var algos = require('./algoProperties.js');
 var util = require('./util.js');
 var blockTemplate = require('./blockTemplate.js');
+var upstreamJob = require('./upstreamJob.js');
 var transactions = require('./transactions.js');
+var auxPow = require('./auxPow.js');
+
+// Smallest extranonce2 left to local miners of a proxying pool
+var MIN_PROXY_EXTRANONCE2_SIZE = 2;
 
 
 
@@ -83,12 +88,33 @@ var JobCounter = function(){
  * @param {string} options.coin.algorithm - Mining algorithm
  * @param {string} options.coin.reward - Reward type ('POW' or 'POS')
  * @param {boolean} [options.coin.asicboost] - Whether ASICBoost is enabled
+ * @param {number|string} [options.versionMask] - Pool's version-rolling mask, used for miners that roll without mining.configure
+ * @param {boolean} [options.enforcePoolVersionMask] - Reject rolled versions from miners that did not negotiate a mask,
+ *        and never allow bits outside the pool's mask even if a wider mask was negotiated
  * @param {Buffer} options.poolAddressScript - Pool's address script for coinbase
  * @param {number} [options.instanceId] - Instance ID for extranonce generation
+ * @param {number} [options.maxSubmitsPerJob=250000] - Accepted submissions remembered per job for duplicate
+ *        detection; once reached the job refuses further shares
+ * @param {number} [options.maxDuplicateShareWorkers=1000] - Worker names duplicateShares counts for; the name
+ *        counted first is forgotten to make room for another
+ * @param {string} [options.coinbaseSignature] - Coinbase signature template with {worker}, {height} and {pool}
+ *        placeholders, see transactions.CreateGeneration
+ * @param {string} [options.poolName] - Value of the signature's {pool} placeholder
+ * @param {string} [options.coinbaseTxComment] - Coinbase comment for coins with txMessages
+ * @param {Array<Object>} [options.extraOutputs] - Fixed {script, amount} coinbase outputs, see setExtraOutputs
+ * @param {CoinbaseBuilder} [options.coinbaseBuilder] - Builder of the coinbase transactions, see coinbaseBuilder;
+ *        defaults to transactions.createCoinbaseBuilder for the coin
+ * @param {number} [options.maxJobsPerHeight=16] - Jobs of the current block kept valid for share submissions;
+ *        the oldest transaction refresh is dropped once more are created and its shares are stale
  * 
  * @fires JobManager#newBlock - When a new block (previously unknown to the JobManager) is added
  * @fires JobManager#updatedBlock - When the current job is updated
- * @fires JobManager#share - When a worker submits a share
+ * @fires JobManager#share - When a worker submits a share; shareData.stale flags shares for jobs of the previous block
+ *        or dropped by maxJobsPerHeight,
+ *        shareData.aux lists the aux blocks of merge mined chains with the AuxPoW of those the share solved and
+ *        shareData.upstream holds the mining.submit fields of shares to forward to the upstream pool
+ * @fires JobManager#blockCandidateInvalid - When a share met the network target but the serialized block fails the
+ *        self-check; the share is still credited, the block is not submitted
  * @fires JobManager#log - For logging events
  */
 var JobManager = module.exports = function JobManager(options){
@@ -100,6 +126,32 @@ var JobManager = module.exports = function JobManager(options){
     var jobCounter = new JobCounter();
 
     var shareMultiplier = algos[options.coin.algorithm].multiplier;
+    var poolVersionMask = util.parseVersionMask(options.versionMask);
+    var maxJobsPerHeight = options.maxJobsPerHeight || 16;
+    var coinbaseOptions = {
+        signature: options.coinbaseSignature,
+        poolName: options.poolName,
+        txComment: options.coinbaseTxComment,
+        extraOutputs: options.extraOutputs,
+        auxMerkle: null
+    };
+    coinbaseOptions.builder = options.coinbaseBuilder || transactions.createCoinbaseBuilder({
+        reward: options.coin.reward,
+        txMessages: options.coin.txMessages,
+        txComment: options.coinbaseTxComment
+    });
+
+    // Job IDs of the current block in creation order, those of its jobs dropped by the cap, and the stale job IDs:
+    // the dropped ones and all jobs of the previous block
+    var jobHistory = [];
+    var droppedJobs = {};
+    var staleJobs = {};
+
+    // Extranonce1 and share difficulty of the upstream pool when proxying, see setUpstreamExtraNonce
+    var upstreamExtraNonce1 = null;
+    var upstreamDifficulty = null;
+    // Mask the upstream pool negotiated in mining.configure, null if it does not allow version rolling
+    var upstreamVersionMask = null;
     
     //public members
 
@@ -110,6 +162,69 @@ var JobManager = module.exports = function JobManager(options){
     this.currentJob;
     this.validJobs = {};
 
+    // Output providers and scriptSig segments registered on it apply from the next job on
+    this.coinbaseBuilder = coinbaseOptions.builder;
+
+    /**
+     * Adds a job to validJobs, dropping the oldest job of the same block when the cap is exceeded.
+     * Shares for dropped jobs are stale.
+     * @param {BlockTemplate} job
+     * @private
+     */
+    function addValidJob(job){
+        _this.validJobs[job.jobId] = job;
+        jobHistory.push(job.jobId);
+        while (jobHistory.length > maxJobsPerHeight){
+            var droppedJobId = jobHistory.shift();
+            delete _this.validJobs[droppedJobId];
+            droppedJobs[droppedJobId] = true;
+            staleJobs[droppedJobId] = true;
+        }
+    }
+
+    /**
+     * Turns the jobs of the current block into stale jobs, for a new block.
+     * @private
+     */
+    function retireJobs(){
+        staleJobs = droppedJobs;
+        Object.keys(_this.validJobs).forEach(function(jobId){
+            staleJobs[jobId] = true;
+        });
+        droppedJobs = {};
+        _this.validJobs = {};
+        jobHistory = [];
+    }
+
+    /**
+     * Number of duplicate shares detected per worker name, for at most maxDuplicateShareWorkers names.
+     * @type {Object<string, number>}
+     */
+    this.duplicateShares = {};
+    var duplicateShareWorkers = 0;
+    var maxDuplicateShareWorkers = options.maxDuplicateShareWorkers || 1000;
+
+    /**
+     * Counts a duplicate share of a worker. Worker names are chosen by clients, so only a bounded number
+     * of them is tracked.
+     * @param {string} workerName
+     * @private
+     */
+    function countDuplicateShare(workerName){
+        if (!Object.prototype.hasOwnProperty.call(_this.duplicateShares, workerName)){
+            if (duplicateShareWorkers >= maxDuplicateShareWorkers){
+                for (var oldest in _this.duplicateShares){
+                    delete _this.duplicateShares[oldest];
+                    break;
+                }
+            }
+            else
+                duplicateShareWorkers++;
+            _this.duplicateShares[workerName] = 0;
+        }
+        _this.duplicateShares[workerName]++;
+    }
+
     var hashDigest = algos[options.coin.algorithm].hash(options.coin);
 
     var coinbaseHasher = (function(){
@@ -152,6 +267,59 @@ var JobManager = module.exports = function JobManager(options){
         }
     })();
 
+    /**
+     * Works out which version bits a worker may roll. Workers that negotiated version-rolling use
+     * their negotiated mask; others fall back to the pool mask unless enforcePoolVersionMask is set.
+     * Nothing may be rolled when the coin has ASICBoost disabled. For jobs of an upstream pool the
+     * result is further narrowed to the mask the upstream pool negotiated, and is 0 when it refused
+     * version rolling, since their shares are forwarded with the rolled version.
+     *
+     * @param {number} [negotiatedMask] - Mask agreed in mining.configure
+     * @param {BlockTemplate|UpstreamJob} job - Job the share was submitted for
+     * @returns {number} Unsigned 32-bit mask of rollable bits
+     * @private
+     */
+    function getAllowedVersionMask(negotiatedMask, job){
+        var mask;
+        if (options.coin.asicboost !== true)
+            return 0;
+        if (typeof negotiatedMask !== 'number')
+            mask = options.enforcePoolVersionMask ? 0 : poolVersionMask;
+        else if (options.enforcePoolVersionMask)
+            mask = negotiatedMask & poolVersionMask;
+        else
+            mask = negotiatedMask;
+        // Shares of upstream jobs are forwarded, so they may only roll the bits the upstream pool accepts
+        if (job.upstream)
+            mask &= upstreamVersionMask || 0;
+        return mask >>> 0;
+    }
+
+    /**
+     * Checks a serialized block candidate before it is submitted: the coinbase in the block must be the
+     * one the miner hashed (witness serialized for segwit templates), its merkle root must be the one in
+     * the header, and the header must meet the network target.
+     *
+     * @param {BlockTemplate} job - Job the share was submitted for
+     * @param {Buffer} blockBuffer - Serialized block
+     * @param {Buffer} coinbaseBuffer - Coinbase the miner hashed
+     * @returns {string|null} Reason the block is invalid, or null
+     * @private
+     */
+    function checkBlockCandidate(job, blockBuffer, coinbaseBuffer){
+        var header = blockBuffer.slice(0, 80);
+        var coinbaseOffset = 80 + util.varIntBuffer(job.rpcData.transactions.length + 1).length;
+        var expectedCoinbase = job.serializeBlockCoinbase(coinbaseBuffer);
+        var blockCoinbase = blockBuffer.slice(coinbaseOffset, coinbaseOffset + expectedCoinbase.length);
+        if (!blockCoinbase.equals(expectedCoinbase))
+            return 'coinbase in block differs from the hashed coinbase';
+        if (!header.slice(36, 68).equals(job.merkleTree.withFirst(coinbaseHasher(coinbaseBuffer))))
+            return 'merkle root in header does not commit to the coinbase';
+        if (!job.target.ge(bignum.fromBuffer(hashDigest(header), {endian: 'little', size: 32})))
+            return 'block header does not meet the network target';
+        return null;
+    }
+
     /**
      * Updates the current job with new RPC data without clearing valid jobs.
      * Used when updating an existing job with new transactions.
@@ -170,19 +338,67 @@ var JobManager = module.exports = function JobManager(options){
             _this.extraNoncePlaceholder,
             options.coin.reward,
             options.coin.txMessages,
-            options.recipients
+            options.recipients,
+            options.maxSubmitsPerJob,
+            coinbaseOptions
         );
 
         _this.currentJob = tmpBlockTemplate;
 
         _this.emit('updatedBlock', tmpBlockTemplate, true);
 
-        _this.validJobs[tmpBlockTemplate.jobId] = tmpBlockTemplate;
+        addValidJob(tmpBlockTemplate);
         
         return true;
 
     };
 
+    /**
+     * Replaces the fixed amount coinbase outputs, such as OP_RETURN data outputs, and updates the current
+     * job with them. The outputs are kept as they were if the current template cannot pay them.
+     *
+     * @method setExtraOutputs
+     * @param {Array<Object>} outputs - {script, amount} outputs, amounts in satoshis
+     * @throws {RangeError} If the outputs pay more than the current block reward
+     * @fires JobManager#updatedBlock
+     */
+    this.setExtraOutputs = function(outputs){
+        var previousOutputs = coinbaseOptions.extraOutputs;
+        coinbaseOptions.extraOutputs = outputs;
+        if (!_this.currentJob)
+            return;
+        try {
+            _this.updateCurrentJob(_this.currentJob.rpcData);
+        }
+        catch(e){
+            coinbaseOptions.extraOutputs = previousOutputs;
+            throw e;
+        }
+    };
+
+    /**
+     * Replaces the merge mined aux blocks the coinbase commits to and updates the current job with them.
+     * The previous aux blocks are kept if the commitment does not fit in the coinbase.
+     *
+     * @method setAuxBlocks
+     * @param {Array<Object>} auxBlocks - Current blocks of the aux chains, see AuxChain#block
+     * @throws {Error} If the chains cannot share a chain merkle tree or the scriptSig would exceed 100 bytes
+     * @fires JobManager#updatedBlock
+     */
+    this.setAuxBlocks = function(auxBlocks){
+        var previousMerkle = coinbaseOptions.auxMerkle;
+        coinbaseOptions.auxMerkle = auxBlocks.length > 0 ? auxPow.buildAuxMerkle(auxBlocks) : null;
+        if (!_this.currentJob)
+            return;
+        try {
+            _this.updateCurrentJob(_this.currentJob.rpcData);
+        }
+        catch(e){
+            coinbaseOptions.auxMerkle = previousMerkle;
+            throw e;
+        }
+    };
+
     /**
      * Processes a new block template from the daemon.
      * Determines if this is actually a new block and creates a new job if so.
@@ -222,7 +438,9 @@ var JobManager = module.exports = function JobManager(options){
             _this.extraNoncePlaceholder,
             options.coin.reward,
             options.coin.txMessages,
-            options.recipients
+            options.recipients,
+            options.maxSubmitsPerJob,
+            coinbaseOptions
         );
 
         // Debug logging after blockTemplate creation
@@ -230,15 +448,89 @@ var JobManager = module.exports = function JobManager(options){
 
         this.currentJob = tmpBlockTemplate;
 
-        this.validJobs = {};
+        // Shares for jobs of the previous block are reported as stale rather than unknown
+        retireJobs();
         _this.emit('newBlock', tmpBlockTemplate);
 
-        this.validJobs[tmpBlockTemplate.jobId] = tmpBlockTemplate;
+        addValidJob(tmpBlockTemplate);
 
         return true;
 
     };
 
+    /**
+     * Sets the extranonce the upstream pool gave a proxying pool. Local miners share its extranonce2: the
+     * first bytes are their extranonce1, the rest their extranonce2. Jobs of a previous extranonce1 are stale.
+     *
+     * @method setUpstreamExtraNonce
+     * @param {string} extraNonce1 - Upstream extranonce1 (hex)
+     * @param {number} extraNonce2Size - Size of the upstream extranonce2 in bytes
+     * @returns {boolean} Whether the extranonce2 size of local miners changed
+     * @throws {Error} If the upstream extranonce2 leaves local miners less than 2 bytes of extranonce2
+     */
+    this.setUpstreamExtraNonce = function(extraNonce1, extraNonce2Size){
+        var localSize = extraNonce2Size - _this.extraNonceCounter.size;
+        if (!(localSize >= MIN_PROXY_EXTRANONCE2_SIZE))
+            throw new Error('Upstream extranonce2 of ' + extraNonce2Size + ' bytes is too small to share, at least ' +
+                (_this.extraNonceCounter.size + MIN_PROXY_EXTRANONCE2_SIZE) + ' bytes are needed');
+        if (upstreamExtraNonce1 !== null && upstreamExtraNonce1 !== extraNonce1)
+            retireJobs();
+        upstreamExtraNonce1 = extraNonce1;
+        var changed = localSize !== _this.extraNonce2Size;
+        _this.extraNonce2Size = localSize;
+        return changed;
+    };
+
+    /**
+     * Sets the share difficulty of the upstream pool; shares meeting it are forwarded.
+     *
+     * @method setUpstreamDifficulty
+     * @param {number} difficulty - Difficulty of mining.set_difficulty
+     */
+    this.setUpstreamDifficulty = function(difficulty){
+        upstreamDifficulty = difficulty;
+    };
+
+    /**
+     * Sets the version-rolling mask the upstream pool negotiated; shares of upstream jobs rolling other
+     * bits are rejected.
+     *
+     * @method setUpstreamVersionMask
+     * @param {number|null} versionMask - Negotiated mask, null if the upstream pool refused version rolling
+     */
+    this.setUpstreamVersionMask = function(versionMask){
+        upstreamVersionMask = versionMask;
+    };
+
+    /**
+     * Creates a job from a job of the upstream pool. Upstream jobs with clean_jobs set or another previous
+     * block start a new block.
+     *
+     * @method processUpstreamJob
+     * @param {Array} params - mining.notify params of the upstream pool
+     * @returns {boolean} True if the job started a new block
+     * @fires JobManager#newBlock
+     * @fires JobManager#updatedBlock
+     */
+    this.processUpstreamJob = function(params){
+        if (upstreamExtraNonce1 === null)
+            throw new Error('Upstream job received before the upstream extranonce');
+
+        var job = new upstreamJob(jobCounter.next(), params, upstreamExtraNonce1, options.maxSubmitsPerJob);
+        var isNewBlock = typeof(_this.currentJob) === 'undefined' || params[8] === true ||
+            _this.currentJob.prevHashReversed !== job.prevHashReversed;
+
+        _this.currentJob = job;
+        if (isNewBlock){
+            retireJobs();
+            _this.emit('newBlock', job);
+        }
+        else
+            _this.emit('updatedBlock', job, true);
+        addValidJob(job);
+        return isNewBlock;
+    };
+
     /**
      * Processes a share submission from a miner.
      * Validates the share and checks if it meets block or share difficulty requirements.
@@ -254,20 +546,25 @@ var JobManager = module.exports = function JobManager(options){
      * @param {string} ipAddress - Worker's IP address
      * @param {number} port - Port the worker connected to
      * @param {string} workerName - Worker identifier (username.workername)
+     * @param {string} [version] - Rolled block version (hex) submitted as the sixth mining.submit param
+     * @param {number} [versionMask] - Version-rolling mask negotiated with the worker via mining.configure
+     * @param {Object} [coinbase] - Coinbase variant the worker mines on ({payoutScript, signature, worker}),
+     *        see BlockTemplate#getGenerationTransaction
      * @returns {Object} Result object with error or success
      * @returns {Array} [result.error] - Error array [code, message] if share is invalid
      * @returns {boolean} [result.result] - True if share is valid
      * @returns {string} [result.blockHash] - Block hash if block was found
      * @fires JobManager#share
      */
-    this.processShare = function(jobId, previousDifficulty, difficulty, extraNonce1, extraNonce2, nTime, nonce, ipAddress, port, workerName){
-        var shareError = function(error){
+    this.processShare = function(jobId, previousDifficulty, difficulty, extraNonce1, extraNonce2, nTime, nonce, ipAddress, port, workerName, version, versionMask, coinbase){
+        var shareError = function(error, stale){
             _this.emit('share', {
                 job: jobId,
                 ip: ipAddress,
                 worker: workerName,
                 difficulty: difficulty,
-                error: error[1]
+                error: error[1],
+                stale: !!stale
             });
             return {error: error, result: null};
         };
@@ -280,6 +577,8 @@ var JobManager = module.exports = function JobManager(options){
         var job = this.validJobs[jobId];
 
         if (typeof job === 'undefined' || job.jobId != jobId ) {
+            if (staleJobs[jobId])
+                return shareError([21, 'stale share'], true);
             return shareError([21, 'job not found']);
         }
 
@@ -296,18 +595,39 @@ var JobManager = module.exports = function JobManager(options){
             return shareError([20, 'incorrect size of nonce']);
         }
         
-        // Use job's default version - no ASICBoost version rolling
-        var versionInt = job.rpcData.version;
+        // Miners that don't roll (or send 0x0) hash with the job's version
+        var versionInt = job.rpcData.version >>> 0;
+        var versionRolled = false;
+        if (version) {
+            if (typeof version !== 'string' || !/^[0-9a-fA-F]{8}$/.test(version)) {
+                return shareError([20, 'incorrect size of version']);
+            }
+            var submittedVersion = parseInt(version, 16) >>> 0;
+            if (submittedVersion !== 0 && submittedVersion !== versionInt) {
+                var allowedMask = getAllowedVersionMask(versionMask, job);
+                if (((submittedVersion ^ versionInt) & ~allowedMask) !== 0) {
+                    return shareError([20, 'version rolling outside allowed mask']);
+                }
+                versionInt = submittedVersion;
+                versionRolled = true;
+            }
+        }
 
-        if (!job.registerSubmit(extraNonce1, extraNonce2, nTime, nonce)) {
+        var submitVersion = versionRolled ? versionInt : undefined;
+        if (job.hasSubmit(extraNonce1, extraNonce2, nTime, nonce, submitVersion, coinbase)) {
+            countDuplicateShare(workerName);
             return shareError([22, 'duplicate share']);
         }
+        // Accepted shares are never forgotten, so a full job refuses new ones rather than allowing replays
+        if (job.isSubmitLimitReached()) {
+            return shareError([21, 'job submission limit reached']);
+        }
 
 
         var extraNonce1Buffer = Buffer.from(extraNonce1, 'hex');
         var extraNonce2Buffer = Buffer.from(extraNonce2, 'hex');
 
-        var coinbaseBuffer = job.serializeCoinbase(extraNonce1Buffer, extraNonce2Buffer);
+        var coinbaseBuffer = job.serializeCoinbase(extraNonce1Buffer, extraNonce2Buffer, coinbase);
         var coinbaseHash = coinbaseHasher(coinbaseBuffer);
 
         var merkleRoot = util.reverseBuffer(job.merkleTree.withFirst(coinbaseHash)).toString('hex');
@@ -344,7 +664,7 @@ var JobManager = module.exports = function JobManager(options){
             console.log('  extraNonce2:', extraNonce2);
             console.log('  nTime:', nTime, '(int:', nTimeInt, ')');
             console.log('  nonce:', nonce);
-            console.log('  version: 0x' + versionInt.toString(16) + ' (job default)');
+            console.log('  version: 0x' + versionInt.toString(16) + (versionRolled ? ' (rolled)' : ' (job default)'));
             console.log('  headerBuffer:', headerBuffer.toString('hex'));
             console.log('  headerHash:', headerHash.toString('hex'));
             console.log('  Coinbase TX:', coinbaseBuffer.slice(0, 100).toString('hex'), '...');
@@ -384,45 +704,32 @@ var JobManager = module.exports = function JobManager(options){
 
         var blockDiffAdjusted = job.difficulty * shareMultiplier;
 
-        //Check if share is a block candidate (matched network difficulty)
-        if (job.target.ge(headerBigNum)){
-            // Extract username from workerName (before the dot)
-            var username = workerName.split('.')[0];
-            
-            // Recreate coinbase with miner's name
-            var customCoinbase = transactions.CreateGeneration(
-                job.rpcData,
-                options.poolAddressScript,
-                extraNoncePlaceholder,
-                options.coin.reward,
-                options.coin.txMessages,
-                options.recipients,
-                username  // Pass the username
-            );
-            
-            // Serialize the coinbase with the custom signature
-            var customCoinbaseBuffer = Buffer.concat([
-                customCoinbase[0],
-                extraNonce1Buffer,
-                extraNonce2Buffer,
-                customCoinbase[1]
-            ]);
-            
-            // Need to recalculate merkle root with new coinbase
-            var coinbaseHash = util.sha256d(customCoinbaseBuffer);
-            var merkleRoot = job.merkleTree.withFirst(coinbaseHash).toString('hex');
-            
-            // Recreate header with new merkle root
-            headerBuffer = job.serializeHeader(merkleRoot, nTime, nonce, versionInt);
-            headerHash = hashDigest(headerBuffer);
-            
-            blockHex = job.serializeBlock(headerBuffer, customCoinbaseBuffer).toString('hex');
+        //Check if share is a block candidate (matched network difficulty); the upstream pool submits blocks of its jobs
+        if (!job.upstream && job.target.ge(headerBigNum)){
+            // The block is built from the very coinbase and header the miner hashed
+            var blockBuffer = job.serializeBlock(headerBuffer, coinbaseBuffer);
             if (options.coin.algorithm === 'blake' || options.coin.algorithm === 'neoscrypt') {                
                 blockHash = util.reverseBuffer(util.sha256d(headerBuffer)).toString('hex');
             }
             else {
             	blockHash = blockHasher(headerBuffer).toString('hex');
             }
+
+            var candidateError = checkBlockCandidate(job, blockBuffer, coinbaseBuffer);
+            if (candidateError){
+                _this.emit('blockCandidateInvalid', {
+                    job: jobId,
+                    ip: ipAddress,
+                    worker: workerName,
+                    height: job.rpcData.height,
+                    blockHash: blockHash,
+                    reason: candidateError
+                });
+                blockHash = undefined;
+            }
+            else {
+                blockHex = blockBuffer.toString('hex');
+            }
         }
         else {
             if (options.emitInvalidBlockHashes)
@@ -451,6 +758,36 @@ var JobManager = module.exports = function JobManager(options){
             }
         }
 
+        // Only shares that met their target are remembered, so cheap low difficulty submits cannot fill the job
+        job.registerSubmit(extraNonce1, extraNonce2, nTime, nonce, submitVersion, coinbase);
+
+
+        // Every aux chain has its own target; the proof is the parent header plus the paths to the aux block
+        var aux = job.auxMerkle ? job.auxMerkle.blocks.map(function(auxBlock){
+            var solved = auxBlock.target.ge(headerBigNum);
+            return {
+                chain: auxBlock.chain,
+                hash: auxBlock.hash,
+                height: auxBlock.height,
+                reward: auxBlock.reward,
+                auxPow: solved ? auxPow.serializeAuxPow({
+                    coinbase: coinbaseBuffer,
+                    parentHash: util.sha256d(headerBuffer),
+                    coinbaseBranch: job.merkleTree.steps,
+                    chainBranch: auxBlock.branch,
+                    chainIndex: auxBlock.index,
+                    header: headerBuffer
+                }).toString('hex') : undefined
+            };
+        }) : undefined;
+
+        var upstream = job.upstream && upstreamDifficulty !== null && shareDiff >= upstreamDifficulty ? {
+            jobId: job.upstreamJobId,
+            extraNonce2: extraNonce1 + extraNonce2,
+            nTime: nTime,
+            nonce: nonce,
+            version: versionRolled ? util.packUInt32BE(versionInt).toString('hex') : undefined
+        } : undefined;
 
         _this.emit('share', {
             job: jobId,
@@ -464,7 +801,10 @@ var JobManager = module.exports = function JobManager(options){
             blockDiff : blockDiffAdjusted,
             blockDiffActual: job.difficulty,
             blockHash: blockHash,
-            blockHashInvalid: blockHashInvalid
+            blockHashInvalid: blockHashInvalid,
+            version: versionRolled ? versionInt : undefined,
+            aux: aux,
+            upstream: upstream
         }, blockHex);
 
         return {result: true, error: null, blockHash: blockHash};
@@ -72,4 +72,20 @@ MerkleTree.prototype = {
         });
         return f;
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Creates a tree from a merkle branch as mining.notify carries it, for jobs of an upstream pool where only
+ * the branch of the coinbase is known.
+ *
+ * @function fromBranch
+ * @param {Array<string>} branch - Hex encoded merkle branch of the coinbase
+ * @returns {MerkleTree} Tree whose steps are the branch
+ */
+MerkleTree.fromBranch = function(branch){
+    var tree = new MerkleTree([]);
+    tree.steps = branch.map(function(step){
+        return Buffer.from(step, 'hex');
+    });
+    return tree;
+};
@@ -0,0 +1,588 @@
+/**
+ * @module mockDaemon
+ * @description In-process JSON-RPC daemon with a fake chain, for running full pool flows in tests without
+ * bitcoind. It answers the calls the pool makes to start, poll templates (including long polling), submit
+ * blocks and track them, checks the proof of work, merkle root, height and reward of submitted blocks and
+ * can advance its chain on demand as if another miner found blocks.
+ */
+
+var http = require('http');
+var events = require('events');
+
+var util = require('./util.js');
+
+var DIFF1 = BigInt('0x00000000ffff0000000000000000000000000000000000000000000000000000');
+
+// bitcoind's answer to submitblock without params, which the pool's submit method detection relies on
+var SUBMITBLOCK_HELP = 'submitblock "hexdata" ( "dummy" )\n\nAttempts to submit new block to network.';
+
+
+/**
+ * A mock daemon listening for JSON-RPC over HTTP.
+ *
+ * @class MockDaemon
+ * @extends {EventEmitter}
+ * @param {Object} [daemonOptions]
+ * @param {string} [daemonOptions.host='127.0.0.1'] - Host to listen on
+ * @param {number} [daemonOptions.port=0] - Port to listen on, 0 picks a free one
+ * @param {string} [daemonOptions.user] - RPC user; requests without these credentials are refused with 401
+ * @param {string} [daemonOptions.password] - RPC password
+ * @param {string} [daemonOptions.chain='main'] - Chain name of getblockchaininfo; addresses are checked against
+ *        testnet for 'test', regtest for 'regtest' and mainnet otherwise, as the pool does
+ * @param {string} [daemonOptions.bits='207fffff'] - Compact target of every block, regtest's by default
+ * @param {number} [daemonOptions.height=0] - Height of the initial tip
+ * @param {number} [daemonOptions.coinbaseValue=5000000000] - Block reward in satoshis, without fees
+ * @param {number} [daemonOptions.version=0x20000000] - Block version of the templates
+ *
+ * @fires MockDaemon#block - With (block, source) for each new tip; source is 'submitblock' or 'advance'
+ * @fires MockDaemon#blockRejected - With (reason, blockHex) when a submitted block is invalid
+ * @fires MockDaemon#request - With (method, params) for each RPC call
+ */
+var MockDaemon = module.exports = function MockDaemon(daemonOptions){
+
+    daemonOptions = daemonOptions || {};
+
+    var _this = this;
+    var server = null;
+    var connections = new Set();
+    var blocks = new Map();
+    var mainChain = [];
+    var mempool = [];
+    var mempoolUpdates = 0;
+    var longPolls = [];
+
+    var bits = daemonOptions.bits || '207fffff';
+    var target = util.bignumFromBitsHex(bits).value;
+    var difficulty = Number(DIFF1 * BigInt(1e18) / target) / 1e18;
+    var network = daemonOptions.chain === 'test' ? util.networks.testnet :
+        daemonOptions.chain === 'regtest' ? util.networks.regtest : util.networks.mainnet;
+    var coinbaseValue = daemonOptions.coinbaseValue || 5000000000;
+    var version = daemonOptions.version || 0x20000000;
+
+    this.host = daemonOptions.host || '127.0.0.1';
+    this.port = daemonOptions.port || 0;
+
+    // Block at the tip of the chain: {hash, height, previousblockhash, time, bits, merkleroot, tx}
+    this.tip = null;
+
+
+    function addBlock(block, source){
+        blocks.set(block.hash, block);
+        mainChain[block.height] = block.hash;
+        _this.tip = block;
+        var included = new Set(block.tx);
+        mempool = mempool.filter(function(tx){
+            return !included.has(tx.txid);
+        });
+        answerLongPolls();
+        if (source)
+            _this.emit('block', block, source);
+    }
+
+    function longPollId(){
+        return _this.tip.hash + mempoolUpdates;
+    }
+
+    function answerLongPolls(){
+        var waiting = longPolls;
+        longPolls = [];
+        waiting.forEach(function(respond){
+            respond(null, blockTemplate());
+        });
+    }
+
+    function blockTemplate(){
+        var now = Date.now() / 1000 | 0;
+        return {
+            version: version,
+            rules: [],
+            previousblockhash: _this.tip.hash,
+            transactions: mempool.map(function(tx){
+                return {data: tx.data, txid: tx.txid, hash: tx.hash, depends: [], fee: tx.fee, weight: tx.data.length * 2};
+            }),
+            coinbaseaux: {flags: ''},
+            coinbasevalue: coinbaseValue + mempool.reduce(function(fees, tx){
+                return fees + tx.fee;
+            }, 0),
+            longpollid: longPollId(),
+            target: target.toString(16).padStart(64, '0'),
+            mintime: _this.tip.time + 1,
+            mutable: ['time', 'transactions', 'prevblock'],
+            noncerange: '00000000ffffffff',
+            sizelimit: 4000000,
+            curtime: Math.max(now, _this.tip.time + 1),
+            bits: bits,
+            height: _this.tip.height + 1
+        };
+    }
+
+    function confirmations(block){
+        return mainChain[block.height] === block.hash ? _this.tip.height - block.height + 1 : -1;
+    }
+
+    function blockHeader(block){
+        return {
+            hash: block.hash,
+            confirmations: confirmations(block),
+            height: block.height,
+            version: block.version,
+            merkleroot: block.merkleroot,
+            time: block.time,
+            bits: block.bits,
+            difficulty: difficulty,
+            previousblockhash: block.previousblockhash,
+            nextblockhash: mainChain[block.height + 1]
+        };
+    }
+
+    // Checks a submitted block and makes it the tip, returning the reason when it was not
+    function submitBlock(blockHex){
+        var reason = acceptBlock(blockHex);
+        if (reason && reason !== 'inconclusive')
+            _this.emit('blockRejected', reason, blockHex);
+        return reason;
+    }
+
+    function acceptBlock(blockHex){
+        var parsed;
+        try {
+            parsed = parseBlock(Buffer.from(blockHex, 'hex'));
+        }
+        catch(e){
+            return 'Block decode failed';
+        }
+
+        if (blocks.has(parsed.hash))
+            return 'duplicate';
+        if (BigInt('0x' + parsed.hash) > target)
+            return 'high-hash';
+        if (parsed.bits !== bits)
+            return 'bad-diffbits';
+        if (parsed.merkleRoot !== merkleRoot(parsed.transactions))
+            return 'bad-txnmrklroot';
+        if (!blocks.has(parsed.previousblockhash))
+            return 'prev-blk-not-found';
+
+        var height = blocks.get(parsed.previousblockhash).height + 1;
+        if (coinbaseHeight(parsed.transactions[0].scriptSig) !== height)
+            return 'bad-cb-height';
+
+        var fees = 0;
+        for (var i = 1; i < parsed.transactions.length; i++){
+            var tx = mempool.find(function(entry){
+                return entry.txid === parsed.transactions[i].txid;
+            });
+            if (!tx)
+                return 'bad-txns-inputs-missingorspent';
+            fees += tx.fee;
+        }
+        if (parsed.transactions[0].value > coinbaseValue + fees)
+            return 'bad-cb-amount';
+
+        var block = {
+            hash: parsed.hash,
+            height: height,
+            version: parsed.version,
+            previousblockhash: parsed.previousblockhash,
+            merkleroot: parsed.merkleRoot,
+            time: parsed.time,
+            bits: parsed.bits,
+            tx: parsed.transactions.map(function(tx){
+                return tx.txid;
+            })
+        };
+        // A block on an older block is kept as a side chain, like bitcoind does
+        if (parsed.previousblockhash !== _this.tip.hash){
+            blocks.set(block.hash, block);
+            return 'inconclusive';
+        }
+        addBlock(block, 'submitblock');
+        return null;
+    }
+
+    function rpcError(code, message){
+        return {code: code, message: message};
+    }
+
+    // Answers one call with (error, result), long polls once the template changes
+    function handleCall(method, params, respond){
+        _this.emit('request', method, params);
+        var block;
+        switch (method){
+            case 'getpeerinfo':
+                return respond(null, []);
+            case 'validateaddress':
+                try {
+                    var script = util.addressToScript(params[0], network);
+                    return respond(null, {isvalid: true, address: params[0], scriptPubKey: script.toString('hex')});
+                }
+                catch(e){
+                    return respond(null, {isvalid: false});
+                }
+            case 'getdifficulty':
+                return respond(null, difficulty);
+            case 'getmininginfo':
+                return respond(null, {
+                    blocks: _this.tip.height,
+                    difficulty: difficulty,
+                    networkhashps: difficulty * Math.pow(2, 32) / 600,
+                    chain: daemonOptions.chain || 'main'
+                });
+            case 'getblockchaininfo':
+                return respond(null, {
+                    chain: daemonOptions.chain || 'main',
+                    blocks: _this.tip.height,
+                    headers: _this.tip.height,
+                    bestblockhash: _this.tip.hash,
+                    difficulty: difficulty,
+                    mediantime: _this.tip.time,
+                    initialblockdownload: false
+                });
+            case 'getnetworkinfo':
+                return respond(null, {version: 270000, subversion: '/MockDaemon/', protocolversion: 70016, connections: 0});
+            case 'getblocktemplate':
+                var request = params[0] || {};
+                if (request.mode === 'submit')
+                    return respond(null, submitBlock(request.data));
+                if (request.longpollid && request.longpollid === longPollId())
+                    return longPolls.push(respond);
+                return respond(null, blockTemplate());
+            case 'submitblock':
+                if (typeof params[0] !== 'string')
+                    return respond(rpcError(-1, SUBMITBLOCK_HELP));
+                return respond(null, submitBlock(params[0]));
+            case 'getblock':
+            case 'getblockheader':
+                block = blocks.get(params[0]);
+                if (!block)
+                    return respond(rpcError(-5, 'Block not found'));
+                return respond(null, method === 'getblock' ? Object.assign(blockHeader(block), {tx: block.tx}) : blockHeader(block));
+            case 'getbestblockhash':
+                return respond(null, _this.tip.hash);
+            case 'getblockcount':
+                return respond(null, _this.tip.height);
+            case 'getblockhash':
+                if (!mainChain[params[0]])
+                    return respond(rpcError(-8, 'Block height out of range'));
+                return respond(null, mainChain[params[0]]);
+            default:
+                return respond(rpcError(-32601, 'Method not found'));
+        }
+    }
+
+    function handleRequest(req, res){
+        var body = '';
+        req.setEncoding('utf8');
+        req.on('data', function(chunk){
+            body += chunk;
+        }).on('end', function(){
+            if (daemonOptions.user !== undefined){
+                var credentials = Buffer.from(daemonOptions.user + ':' + daemonOptions.password).toString('base64');
+                if (req.headers.authorization !== 'Basic ' + credentials){
+                    res.statusCode = 401;
+                    return res.end();
+                }
+            }
+
+            var request;
+            try {
+                request = JSON.parse(body);
+            }
+            catch(e){
+                res.statusCode = 500;
+                return res.end(JSON.stringify({result: null, error: rpcError(-32700, 'Parse error'), id: null}));
+            }
+
+            var calls = Array.isArray(request) ? request : [request];
+            var answers = new Array(calls.length);
+            var pending = calls.length;
+            calls.forEach(function(call, i){
+                handleCall(call.method, call.params || [], function(error, result){
+                    answers[i] = {result: error ? null : result, error: error || null, id: call.id};
+                    if (--pending > 0)
+                        return;
+                    res.setHeader('Content-Type', 'application/json');
+                    res.end(JSON.stringify(Array.isArray(request) ? answers : answers[0]));
+                });
+            });
+        });
+    }
+
+
+    /**
+     * Starts listening.
+     *
+     * @method start
+     * @returns {Promise<MockDaemon>} Resolves once listening, with port set to the port listened on
+     */
+    this.start = function(){
+        return new Promise(function(resolve, reject){
+            server = http.createServer(handleRequest);
+            server.on('connection', function(socket){
+                connections.add(socket);
+                socket.on('close', function(){
+                    connections.delete(socket);
+                });
+            });
+            server.once('error', reject);
+            server.listen(_this.port, _this.host, function(){
+                _this.port = server.address().port;
+                resolve(_this);
+            });
+        });
+    };
+
+    /**
+     * Stops listening and drops open connections, including pending long polls.
+     *
+     * @method stop
+     * @returns {Promise} Resolves once the server closed
+     */
+    this.stop = function(){
+        return new Promise(function(resolve){
+            longPolls = [];
+            if (!server)
+                return resolve();
+            server.close(function(){
+                resolve();
+            });
+            connections.forEach(function(socket){
+                socket.destroy();
+            });
+            server = null;
+        });
+    };
+
+    /**
+     * Gets the daemon entry of pool options.daemons to connect to this daemon.
+     *
+     * @method getDaemonConfig
+     * @returns {Object} {host, port, user, password}
+     */
+    this.getDaemonConfig = function(){
+        return {host: _this.host, port: _this.port, user: daemonOptions.user || 'user', password: daemonOptions.password || 'password'};
+    };
+
+    /**
+     * Gets a block of the chain, including side chain blocks.
+     *
+     * @method getBlock
+     * @param {string} hash - Block hash
+     * @returns {Object|undefined} {hash, height, previousblockhash, time, bits, merkleroot, tx}
+     */
+    this.getBlock = function(hash){
+        return blocks.get(hash);
+    };
+
+    /**
+     * Adds a transaction to the mempool, to be included in the next templates.
+     *
+     * @method addTransaction
+     * @param {string} data - Serialized transaction (hex); its inputs are not checked
+     * @param {number} [fee=0] - Fee in satoshis, added to the coinbase value
+     * @returns {string} Transaction ID
+     */
+    this.addTransaction = function(data, fee){
+        var parsed = parseTransaction({buffer: Buffer.from(data, 'hex'), offset: 0});
+        mempool.push({data: data, txid: parsed.txid, hash: parsed.hash, fee: fee || 0});
+        mempoolUpdates++;
+        answerLongPolls();
+        return parsed.txid;
+    };
+
+    /**
+     * Extends the chain with blocks of another miner, leaving the mempool alone.
+     *
+     * @method advance
+     * @param {number} [count=1] - Number of blocks
+     * @returns {Array<string>} Hashes of the new blocks
+     */
+    this.advance = function(count){
+        var hashes = [];
+        for (var i = 0; i < (count || 1); i++){
+            var coinbaseId = util.sha256d(Buffer.from('mock coinbase ' + (_this.tip.height + 1))).toString('hex');
+            var hash = util.sha256d(Buffer.from(_this.tip.hash + coinbaseId, 'hex')).toString('hex');
+            addBlock({
+                hash: hash,
+                height: _this.tip.height + 1,
+                version: version,
+                previousblockhash: _this.tip.hash,
+                merkleroot: coinbaseId,
+                time: Math.max(Date.now() / 1000 | 0, _this.tip.time + 1),
+                bits: bits,
+                tx: [coinbaseId]
+            }, 'advance');
+            hashes.push(hash);
+        }
+        return hashes;
+    };
+
+
+    addBlock({
+        hash: util.sha256d(Buffer.from('mock daemon ' + (daemonOptions.height || 0))).toString('hex'),
+        height: daemonOptions.height || 0,
+        version: version,
+        previousblockhash: '00'.repeat(32),
+        merkleroot: '00'.repeat(32),
+        time: (Date.now() / 1000 | 0) - 600,
+        bits: bits,
+        tx: []
+    });
+};
+MockDaemon.prototype.__proto__ = events.EventEmitter.prototype;
+
+
+/**
+ * Reads a Bitcoin varint and moves the cursor past it.
+ *
+ * @function readVarInt
+ * @param {Object} cursor - {buffer, offset}
+ * @returns {number} Value
+ * @private
+ */
+function readVarInt(cursor){
+    var first = cursor.buffer[cursor.offset];
+    var value;
+    if (first < 0xfd){
+        cursor.offset += 1;
+        return first;
+    }
+    if (first === 0xfd)
+        value = cursor.buffer.readUInt16LE(cursor.offset + 1);
+    else if (first === 0xfe)
+        value = cursor.buffer.readUInt32LE(cursor.offset + 1);
+    else
+        value = Number(cursor.buffer.readBigUInt64LE(cursor.offset + 1));
+    cursor.offset += first === 0xfd ? 3 : first === 0xfe ? 5 : 9;
+    return value;
+}
+
+/**
+ * Parses a transaction, with or without witness data, and moves the cursor past it.
+ *
+ * @function parseTransaction
+ * @param {Object} cursor - {buffer, offset} at the start of the transaction
+ * @returns {Object} {txid, hash, scriptSig of the first input, value of all outputs}
+ * @private
+ */
+function parseTransaction(cursor){
+    var buffer = cursor.buffer;
+    var start = cursor.offset;
+    var witness = buffer[start + 4] === 0 && buffer[start + 5] === 1;
+    cursor.offset += witness ? 6 : 4;
+    var inputsStart = cursor.offset;
+
+    var scriptSig = null;
+    var value = 0;
+    var inputs = readVarInt(cursor);
+    for (var i = 0; i < inputs; i++){
+        cursor.offset += 36;
+        var scriptLength = readVarInt(cursor);
+        if (i === 0)
+            scriptSig = buffer.slice(cursor.offset, cursor.offset + scriptLength);
+        cursor.offset += scriptLength + 4;
+    }
+    var outputs = readVarInt(cursor);
+    for (var o = 0; o < outputs; o++){
+        value += Number(buffer.readBigUInt64LE(cursor.offset));
+        cursor.offset += 8;
+        var outputScriptLength = readVarInt(cursor);
+        cursor.offset += outputScriptLength;
+    }
+    var outputsEnd = cursor.offset;
+    if (witness){
+        for (var w = 0; w < inputs; w++){
+            var items = readVarInt(cursor);
+            for (var j = 0; j < items; j++){
+                var itemLength = readVarInt(cursor);
+                cursor.offset += itemLength;
+            }
+        }
+    }
+    cursor.offset += 4;
+    if (cursor.offset > buffer.length)
+        throw new Error('Transaction truncated');
+
+    var serialized = buffer.slice(start, cursor.offset);
+    var stripped = witness ? Buffer.concat([
+        buffer.slice(start, start + 4),
+        buffer.slice(inputsStart, outputsEnd),
+        buffer.slice(cursor.offset - 4, cursor.offset)
+    ]) : serialized;
+    return {
+        txid: util.reverseBuffer(util.sha256d(stripped)).toString('hex'),
+        hash: util.reverseBuffer(util.sha256d(serialized)).toString('hex'),
+        scriptSig: scriptSig,
+        value: value
+    };
+}
+
+/**
+ * Parses a serialized block.
+ *
+ * @function parseBlock
+ * @param {Buffer} buffer - Serialized block
+ * @returns {Object} {hash, version, previousblockhash, merkleRoot, time, bits, transactions}
+ * @private
+ */
+function parseBlock(buffer){
+    if (buffer.length < 81)
+        throw new Error('Block truncated');
+    var header = buffer.slice(0, 80);
+    var cursor = {buffer: buffer, offset: 80};
+    var count = readVarInt(cursor);
+    var transactions = [];
+    for (var i = 0; i < count; i++)
+        transactions.push(parseTransaction(cursor));
+    if (count === 0 || cursor.offset !== buffer.length)
+        throw new Error('Unexpected block size');
+    return {
+        hash: util.reverseBuffer(util.sha256d(header)).toString('hex'),
+        version: header.readUInt32LE(0),
+        previousblockhash: util.reverseBuffer(header.slice(4, 36)).toString('hex'),
+        merkleRoot: util.reverseBuffer(header.slice(36, 68)).toString('hex'),
+        time: header.readUInt32LE(68),
+        bits: util.reverseBuffer(header.slice(72, 76)).toString('hex'),
+        transactions: transactions
+    };
+}
+
+/**
+ * Computes the merkle root of a block's transactions.
+ *
+ * @function merkleRoot
+ * @param {Array<Object>} transactions - Parsed transactions with txid
+ * @returns {string} Merkle root in RPC byte order (hex)
+ * @private
+ */
+function merkleRoot(transactions){
+    var level = transactions.map(function(tx){
+        return util.reverseBuffer(Buffer.from(tx.txid, 'hex'));
+    });
+    while (level.length > 1){
+        if (level.length % 2)
+            level.push(level[level.length - 1]);
+        var next = [];
+        for (var i = 0; i < level.length; i += 2)
+            next.push(util.sha256d(Buffer.concat([level[i], level[i + 1]])));
+        level = next;
+    }
+    return util.reverseBuffer(level[0]).toString('hex');
+}
+
+/**
+ * Reads the BIP34 height at the start of a coinbase scriptSig.
+ *
+ * @function coinbaseHeight
+ * @param {Buffer} scriptSig - Coinbase scriptSig
+ * @returns {number|null} Height, or null if the scriptSig does not start with one
+ * @private
+ */
+function coinbaseHeight(scriptSig){
+    var push = scriptSig[0];
+    if (push >= 0x51 && push <= 0x60)
+        return push - 0x50;
+    if (push >= 1 && push <= 8 && scriptSig.length > push)
+        return Number(BigInt('0x' + util.reverseBuffer(scriptSig.slice(1, 1 + push)).toString('hex')));
+    return null;
+}
@@ -0,0 +1,273 @@
+/**
+ * @module multiCoinPool
+ * @description Runs the pools of several SHA-256 coins behind the same stratum ports and points every miner
+ * at the coin a profitability function picks, without the miners reconnecting.
+ */
+
+var events = require('events');
+
+var pool = require('./pool.js');
+var stratum = require('./stratum.js');
+
+var DEFAULT_SWITCH_INTERVAL = 60000;
+var DEFAULT_PROFITABILITY_TIMEOUT = 30000;
+// Extranonce1 values start with the pool instanceId, which keeps them distinct for up to 15 instances
+var MAX_COINS = 15;
+
+
+/**
+ * Coordinates one Pool per coin on a shared stratum server. Miners are served by the active coin's pool;
+ * switching coins moves them to another pool with a new job (and a new extranonce1 for miners that sent
+ * mining.extranonce.subscribe), so they keep their connection.
+ *
+ * @class MultiCoinPool
+ * @extends {EventEmitter}
+ * @param {Object} options - Options shared by all coins, as for Pool: ports, banning, connectionTimeout,
+ *   jobRebroadcastTimeout, varDiff, ...
+ * @param {Array<Object>} options.coins - Pool options of each coin ({coin, address, daemons, ...}), applied over
+ *   the shared options; a coin is named by its `name`, or else its coin.symbol. Coins are mined in pool mode.
+ * @param {Function} [options.profitability] - Picks the coin to mine, called as (coins, callback) with the coins'
+ *   current jobs {name, symbol, height, reward, difficulty, active, pool}; callback(error, name). Without it
+ *   the first coin is mined until switchCoin is called.
+ * @param {number} [options.switchInterval=60000] - Interval of asking profitability for the coin to mine (ms)
+ * @param {number} [options.profitabilityTimeout=30000] - Time profitability has to call back before the check is
+ *   given up and the next interval asks again (ms)
+ * @param {Function} authorizeFn - Function to authorize workers, as for Pool
+ *
+ * @fires MultiCoinPool#started - When every coin's pool started and the ports are listening
+ * @fires MultiCoinPool#coinSwitched - With {from, to, miners} when the miners moved to another coin
+ * @fires MultiCoinPool#log - With (severity, text); the logs of each coin's pool are prefixed with its name
+ * @fires MultiCoinPool#stopped - When the pools and the stratum server have been shut down by stop()
+ */
+var MultiCoinPool = module.exports = function MultiCoinPool(options, authorizeFn){
+
+    var _this = this;
+    var ready = false;
+    var checking = false;
+    var switchIntervalId;
+    var checkTimeout;
+    var startPromise = null;
+    var stopPromise = null;
+
+    var emitLog        = function(text) { _this.emit('log', 'debug'  , text); };
+    var emitWarningLog = function(text) { _this.emit('log', 'warning', text); };
+    var emitSpecialLog = function(text) { _this.emit('log', 'special', text); };
+
+    this.options = options;
+
+    // Pool of each coin by name, and the names in configuration order
+    this.pools = {};
+    this.coins = [];
+
+    // Name of the coin miners are working on, null until started
+    this.activeCoin = null;
+
+    this.stratumServer = null;
+
+    if (!options.coins || options.coins.length === 0)
+        throw new Error('A multi-coin pool needs at least one coin');
+    if (options.coins.length > MAX_COINS)
+        throw new Error('At most ' + MAX_COINS + ' coins can share stratum ports, got ' + options.coins.length);
+
+    options.coins.forEach(function(coinOptions, index){
+        var name = coinOptions.name || coinOptions.coin.symbol;
+        if (name in _this.pools)
+            throw new Error('Coin ' + name + ' is configured twice');
+
+        var poolOptions = Object.assign({}, options, coinOptions, {instanceId: index + 1});
+        delete poolOptions.coins;
+        delete poolOptions.profitability;
+        delete poolOptions.switchInterval;
+        delete poolOptions.profitabilityTimeout;
+
+        _this.pools[name] = new pool(poolOptions, authorizeFn).on('log', function(severity, text){
+            _this.emit('log', severity, name + ': ' + text);
+        });
+        _this.coins.push(name);
+    });
+
+
+    /**
+     * Describes the current job of every coin for the profitability function.
+     *
+     * @function CoinStats
+     * @returns {Array<Object>} {name, symbol, height, reward, difficulty, active, pool} per coin
+     * @private
+     */
+    function CoinStats(){
+        return _this.coins.map(function(name){
+            var coinPool = _this.pools[name];
+            var job = coinPool.jobManager.currentJob;
+            return {
+                name: name,
+                symbol: coinPool.options.coin.symbol,
+                height: job.rpcData.height,
+                reward: job.rpcData.coinbasevalue,
+                difficulty: job.difficulty,
+                active: name === _this.activeCoin,
+                pool: coinPool
+            };
+        });
+    }
+
+    /**
+     * Asks the profitability function for the coin to mine and switches to it. A function that throws or
+     * does not call back within profitabilityTimeout ends the check, so the next interval asks again.
+     *
+     * @function CheckProfitability
+     * @fires MultiCoinPool#log - When the profitability function failed, timed out or picked an unknown coin
+     * @private
+     */
+    function CheckProfitability(){
+        if (checking)
+            return;
+        checking = true;
+        var timeout = options.profitabilityTimeout || DEFAULT_PROFITABILITY_TIMEOUT;
+        var finished = false;
+        //Ends the check once; false when it already ended, so late or repeated answers are ignored
+        var finish = function(){
+            if (finished)
+                return false;
+            finished = true;
+            checking = false;
+            clearTimeout(checkTimeout);
+            return true;
+        };
+        checkTimeout = setTimeout(function(){
+            if (finish())
+                emitWarningLog('Profitability check did not call back within ' + timeout + 'ms');
+        }, timeout);
+        try {
+            options.profitability(CoinStats(), function(error, name){
+                if (!finish() || stopPromise)
+                    return;
+                if (error)
+                    return emitWarningLog('Profitability check failed: ' + (error.message || error));
+                if (!(name in _this.pools))
+                    return emitWarningLog('Profitability check picked unknown coin ' + name);
+                _this.switchCoin(name);
+            });
+        }
+        catch(e){
+            if (finish())
+                emitWarningLog('Profitability check failed: ' + e.message);
+        }
+    }
+
+    /**
+     * Starts every coin's pool and the shared stratum server. Miners connecting before all pools are
+     * ready are disconnected; they reconnect once the pools can serve them.
+     *
+     * @method start
+     * @returns {Promise<MultiCoinPool>} Resolved once all pools started, rejected with the
+     *          {@link PoolStartError} of the first pool failing to start; call stop() then
+     * @fires MultiCoinPool#started
+     */
+    this.start = function(){
+        if (startPromise)
+            return startPromise;
+
+        var serverOptions = Object.assign({}, options, {
+            coin: {asicboost: options.coins.every(function(coinOptions){ return coinOptions.coin.asicboost; })}
+        });
+        _this.stratumServer = new stratum.Server(serverOptions, authorizeFn);
+        _this.stratumServer.on('client.connected', function(client){
+            if (!ready){
+                emitLog('Disconnecting ' + client.remoteAddress + ', the coins are still starting');
+                return client.socket.destroy();
+            }
+            _this.pools[_this.activeCoin].attachClient(client);
+        });
+
+        var listening = new Promise(function(resolve){
+            _this.stratumServer.on('started', resolve);
+        });
+
+        startPromise = Promise.all([listening].concat(_this.coins.map(function(name){
+            _this.pools[name].options.stratumServer = _this.stratumServer;
+            return _this.pools[name].start();
+        }))).then(function(){
+            if (stopPromise)
+                throw new pool.PoolStartError('stopped', 'Multi-coin pool was stopped before it finished starting');
+            _this.activeCoin = _this.coins[0];
+            ready = true;
+            if (options.profitability){
+                CheckProfitability();
+                switchIntervalId = setInterval(CheckProfitability, options.switchInterval || DEFAULT_SWITCH_INTERVAL);
+            }
+            emitSpecialLog('Mining ' + _this.activeCoin + ' on ports ' + Object.keys(options.ports).join(', ') +
+                ', switching between ' + _this.coins.join(', '));
+            _this.emit('started');
+            return _this;
+        });
+        // Callers relying on the events alone must not get unhandled rejections
+        startPromise.catch(function(){});
+        return startPromise;
+    };
+
+    /**
+     * Moves all miners to the pool of another coin. They get its current job with clean_jobs set, and
+     * a new extranonce1 if they subscribed to extranonce changes.
+     *
+     * @method switchCoin
+     * @param {string} name - Name of the coin to mine
+     * @returns {boolean} False if the coin was already mined
+     * @throws {Error} If the pool is not started or the coin is unknown
+     * @fires MultiCoinPool#coinSwitched
+     */
+    this.switchCoin = function(name){
+        if (!ready)
+            throw new Error('Multi-coin pool is not started');
+        if (!(name in _this.pools))
+            throw new Error('Unknown coin ' + name);
+        if (name === _this.activeCoin)
+            return false;
+
+        var from = _this.activeCoin;
+        var clients = _this.stratumServer.getStratumClients();
+        var subscriptionIds = Object.keys(clients);
+        _this.activeCoin = name;
+        subscriptionIds.forEach(function(subscriptionId){
+            _this.pools[from].detachClient(clients[subscriptionId]);
+            _this.pools[name].attachClient(clients[subscriptionId]);
+        });
+
+        emitSpecialLog('Switched ' + subscriptionIds.length + ' miners from ' + from + ' to ' + name);
+        _this.emit('coinSwitched', {from: from, to: name, miners: subscriptionIds.length});
+        return true;
+    };
+
+    /**
+     * Stops switching, stops every coin's pool and then closes the stratum ports and miner connections.
+     *
+     * @method stop
+     * @returns {Promise} Resolved once everything is shut down
+     * @fires MultiCoinPool#stopped
+     */
+    this.stop = function(){
+        if (stopPromise)
+            return stopPromise;
+
+        ready = false;
+        clearInterval(switchIntervalId);
+        clearTimeout(checkTimeout);
+        if (_this.stratumServer)
+            _this.stratumServer.stopListening();
+
+        stopPromise = Promise.all(_this.coins.map(function(name){
+            return _this.pools[name].stop();
+        })).then(function(){
+            return new Promise(function(resolve){
+                if (_this.stratumServer)
+                    _this.stratumServer.close(resolve);
+                else
+                    resolve();
+            });
+        }).then(function(){
+            emitLog('Multi-coin pool stopped');
+            _this.emit('stopped');
+        });
+        return stopPromise;
+    };
+};
+MultiCoinPool.prototype.__proto__ = events.EventEmitter.prototype;
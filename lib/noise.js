@@ -0,0 +1,344 @@
+/**
+ * @module noise
+ * @description Noise protocol layer used by Stratum V2: the NX handshake over secp256k1 with
+ * ElligatorSwift encoded keys, ChaCha20-Poly1305 transport encryption and the SV2 frame layout
+ * (encrypted 6-byte header followed by the payload in MAC'd chunks).
+ * @see {@link https://github.com/stratum-mining/sv2-spec/blob/main/04-Protocol-Security.md}
+ */
+
+var crypto = require('crypto');
+
+var secp256k1 = require('./secp256k1.js');
+
+var PROTOCOL_NAME = 'Noise_NX_Secp256k1+EllSwift_ChaChaPoly_SHA256';
+var MAC_LENGTH = 16;
+var KEY_LENGTH = 64;
+var HEADER_LENGTH = 6;
+var MAX_CHUNK_LENGTH = 65535;
+var CERTIFICATE_LENGTH = 74;
+
+exports.ACT_ONE_LENGTH = KEY_LENGTH;
+exports.ACT_TWO_LENGTH = KEY_LENGTH + KEY_LENGTH + MAC_LENGTH + CERTIFICATE_LENGTH + MAC_LENGTH;
+exports.HEADER_LENGTH = HEADER_LENGTH;
+exports.ENCRYPTED_HEADER_LENGTH = HEADER_LENGTH + MAC_LENGTH;
+
+
+function sha256(buffer){
+    return crypto.createHash('sha256').update(buffer).digest();
+}
+
+function hmac(key, data){
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Noise HKDF returning two 32-byte outputs.
+ * @private
+ */
+function hkdf(chainingKey, inputKeyMaterial){
+    var tempKey = hmac(chainingKey, inputKeyMaterial);
+    var output1 = hmac(tempKey, Buffer.from([0x01]));
+    var output2 = hmac(tempKey, Buffer.concat([output1, Buffer.from([0x02])]));
+    return [output1, output2];
+}
+
+
+/**
+ * A Noise CipherState: ChaCha20-Poly1305 with a 64-bit little-endian counter nonce.
+ *
+ * @class CipherState
+ * @param {Buffer} key - 32-byte key
+ */
+var CipherState = exports.CipherState = function CipherState(key){
+    this.key = key;
+    this.nonce = 0;
+};
+
+CipherState.prototype.nextNonce = function(){
+    var nonce = Buffer.alloc(12);
+    nonce.writeUInt32LE(this.nonce % 0x100000000, 4);
+    nonce.writeUInt32LE(Math.floor(this.nonce / 0x100000000), 8);
+    this.nonce++;
+    return nonce;
+};
+
+/**
+ * Encrypts plaintext with associated data and advances the nonce.
+ * @param {Buffer} ad - Associated data
+ * @param {Buffer} plaintext - Data to encrypt
+ * @returns {Buffer} Ciphertext followed by the 16-byte MAC
+ */
+CipherState.prototype.encryptWithAd = function(ad, plaintext){
+    var cipher = crypto.createCipheriv('chacha20-poly1305', this.key, this.nextNonce(), {authTagLength: MAC_LENGTH});
+    cipher.setAAD(ad, {plaintextLength: plaintext.length});
+    return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+};
+
+/**
+ * Decrypts ciphertext with associated data and advances the nonce.
+ * Throws if the MAC does not verify.
+ * @param {Buffer} ad - Associated data
+ * @param {Buffer} ciphertext - Ciphertext followed by the 16-byte MAC
+ * @returns {Buffer} Plaintext
+ */
+CipherState.prototype.decryptWithAd = function(ad, ciphertext){
+    if (ciphertext.length < MAC_LENGTH)
+        throw new Error('Ciphertext shorter than MAC');
+    var body = ciphertext.slice(0, ciphertext.length - MAC_LENGTH);
+    var decipher = crypto.createDecipheriv('chacha20-poly1305', this.key, this.nextNonce(), {authTagLength: MAC_LENGTH});
+    decipher.setAAD(ad, {plaintextLength: body.length});
+    decipher.setAuthTag(ciphertext.slice(ciphertext.length - MAC_LENGTH));
+    return Buffer.concat([decipher.update(body), decipher.final()]);
+};
+
+
+/**
+ * Symmetric state shared by both handshake roles.
+ * @private
+ */
+var SymmetricState = function(){
+    var name = Buffer.from(PROTOCOL_NAME, 'ascii');
+    this.h = name.length <= 32 ? Buffer.concat([name, Buffer.alloc(32 - name.length)]) : sha256(name);
+    this.ck = this.h;
+    this.cipher = null;
+    this.mixHash(Buffer.alloc(0)); // empty prologue
+};
+
+SymmetricState.prototype.mixHash = function(data){
+    this.h = sha256(Buffer.concat([this.h, data]));
+};
+
+SymmetricState.prototype.mixKey = function(inputKeyMaterial){
+    var output = hkdf(this.ck, inputKeyMaterial);
+    this.ck = output[0];
+    this.cipher = new CipherState(output[1]);
+};
+
+SymmetricState.prototype.encryptAndHash = function(plaintext){
+    var ciphertext = this.cipher ? this.cipher.encryptWithAd(this.h, plaintext) : plaintext;
+    this.mixHash(ciphertext);
+    return ciphertext;
+};
+
+SymmetricState.prototype.decryptAndHash = function(ciphertext){
+    var plaintext = this.cipher ? this.cipher.decryptWithAd(this.h, ciphertext) : ciphertext;
+    this.mixHash(ciphertext);
+    return plaintext;
+};
+
+SymmetricState.prototype.split = function(){
+    var output = hkdf(this.ck, Buffer.alloc(0));
+    return [new CipherState(output[0]), new CipherState(output[1])];
+};
+
+
+/**
+ * Serializes the SIGNATURE_NOISE_MESSAGE certificate body that is signed by the authority key.
+ * @private
+ */
+function certificateSigningHash(version, validFrom, notValidAfter, staticKeyX){
+    var body = Buffer.alloc(10);
+    body.writeUInt16LE(version, 0);
+    body.writeUInt32LE(validFrom, 2);
+    body.writeUInt32LE(notValidAfter, 6);
+    return sha256(Buffer.concat([body, staticKeyX]));
+}
+
+/**
+ * Creates a certificate binding a server static key to an authority key.
+ *
+ * @function createCertificate
+ * @param {Buffer} authorityPrivateKey - 32-byte authority private key
+ * @param {Buffer} staticPrivateKey - 32-byte server static private key
+ * @param {number} validFrom - Unix time the certificate becomes valid
+ * @param {number} notValidAfter - Unix time the certificate expires
+ * @returns {Object} Certificate ({version, validFrom, notValidAfter, signature})
+ */
+exports.createCertificate = function(authorityPrivateKey, staticPrivateKey, validFrom, notValidAfter){
+    var staticKeyX = secp256k1.getXOnlyPublicKey(staticPrivateKey);
+    return {
+        version: 0,
+        validFrom: validFrom,
+        notValidAfter: notValidAfter,
+        signature: secp256k1.schnorrSign(certificateSigningHash(0, validFrom, notValidAfter, staticKeyX), authorityPrivateKey)
+    };
+};
+
+function serializeCertificate(certificate){
+    var buff = Buffer.alloc(CERTIFICATE_LENGTH);
+    buff.writeUInt16LE(certificate.version, 0);
+    buff.writeUInt32LE(certificate.validFrom, 2);
+    buff.writeUInt32LE(certificate.notValidAfter, 6);
+    certificate.signature.copy(buff, 10);
+    return buff;
+}
+
+function parseCertificate(buff){
+    return {
+        version: buff.readUInt16LE(0),
+        validFrom: buff.readUInt32LE(2),
+        notValidAfter: buff.readUInt32LE(6),
+        signature: buff.slice(10, 74)
+    };
+}
+
+
+/**
+ * Responder (pool) side of the NX handshake.
+ *
+ * @class Responder
+ * @param {Object} options
+ * @param {Buffer} options.staticPrivateKey - Server static private key
+ * @param {Object} options.certificate - Certificate from createCertificate
+ */
+var Responder = exports.Responder = function Responder(options){
+    this.options = options;
+};
+
+/**
+ * Consumes act one (the initiator's ephemeral key) and produces act two.
+ * After this call `this.session` holds the transport Session.
+ * @param {Buffer} actOne - 64 bytes received from the initiator
+ * @returns {Buffer} Act two bytes to send to the initiator
+ */
+Responder.prototype.respond = function(actOne){
+    if (actOne.length !== exports.ACT_ONE_LENGTH)
+        throw new Error('Invalid handshake act one length');
+    var state = new SymmetricState();
+    var remoteEphemeral = actOne;
+    state.mixHash(remoteEphemeral);
+    state.decryptAndHash(Buffer.alloc(0));
+
+    var ephemeralPrivateKey = secp256k1.generatePrivateKey();
+    var ephemeral = secp256k1.ellswiftCreate(ephemeralPrivateKey);
+    state.mixHash(ephemeral);
+    state.mixKey(secp256k1.ellswiftXdh(remoteEphemeral, ephemeral, ephemeralPrivateKey, false));
+
+    var staticKey = secp256k1.ellswiftCreate(this.options.staticPrivateKey);
+    var encryptedStatic = state.encryptAndHash(staticKey);
+    state.mixKey(secp256k1.ellswiftXdh(remoteEphemeral, staticKey, this.options.staticPrivateKey, false));
+
+    var encryptedCertificate = state.encryptAndHash(serializeCertificate(this.options.certificate));
+
+    var ciphers = state.split();
+    this.session = new Session(ciphers[1], ciphers[0]);
+    return Buffer.concat([ephemeral, encryptedStatic, encryptedCertificate]);
+};
+
+
+/**
+ * Initiator (miner) side of the NX handshake.
+ *
+ * @class Initiator
+ * @param {Object} [options]
+ * @param {Buffer} [options.authorityPublicKey] - x-only authority key; when set the certificate is verified
+ */
+var Initiator = exports.Initiator = function Initiator(options){
+    this.options = options || {};
+};
+
+/**
+ * Produces act one.
+ * @returns {Buffer} 64-byte ephemeral key encoding
+ */
+Initiator.prototype.initiate = function(){
+    this.state = new SymmetricState();
+    this.ephemeralPrivateKey = secp256k1.generatePrivateKey();
+    this.ephemeral = secp256k1.ellswiftCreate(this.ephemeralPrivateKey);
+    this.state.mixHash(this.ephemeral);
+    this.state.encryptAndHash(Buffer.alloc(0));
+    return this.ephemeral;
+};
+
+/**
+ * Consumes act two, verifying the server certificate when an authority key is configured.
+ * After this call `this.session` holds the transport Session.
+ * @param {Buffer} actTwo - Bytes received from the responder
+ * @returns {Object} The server certificate and static key
+ */
+Initiator.prototype.finish = function(actTwo){
+    if (actTwo.length !== exports.ACT_TWO_LENGTH)
+        throw new Error('Invalid handshake act two length');
+    var state = this.state;
+    var remoteEphemeral = actTwo.slice(0, KEY_LENGTH);
+    state.mixHash(remoteEphemeral);
+    state.mixKey(secp256k1.ellswiftXdh(this.ephemeral, remoteEphemeral, this.ephemeralPrivateKey, true));
+
+    var remoteStatic = state.decryptAndHash(actTwo.slice(KEY_LENGTH, KEY_LENGTH * 2 + MAC_LENGTH));
+    state.mixKey(secp256k1.ellswiftXdh(this.ephemeral, remoteStatic, this.ephemeralPrivateKey, true));
+
+    var certificate = parseCertificate(state.decryptAndHash(actTwo.slice(KEY_LENGTH * 2 + MAC_LENGTH)));
+    var staticKeyX = secp256k1.ellswiftDecode(remoteStatic);
+
+    if (this.options.authorityPublicKey){
+        var now = Math.floor(Date.now() / 1000);
+        if (now < certificate.validFrom || now > certificate.notValidAfter)
+            throw new Error('Server certificate is not currently valid');
+        var hash = certificateSigningHash(certificate.version, certificate.validFrom, certificate.notValidAfter, staticKeyX);
+        if (!secp256k1.schnorrVerify(certificate.signature, hash, this.options.authorityPublicKey))
+            throw new Error('Server certificate signature is invalid');
+    }
+
+    var ciphers = state.split();
+    this.session = new Session(ciphers[0], ciphers[1]);
+    return {certificate: certificate, staticKey: staticKeyX};
+};
+
+
+/**
+ * Encrypted transport for SV2 frames once the handshake is complete.
+ *
+ * @class Session
+ * @param {CipherState} sendCipher
+ * @param {CipherState} receiveCipher
+ */
+var Session = exports.Session = function Session(sendCipher, receiveCipher){
+    this.sendCipher = sendCipher;
+    this.receiveCipher = receiveCipher;
+};
+
+/**
+ * Encrypts a plaintext SV2 frame (6-byte header followed by its payload).
+ * @param {Buffer} frame - Plaintext frame
+ * @returns {Buffer} Encrypted frame
+ */
+Session.prototype.encryptFrame = function(frame){
+    var parts = [this.sendCipher.encryptWithAd(Buffer.alloc(0), frame.slice(0, HEADER_LENGTH))];
+    var payload = frame.slice(HEADER_LENGTH);
+    for (var offset = 0; offset < payload.length; offset += MAX_CHUNK_LENGTH - MAC_LENGTH){
+        parts.push(this.sendCipher.encryptWithAd(Buffer.alloc(0), payload.slice(offset, offset + MAX_CHUNK_LENGTH - MAC_LENGTH)));
+    }
+    return Buffer.concat(parts);
+};
+
+/**
+ * Decrypts the 22-byte encrypted header of an incoming frame.
+ * @param {Buffer} encryptedHeader
+ * @returns {Buffer} 6-byte plaintext header
+ */
+Session.prototype.decryptHeader = function(encryptedHeader){
+    return this.receiveCipher.decryptWithAd(Buffer.alloc(0), encryptedHeader);
+};
+
+/**
+ * Decrypts the payload of an incoming frame.
+ * @param {Buffer} encryptedPayload - Exactly encryptedPayloadLength(length) bytes
+ * @returns {Buffer} Plaintext payload
+ */
+Session.prototype.decryptPayload = function(encryptedPayload){
+    var parts = [];
+    for (var offset = 0; offset < encryptedPayload.length; offset += MAX_CHUNK_LENGTH){
+        parts.push(this.receiveCipher.decryptWithAd(Buffer.alloc(0), encryptedPayload.slice(offset, offset + MAX_CHUNK_LENGTH)));
+    }
+    return Buffer.concat(parts);
+};
+
+/**
+ * Size on the wire of an encrypted payload of the given plaintext length.
+ * @function encryptedPayloadLength
+ * @param {number} length - Plaintext payload length
+ * @returns {number}
+ */
+exports.encryptedPayloadLength = function(length){
+    return length + Math.ceil(length / (MAX_CHUNK_LENGTH - MAC_LENGTH)) * MAC_LENGTH;
+};
@@ -84,6 +84,7 @@ var Peer = module.exports = function (options) {
     var magicInt = magic.readUInt32LE(0);
     var verack = false;
     var validConnectionConfig = true;
+    var closed = false;
 
     //https://en.bitcoin.it/wiki/Protocol_specification#Inventory_Vectors
     var invCodes = {
@@ -109,6 +110,7 @@ var Peer = module.exports = function (options) {
         getblocks: commandStringBuffer('getblocks'),
         ping: commandStringBuffer('ping'),
         pong: commandStringBuffer('pong'),
+        block: commandStringBuffer('block'),
     };
 
 
@@ -126,6 +128,8 @@ var Peer = module.exports = function (options) {
             SendVersion();
         });
         client.on('close', function () {
+            if (closed)
+                return;
             if (verack) {
                 _this.emit('disconnected');
                 verack = false;
@@ -149,6 +153,28 @@ var Peer = module.exports = function (options) {
 
     }
 
+    /**
+     * Closes the connection to the peer for good, without reconnecting.
+     */
+    this.close = function () {
+        closed = true;
+        verack = false;
+        client.destroy();
+    };
+
+    /**
+     * Relays a serialized block to the peer, used as a fallback when no daemon took a found block.
+     *
+     * @param {Buffer} block - Serialized block
+     * @returns {boolean} False when the peer has not completed the handshake and nothing was sent
+     */
+    this.sendBlock = function (block) {
+        if (!verack)
+            return false;
+        SendMessage(commands.block, block);
+        return true;
+    };
+
     function SetupMessageParser(client) {
 
         var beginReadingMessage = function (preRead) {
@@ -4,15 +4,50 @@ var async = require('async');
 var varDiff = require('./varDiff.js');
 var daemon = require('./daemon.js');
 var peer = require('./peer.js');
+var zmq = require('./zmq.js');
+var blockTracker = require('./blockTracker.js');
+var auxChain = require('./auxChain.js');
+var upstream = require('./upstream.js');
 var stratum = require('./stratum.js');
 var jobManager = require('./jobManager.js');
 var util = require('./util.js');
+var transactions = require('./transactions.js');
+var CoinbaseBuilder = require('./coinbaseBuilder.js');
+
+//submitblock answers meaning the daemon already has the block, so it is neither rejected nor worth resubmitting
+var BLOCK_SUBMIT_TAKEN = ['duplicate', 'duplicate-inconclusive', 'inconclusive'];
+
+//Daemon error types meaning the request never got a JSON-RPC answer, anything else is the daemon's own verdict
+var DAEMON_TRANSPORT_ERRORS = ['offline', 'request error', 'unauthorized', 'parse error'];
+
+//Long polls failing in a row before falling back to blockRefreshInterval polling
+var LONG_POLL_MAX_FAILURES = 3;
 
 /*process.on('uncaughtException', function(err) {
     console.log(err.stack);
     throw err;
 });*/
 
+/**
+ * Error a pool start() promise is rejected with, naming the startup stage that failed.
+ *
+ * @class PoolStartError
+ * @extends {Error}
+ * @param {string} stage - Failing stage: 'algorithm', 'daemons', 'coinData', 'address', 'submitMethod',
+ *        'recipients', 'firstTemplate', 'coinbaseSignature', 'coinbaseOutputs', 'upstream' or 'stopped'
+ * @param {string} message - Human readable reason, also emitted as an error log
+ * @param {*} [details] - RPC error or results that caused the failure
+ */
+function PoolStartError(stage, message, details){
+    this.name = 'PoolStartError';
+    this.message = message;
+    this.stage = stage;
+    this.details = details;
+    Error.captureStackTrace(this, PoolStartError);
+}
+PoolStartError.prototype.__proto__ = Error.prototype;
+
+
 /**
  * Main pool orchestrator class that manages all components of a Stratum mining pool.
  * This class coordinates the daemon interface, job management, stratum server, and
@@ -27,19 +62,65 @@ var util = require('./util.js');
  * @param {string} options.coin.algorithm - Mining algorithm (e.g., 'sha256', 'scrypt')
  * @param {string} options.coin.reward - Reward type ('POW' or 'POS')
  * @param {boolean} [options.coin.asicboost] - Whether ASICBoost is enabled
- * @param {string} options.address - Pool's address for receiving rewards
- * @param {Object} options.ports - Port configurations for Stratum connections
+ * @param {Object} [options.coin.addressNetwork] - Address version bytes and prefixes when not Bitcoin's, see
+ *   util.networks; addressNetworkTestnet for testnet and addressNetworkRegtest for regtest
+ * @param {string} options.address - Pool's address for receiving rewards; base58, CashAddr or bech32
+ * @param {Object} options.ports - Port configurations for Stratum connections; a port's coinbaseSignature
+ *   overrides the pool's for miners connected to it
  * @param {Object} options.daemons - Array of daemon connection configurations
  * @param {number} [options.blockRefreshInterval] - Interval for polling new blocks (ms)
- * @param {Object} [options.p2p] - P2P network configuration
+ * @param {boolean} [options.longPolling] - Use getblocktemplate long polling when the daemon advertises a
+ *   longpollid, instead of interval polling; falls back to interval polling after 3 failed long polls in a row
+ * @param {string} [options.daemonMode='broadcast'] - 'failover' to use the healthiest daemon instead of all of them
+ * @param {number} [options.daemonHealthCheckInterval] - Failover mode health check interval (ms)
+ * @param {Object} [options.p2p] - P2P network configuration, also used to relay blocks no daemon could be reached for
+ * @param {number} [options.blockSubmitRetries=3] - Resubmissions of a block when no daemon could be reached
+ * @param {number} [options.blockSubmitRetryDelay=1000] - Delay before the first resubmission, doubled each time (ms)
+ * @param {Object} [options.zmq] - ZMQ block notifications: {enabled, host, port, rawblock}
+ * @param {Object} [options.blockTracking] - Confirmation tracking of found blocks: {enabled, confirmations,
+ *   checkInterval, stateFile}, see {@link module:blockTracker}
+ * @param {string} [options.coinbaseSignature] - Coinbase signature template, placeholders {worker} (solo miner
+ *   address), {height} and {pool} (options.poolName)
+ * @param {Array<Object>} [options.coinbaseOutputs] - Extra coinbase outputs: {address, amount} and {script, amount}
+ *   fixed amounts in satoshis, taken from the reward before rewardRecipients percentages, and {data} (hex) or
+ *   {text} zero value OP_RETURN outputs of at most 80 bytes
+ * @param {CoinbaseBuilder} [options.coinbaseBuilder] - Builder of the coinbase transactions, to register output
+ *   providers and scriptSig segments on; start from transactions.createCoinbaseBuilder to keep the pool's own
+ *   outputs and signature, see {@link module:coinbaseBuilder}
+ * @param {Array<Object>} [options.auxChains] - SHA-256 aux chains to merge mine: {name, symbol, daemons, address,
+ *   chainId}; with an address aux blocks come from createauxblock paying to it, otherwise from getauxblock
+ * @param {number} [options.auxRefreshInterval=5000] - Interval of fetching the aux chains' blocks (ms)
+ * @param {boolean} [options.soloMining] - Pay block rewards to the address workers use as username (before the
+ *   dot) instead of the pool address; rewardRecipients still receive their fees
+ * @param {Object} [options.upstream] - Proxy an upstream Stratum V1 pool instead of mining on daemons: {host, port,
+ *   user, password, reconnectDelay}; local miners share its extranonce2 and shares meeting its difficulty are
+ *   forwarded, see {@link module:upstream}
+ * @param {StratumServer} [options.stratumServer] - Stratum server shared with other pool instances, see
+ *   {@link module:multiCoinPool}; the pool then does not listen itself and only serves the miners given to attachClient
  * @param {Object} [options.api] - API configuration
- * @param {Function} authorizeFn - Function to authorize workers
+ * @param {Function} authorizeFn - Function to authorize workers, called as
+ *        (ip, port, workerName, password, callback, tlsInfo); tlsInfo is only set on TLS ports
  *
  * @fires Pool#started - When the pool has successfully started
- * @fires Pool#share - When a share is submitted (valid or invalid)
+ * @fires Pool#share - When a share is submitted (valid or invalid); shareData.stale marks shares for jobs of the previous block
+ * @fires Pool#blockCandidateInvalid - When a block candidate failed the self-check and was not submitted
+ * @fires Pool#blockCandidate - When a share solved a block, before it is submitted: {height, hash, worker, reward}
+ * @fires Pool#blockSubmitted - For each daemon answer to a submission, with its raw response ('duplicate',
+ *   'inconclusive', 'high-hash', ...) or error, the daemon index and the attempt number; p2p is set for a p2p relay
+ * @fires Pool#blockAccepted - When the daemon has the submitted block, with the coinbase txHash
+ * @fires Pool#blockRejected - When the submitted block is not on the daemon's chain, with the reason
+ * @fires Pool#blockConfirmed - When an accepted block reached a blockTracking confirmation depth
+ * @fires Pool#blockOrphaned - When an accepted block dropped out of the main chain
+ * @fires Pool#auxShare - For each merge mined chain and share, as (chain, isValidShare, isValidBlock, shareData)
+ *   with the aux chain's height, blockReward and, when the share solved its block, blockHash
+ * @fires Pool#auxBlockAccepted - When an aux chain accepted a solved aux block: {chain, height, hash, worker, reward}
+ * @fires Pool#auxBlockRejected - When an aux chain rejected a solved aux block, with the reason
+ * @fires Pool#upstreamShare - When proxying, with (accepted, shareData, reason) for each share forwarded upstream
  * @fires Pool#difficultyUpdate - When a client's difficulty is updated
  * @fires Pool#log - For all logging events
  * @fires Pool#banIP - When an IP should be banned
+ * @fires Pool#stopped - When the pool has been shut down by stop()
+ * @fires Pool#daemonStateChanged - When a daemon instance becomes online, degraded, syncing or offline
  */
 var pool = module.exports = function pool(options, authorizeFn){
 
@@ -52,6 +133,20 @@ var pool = module.exports = function pool(options, authorizeFn){
 
     var _this = this;
     var blockPollingIntervalId;
+    var syncCheckTimeout;
+    var longPollRequest = null;
+    var longPollRetryTimeout;
+    var longPollFailures = 0;
+    var blockSubmissions = 0;
+    var blockSubmissionWaiters = [];
+    var startPromise = null;
+    var startFailed = function(){};
+    var startPending = false;
+    var stopPromise = null;
+    // Miners this pool serves, with the function detaching their event handlers
+    var attachedClients = new Map();
+    // Version-rolling mask miners may negotiate while proxying, null until the upstream pool answered
+    var upstreamVersionMask = null;
 
 
     var emitLog        = function(text) { _this.emit('log', 'debug'  , text); };
@@ -63,7 +158,7 @@ var pool = module.exports = function pool(options, authorizeFn){
 
     if (!(options.coin.algorithm in algos)){
         emitErrorLog('The ' + options.coin.algorithm + ' hashing algorithm is not supported.');
-        throw new Error();
+        throw new PoolStartError('algorithm', 'The ' + options.coin.algorithm + ' hashing algorithm is not supported.');
     }
 
 
@@ -72,31 +167,84 @@ var pool = module.exports = function pool(options, authorizeFn){
      * Starts the mining pool by initializing all components in the correct order.
      * This includes setting up daemons, job management, stratum server, and other services.
      *
+     * The returned promise only has to be handled by callers that want it: the 'started' and
+     * 'log' events keep working as before.
+     *
      * @method start
+     * @returns {Promise<Pool>} Resolved with the pool once it is started, rejected with a
+     *          {@link PoolStartError} naming the stage that failed
      * @fires Pool#started - Emitted when the pool has successfully started
      */
     this.start = function(){
-        SetupVarDiff();
-        SetupApi();
-        SetupDaemonInterface(function(){
-            DetectCoinData(function(){
-                SetupRecipients();
+        if (startPromise)
+            return startPromise;
+
+        startPending = true;
+        startPromise = new Promise(function(resolve, reject){
+            startFailed = function(error){
+                startPending = false;
+                reject(error);
+            };
+            SetupVarDiff();
+            SetupApi();
+            if (options.upstream){
                 SetupJobManager();
-                OnBlockchainSynced(function(){
-                    GetFirstJob(function(){
-                        SetupBlockPolling();
-                        SetupPeer();
-                        StartStratumServer(function(){
-                            OutputPoolInfo();
-                            _this.emit('started');
+                SetupUpstream(function(){
+                    StartStratumServer(function(){
+                        OutputPoolInfo();
+                        startPending = false;
+                        _this.emit('started');
+                        resolve(_this);
+                    });
+                });
+                return;
+            }
+            SetupDaemonInterface(function(){
+                DetectCoinData(function(){
+                    if (!SetupRecipients() || !SetupCoinbaseOutputs())
+                        return;
+                    SetupJobManager();
+                    OnBlockchainSynced(function(){
+                        GetFirstJob(function(){
+                            if (stopPromise)
+                                return;
+                            SetupBlockPolling();
+                            SetupPeer();
+                            SetupZmq();
+                            SetupBlockTracker();
+                            SetupAuxChains();
+                            StartStratumServer(function(){
+                                OutputPoolInfo();
+                                startPending = false;
+                                _this.emit('started');
+                                resolve(_this);
+                            });
                         });
                     });
                 });
             });
         });
+        // Callers relying on the events alone must not get unhandled rejections
+        startPromise.catch(function(){});
+        return startPromise;
     };
 
 
+    /**
+     * Logs why the pool cannot start and rejects the start() promise.
+     *
+     * @function StartFailed
+     * @param {string} stage - The failing stage, see {@link PoolStartError}
+     * @param {string} message - Reason, emitted as an error log
+     * @param {*} [details] - RPC error or results that caused the failure
+     * @private
+     */
+    function StartFailed(stage, message, details){
+        emitErrorLog(message);
+        startFailed(new PoolStartError(stage, message, details));
+    }
+
+
 
     /**
      * Gets the first job to be sent to clients upon startup.
@@ -110,8 +258,27 @@ var pool = module.exports = function pool(options, authorizeFn){
     function GetFirstJob(finishedCallback){
 
         GetBlockTemplate(function(error, result){
+            if (error && error.type === 'coinbase') {
+                StartFailed(error.outputs ? 'coinbaseOutputs' : 'coinbaseSignature', error.message, error);
+                return;
+            }
             if (error) {
-                emitErrorLog('Error with getblocktemplate on creating first job, server cannot start');
+                StartFailed('firstTemplate', 'Error with getblocktemplate on creating first job, server cannot start', error);
+                return;
+            }
+
+            var signatureError = null;
+            Object.keys(options.ports).forEach(function(port){
+                if (!options.ports[port].coinbaseSignature || signatureError) return;
+                try {
+                    _this.jobManager.currentJob.getJobParams({signature: options.ports[port].coinbaseSignature});
+                }
+                catch(e){
+                    signatureError = 'Port ' + port + ': ' + e.message;
+                }
+            });
+            if (signatureError) {
+                StartFailed('coinbaseSignature', signatureError);
                 return;
             }
 
@@ -155,8 +322,17 @@ var pool = module.exports = function pool(options, authorizeFn){
             emitLog(startMessage);
             return;
         }
+        if (_this.upstream){
+            emitSpecialLog([startMessage,
+                'Upstream Pool:\t\t' + options.upstream.host + ':' + options.upstream.port + ' as ' + options.upstream.user,
+                'Current Block Height:\t' + _this.jobManager.currentJob.rpcData.height,
+                'Upstream Difficulty:\t' + _this.upstream.difficulty,
+                'Stratum Port(s):\t' + _this.options.initStats.stratumPorts.join(', ')
+            ].join('\n\t\t\t\t\t\t'));
+            return;
+        }
         var infoLines = [startMessage,
-                'Network Connected:\t' + (options.testnet ? 'Testnet' : 'Mainnet'),
+                'Network Connected:\t' + (options.regtest ? 'Regtest' : options.testnet ? 'Testnet' : 'Mainnet'),
                 'Detected Reward Type:\t' + options.coin.reward,
                 'Current Block Height:\t' + _this.jobManager.currentJob.rpcData.height,
                 'Current Connect Peers:\t' + options.initStats.connections,
@@ -167,7 +343,9 @@ var pool = module.exports = function pool(options, authorizeFn){
                 'Pool Fee Percent:\t' + _this.options.feePercent + '%'
         ];
 
-        if (typeof options.blockRefreshInterval === "number" && options.blockRefreshInterval > 0)
+        if (longPollRequest)
+            infoLines.push('Block polling:\t\tgetblocktemplate long polling');
+        else if (typeof options.blockRefreshInterval === "number" && options.blockRefreshInterval > 0)
             infoLines.push('Block polling every:\t' + options.blockRefreshInterval + ' ms');
 
         emitSpecialLog(infoLines.join('\n\t\t\t\t\t\t'));
@@ -190,6 +368,7 @@ var pool = module.exports = function pool(options, authorizeFn){
 
         var checkSynced = function(displayNotSynced){
             _this.daemon.cmd('getblocktemplate', [{"capabilities": [ "coinbasetxn", "workid", "coinbase/append" ], "rules": [ "segwit" ]}], function(results){
+                if (stopPromise) return;
                 var synced = results.every(function(r){
                     return !r.error || r.error.code !== -10;
                 });
@@ -198,7 +377,7 @@ var pool = module.exports = function pool(options, authorizeFn){
                 }
                 else{
                     if (displayNotSynced) displayNotSynced();
-                    setTimeout(checkSynced, 5000);
+                    syncCheckTimeout = setTimeout(checkSynced, 5000);
 
                     //Only let the first fork show synced status or the log wil look flooded with it
                     if (!process.env.forkId || process.env.forkId === '0')
@@ -293,6 +472,189 @@ var pool = module.exports = function pool(options, authorizeFn){
     }
 
 
+    /**
+     * Subscribes to the daemon's ZMQ hashblock (and optionally rawblock) notifications
+     * if enabled in the pool configuration
+     *
+     * @function SetupZmq
+     * @private
+     */
+    function SetupZmq(){
+        if (!options.zmq || !options.zmq.enabled)
+            return;
+
+        var lastNotifiedHash = null;
+        var wasConnected = false;
+        var notify = function(hash){
+            //hashblock and rawblock both announce every block, only act on the first one
+            if (hash === lastNotifiedHash) return;
+            lastNotifiedHash = hash;
+            _this.processBlockNotify(hash, 'zmq');
+        };
+
+        _this.zmq = new zmq.Subscriber({
+            host: options.zmq.host,
+            port: options.zmq.port,
+            topics: options.zmq.rawblock ? ['hashblock', 'rawblock'] : ['hashblock']
+        });
+        _this.zmq.on('connected', function(){
+            emitLog('zmq subscription to ' + (options.zmq.host || '127.0.0.1') + ':' + options.zmq.port + ' established');
+            //Blocks found while we were disconnected were not announced to us
+            if (wasConnected){
+                GetBlockTemplate(function(error, result, foundNewBlock){
+                    if (foundNewBlock)
+                        emitLog('Block notification via RPC after zmq reconnection');
+                });
+            }
+            wasConnected = true;
+        }).on('disconnected', function(){
+            emitWarningLog('zmq connection lost - attempting reconnection...');
+        }).on('socketError', function(e){
+            emitErrorLog('zmq had a socket error ' + JSON.stringify(e));
+        }).on('missedNotifications', function(topic, expected, sequence){
+            emitWarningLog('zmq skipped ' + topic + ' notifications ' + expected + ' to ' + (sequence - 1));
+        }).on('hashblock', notify).on('rawblock', notify);
+        _this.zmq.connect();
+    }
+
+
+    /**
+     * Starts following the confirmations of accepted blocks if enabled in the pool configuration
+     *
+     * @function SetupBlockTracker
+     * @fires Pool#blockConfirmed
+     * @fires Pool#blockOrphaned
+     * @private
+     */
+    function SetupBlockTracker(){
+        if (!options.blockTracking || !options.blockTracking.enabled)
+            return;
+
+        _this.blockTracker = new blockTracker(_this.daemon, options.blockTracking);
+        _this.blockTracker.on('blockConfirmed', function(block){
+            emitLog('Block ' + block.hash + ' at height ' + block.height + ' has ' + block.confirmations + ' confirmations');
+            _this.emit('blockConfirmed', block);
+        }).on('blockOrphaned', function(block){
+            emitWarningLog('Block ' + block.hash + ' at height ' + block.height + ' was orphaned');
+            _this.emit('blockOrphaned', block);
+        }).on('stateError', function(error){
+            emitErrorLog('Block tracker state file ' + options.blockTracking.stateFile + ' error: ' + error.message);
+        });
+        _this.on('blockAccepted', function(block){
+            _this.blockTracker.track(block);
+        });
+        _this.blockTracker.start();
+    }
+
+
+    /**
+     * Starts merge mining the configured aux chains. Each chain's daemons are polled for the block to mine,
+     * and the current job is updated whenever one of them changes.
+     *
+     * @function SetupAuxChains
+     * @private
+     */
+    function SetupAuxChains(){
+        _this.auxChains = (options.auxChains || []).map(function(chainOptions){
+            var chainDaemon = new daemon.interface(chainOptions.daemons, function(severity, message){
+                _this.emit('log', severity, 'Aux chain ' + chainOptions.name + ': ' + message);
+            }, {
+                mode: options.daemonMode,
+                healthCheckInterval: options.daemonHealthCheckInterval
+            });
+            var chain = new auxChain(chainOptions, chainDaemon);
+
+            chain.on('auxBlock', function(block){
+                emitLog('Merge mining ' + block.chain + ' block at height ' + block.height);
+                UpdateAuxBlocks();
+            }).on('log', function(severity, message){
+                _this.emit('log', severity, message);
+            });
+            chainDaemon.once('online', function(){
+                if (!stopPromise)
+                    chain.start(options.auxRefreshInterval);
+            }).on('connectionFailed', function(error){
+                emitErrorLog('Failed to connect daemon(s) of aux chain ' + chainOptions.name + ': ' + JSON.stringify(error));
+            }).on('error', function(message){
+                emitErrorLog(message);
+            });
+            chainDaemon.init();
+            return chain;
+        });
+    }
+
+
+    /**
+     * Gives the job manager the current blocks of the aux chains.
+     *
+     * @function UpdateAuxBlocks
+     * @private
+     */
+    function UpdateAuxBlocks(){
+        var auxBlocks = _this.auxChains.filter(function(chain){
+            return chain.block;
+        }).map(function(chain){
+            return chain.block;
+        });
+        try {
+            _this.jobManager.setAuxBlocks(auxBlocks);
+        }
+        catch(e){
+            emitErrorLog('Could not merge mine the aux chains: ' + e.message);
+        }
+    }
+
+
+    /**
+     * Emits auxShare for every merge mined chain, submitting the aux blocks the share solved first.
+     *
+     * @function HandleAuxShares
+     * @param {boolean} isValidShare - Whether the parent share is valid
+     * @param {Object} shareData - Share data of the parent share, with the aux blocks in shareData.aux
+     * @private
+     */
+    function HandleAuxShares(isValidShare, shareData){
+        if (!isValidShare || !shareData.aux){
+            (_this.auxChains || []).forEach(function(chain){
+                _this.emit('auxShare', chain.name, isValidShare, false, shareData);
+            });
+            return;
+        }
+
+        shareData.aux.forEach(function(aux){
+            var chain = _this.auxChains.filter(function(chain){
+                return chain.name === aux.chain;
+            })[0];
+            var auxShareData = Object.assign({}, shareData, {
+                height: aux.height,
+                blockReward: aux.reward,
+                blockHash: aux.auxPow ? aux.hash : undefined,
+                aux: undefined
+            });
+            if (!aux.auxPow || !chain){
+                _this.emit('auxShare', aux.chain, true, false, auxShareData);
+                return;
+            }
+
+            var block = {chain: aux.chain, height: aux.height, hash: aux.hash, worker: shareData.worker, reward: aux.reward};
+            blockSubmissions++;
+            chain.submit(aux.hash, aux.auxPow, function(accepted, reason){
+                if (accepted){
+                    emitSpecialLog('Aux block ' + aux.hash + ' of ' + aux.chain + ' at height ' + aux.height + ' accepted');
+                    _this.emit('auxBlockAccepted', block);
+                    chain.refresh();
+                }
+                else {
+                    emitErrorLog('Aux block ' + aux.hash + ' of ' + aux.chain + ' rejected: ' + reason);
+                    _this.emit('auxBlockRejected', Object.assign({}, block, {reason: reason}));
+                }
+                _this.emit('auxShare', aux.chain, true, accepted, auxShareData);
+                BlockSubmissionFinished();
+            });
+        });
+    }
+
+
     /**
      * Set up variable difficulty for each port
      * @private
@@ -307,15 +669,23 @@ var pool = module.exports = function pool(options, authorizeFn){
 
 
     /**
-     * Submits a new block to the daemon.
+     * Submits a new block to every daemon.
      * Coin daemons either use submitblock or getblocktemplate for submitting new blocks.
      *
+     * A daemon took the block when it answers without error, or with 'duplicate' or 'inconclusive' (the
+     * block is known but not yet, or no longer, on the best chain); any other answer, JSON-RPC errors
+     * included, is a rejection. When no daemon took it and some could not be reached, the submission is retried with a doubling
+     * delay, and once the retries are spent the block is relayed to the p2p peer if one is connected.
+     *
      * @function SubmitBlock
      * @param {string} blockHex - Hex-encoded block data to submit
-     * @param {Function} callback - Called after block submission attempt
+     * @param {Object} block - {height, hash, worker, reward} carried by the blockSubmitted events
+     * @param {Function} callback - Called with (error, response) once the submission is over; error is
+     *   null when a daemon or the p2p peer took the block, response the last rejection reason otherwise
+     * @fires Pool#blockSubmitted
      * @private
      */
-    function SubmitBlock(blockHex, callback){
+    function SubmitBlock(blockHex, block, callback){
 
         var rpcCommand, rpcArgs;
         if (options.hasSubmitMethod){
@@ -327,37 +697,96 @@ var pool = module.exports = function pool(options, authorizeFn){
             rpcArgs = [{'mode': 'submit', 'data': blockHex}];
         }
 
+        var retries = typeof options.blockSubmitRetries === 'number' ? options.blockSubmitRetries : 3;
+        var retryDelay = options.blockSubmitRetryDelay || 1000;
 
-        _this.daemon.cmd(rpcCommand,
-            rpcArgs,
-            function(results){
-                for (var i = 0; i < results.length; i++){
-                    var result = results[i];
-                    if (result.error) {
-                        emitErrorLog('rpc error with daemon instance ' +
-                                result.instance.index + ' when submitting block with ' + rpcCommand + ' ' +
-                                JSON.stringify(result.error)
-                        );
-                        return;
+        (function attempt(attemptNumber){
+            _this.daemon.cmd(rpcCommand,
+                rpcArgs,
+                function(results){
+                    var taken = false;
+                    var unreachable = false;
+                    var rejection = null;
+
+                    results.forEach(function(result){
+                        var index = result.instance ? result.instance.index : null;
+                        _this.emit('blockSubmitted', Object.assign({}, block, {
+                            daemon: index,
+                            attempt: attemptNumber,
+                            error: result.error || null,
+                            response: result.error ? null : result.response
+                        }));
+
+                        if (result.error && DAEMON_TRANSPORT_ERRORS.indexOf(result.error.type) !== -1){
+                            unreachable = true;
+                            emitErrorLog('rpc error with daemon instance ' + index + ' when submitting block with ' +
+                                rpcCommand + ' ' + JSON.stringify(result.error));
+                        }
+                        else if (result.error){
+                            rejection = result.error.message || JSON.stringify(result.error);
+                            emitErrorLog('Daemon instance ' + index + ' rejected block ' + block.hash + ': ' + rejection);
+                        }
+                        else if (!result.response || BLOCK_SUBMIT_TAKEN.indexOf(result.response) !== -1){
+                            taken = true;
+                        }
+                        else{
+                            rejection = result.response;
+                            emitErrorLog('Daemon instance ' + index + ' rejected block ' + block.hash + ': ' + result.response);
+                        }
+                    });
+
+                    if (taken){
+                        emitLog('Submitted Block using ' + rpcCommand + ' successfully to daemon instance(s)');
+                        return callback(null);
                     }
-                    else if (result.response === 'rejected') {
-                        emitErrorLog('Daemon instance ' + result.instance.index + ' rejected a supposedly valid block');
-                        return;
+                    if (unreachable && attemptNumber <= retries){
+                        var delay = retryDelay * Math.pow(2, attemptNumber - 1);
+                        emitWarningLog('Block ' + block.hash + ' not submitted to any daemon, retrying in ' + delay + 'ms');
+                        return setTimeout(attempt, delay, attemptNumber + 1);
+                    }
+                    if (unreachable && _this.peer && _this.peer.sendBlock(Buffer.from(blockHex, 'hex'))){
+                        emitWarningLog('Block ' + block.hash + ' could not be submitted to any daemon, relayed it to the p2p peer');
+                        _this.emit('blockSubmitted', Object.assign({}, block, {
+                            daemon: null,
+                            p2p: true,
+                            attempt: attemptNumber,
+                            error: null,
+                            response: null
+                        }));
+                        return callback(null);
                     }
+                    callback(rejection || 'not submitted', rejection);
                 }
-                emitLog('Submitted Block using ' + rpcCommand + ' successfully to daemon instance(s)');
-                callback();
-            }
-        );
+            );
+        })(1);
+
+    }
+
 
+    /**
+     * Address parameters of the network the daemon runs on: options.coin.addressNetwork,
+     * addressNetworkTestnet or addressNetworkRegtest when set, Bitcoin's otherwise.
+     *
+     * @function AddressNetwork
+     * @returns {Object} Network parameters for util.addressToScript
+     * @private
+     */
+    function AddressNetwork(){
+        if (options.regtest)
+            return options.coin.addressNetworkRegtest || util.networks.regtest;
+        if (options.testnet)
+            return options.coin.addressNetworkTestnet || util.networks.testnet;
+        return options.coin.addressNetwork || util.networks.mainnet;
     }
 
 
     /**
      * Sets up the reward recipients and calculates the pool fee percentage.
-     * Converts addresses to script format for use in generation transactions.
+     * Converts addresses to script format for use in generation transactions, failing the start
+     * if one of them is invalid or for another network rather than leaving its fee out.
      *
      * @function SetupRecipients
+     * @returns {boolean} False if the start failed
      * @private
      */
     function SetupRecipients(){
@@ -373,25 +802,88 @@ var pool = module.exports = function pool(options, authorizeFn){
                 if (r.length === 40)
                     rObj.script = util.miningKeyToScript(r);
                 else
-                    rObj.script = util.addressToScript(r);
+                    rObj.script = util.addressToScript(r, AddressNetwork());
                 recipients.push(rObj);
                 options.feePercent += percent;
             }
             catch(e){
-                emitErrorLog('Error generating transaction output script for ' + r + ' in rewardRecipients');
+                StartFailed('recipients', 'Error generating transaction output script for ' + r + ' in rewardRecipients: ' + e.message);
+                return false;
             }
         }
         if (recipients.length === 0){
             emitErrorLog('No rewardRecipients have been setup which means no fees will be taken');
         }
         options.recipients = recipients;
+        return true;
+    }
+
+    /**
+     * Converts the configured coinbaseOutputs to output scripts and amounts, failing the start if one
+     * of them is invalid.
+     *
+     * @function SetupCoinbaseOutputs
+     * @returns {boolean} False if the start failed
+     * @private
+     */
+    function SetupCoinbaseOutputs(){
+        try {
+            options.extraOutputs = CoinbaseOutputs(options.coinbaseOutputs || []);
+        }
+        catch(e){
+            StartFailed('coinbaseOutputs', e.message);
+            return false;
+        }
+        return true;
     }
 
+    /**
+     * Converts coinbaseOutputs entries to {script, amount} outputs:
+     *  - {address, amount}: pays a fixed amount to an address of the pool's network
+     *  - {script, amount}: pays a fixed amount to a hex output script
+     *  - {data} or {text}: zero value OP_RETURN output carrying hex data or UTF-8 text, at most 80 bytes
+     *
+     * @function CoinbaseOutputs
+     * @param {Array<Object>} outputs - Configured outputs, amounts in satoshis
+     * @returns {Array<Object>} {script, amount} outputs
+     * @throws {Error} Naming the first invalid output
+     * @private
+     */
+    function CoinbaseOutputs(outputs){
+        if (!Array.isArray(outputs))
+            throw new Error('coinbaseOutputs must be an array');
+        return outputs.map(function(output, index){
+            var describe = 'coinbaseOutputs[' + index + ']';
+            try {
+                if (output.data !== undefined || output.text !== undefined){
+                    var data = output.data !== undefined ? Buffer.from(String(output.data), 'hex') : Buffer.from(String(output.text), 'utf8');
+                    if (output.data !== undefined && data.length * 2 !== String(output.data).length)
+                        throw new Error('data must be hex');
+                    return {script: transactions.opReturnScript(data), amount: 0};
+                }
+                if (!Number.isSafeInteger(output.amount) || output.amount <= 0)
+                    throw new Error('amount must be a positive number of satoshis');
+                if (output.address !== undefined)
+                    return {script: util.addressToScript(output.address, AddressNetwork()), amount: output.amount};
+                if (typeof output.script === 'string' && /^([0-9a-f]{2})+$/i.test(output.script))
+                    return {script: Buffer.from(output.script, 'hex'), amount: output.amount};
+                throw new Error('needs an address, a hex script, data or text');
+            }
+            catch(e){
+                throw new Error(describe + ': ' + e.message);
+            }
+        });
+    }
+
+
     /**
      * Initializes the job manager and sets up event handlers for new blocks and shares.
      *
      * @function SetupJobManager
      * @fires Pool#share - When a share is submitted
+     * @fires Pool#blockCandidate - When a share solved a block
+     * @fires Pool#blockAccepted - When a found block made it onto the chain
+     * @fires Pool#blockRejected - When a found block did not
      * @fires Pool#log - For various logging events
      * @private
      */
@@ -402,18 +894,23 @@ var pool = module.exports = function pool(options, authorizeFn){
         _this.jobManager.on('newBlock', function(blockTemplate){
             //Check if stratumServer has been initialized yet
             if (_this.stratumServer) {
-                _this.stratumServer.broadcastMiningJobs(blockTemplate.getJobParams());
+                _this.stratumServer.broadcastMiningJobs(function(client){
+                    return GetJobParams(client, blockTemplate, true);
+                });
             }
         }).on('updatedBlock', function(blockTemplate){
             //Check if stratumServer has been initialized yet
             if (_this.stratumServer) {
-                var job = blockTemplate.getJobParams();
-                job[8] = false;
-                _this.stratumServer.broadcastMiningJobs(job);
+                _this.stratumServer.broadcastMiningJobs(function(client){
+                    return GetJobParams(client, blockTemplate, false);
+                });
             }
         }).on('share', function(shareData, blockHex){
             var isValidShare = !shareData.error;
             var isValidBlock = !!blockHex;
+            HandleAuxShares(isValidShare, shareData);
+            if (shareData.upstream)
+                ForwardShare(shareData);
             var emitShare = function(){
                 _this.emit('share', isValidShare, isValidBlock, shareData);
             };
@@ -426,11 +923,27 @@ var pool = module.exports = function pool(options, authorizeFn){
             if (!isValidBlock)
                 emitShare();
             else{
-                SubmitBlock(blockHex, function(){
+                var block = {
+                    height: shareData.height,
+                    hash: shareData.blockHash,
+                    worker: shareData.worker,
+                    reward: shareData.blockReward
+                };
+                blockSubmissions++;
+                _this.emit('blockCandidate', block);
+                SubmitBlock(blockHex, block, function(error, response){
+                    //Even a failed submission is checked, the block may have reached the daemon another way
                     CheckBlockAccepted(shareData.blockHash, function(isAccepted, tx){
                         isValidBlock = isAccepted;
                         shareData.txHash = tx;
+                        if (isAccepted)
+                            _this.emit('blockAccepted', Object.assign({}, block, {txHash: tx}));
+                        else
+                            _this.emit('blockRejected', Object.assign({}, block, {
+                                reason: response || (error ? 'not submitted' : 'not found after submission')
+                            }));
                         emitShare();
+                        BlockSubmissionFinished();
 
                         GetBlockTemplate(function(error, result, foundNewBlock){
                             if (foundNewBlock)
@@ -440,12 +953,145 @@ var pool = module.exports = function pool(options, authorizeFn){
                     });
                 });
             }
+        }).on('blockCandidateInvalid', function(candidate){
+            emitErrorLog('Block candidate ' + candidate.blockHash + ' at height ' + candidate.height + ' from ' +
+                candidate.worker + ' not submitted: ' + candidate.reason);
+            _this.emit('blockCandidateInvalid', candidate);
         }).on('log', function(severity, message){
             _this.emit('log', severity, message);
         });
     }
 
 
+    /**
+     * Connects to the upstream pool when proxying and turns its jobs and difficulty into local ones. Calls
+     * back once the first upstream job arrived. Miners whose extranonce2 size changes with a new upstream
+     * extranonce get it with mining.set_extranonce if they subscribed to it, and are asked to reconnect
+     * otherwise.
+     *
+     * @function SetupUpstream
+     * @param {Function} finishedCallback - Called when the first job is ready
+     * @fires Pool#log
+     * @private
+     */
+    function SetupUpstream(finishedCallback){
+        if (options.soloMining)
+            return StartFailed('upstream', 'Solo mining is not possible through an upstream pool');
+
+        options.initStats = {};
+        var started = false;
+        var poolVersionMask = util.parseVersionMask(options.versionMask);
+        _this.upstream = new upstream(Object.assign({}, options.upstream, {
+            versionMask: options.coin.asicboost ? poolVersionMask : undefined
+        }));
+
+        _this.upstream.on('log', function(severity, message){
+            _this.emit('log', severity, message);
+
+        }).on('subscribed', function(extraNonce1, extraNonce2Size){
+            var sizeChanged;
+            try {
+                sizeChanged = _this.jobManager.setUpstreamExtraNonce(extraNonce1, extraNonce2Size);
+            }
+            catch(e){
+                if (!started)
+                    StartFailed('upstream', e.message);
+                else
+                    emitErrorLog(e.message);
+                return _this.upstream.close();
+            }
+            if (!sizeChanged || !_this.stratumServer)
+                return;
+            var clients = _this.stratumServer.getStratumClients();
+            Object.keys(clients).forEach(function(subscriptionId){
+                var client = clients[subscriptionId];
+                if (client.extranonceSubscribed)
+                    client.sendExtraNonce(client.extraNonce1, _this.jobManager.extraNonce2Size);
+                else
+                    client.sendReconnect();
+            });
+
+        }).on('difficulty', function(difficulty){
+            _this.jobManager.setUpstreamDifficulty(difficulty);
+
+        }).on('versionMask', function(versionMask){
+            // Local miners negotiate the part of the pool's mask the upstream pool accepts, nothing without it
+            upstreamVersionMask = versionMask ? (poolVersionMask & versionMask) >>> 0 : 0;
+            _this.jobManager.setUpstreamVersionMask(versionMask);
+            if (_this.stratumServer)
+                _this.stratumServer.setVersionMask(upstreamVersionMask);
+
+        }).on('job', function(params){
+            try {
+                _this.jobManager.processUpstreamJob(params);
+            }
+            catch(e){
+                return emitWarningLog('Unusable upstream job ' + params[0] + ': ' + e.message);
+            }
+            if (!started){
+                started = true;
+                finishedCallback();
+            }
+
+        }).on('disconnected', function(){
+            emitWarningLog('Lost connection to upstream ' + options.upstream.host + ':' + options.upstream.port + ', reconnecting');
+        });
+
+        _this.upstream.connect(function(error){
+            if (error)
+                StartFailed('upstream', error);
+        });
+    }
+
+    /**
+     * Submits a share meeting the upstream difficulty to the upstream pool.
+     *
+     * @function ForwardShare
+     * @param {Object} shareData - Share with its upstream mining.submit fields
+     * @fires Pool#upstreamShare
+     * @private
+     */
+    function ForwardShare(shareData){
+        _this.upstream.submit(shareData.upstream, function(accepted, reason){
+            if (!accepted)
+                emitWarningLog('Upstream rejected share of ' + shareData.worker + ': ' + reason);
+            _this.emit('upstreamShare', accepted, shareData, reason);
+        });
+    }
+
+
+    /**
+     * Marks a block submission started by the share handler as finished and wakes up
+     * anyone waiting in WaitForBlockSubmissions.
+     *
+     * @function BlockSubmissionFinished
+     * @private
+     */
+    function BlockSubmissionFinished(){
+        blockSubmissions--;
+        if (blockSubmissions === 0){
+            blockSubmissionWaiters.splice(0).forEach(function(waiter){
+                waiter();
+            });
+        }
+    }
+
+
+    /**
+     * Calls back once no block submission is in flight anymore.
+     *
+     * @function WaitForBlockSubmissions
+     * @param {Function} callback - Called when all block submissions have finished
+     * @private
+     */
+    function WaitForBlockSubmissions(callback){
+        if (blockSubmissions === 0)
+            return callback();
+        emitLog('Waiting for ' + blockSubmissions + ' block submission(s) to finish');
+        blockSubmissionWaiters.push(callback);
+    }
+
+
     /**
      * Sets up the daemon interface for communication with the cryptocurrency daemon.
      * Validates that at least one daemon is configured.
@@ -453,28 +1099,38 @@ var pool = module.exports = function pool(options, authorizeFn){
      * @function SetupDaemonInterface
      * @param {Function} finishedCallback - Called when daemon is online
      * @fires Pool#log - For error and warning messages
+     * @fires Pool#daemonStateChanged - When a daemon instance changes health state
      * @private
      */
     function SetupDaemonInterface(finishedCallback){
 
         if (!Array.isArray(options.daemons) || options.daemons.length < 1){
-            emitErrorLog('No daemons have been configured - pool cannot start');
+            StartFailed('daemons', 'No daemons have been configured - pool cannot start');
             return;
         }
 
         _this.daemon = new daemon.interface(options.daemons, function(severity, message){
             _this.emit('log', severity , message);
+        }, {
+            mode: options.daemonMode,
+            healthCheckInterval: options.daemonHealthCheckInterval
         });
 
         _this.daemon.once('online', function(){
             finishedCallback();
 
         }).on('connectionFailed', function(error){
-            emitErrorLog('Failed to connect daemon(s): ' + JSON.stringify(error));
+            StartFailed('daemons', 'Failed to connect daemon(s): ' + JSON.stringify(error), error);
 
         }).on('error', function(message){
             emitErrorLog(message);
 
+        }).on('daemonStateChanged', function(daemonHealth){
+            if (daemonHealth.state !== 'online')
+                emitWarningLog('Daemon instance ' + daemonHealth.index + ' is ' + daemonHealth.state +
+                    (daemonHealth.lastError ? ' (' + daemonHealth.lastError + ')' : ''));
+            _this.emit('daemonStateChanged', daemonHealth);
+
         });
 
         _this.daemon.init();
@@ -505,7 +1161,7 @@ var pool = module.exports = function pool(options, authorizeFn){
         }
         _this.daemon.batchCmd(batchRpcCalls, function(error, results){
             if (error || !results){
-                emitErrorLog('Could not start pool, error with init batch RPC call: ' + JSON.stringify(error));
+                StartFailed('coinData', 'Could not start pool, error with init batch RPC call: ' + JSON.stringify(error), error);
                 return;
             }
 
@@ -517,13 +1173,13 @@ var pool = module.exports = function pool(options, authorizeFn){
                 rpcResults[rpcCall] = r.result || r.error;
 
                 if (rpcCall !== 'submitblock' && (r.error || !r.result)){
-                    emitErrorLog('Could not start pool, error with init RPC ' + rpcCall + ' - ' + JSON.stringify(r.error));
+                    StartFailed('coinData', 'Could not start pool, error with init RPC ' + rpcCall + ' - ' + JSON.stringify(r.error), r.error);
                     return;
                 }
             }
 
             if (!rpcResults.validateaddress.isvalid){
-                emitErrorLog('Daemon reports address is not valid');
+                StartFailed('address', 'Daemon reports address is not valid', rpcResults.validateaddress);
                 return;
             }
 
@@ -538,25 +1194,31 @@ var pool = module.exports = function pool(options, authorizeFn){
             /* POS coins must use the pubkey in coinbase transaction, and pubkey is
                only given if address is owned by wallet.*/
             if (options.coin.reward === 'POS' && typeof(rpcResults.validateaddress.pubkey) == 'undefined') {
-                emitErrorLog('The address provided is not from the daemon wallet - this is required for POS coins.');
+                StartFailed('address', 'The address provided is not from the daemon wallet - this is required for POS coins.', rpcResults.validateaddress);
                 return;
             }
 
-            options.poolAddressScript = (function(){
-                switch(options.coin.reward){
-                    case 'POS':
-                        return util.pubkeyToScript(rpcResults.validateaddress.pubkey);
-                    case 'POW':
-                        // For Bitcoin Cash, use scriptPubKey directly if available (handles CashAddr)
-                        if (rpcResults.validateaddress.scriptPubKey) {
-                            return Buffer.from(rpcResults.validateaddress.scriptPubKey, 'hex');
-                        }
-                        // Fallback to legacy address parsing
-                        return util.addressToScript(rpcResults.validateaddress.address || options.address);
-                }
-            })();
-
             options.testnet = options.coin.hasGetInfo ? rpcResults.getinfo.testnet : (rpcResults.getblockchaininfo.chain === 'test') ? true : false;
+            options.regtest = !options.coin.hasGetInfo && rpcResults.getblockchaininfo.chain === 'regtest';
+
+            try {
+                options.poolAddressScript = (function(){
+                    switch(options.coin.reward){
+                        case 'POS':
+                            return util.pubkeyToScript(rpcResults.validateaddress.pubkey);
+                        case 'POW':
+                            // Use the daemon's scriptPubKey if available, it knows the address formats of its coin
+                            if (rpcResults.validateaddress.scriptPubKey) {
+                                return Buffer.from(rpcResults.validateaddress.scriptPubKey, 'hex');
+                            }
+                            return util.addressToScript(rpcResults.validateaddress.address || options.address, AddressNetwork());
+                    }
+                })();
+            }
+            catch(e){
+                StartFailed('address', e.message, rpcResults.validateaddress);
+                return;
+            }
 
             options.protocolVersion = options.coin.hasGetInfo ? rpcResults.getinfo.protocolversion : rpcResults.getnetworkinfo.protocolversion;
 
@@ -579,7 +1241,7 @@ var pool = module.exports = function pool(options, authorizeFn){
                 options.hasSubmitMethod = true;
             }
             else {
-                emitErrorLog('Could not detect block submission RPC method, ' + JSON.stringify(results));
+                StartFailed('submitMethod', 'Could not detect block submission RPC method, ' + JSON.stringify(results), results);
                 return;
             }
 
@@ -590,124 +1252,397 @@ var pool = module.exports = function pool(options, authorizeFn){
 
 
 
+    /**
+     * Authorizer used in solo mining mode: refuses workers whose username is not an address the block
+     * reward can be paid to, then defers to the configured authorizeFn.
+     *
+     * @function AuthorizeSoloMiner
+     * @private
+     */
+    function AuthorizeSoloMiner(ip, port, workerName, password, callback, tlsInfo){
+        if (!PayoutScript(workerName)){
+            callback({error: [24, 'username must be a valid payout address'], authorized: false});
+            return;
+        }
+        authorizeFn(ip, port, workerName, password, callback, tlsInfo);
+    }
+
+    /**
+     * Converts the address part of a worker name (before the dot) to the output script paying it.
+     * Any address of the pool's network is accepted: base58, CashAddr or bech32.
+     *
+     * @function PayoutScript
+     * @param {string} workerName - Worker name, e.g. 'bitcoincash:qq...abc.rig1'
+     * @returns {Buffer|null} Output script, or null if the worker name is not a payable address
+     * @private
+     */
+    function PayoutScript(workerName){
+        var address = String(workerName || '').split('.')[0];
+        try {
+            return util.addressToScript(address, AddressNetwork());
+        }
+        catch(e){
+            return null;
+        }
+    }
+
+    /**
+     * Gets the payout script of a worker of an authorized solo miner, cached on the client for the
+     * worker name last asked for.
+     *
+     * @function SoloPayoutScript
+     * @param {StratumClient} client
+     * @param {string} workerName
+     * @returns {Buffer|null} Output script, or null while the client is not authorized
+     * @private
+     */
+    function SoloPayoutScript(client, workerName){
+        if (!client.authorized)
+            return null;
+        if (!client.soloPayout || client.soloPayout.workerName !== workerName)
+            client.soloPayout = {workerName: workerName, script: PayoutScript(workerName)};
+        return client.soloPayout.script;
+    }
+
+    /**
+     * Works out the coinbase variant a client mines on: in solo mining mode the payout script of the
+     * worker it last authorized, and the coinbase signature of the port it is connected to.
+     *
+     * @function CoinbaseVariant
+     * @param {StratumClient} client
+     * @returns {Object|undefined} {payoutScript, signature, worker}, or undefined for the pool's coinbase
+     * @private
+     */
+    function CoinbaseVariant(client){
+        var port = options.ports[client.socket.localPort] || {};
+        if (!options.soloMining && !port.coinbaseSignature)
+            return undefined;
+        var coinbase = {signature: port.coinbaseSignature};
+        if (options.soloMining){
+            coinbase.payoutScript = SoloPayoutScript(client, client.workerName);
+            coinbase.worker = String(client.workerName || '').split('.')[0];
+        }
+        return coinbase;
+    }
+
+    /**
+     * Remembers the coinbase variant a client was sent a job with, so its shares for that job are
+     * checked against the coinbase it actually hashed. Variants of jobs no longer valid are forgotten.
+     *
+     * @function RememberJobCoinbase
+     * @param {StratumClient} client
+     * @param {string} jobId
+     * @param {Object|undefined} coinbase - Variant from CoinbaseVariant
+     * @private
+     */
+    function RememberJobCoinbase(client, jobId, coinbase){
+        if (!client.jobCoinbases)
+            client.jobCoinbases = new Map();
+        client.jobCoinbases.forEach(function(variant, knownJobId){
+            if (!(knownJobId in _this.jobManager.validJobs))
+                client.jobCoinbases.delete(knownJobId);
+        });
+        client.jobCoinbases.set(jobId, coinbase);
+    }
+
+    /**
+     * Gets the coinbase variant a client's share for a job is checked against: the one the job was
+     * sent with, or the client's current one for jobs it was not sent.
+     *
+     * @function JobCoinbase
+     * @param {StratumClient} client
+     * @param {string} jobId
+     * @returns {Object|undefined} Coinbase variant
+     * @private
+     */
+    function JobCoinbase(client, jobId){
+        if (client.jobCoinbases && client.jobCoinbases.has(jobId))
+            return client.jobCoinbases.get(jobId);
+        return CoinbaseVariant(client);
+    }
+
+    /**
+     * Tells whether a worker name was authorized on a client's connection: one of the names the
+     * authorizer accepted, or the name of an SV2 channel.
+     *
+     * @function IsAuthorizedWorker
+     * @param {StratumClient} client
+     * @param {string} workerName
+     * @returns {boolean}
+     * @private
+     */
+    function IsAuthorizedWorker(client, workerName){
+        if (workerName === client.workerName)
+            return true;
+        return (client.authorizedWorkers || []).indexOf(workerName) !== -1;
+    }
+
+    /**
+     * Gets the mining.notify params of a job for a client. In solo mining mode every miner gets a
+     * coinbase paying its own address, and nothing until it is authorized.
+     *
+     * @function GetJobParams
+     * @param {StratumClient} client
+     * @param {BlockTemplate} blockTemplate - Job to send
+     * @param {boolean} cleanJobs - Whether miners should drop their current work
+     * @returns {Array|null} Job params, or null if the client cannot get work yet or is served by
+     *          another pool sharing the stratum server
+     * @private
+     */
+    function GetJobParams(client, blockTemplate, cleanJobs){
+        if (!attachedClients.has(client))
+            return null;
+        var coinbase = CoinbaseVariant(client);
+        if (options.soloMining && !coinbase.payoutScript)
+            return null;
+        var jobParams = blockTemplate.getJobParams(coinbase).slice();
+        jobParams[8] = cleanJobs;
+        RememberJobCoinbase(client, jobParams[0], coinbase);
+        return jobParams;
+    }
+
+
+
     /**
      * Starts the Stratum server and sets up all client event handlers.
-     * Broadcasts initial mining jobs once the server is started.
+     * Broadcasts initial mining jobs once the server is started. A shared stratum server is
+     * already listening, and its miners are handed to the pool with attachClient.
      *
      * @function StartStratumServer
      * @param {Function} finishedCallback - Called when server is started
-     * @fires Pool#difficultyUpdate - When client difficulty changes
-     * @fires Pool#share - When share is submitted
-     * @fires Pool#banIP - When IP should be banned
-     * @fires Pool#log - For various client events
      * @private
      */
     function StartStratumServer(finishedCallback){
-        _this.stratumServer = new stratum.Server(options, authorizeFn);
+        if (options.stratumServer){
+            _this.stratumServer = options.stratumServer;
+            if (upstreamVersionMask !== null)
+                _this.stratumServer.setVersionMask(upstreamVersionMask);
+            _this.stratumServer.on('broadcastTimeout', RebroadcastWork);
+            options.initStats.stratumPorts = Object.keys(options.ports);
+            return finishedCallback();
+        }
+
+        _this.stratumServer = new stratum.Server(options, options.soloMining ? AuthorizeSoloMiner : authorizeFn);
+        if (upstreamVersionMask !== null)
+            _this.stratumServer.setVersionMask(upstreamVersionMask);
 
         _this.stratumServer.on('started', function(){
             options.initStats.stratumPorts = Object.keys(options.ports);
-            _this.stratumServer.broadcastMiningJobs(_this.jobManager.currentJob.getJobParams());
+            _this.stratumServer.broadcastMiningJobs(function(client){
+                return GetJobParams(client, _this.jobManager.currentJob, true);
+            });
             finishedCallback();
 
-        }).on('broadcastTimeout', function(){
-            emitLog('No new blocks for ' + (options.jobRebroadcastTimeout || 55) + ' seconds - updating transactions & rebroadcasting work');
+        }).on('broadcastTimeout', RebroadcastWork).on('client.connected', AttachClient);
+    }
 
-            GetBlockTemplate(function(error, rpcData, processedBlock){
-                if (error || processedBlock) return;
-                _this.jobManager.updateCurrentJob(rpcData);
+    /**
+     * Refreshes the transactions of the current job when no job was broadcast for jobRebroadcastTimeout
+     * seconds, so miners keep getting work. When proxying the current job is sent again.
+     *
+     * @function RebroadcastWork
+     * @fires Pool#log
+     * @private
+     */
+    function RebroadcastWork(){
+        if (_this.upstream){
+            emitLog('No upstream jobs for ' + (options.jobRebroadcastTimeout || 55) + ' seconds - rebroadcasting work');
+            _this.stratumServer.broadcastMiningJobs(function(client){
+                return GetJobParams(client, _this.jobManager.currentJob, false);
             });
+            return;
+        }
+        emitLog('No new blocks for ' + (options.jobRebroadcastTimeout || 55) + ' seconds - updating transactions & rebroadcasting work');
 
-        }).on('client.connected', function(client){
-            if (typeof(_this.varDiff[client.socket.localPort]) !== 'undefined') {
-                _this.varDiff[client.socket.localPort].manageClient(client);
+        GetBlockTemplate(function(error, rpcData, processedBlock){
+            if (error || processedBlock) return;
+            _this.jobManager.updateCurrentJob(rpcData);
+        });
+    }
+
+    /**
+     * Sets up the event handlers of a miner this pool serves. The handlers are tracked so that
+     * DetachClient can hand the miner over to another pool sharing the stratum server.
+     *
+     * @function AttachClient
+     * @param {StratumClient} client
+     * @fires Pool#difficultyUpdate - When client difficulty changes
+     * @fires Pool#share - When share is submitted
+     * @fires Pool#banIP - When IP should be banned
+     * @fires Pool#log - For various client events
+     * @private
+     */
+    function AttachClient(client){
+        var handlers = [];
+        var releaseVarDiff = null;
+        var wire = {
+            on: function(event, handler){
+                client.on(event, handler);
+                handlers.push([event, handler]);
+                return wire;
             }
+        };
+
+        if (typeof(_this.varDiff[client.socket.localPort]) !== 'undefined') {
+            releaseVarDiff = _this.varDiff[client.socket.localPort].manageClient(client);
+        }
 
-            client.on('difficultyChanged', function(diff){
-                _this.emit('difficultyUpdate', client.workerName, diff);
+        attachedClients.set(client, function(){
+            handlers.forEach(function(handler){
+                client.removeListener(handler[0], handler[1]);
+            });
+            if (releaseVarDiff)
+                releaseVarDiff();
+        });
 
-            }).on('subscription', function(params, resultCallback){
+        wire.on('difficultyChanged', function(diff){
+            _this.emit('difficultyUpdate', client.workerName, diff);
 
-                var extraNonce = _this.jobManager.extraNonceCounter.next();
-                var extraNonce2Size = _this.jobManager.extraNonce2Size;
-                resultCallback(null,
-                    extraNonce,
-                    extraNonce2Size
-                );
+        }).on('subscription', function(params, resultCallback){
 
-                if (typeof(options.ports[client.socket.localPort]) !== 'undefined' && options.ports[client.socket.localPort].diff) {
-                    this.sendDifficulty(options.ports[client.socket.localPort].diff);
-                } else {
-                    this.sendDifficulty(8);
-                }
+            var extraNonce = _this.jobManager.extraNonceCounter.next();
+            var extraNonce2Size = _this.jobManager.extraNonce2Size;
+            resultCallback(null,
+                extraNonce,
+                extraNonce2Size
+            );
 
-                this.sendMiningJob(_this.jobManager.currentJob.getJobParams());
+            if (typeof(options.ports[client.socket.localPort]) !== 'undefined' && options.ports[client.socket.localPort].diff) {
+                this.sendDifficulty(options.ports[client.socket.localPort].diff);
+            } else {
+                this.sendDifficulty(8);
+            }
 
-            }).on('submit', function(params, resultCallback){
-                var result =_this.jobManager.processShare(
-                    params.jobId,
-                    client.previousDifficulty,
-                    client.difficulty,
-                    client.extraNonce1,
-                    params.extraNonce2,
-                    params.nTime,
-                    params.nonce,
-                    client.remoteAddress,
-                    client.socket.localPort,
-                    params.name
-                    // No version parameters - ASICBoost disabled
-                );
+            var jobParams = GetJobParams(client, _this.jobManager.currentJob, true);
+            if (jobParams)
+                this.sendMiningJob(jobParams);
 
-                resultCallback(result.error, result.result ? true : null);
+        }).on('authorized', function(){
+            // Solo miners only get work once their payout address is known
+            if (options.soloMining && client.extraNonce1){
+                var jobParams = GetJobParams(client, _this.jobManager.currentJob, true);
+                if (jobParams)
+                    this.sendMiningJob(jobParams);
+            }
 
-            }).on('malformedMessage', function (message) {
-                emitWarningLog('Malformed message from ' + client.getLabel() + ': ' + message);
+        }).on('submit', function(params, resultCallback){
+            if (!IsAuthorizedWorker(client, params.name)){
+                resultCallback([24, 'unauthorized worker'], null);
+                return;
+            }
+            var coinbase = JobCoinbase(client, params.jobId);
+            if (options.soloMining && !coinbase.payoutScript){
+                resultCallback([24, 'username must be a valid payout address'], null);
+                return;
+            }
+            var result =_this.jobManager.processShare(
+                params.jobId,
+                client.previousDifficulty,
+                client.difficulty,
+                client.extraNonce1,
+                params.extraNonce2,
+                params.nTime,
+                params.nonce,
+                client.remoteAddress,
+                client.socket.localPort,
+                params.name,
+                params.version,
+                client.asicboost ? client.versionMask : undefined,
+                coinbase
+            );
 
-            }).on('socketError', function(err) {
-                emitWarningLog('Socket error from ' + client.getLabel() + ': ' + JSON.stringify(err));
+            resultCallback(result.error, result.result ? true : null);
 
-            }).on('socketTimeout', function(reason){
-                emitWarningLog('Connected timed out for ' + client.getLabel() + ': ' + reason)
+        }).on('malformedMessage', function (message) {
+            emitWarningLog('Malformed message from ' + client.getLabel() + ': ' + message);
 
-            }).on('socketDisconnect', function() {
-                //emitLog('Socket disconnected from ' + client.getLabel());
+        }).on('socketError', function(err) {
+            emitWarningLog('Socket error from ' + client.getLabel() + ': ' + JSON.stringify(err));
 
-            }).on('kickedBannedIP', function(remainingBanTime){
-                emitLog('Rejected incoming connection from ' + client.remoteAddress + ' banned for ' + remainingBanTime + ' more seconds');
+        }).on('socketTimeout', function(reason){
+            emitWarningLog('Connected timed out for ' + client.getLabel() + ': ' + reason)
 
-            }).on('forgaveBannedIP', function(){
-                emitLog('Forgave banned IP ' + client.remoteAddress);
+        }).on('socketDisconnect', function() {
+            //emitLog('Socket disconnected from ' + client.getLabel());
+            DetachClient(client);
 
-            }).on('unknownStratumMethod', function(fullMessage) {
-                emitLog('Unknown stratum method from ' + client.getLabel() + ': ' + fullMessage.method);
+        }).on('kickedBannedIP', function(remainingBanTime){
+            emitLog('Rejected incoming connection from ' + client.remoteAddress + ' banned for ' + remainingBanTime + ' more seconds');
 
-            }).on('socketFlooded', function() {
-                emitWarningLog('Detected socket flooding from ' + client.getLabel());
+        }).on('forgaveBannedIP', function(){
+            emitLog('Forgave banned IP ' + client.remoteAddress);
 
-            }).on('tcpProxyError', function(data) {
-                emitErrorLog('Client IP detection failed, tcpProxyProtocol is enabled yet did not receive proxy protocol message, instead got data: ' + data);
+        }).on('unknownStratumMethod', function(fullMessage) {
+            emitLog('Unknown stratum method from ' + client.getLabel() + ': ' + fullMessage.method);
 
-            }).on('bootedBannedWorker', function(){
-                emitWarningLog('Booted worker ' + client.getLabel() + ' who was connected from an IP address that was just banned');
+        }).on('socketFlooded', function() {
+            emitWarningLog('Detected socket flooding from ' + client.getLabel());
 
-            }).on('triggerBan', function(reason){
-                emitWarningLog('Banned triggered for ' + client.getLabel() + ': ' + reason);
-                _this.emit('banIP', client.remoteAddress, client.workerName);
-            });
+        }).on('tcpProxyError', function(data) {
+            emitErrorLog('Client IP detection failed, tcpProxyProtocol is enabled yet did not receive proxy protocol message, instead got data: ' + data);
+
+        }).on('bootedBannedWorker', function(){
+            emitWarningLog('Booted worker ' + client.getLabel() + ' who was connected from an IP address that was just banned');
+
+        }).on('triggerBan', function(reason){
+            emitWarningLog('Banned triggered for ' + client.getLabel() + ': ' + reason);
+            _this.emit('banIP', client.remoteAddress, client.workerName);
         });
     }
 
+    /**
+     * Removes the event handlers AttachClient set up for a miner.
+     *
+     * @function DetachClient
+     * @param {StratumClient} client
+     * @returns {boolean} Whether the pool served the miner
+     * @private
+     */
+    function DetachClient(client){
+        var release = attachedClients.get(client);
+        if (!release)
+            return false;
+        attachedClients.delete(client);
+        //Job IDs of another pool taking the miner over may collide with this pool's
+        client.jobCoinbases = null;
+        release();
+        return true;
+    }
+
 
 
     /**
      * Sets up periodic polling for new blocks using getblocktemplate.
-     * Only enabled if blockRefreshInterval is configured.
+     * Uses long polling when enabled and advertised by the daemon, otherwise interval polling
+     * if blockRefreshInterval is configured.
      *
      * @function SetupBlockPolling
      * @fires Pool#log - When new blocks are found via polling
      * @private
      */
     function SetupBlockPolling(){
+        if (options.longPolling){
+            var longPollId = _this.jobManager.currentJob.rpcData.longpollid;
+            if (longPollId){
+                LongPoll(longPollId);
+                return;
+            }
+            emitWarningLog('Daemon does not advertise getblocktemplate long polling, falling back to interval polling');
+        }
+
+        SetupIntervalPolling();
+    }
+
+
+
+    /**
+     * Polls getblocktemplate every blockRefreshInterval ms, if configured.
+     *
+     * @function SetupIntervalPolling
+     * @fires Pool#log - When new blocks are found via polling
+     * @private
+     */
+    function SetupIntervalPolling(){
         if (typeof options.blockRefreshInterval !== "number" || options.blockRefreshInterval <= 0){
             emitLog('Block template polling has been disabled');
             return;
@@ -725,6 +1660,58 @@ var pool = module.exports = function pool(options, authorizeFn){
 
 
 
+    /**
+     * Waits for the daemon to push a new block template for the given longpollid, processes it and
+     * polls again with the id of the new template. New blocks replace the current job; other template
+     * changes (new transactions) are sent to miners as an updated job. Failed requests are retried
+     * after 5 seconds, until LONG_POLL_MAX_FAILURES of them in a row switch to interval polling.
+     *
+     * @function LongPoll
+     * @param {string} longPollId - longpollid of the template currently being mined on
+     * @fires Pool#log - When new blocks are found via long polling
+     * @private
+     */
+    function LongPoll(longPollId){
+        longPollRequest = _this.daemon.longPollCmd('getblocktemplate',
+            [{"capabilities": [ "coinbasetxn", "workid", "coinbase/append" ], "rules": [ "segwit" ], "longpollid": longPollId}],
+            function(result){
+                longPollRequest = null;
+                if (stopPromise)
+                    return;
+                if (result.error){
+                    emitWarningLog('getblocktemplate long poll failed for daemon instance ' +
+                        (result.instance ? result.instance.index : '-') + ' with error ' + JSON.stringify(result.error));
+                    if (++longPollFailures >= LONG_POLL_MAX_FAILURES){
+                        emitWarningLog('getblocktemplate long polling failed ' + longPollFailures +
+                            ' times in a row, falling back to interval polling');
+                        SetupIntervalPolling();
+                        return;
+                    }
+                    longPollRetryTimeout = setTimeout(function(){
+                        LongPoll(longPollId);
+                    }, 5000);
+                    return;
+                }
+
+                longPollFailures = 0;
+                var rpcData = result.response;
+                try {
+                    if (_this.jobManager.processTemplate(rpcData))
+                        emitLog('Block notification via long polling');
+                    else if (rpcData.previousblockhash === _this.jobManager.currentJob.rpcData.previousblockhash)
+                        _this.jobManager.updateCurrentJob(rpcData);
+                }
+                catch(e){
+                    emitErrorLog('Could not create a job from the block template: ' + e.message);
+                }
+
+                LongPoll(rpcData.longpollid || longPollId);
+            }
+        );
+    }
+
+
+
     /**
      * Retrieves a new block template from the daemon and processes it.
      *
@@ -741,7 +1728,7 @@ var pool = module.exports = function pool(options, authorizeFn){
             function(result){
                 if (result.error){
                     emitErrorLog('getblocktemplate call failed for daemon instance ' +
-                        result.instance.index + ' with error ' + JSON.stringify(result.error));
+                        (result.instance ? result.instance.index : '-') + ' with error ' + JSON.stringify(result.error));
                     callback(result.error);
                 } else {
                     // Debug logging for Bitcoin Cash daemon response
@@ -751,7 +1738,14 @@ var pool = module.exports = function pool(options, authorizeFn){
                     emitLog('DEBUG: RPC response previousblockhash: ' + result.response.previousblockhash);
                     emitLog('DEBUG: RPC response height: ' + result.response.height);
                     
-                    var processedNewBlock = _this.jobManager.processTemplate(result.response);
+                    try {
+                        var processedNewBlock = _this.jobManager.processTemplate(result.response);
+                    }
+                    catch(e){
+                        emitErrorLog('Could not create a job from the block template: ' + e.message);
+                        callback({type: 'coinbase', message: e.message, outputs: e.code === CoinbaseBuilder.OUTPUTS_ERROR});
+                        return;
+                    }
                     callback(null, result.response, processedNewBlock);
                     callback = function(){};
                 }
@@ -801,7 +1795,7 @@ var pool = module.exports = function pool(options, authorizeFn){
      *
      * @method processBlockNotify
      * @param {string} blockHash - Hash of the newly discovered block
-     * @param {string} sourceTrigger - Source of the notification ('RPC' or 'p2p')
+     * @param {string} sourceTrigger - Source of the notification ('RPC', 'p2p' or 'zmq')
      */
     this.processBlockNotify = function(blockHash, sourceTrigger) {
         emitLog('Block notification via ' + sourceTrigger);
@@ -814,6 +1808,121 @@ var pool = module.exports = function pool(options, authorizeFn){
     };
 
 
+    /**
+     * Gives connected miners up to drainTimeout ms to disconnect by themselves.
+     *
+     * @function DrainClients
+     * @param {number} drainTimeout - Maximum time to wait (ms)
+     * @param {Function} callback - Called when all miners are gone or the timeout elapsed
+     * @private
+     */
+    function DrainClients(drainTimeout, callback){
+        var server = _this.stratumServer;
+        // The miners of a shared server are handed to another pool instead
+        if (!server || options.stratumServer || drainTimeout <= 0 || Object.keys(server.getStratumClients()).length === 0)
+            return callback();
+
+        var timeout;
+        var onDisconnect = function(){
+            if (Object.keys(server.getStratumClients()).length === 0)
+                finish();
+        };
+        var finish = function(){
+            clearTimeout(timeout);
+            server.removeListener('client.disconnected', onDisconnect);
+            callback();
+        };
+        timeout = setTimeout(finish, drainTimeout);
+        server.on('client.disconnected', onDisconnect);
+    }
+
+
+    /**
+     * Shuts the pool down: stops accepting miners, optionally asks connected miners to reconnect,
+     * waits for in-flight block submissions, then clears all timers and closes the stratum ports,
+     * the remaining miner connections and the p2p peer. A pool sharing its stratum server only
+     * detaches its miners and leaves the server to its owner.
+     *
+     * @method stop
+     * @param {Object} [stopOptions]
+     * @param {Object|boolean} [stopOptions.reconnect] - Send client.reconnect to connected miners:
+     *        true to reconnect to the same host, or {host, port, waitTime}
+     * @param {number} [stopOptions.drainTimeout=0] - Time to give miners to disconnect by themselves (ms)
+     * @returns {Promise} Resolved once the pool is fully stopped
+     * @fires Pool#stopped
+     */
+    this.stop = function(stopOptions){
+        if (stopPromise)
+            return stopPromise;
+        stopOptions = stopOptions || {};
+
+        //Stopping closes the daemon, so a start still waiting on it would never settle
+        if (startPending)
+            StartFailed('stopped', 'Pool was stopped before it finished starting');
+
+        stopPromise = new Promise(function(resolve){
+            emitLog('Stopping pool');
+            clearInterval(blockPollingIntervalId);
+            clearTimeout(syncCheckTimeout);
+            clearTimeout(longPollRetryTimeout);
+            (_this.auxChains || []).forEach(function(chain){
+                chain.stop();
+            });
+            if (longPollRequest){
+                longPollRequest.cancel();
+                longPollRequest = null;
+            }
+
+            if (options.stratumServer){
+                options.stratumServer.removeListener('broadcastTimeout', RebroadcastWork);
+                attachedClients.forEach(function(release, client){
+                    DetachClient(client);
+                });
+            }
+            else if (_this.stratumServer){
+                _this.stratumServer.stopListening();
+                if (stopOptions.reconnect){
+                    var reconnect = typeof stopOptions.reconnect === 'object' ? stopOptions.reconnect : {};
+                    var clients = _this.stratumServer.getStratumClients();
+                    Object.keys(clients).forEach(function(subscriptionId){
+                        clients[subscriptionId].sendReconnect(reconnect.host, reconnect.port, reconnect.waitTime);
+                    });
+                }
+            }
+
+            DrainClients(stopOptions.drainTimeout || 0, function(){
+                WaitForBlockSubmissions(function(){
+                    var finish = function(){
+                        if (_this.daemon)
+                            _this.daemon.close();
+                        if (_this.upstream)
+                            _this.upstream.close();
+                        if (_this.peer)
+                            _this.peer.close();
+                        if (_this.zmq)
+                            _this.zmq.close();
+                        if (_this.blockTracker)
+                            _this.blockTracker.stop();
+                        (_this.auxChains || []).forEach(function(chain){
+                            chain.daemon.close();
+                        });
+                        if (typeof(options.api) === 'object' && typeof(options.api.stop) === 'function')
+                            options.api.stop(_this);
+                        emitLog('Pool stopped');
+                        _this.emit('stopped');
+                        resolve();
+                    };
+                    if (_this.stratumServer && !options.stratumServer)
+                        _this.stratumServer.close(finish);
+                    else
+                        finish();
+                });
+            });
+        });
+        return stopPromise;
+    };
+
+
     /**
      * Relinquishes control of miners matching a filter function.
      * This is used for pool switching or removing specific miners.
@@ -834,6 +1943,7 @@ var pool = module.exports = function pool(options, authorizeFn){
             filterFn,
             function (clientsToRelinquish) {
                 clientsToRelinquish.forEach(function(cObj) {
+                    DetachClient(cObj.client);
                     cObj.client.removeAllListeners();
                     _this.stratumServer.removeStratumClientBySubId(cObj.subId);
                 });
@@ -863,10 +1973,46 @@ var pool = module.exports = function pool(options, authorizeFn){
         miners.forEach(function (clientObj) {
             _this.stratumServer.manuallyAddStratumClient(clientObj);
         });
-        _this.stratumServer.broadcastMiningJobs(_this.jobManager.currentJob.getJobParams());
+        _this.stratumServer.broadcastMiningJobs(function(client){
+            return GetJobParams(client, _this.jobManager.currentJob, true);
+        });
 
     };
 
+    /**
+     * Takes over a miner of a stratum server shared with other pool instances: its subscription and
+     * shares are handled by this pool from now on. A miner that already subscribed switches without
+     * reconnecting: it gets a new extranonce1 if it subscribed to extranonce changes, otherwise it keeps
+     * its own, which no other instance hands out as instances have distinct instanceIds. Then it gets
+     * the current job with clean_jobs set.
+     *
+     * @method attachClient
+     * @param {StratumClient} client - Miner connected to options.stratumServer
+     */
+    this.attachClient = function(client){
+        if (attachedClients.has(client))
+            return;
+        AttachClient(client);
+        if (!client.extraNonce1)
+            return;
+        if (client.extranonceSubscribed)
+            client.sendExtraNonce(_this.jobManager.extraNonceCounter.next(), _this.jobManager.extraNonce2Size);
+        var jobParams = GetJobParams(client, _this.jobManager.currentJob, true);
+        if (jobParams)
+            client.sendMiningJob(jobParams);
+    };
+
+    /**
+     * Stops serving a miner, so another pool instance can attach it.
+     *
+     * @method detachClient
+     * @param {StratumClient} client
+     * @returns {boolean} Whether this pool served the miner
+     */
+    this.detachClient = function(client){
+        return DetachClient(client);
+    };
+
     /**
      * Gets the Stratum server instance.
      *
@@ -906,13 +2052,34 @@ var pool = module.exports = function pool(options, authorizeFn){
                  //current job parameters but with the "clean jobs" flag set to false
                  //so the miner doesn't restart work and submit duplicate shares
                 client.sendDifficulty(newDiff);
-                var job = _this.jobManager.currentJob.getJobParams();
-                job[8] = false;
-                client.sendMiningJob(job);
+                var job = GetJobParams(client, _this.jobManager.currentJob, false);
+                if (job)
+                    client.sendMiningJob(job);
             }
 
         });
     };
 
+    /**
+     * Replaces the extra coinbase outputs of a running pool, for instance to update a merged mining
+     * commitment. Miners get a job with the new coinbase right away, and the outputs stay in place
+     * for the following templates.
+     *
+     * @method setCoinbaseOutputs
+     * @param {Array<Object>} outputs - Outputs in the coinbaseOutputs format: {address, amount},
+     *   {script, amount}, {data} or {text}
+     * @throws {Error} If an output is invalid or the outputs pay more than the current block reward;
+     *   the previous outputs are kept then
+     */
+    this.setCoinbaseOutputs = function(outputs){
+        var extraOutputs = CoinbaseOutputs(outputs);
+        if (_this.jobManager)
+            _this.jobManager.setExtraOutputs(extraOutputs);
+        options.coinbaseOutputs = outputs;
+        options.extraOutputs = extraOutputs;
+    };
+
 };
 pool.prototype.__proto__ = events.EventEmitter.prototype;
+
+pool.PoolStartError = PoolStartError;
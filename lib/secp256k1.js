@@ -0,0 +1,327 @@
+/**
+ * @module secp256k1
+ * @description Pure JavaScript secp256k1 primitives needed by the Stratum V2 Noise handshake:
+ * key generation, ElligatorSwift encoding (BIP 324), x-only ECDH and BIP 340 Schnorr signatures.
+ * Implemented with native BigInt to keep the zero-native-dependencies promise. The arithmetic is
+ * not constant time, which is acceptable for the ephemeral and server keys it is used with.
+ * @see {@link https://github.com/bitcoin/bips/blob/master/bip-0324.mediawiki}
+ * @see {@link https://github.com/bitcoin/bips/blob/master/bip-0340.mediawiki}
+ */
+
+var crypto = require('crypto');
+
+var P = BigInt('0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2f');
+var N = BigInt('0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141');
+var G = {
+    x: BigInt('0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798'),
+    y: BigInt('0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8'),
+    z: 1n
+};
+
+function mod(a, m){
+    m = m || P;
+    var r = a % m;
+    return r >= 0n ? r : r + m;
+}
+
+function modPow(base, exponent, m){
+    m = m || P;
+    var result = 1n;
+    base = mod(base, m);
+    while (exponent > 0n){
+        if (exponent & 1n)
+            result = (result * base) % m;
+        base = (base * base) % m;
+        exponent >>= 1n;
+    }
+    return result;
+}
+
+function modInv(a, m){
+    m = m || P;
+    return modPow(a, m - 2n, m);
+}
+
+/**
+ * Square root in the field, or null when a is not a quadratic residue.
+ * @private
+ */
+function modSqrt(a){
+    a = mod(a);
+    var root = modPow(a, (P + 1n) / 4n);
+    return (root * root) % P === a ? root : null;
+}
+
+function isValidX(x){
+    return modSqrt(x * x * x + 7n) !== null;
+}
+
+function bufferToBigInt(buff){
+    return buff.length === 0 ? 0n : BigInt('0x' + buff.toString('hex'));
+}
+
+function bigIntToBuffer(n){
+    return Buffer.from(n.toString(16).padStart(64, '0'), 'hex');
+}
+
+
+/* Jacobian point arithmetic, a = 0. The point at infinity is represented by null. */
+
+function pointDouble(p){
+    if (p === null || p.y === 0n) return null;
+    var a = (p.x * p.x) % P;
+    var b = (p.y * p.y) % P;
+    var c = (b * b) % P;
+    var d = mod(2n * ((p.x + b) * (p.x + b) - a - c));
+    var e = (3n * a) % P;
+    var f = (e * e) % P;
+    var x3 = mod(f - 2n * d);
+    var y3 = mod(e * (d - x3) - 8n * c);
+    var z3 = (2n * p.y * p.z) % P;
+    return {x: x3, y: y3, z: z3};
+}
+
+function pointAdd(p1, p2){
+    if (p1 === null) return p2;
+    if (p2 === null) return p1;
+    var z1z1 = (p1.z * p1.z) % P;
+    var z2z2 = (p2.z * p2.z) % P;
+    var u1 = (p1.x * z2z2) % P;
+    var u2 = (p2.x * z1z1) % P;
+    var s1 = (p1.y * p2.z * z2z2) % P;
+    var s2 = (p2.y * p1.z * z1z1) % P;
+    if (u1 === u2)
+        return s1 === s2 ? pointDouble(p1) : null;
+    var h = mod(u2 - u1);
+    var r = mod(s2 - s1);
+    var hh = (h * h) % P;
+    var hhh = (h * hh) % P;
+    var x3 = mod(r * r - hhh - 2n * u1 * hh);
+    var y3 = mod(r * (u1 * hh - x3) - s1 * hhh);
+    var z3 = (h * p1.z * p2.z) % P;
+    return {x: x3, y: y3, z: z3};
+}
+
+function pointMultiply(p, k){
+    var result = null;
+    var addend = p;
+    while (k > 0n){
+        if (k & 1n)
+            result = pointAdd(result, addend);
+        addend = pointDouble(addend);
+        k >>= 1n;
+    }
+    return result;
+}
+
+function toAffine(p){
+    if (p === null) return null;
+    var zInv = modInv(p.z);
+    var zInv2 = (zInv * zInv) % P;
+    return {x: (p.x * zInv2) % P, y: (p.y * zInv2 * zInv) % P, z: 1n};
+}
+
+function liftX(x){
+    var y = modSqrt(x * x * x + 7n);
+    if (y === null) return null;
+    return {x: x, y: (y & 1n) ? P - y : y, z: 1n};
+}
+
+function scalarFromBuffer(privateKey){
+    var d = bufferToBigInt(privateKey);
+    if (d <= 0n || d >= N)
+        throw new Error('Invalid secp256k1 private key');
+    return d;
+}
+
+function taggedHash(tag, data){
+    var tagHash = crypto.createHash('sha256').update(tag).digest();
+    return crypto.createHash('sha256').update(Buffer.concat([tagHash, tagHash, data])).digest();
+}
+
+
+/* ElligatorSwift (BIP 324) */
+
+var MINUS_3_SQRT = modSqrt(P - 3n);
+
+/**
+ * Decodes ElligatorSwift field elements (u, t) to an x coordinate on the curve.
+ * @private
+ */
+function xSwiftEc(u, t){
+    if (u === 0n) u = 1n;
+    if (t === 0n) t = 1n;
+    if (mod(u * u * u + t * t + 7n) === 0n) t = mod(2n * t);
+    var X = mod((u * u * u + 7n - t * t) * modInv(mod(2n * t)));
+    var Y = mod((X + t) * modInv(mod(MINUS_3_SQRT * u)));
+    var candidates = [
+        mod(u + 4n * Y * Y),
+        mod((mod(-X) * modInv(Y) - u) * modInv(2n)),
+        mod((X * modInv(Y) - u) * modInv(2n))
+    ];
+    for (var i = 0; i < candidates.length; i++){
+        if (isValidX(candidates[i]))
+            return candidates[i];
+    }
+    throw new Error('ElligatorSwift decoding failed');
+}
+
+/**
+ * Finds t such that xSwiftEc(u, t) = x for one of the eight BIP 324 cases, or null.
+ * @private
+ */
+function xSwiftEcInv(x, u, c){
+    var v, s;
+    if ((c & 2) === 0){
+        if (isValidX(mod(-x - u)))
+            return null;
+        v = x;
+        s = mod(mod(-(u * u * u + 7n)) * modInv(mod(u * u + u * v + v * v)));
+    }
+    else {
+        s = mod(x - u);
+        if (s === 0n)
+            return null;
+        var r = modSqrt(mod(-s * (4n * (u * u * u + 7n) + 3n * s * u * u)));
+        if (r === null)
+            return null;
+        if ((c & 1) && r === 0n)
+            return null;
+        if (c & 1)
+            r = mod(-r);
+        v = mod((mod(-u) + r * modInv(s)) * modInv(2n));
+    }
+    var w = modSqrt(s);
+    if (w === null)
+        return null;
+    var half = modInv(2n);
+    var lhs = (c & 1) ? mod((1n + MINUS_3_SQRT) * half) : mod((1n - MINUS_3_SQRT) * half);
+    var t = mod(w * (u * lhs + v));
+    return ((c & 5) === 0 || (c & 5) === 5) ? mod(-t) : t;
+}
+
+
+/**
+ * Generates a random valid private key.
+ *
+ * @function generatePrivateKey
+ * @returns {Buffer} 32-byte private key
+ */
+exports.generatePrivateKey = function(){
+    while (true){
+        var candidate = crypto.randomBytes(32);
+        var d = bufferToBigInt(candidate);
+        if (d > 0n && d < N)
+            return candidate;
+    }
+};
+
+/**
+ * Returns the BIP 340 x-only public key for a private key.
+ *
+ * @function getXOnlyPublicKey
+ * @param {Buffer} privateKey - 32-byte private key
+ * @returns {Buffer} 32-byte x coordinate
+ */
+exports.getXOnlyPublicKey = function(privateKey){
+    return bigIntToBuffer(toAffine(pointMultiply(G, scalarFromBuffer(privateKey))).x);
+};
+
+/**
+ * Encodes the public key of a private key as a randomised 64-byte ElligatorSwift encoding.
+ *
+ * @function ellswiftCreate
+ * @param {Buffer} privateKey - 32-byte private key
+ * @returns {Buffer} 64-byte encoding (u || t)
+ */
+exports.ellswiftCreate = function(privateKey){
+    var x = toAffine(pointMultiply(G, scalarFromBuffer(privateKey))).x;
+    while (true){
+        var u = mod(bufferToBigInt(crypto.randomBytes(32)));
+        if (u === 0n) continue;
+        var c = crypto.randomBytes(1)[0] & 7;
+        var t = xSwiftEcInv(x, u, c);
+        if (t !== null && xSwiftEc(u, t) === x)
+            return Buffer.concat([bigIntToBuffer(u), bigIntToBuffer(t)]);
+    }
+};
+
+/**
+ * Decodes a 64-byte ElligatorSwift encoding to the x coordinate of the public key.
+ *
+ * @function ellswiftDecode
+ * @param {Buffer} encoding - 64-byte encoding
+ * @returns {Buffer} 32-byte x coordinate
+ */
+exports.ellswiftDecode = function(encoding){
+    if (!Buffer.isBuffer(encoding) || encoding.length !== 64)
+        throw new Error('ElligatorSwift encoding must be 64 bytes');
+    var u = mod(bufferToBigInt(encoding.slice(0, 32)));
+    var t = mod(bufferToBigInt(encoding.slice(32)));
+    return bigIntToBuffer(xSwiftEc(u, t));
+};
+
+/**
+ * x-only ECDH over ElligatorSwift encoded keys, hashed as in BIP 324.
+ *
+ * @function ellswiftXdh
+ * @param {Buffer} ellA - Initiator's 64-byte encoding
+ * @param {Buffer} ellB - Responder's 64-byte encoding
+ * @param {Buffer} privateKey - Our private key
+ * @param {boolean} initiator - True if we own ellA, false if we own ellB
+ * @returns {Buffer} 32-byte shared secret
+ */
+exports.ellswiftXdh = function(ellA, ellB, privateKey, initiator){
+    var theirX = bufferToBigInt(exports.ellswiftDecode(initiator ? ellB : ellA));
+    var shared = toAffine(pointMultiply(liftX(theirX), scalarFromBuffer(privateKey)));
+    return taggedHash('bip324_ellswift_xonly_ecdh', Buffer.concat([ellA, ellB, bigIntToBuffer(shared.x)]));
+};
+
+/**
+ * Creates a BIP 340 Schnorr signature.
+ *
+ * @function schnorrSign
+ * @param {Buffer} message - 32-byte message digest
+ * @param {Buffer} privateKey - 32-byte private key
+ * @param {Buffer} [auxRand] - 32 bytes of auxiliary randomness
+ * @returns {Buffer} 64-byte signature
+ */
+exports.schnorrSign = function(message, privateKey, auxRand){
+    var d = scalarFromBuffer(privateKey);
+    var pub = toAffine(pointMultiply(G, d));
+    if (pub.y & 1n) d = N - d;
+    var pubX = bigIntToBuffer(pub.x);
+    var auxHash = taggedHash('BIP0340/aux', auxRand || crypto.randomBytes(32));
+    var t = bigIntToBuffer(d ^ bufferToBigInt(auxHash));
+    var k = mod(bufferToBigInt(taggedHash('BIP0340/nonce', Buffer.concat([t, pubX, message]))), N);
+    if (k === 0n)
+        throw new Error('Schnorr nonce generation failed');
+    var r = toAffine(pointMultiply(G, k));
+    if (r.y & 1n) k = N - k;
+    var rX = bigIntToBuffer(r.x);
+    var e = mod(bufferToBigInt(taggedHash('BIP0340/challenge', Buffer.concat([rX, pubX, message]))), N);
+    return Buffer.concat([rX, bigIntToBuffer(mod(k + e * d, N))]);
+};
+
+/**
+ * Verifies a BIP 340 Schnorr signature.
+ *
+ * @function schnorrVerify
+ * @param {Buffer} signature - 64-byte signature
+ * @param {Buffer} message - 32-byte message digest
+ * @param {Buffer} publicKey - 32-byte x-only public key
+ * @returns {boolean} True if the signature is valid
+ */
+exports.schnorrVerify = function(signature, message, publicKey){
+    if (signature.length !== 64 || publicKey.length !== 32)
+        return false;
+    var pub = liftX(bufferToBigInt(publicKey));
+    var r = bufferToBigInt(signature.slice(0, 32));
+    var s = bufferToBigInt(signature.slice(32));
+    if (pub === null || r >= P || s >= N)
+        return false;
+    var e = mod(bufferToBigInt(taggedHash('BIP0340/challenge',
+        Buffer.concat([signature.slice(0, 32), publicKey, message]))), N);
+    var point = toAffine(pointAdd(pointMultiply(G, s), pointMultiply(pub, N - e)));
+    return point !== null && (point.y & 1n) === 0n && point.x === r;
+};
@@ -4,14 +4,21 @@
  * Handles client connections, message validation, and mining operations.
  */
 
+var fs = require('fs');
 var net = require('net');
+var tls = require('tls');
 var events = require('events');
 
 var util = require('./util.js');
+var sv2 = require('./sv2.js');
+var websocket = require('./websocket.js');
 
 // Constants for input validation
 var MAX_STRING_LENGTH = 1024;
 var MAX_ARRAY_LENGTH = 100;
+var MAX_PROXY_HEADER_LENGTH = 107; // longest PROXY v1 header, CRLF included
+var PROXY_HEADER_TIMEOUT = 10000;
+var MAX_AUTHORIZED_WORKERS = 64; // worker names remembered per connection, the oldest is forgotten first
 var ALLOWED_METHODS = [
     'mining.subscribe',
     'mining.authorize',
@@ -53,8 +60,13 @@ var SubscriptionCounter = function(){
  * @param {Object} options.banning - Ban configuration settings
  * @param {string} options.subscriptionId - Unique subscription ID
  * @param {Object} options.authorizeFn - Function to authorize workers
+ * @param {boolean} [options.asicboost] - Whether version rolling may be negotiated via mining.configure
+ * @param {number|string} [options.versionMask] - Pool's version-rolling mask (defaults to the BIP 320 bits 0x1fffe000)
+ * @param {string} [options.remoteAddress] - Client address when already known, e.g. from a PROXY header read before TLS
+ * @param {string} [options.tcpProxyError] - Data received instead of an expected PROXY header
  * 
  * @fires StratumClient#subscription - When client subscribes
+ * @fires StratumClient#authorized - When the authorizer accepted the worker
  * @fires StratumClient#submit - When client submits a share
  * @fires StratumClient#malformedMessage - On invalid message format
  * @fires StratumClient#socketError - On socket errors
@@ -67,7 +79,7 @@ var StratumClient = function(options){
     //private members
     this.socket = options.socket;
 
-    this.remoteAddress = options.socket.remoteAddress;
+    this.remoteAddress = options.remoteAddress || options.socket.remoteAddress;
 
     var banning = options.banning;
 
@@ -77,6 +89,9 @@ var StratumClient = function(options){
 
     this.shares = {valid: 0, invalid: 0};
 
+    // Worker names the authorizer accepted on this connection, which may submit shares
+    this.authorizedWorkers = [];
+
     var considerBan = (!banning || !banning.enabled) ? function(){ return false } : function(shareValid){
         if (shareValid === true) _this.shares.valid++;
         else _this.shares.invalid++;
@@ -195,13 +210,7 @@ var StratumClient = function(options){
                 });
                 break;
             case 'mining.configure':
-                // Temporarily disable ASICBoost - just ignore configure messages
-                // Send empty response to avoid "Unknown message" errors
-                sendJson({
-                    id: message.id,
-                    result: {},
-                    error: null
-                });
+                handleConfigure(message);
                 break;
             case 'mining.extranonce.subscribe':
                 // MRR and other proxies need extranonce subscription support
@@ -260,11 +269,32 @@ var StratumClient = function(options){
         );
     }
 
+    /**
+     * Client certificate details for connections on TLS ports, or undefined for plain TCP.
+     * @returns {Object|undefined} {authorized, authorizationError, certificate}
+     * @private
+     */
+    function getTlsInfo(){
+        if (!options.socket.encrypted)
+            return undefined;
+        var certificate = options.socket.getPeerCertificate();
+        return {
+            authorized: options.socket.authorized === true,
+            authorizationError: options.socket.authorizationError || null,
+            certificate: certificate && Object.keys(certificate).length > 0 ? certificate : null
+        };
+    }
+
     function handleAuthorize(message, replyToSocket){
         _this.workerName = message.params[0];
         _this.workerPass = message.params[1];
         options.authorizeFn(_this.remoteAddress, options.socket.localPort, _this.workerName, _this.workerPass, function(result) {
             _this.authorized = (!result.error && result.authorized);
+            if (_this.authorized && _this.authorizedWorkers.indexOf(_this.workerName) === -1){
+                _this.authorizedWorkers.push(_this.workerName);
+                if (_this.authorizedWorkers.length > MAX_AUTHORIZED_WORKERS)
+                    _this.authorizedWorkers.shift();
+            }
 
             if (replyToSocket) {
                 sendJson({
@@ -289,7 +319,10 @@ var StratumClient = function(options){
             if (result.disconnect === true) {
                 options.socket.destroy();
             }
-        });
+            else if (_this.authorized) {
+                _this.emit('authorized');
+            }
+        }, getTlsInfo());
     }
 
     /**
@@ -326,9 +359,11 @@ var StratumClient = function(options){
         }
 
         // Handle version-rolling extension with proper ASICBoost compatibility
-        if (extensions.includes("version-rolling")) {
-            // Use a permissive mask that works with most miners
-            var poolVersionMask = 0x1fffe000;  // Standard ASICBoost mask
+        if (extensions.includes("version-rolling") && options.asicboost !== true) {
+            supported["version-rolling"] = false;
+        }
+        else if (extensions.includes("version-rolling")) {
+            var poolVersionMask = util.parseVersionMask(options.versionMask);
             var clientRequestedMask = extensionParams["version-rolling.mask"];
             var clientMinBitCount = extensionParams["version-rolling.min-bit-count"] || 16;
             
@@ -338,7 +373,7 @@ var StratumClient = function(options){
                 var clientMask = parseInt(clientRequestedMask, 16);
                 if (!isNaN(clientMask)) {
                     // Use intersection of pool and client masks
-                    negotiatedMask = poolVersionMask & clientMask;
+                    negotiatedMask = (poolVersionMask & clientMask) >>> 0;
                 }
             }
             
@@ -353,18 +388,13 @@ var StratumClient = function(options){
             // Only enable if we have enough bits
             if (bitCount >= clientMinBitCount) {
                 supported["version-rolling"] = true;
-                supported["version-rolling.mask"] = "0x" + negotiatedMask.toString(16);
+                supported["version-rolling.mask"] = util.packUInt32BE(negotiatedMask).toString('hex');
                 supported["version-rolling.min-bit-count"] = bitCount;
                 
                 _this.asicboost = true;
                 _this.versionMask = negotiatedMask;
-                
-                console.log('[Stratum] Client ' + (_this.workerName || 'unknown') + 
-                           ' enabled version-rolling with mask: 0x' + negotiatedMask.toString(16));
             } else {
                 supported["version-rolling"] = false;
-                console.log('[Stratum] Client ' + (_this.workerName || 'unknown') + 
-                           ' version-rolling disabled - insufficient bits');
             }
         }
 
@@ -487,15 +517,24 @@ var StratumClient = function(options){
             return;
         }
 
-        // No version validation - ASICBoost disabled
+        if (version !== undefined && (typeof version !== 'string' || !version.match(/^[0-9a-fA-F]{8}$/))) {
+            sendJson({
+                id    : message.id,
+                result: null,
+                error : [20, "invalid version", null]
+            });
+            considerBan(false);
+            return;
+        }
+
         _this.emit('submit',
             {
                 name        : message.params[0],
                 jobId       : message.params[1],
                 extraNonce2 : message.params[2],
                 nTime       : message.params[3],
-                nonce       : message.params[4]
-                // No version parameter - ASICBoost disabled
+                nonce       : message.params[4],
+                version     : version
             },
             function(error, result){
                 if (!considerBan(result)){
@@ -552,6 +591,8 @@ var StratumClient = function(options){
             });
         }
         else{
+            if (options.tcpProxyError !== undefined)
+                _this.emit('tcpProxyError', options.tcpProxyError);
             _this.emit('checkBan');
         }
         socket.on('data', function(d){
@@ -679,6 +720,17 @@ var StratumClient = function(options){
 
     };
 
+    /**
+     * Changes the pool's mask later mining.configure requests are negotiated within, and narrows the
+     * client's mask with mining.set_version_mask if it rolls bits outside it.
+     * @param {number} poolMask - The new pool version mask
+     */
+    this.setPoolVersionMask = function(poolMask) {
+        options.versionMask = poolMask;
+        if (_this.asicboost && (_this.versionMask & ~poolMask) !== 0)
+            _this.setVersionMask(_this.versionMask & poolMask);
+    };
+
     /**
      * Updates the version mask for this client (BIP 310).
      * Sends a mining.set_version_mask notification to the client.
@@ -690,15 +742,51 @@ var StratumClient = function(options){
             return false;
         }
         
-        _this.versionMask = newMask;
+        _this.versionMask = newMask >>> 0;
         sendJson({
             id: null,
             method: "mining.set_version_mask",
-            params: [newMask.toString(16)]
+            params: [util.packUInt32BE(_this.versionMask).toString('hex')]
         });
         return true;
     };
 
+    /**
+     * Gives the client a new extranonce1 with mining.set_extranonce. Only clients that sent
+     * mining.extranonce.subscribe (see extranonceSubscribed) understand it; it applies from the next job.
+     * @param {string} extraNonce1 - Hex encoded extranonce1
+     * @param {number} extraNonce2Size - Size of extranonce2 in bytes
+     */
+    this.sendExtraNonce = function(extraNonce1, extraNonce2Size){
+        _this.extraNonce1 = extraNonce1;
+        sendJson({
+            id    : null,
+            method: "mining.set_extranonce",
+            params: [extraNonce1, extraNonce2Size]
+        });
+    };
+
+    /**
+     * Asks the client to reconnect with client.reconnect, e.g. before the pool shuts down.
+     * Without a host the client reconnects to the server it is connected to.
+     * @param {string} [host] - Host to reconnect to
+     * @param {number} [port] - Port to reconnect to
+     * @param {number} [waitTime] - Seconds the client should wait before reconnecting
+     */
+    this.sendReconnect = function(host, port, waitTime){
+        var params = [];
+        if (host){
+            params = [host, port || _this.socket.localPort];
+            if (waitTime !== undefined)
+                params.push(waitTime);
+        }
+        sendJson({
+            id    : null,
+            method: "client.reconnect",
+            params: params
+        });
+    };
+
     /**
      * Manually authorizes the client with the given username and password.
      * This is useful in tests where you want to connect a client to the pool
@@ -733,6 +821,12 @@ StratumClient.prototype.__proto__ = events.EventEmitter.prototype;
  * @extends {EventEmitter}
  * @param {Object} options - Server configuration
  * @param {Object} options.ports - Port configurations (port number -> config)
+ * @param {Object|boolean} [options.ports[].sv2] - Serve Stratum V2 on this port, see {@link module:sv2.createServerKeys}
+ * @param {Object} [options.ports[].tls] - Serve Stratum over TLS: {key, cert, ca, requestCert, rejectUnauthorized}.
+ *        key/cert/ca are PEM contents or file paths. With `ca` set, client certificates are requested and their
+ *        verification result is passed to authorizeFn; they are only enforced when `rejectUnauthorized` is true.
+ * @param {Object|boolean} [options.ports[].websocket] - Accept Stratum over WebSocket on this port: true or {path}.
+ *        Combine with `tls` for wss://.
  * @param {number} options.connectionTimeout - Client connection timeout (ms)
  * @param {number} options.jobRebroadcastTimeout - Job rebroadcast timeout (seconds)
  * @param {Object} [options.banning] - IP banning configuration
@@ -754,20 +848,20 @@ var StratumServer = exports.Server = function StratumServer(options, authorizeFn
 
     //ports, connectionTimeout, jobRebroadcastTimeout, banning, haproxy, authorizeFn
     
-    // Debug log the version mask
-    if (options.versionMask) {
-        console.log('[Stratum] Server configured with versionMask: 0x' + options.versionMask.toString(16));
-    } else {
-        console.log('[Stratum] No versionMask in options, will use default 0x3fffe000');
-    }
-
     var bannedMS = options.banning ? options.banning.time * 1000 : null;
 
     var _this = this;
     var stratumClients = {};
     var subscriptionCounter = SubscriptionCounter();
     var rebroadcastTimeout;
+    var banPurgeInterval;
     var bannedIPs = {};
+    var sv2Keys = {};
+    var listeners = [];
+    var openSockets = {};
+    var socketCounter = 0;
+    var closed = false;
+    var versionMask = options.versionMask;
 
 
     /**
@@ -795,10 +889,11 @@ var StratumServer = exports.Server = function StratumServer(options, authorizeFn
     /**
      * Handle a new incoming client connection.
      * This method is called for every new client and returns the subscriptionId for the client.
-     * @param {net.Socket} socket - The new client socket.
+     * @param {net.Socket|tls.TLSSocket} socket - The new client socket.
+     * @param {Object} [proxyInfo] - PROXY header already consumed for this socket (TLS ports), see readProxyHeader
      * @returns {String} The subscriptionId for the client.
      */
-    this.handleNewClient = function (socket){
+    this.handleNewClient = function (socket, proxyInfo){
 
         socket.setKeepAlive(true);
         var subscriptionId = subscriptionCounter.next();
@@ -809,36 +904,101 @@ var StratumServer = exports.Server = function StratumServer(options, authorizeFn
                 socket: socket,
                 banning: options.banning,
                 connectionTimeout: options.connectionTimeout,
-                tcpProxyProtocol: options.tcpProxyProtocol,
-                versionMask: options.versionMask,  // Pass the pool's version mask to the client
-                enforcePoolVersionMask: options.enforcePoolVersionMask  // Pass enforcement option
+                tcpProxyProtocol: proxyInfo ? false : options.tcpProxyProtocol,
+                remoteAddress: proxyInfo && proxyInfo.remoteAddress,
+                tcpProxyError: proxyInfo && proxyInfo.error,
+                asicboost: !!(options.coin && options.coin.asicboost),
+                versionMask: versionMask  // Pool's version mask, intersected with the client's in mining.configure
             }
         );
 
+        registerClient(subscriptionId, client).init();
+        return subscriptionId;
+    };
+
+    /**
+     * Handle a new connection on a WebSocket port. After the HTTP upgrade the connection is handled
+     * exactly like a TCP client, with each Stratum message carried in its own text message.
+     * @param {net.Socket|tls.TLSSocket} socket - The new client socket.
+     * @param {Object|boolean} websocketOptions - The port's `websocket` option ({path, handshakeTimeout}).
+     * @param {Object} [proxyInfo] - PROXY header already consumed for this socket.
+     */
+    this.handleNewWebSocketClient = function(socket, websocketOptions, proxyInfo){
+        websocket.accept(socket, typeof websocketOptions === 'object' ? websocketOptions : {}, function(error, connection){
+            if (error) return; // the upgrade was refused, timed out or the socket failed before it
+            _this.handleNewClient(connection, proxyInfo || {});
+        });
+    };
+
+    /**
+     * Track a client (V1 connection or SV2 channel) and wire up its lifecycle events.
+     * @param {String} subscriptionId - The subscriptionId for the client.
+     * @param {StratumClient|Sv2Channel} client - The client to register.
+     * @returns {StratumClient|Sv2Channel} The client, for chaining.
+     * @private
+     */
+    function registerClient(subscriptionId, client){
         stratumClients[subscriptionId] = client;
         _this.emit('client.connected', client);
-        client.on('socketDisconnect', function() {
+        return client.on('socketDisconnect', function() {
             _this.removeStratumClientBySubId(subscriptionId);
             _this.emit('client.disconnected', client);
         }).on('checkBan', function(){
             checkBan(client);
         }).on('triggerBan', function(){
             _this.addBannedIP(client.remoteAddress);
-        }).init();
-        return subscriptionId;
+        });
+    }
+
+    /**
+     * Handle a new incoming Stratum V2 connection. Every mining channel the connection opens is
+     * registered as its own client, so it receives jobs and emits shares like a V1 miner.
+     * @param {net.Socket} socket - The new client socket.
+     * @param {Object} keys - The port's SV2 key material, see {@link module:sv2.createServerKeys}.
+     * @returns {Sv2Connection} The connection.
+     */
+    this.handleNewSv2Connection = function(socket, keys){
+        socket.setKeepAlive(true);
+        var connection = new sv2.Connection({
+            socket: socket,
+            keys: keys,
+            authorizeFn: authorizeFn,
+            banning: options.banning,
+            connectionTimeout: options.connectionTimeout,
+            tcpProxyProtocol: options.tcpProxyProtocol,
+            asicboost: !!(options.coin && options.coin.asicboost),
+            versionMask: versionMask
+        });
+        connection.on('channel', function(channel){
+            registerClient(subscriptionCounter.next(), channel);
+        });
+        return connection;
+    };
+
+    /**
+     * Returns the x-only public key miners should trust for an SV2 port.
+     * @param {number|string} port - The SV2 port.
+     * @returns {String|null} Hex encoded authority public key, or null if the port is not an SV2 port.
+     */
+    this.getSv2AuthorityPublicKey = function(port){
+        return sv2Keys[port] ? sv2Keys[port].authorityPublicKey.toString('hex') : null;
     };
 
 
     /**
      * Broadcasts a new mining job to all connected clients.
-     * @param {Object} jobParams - The parameters of the new mining job.
+     * @param {Array|Function} jobParams - The parameters of the new mining job, or a function returning the
+     *        parameters for a given client (null to skip the client), for jobs that differ per connection.
      * @fires StratumServer#broadcastTimeout
      * @see {@link StratumClient#sendMiningJob}
      */
     this.broadcastMiningJobs = function(jobParams){
+        if (closed) return;
         for (var clientId in stratumClients) {
             var client = stratumClients[clientId];
-            client.sendMiningJob(jobParams);
+            var clientJobParams = typeof jobParams === 'function' ? jobParams(client) : jobParams;
+            if (clientJobParams)
+                client.sendMiningJob(clientJobParams);
         }
         /* Some miners will consider the pool dead if it doesn't receive a job for around a minute.
            So every time we broadcast jobs, set a timeout to rebroadcast in X seconds unless cleared. */
@@ -850,11 +1010,117 @@ var StratumServer = exports.Server = function StratumServer(options, authorizeFn
 
 
 
+    /**
+     * Loads a TLS option that may be given inline (PEM string or Buffer) or as a file path.
+     * @param {string|Buffer|Array} [value]
+     * @returns {string|Buffer|Array|undefined}
+     * @private
+     */
+    function loadTlsOption(value){
+        if (Array.isArray(value))
+            return value.map(loadTlsOption);
+        if (typeof value !== 'string' || value.indexOf('-----BEGIN') !== -1)
+            return value;
+        return fs.readFileSync(value);
+    }
+
+    /**
+     * Reads a HAProxy PROXY v1 header from a raw socket before anything else consumes it, then puts
+     * back whatever followed the header so a TLS handshake can start on the same socket. The header may
+     * arrive over several packets; sockets that reset or do not send it in time are destroyed.
+     * @param {net.Socket} socket - Raw TCP socket
+     * @param {Function} callback - Called with {remoteAddress} or {error}
+     * @private
+     */
+    function readProxyHeader(socket, callback){
+        var received = Buffer.alloc(0);
+        var timeout = setTimeout(function(){
+            finish();
+            socket.destroy();
+        }, PROXY_HEADER_TIMEOUT);
+
+        function finish(){
+            clearTimeout(timeout);
+            socket.removeListener('data', onData);
+            socket.removeListener('error', onError);
+            socket.removeListener('close', finish);
+        }
+
+        function onError(){
+            finish();
+            socket.destroy();
+        }
+
+        function onData(data){
+            received = Buffer.concat([received, data]);
+            var lineEnd = received.indexOf('\r\n');
+            var isProxy = received.slice(0, 6).toString('ascii') === 'PROXY '.slice(0, Math.min(received.length, 6));
+            if (isProxy && lineEnd === -1 && received.length < MAX_PROXY_HEADER_LENGTH)
+                return;
+
+            finish();
+            socket.pause();
+            if (isProxy && lineEnd !== -1){
+                var line = received.slice(0, lineEnd).toString('ascii');
+                socket.unshift(received.slice(lineEnd + 2));
+                callback({remoteAddress: line.split(' ')[2]});
+            }
+            else {
+                socket.unshift(received);
+                callback({error: received.toString('utf8')});
+            }
+        }
+
+        socket.on('data', onData);
+        socket.on('error', onError);
+        socket.on('close', finish);
+    }
+
+    /**
+     * Creates the listener for a TLS port. With the PROXY protocol enabled a plain TCP listener strips
+     * the header and hands the socket to the TLS server, so the handshake happens after it.
+     * @param {Object} tlsOptions - The port's `tls` option ({key, cert, ca, requestCert, rejectUnauthorized})
+     * @param {Function} onSocket - Called with (socket, proxyInfo) for each established TLS connection
+     * @returns {net.Server} Server to listen on the port
+     * @private
+     */
+    function createTlsServer(tlsOptions, onSocket){
+        var proxyInfos = {};
+        var tlsServer = tls.createServer({
+            key: loadTlsOption(tlsOptions.key),
+            cert: loadTlsOption(tlsOptions.cert),
+            ca: loadTlsOption(tlsOptions.ca),
+            requestCert: tlsOptions.requestCert === true || !!tlsOptions.ca,
+            rejectUnauthorized: tlsOptions.rejectUnauthorized === true
+        }, function(socket){
+            var peer = socket.remoteAddress + ':' + socket.remotePort;
+            var proxyInfo = proxyInfos[peer];
+            delete proxyInfos[peer];
+            onSocket(socket, proxyInfo);
+        });
+        tlsServer.on('tlsClientError', function(err, socket){
+            socket.destroy();
+        });
+        if (options.tcpProxyProtocol !== true)
+            return tlsServer;
+
+        return net.createServer({allowHalfOpen: false}, function(socket){
+            var peer = socket.remoteAddress + ':' + socket.remotePort;
+            socket.on('close', function(){
+                delete proxyInfos[peer];
+            });
+            readProxyHeader(socket, function(proxyInfo){
+                proxyInfos[peer] = proxyInfo;
+                tlsServer.emit('connection', socket);
+            });
+        });
+    }
+
     (function init(){
 
         //Interval to look through bannedIPs for old bans and remove them in order to prevent a memory leak
         if (options.banning && options.banning.enabled){
-            setInterval(function(){
+            banPurgeInterval = setInterval(function(){
                 for (ip in bannedIPs){
                     var banTime = bannedIPs[ip];
                     if (Date.now() - banTime > options.banning.time)
@@ -869,9 +1135,40 @@ var StratumServer = exports.Server = function StratumServer(options, authorizeFn
 
         var serversStarted = 0;
         Object.keys(options.ports).forEach(function(port){
-            net.createServer({allowHalfOpen: false}, function(socket) {
-                _this.handleNewClient(socket);
-            }).listen(parseInt(port), function() {
+            if (options.ports[port].sv2)
+                sv2Keys[port] = sv2.createServerKeys(options.ports[port].sv2);
+            var portOptions = options.ports[port];
+            var onSocket = function(socket, proxyInfo){
+                if (sv2Keys[port])
+                    _this.handleNewSv2Connection(socket, sv2Keys[port]);
+                else if (portOptions.websocket)
+                    _this.handleNewWebSocketClient(socket, portOptions.websocket, proxyInfo);
+                else
+                    _this.handleNewClient(socket, proxyInfo);
+            };
+            var server = portOptions.tls ? createTlsServer(portOptions.tls, onSocket) : net.createServer({allowHalfOpen: false}, function(socket) {
+                if (portOptions.websocket && options.tcpProxyProtocol === true){
+                    readProxyHeader(socket, function(proxyInfo){
+                        onSocket(socket, proxyInfo);
+                        socket.resume();
+                    });
+                }
+                else
+                    onSocket(socket);
+            });
+            server.on('connection', function(socket){
+                var socketId = socketCounter++;
+                openSockets[socketId] = socket;
+                socket.on('close', function(){
+                    delete openSockets[socketId];
+                });
+            });
+            var listener = {server: server, stopped: false, closed: false};
+            server.on('close', function(){
+                listener.closed = true;
+            });
+            listeners.push(listener);
+            server.listen(parseInt(port), function() {
                 serversStarted++;
                 if (serversStarted == Object.keys(options.ports).length)
                     _this.emit('started');
@@ -897,6 +1194,46 @@ var StratumServer = exports.Server = function StratumServer(options, authorizeFn
         }*/
     };
 
+    /**
+     * Stops accepting new connections on all ports. Connected clients stay connected.
+     */
+    this.stopListening = function(){
+        listeners.forEach(function(listener){
+            if (listener.stopped) return;
+            listener.stopped = true;
+            listener.server.close();
+        });
+    };
+
+    /**
+     * Stops listening, disconnects every remaining client and clears the rebroadcast and ban purge timers.
+     * @param {Function} [callback] - Called once all ports are closed
+     */
+    this.close = function(callback){
+        closed = true;
+        clearTimeout(rebroadcastTimeout);
+        clearInterval(banPurgeInterval);
+        _this.stopListening();
+
+        Object.keys(stratumClients).forEach(function(subscriptionId){
+            stratumClients[subscriptionId].socket.destroy();
+        });
+        Object.keys(openSockets).forEach(function(socketId){
+            openSockets[socketId].destroy();
+        });
+
+        var remaining = listeners.filter(function(listener){ return !listener.closed; });
+        var pending = remaining.length;
+        if (pending === 0 && callback)
+            return callback();
+        remaining.forEach(function(listener){
+            listener.server.once('close', function(){
+                if (--pending === 0 && callback)
+                    callback();
+            });
+        });
+    };
+
     /**
      * Returns an object with all currently connected clients, where the keys are the subscriptionIds
      * and the values are StratumClient instances.
@@ -906,6 +1243,22 @@ var StratumServer = exports.Server = function StratumServer(options, authorizeFn
         return stratumClients;
     };
 
+    /**
+     * Changes the pool's version-rolling mask, e.g. to what an upstream pool accepts. New connections
+     * and later mining.configure requests negotiate within it, and connected miners rolling bits
+     * outside it are narrowed down.
+     * @param {number} mask - The new pool version mask
+     */
+    this.setVersionMask = function(mask){
+        versionMask = mask >>> 0;
+        Object.keys(stratumClients).forEach(function(subscriptionId){
+            // SV2 channels keep the mask they were opened with
+            var client = stratumClients[subscriptionId];
+            if (client.setPoolVersionMask)
+                client.setPoolVersionMask(versionMask);
+        });
+    };
+
     /**
      * Removes a client from the list of connected clients by its subscriptionId.
      * @param {String} subscriptionId - The subscriptionId of the client to remove.
@@ -0,0 +1,395 @@
+/**
+ * @module stratumMinerClient
+ * @description Client side of Stratum V1: connects to a pool like a miner does, keeps track of the pool's
+ * jobs, difficulty and extranonce, builds the coinbase, merkle root and header of a job and submits shares.
+ * A CPU search finds shares at very low difficulties, for end-to-end tests of a pool.
+ */
+
+var net = require('net');
+var tls = require('tls');
+var events = require('events');
+
+var upstreamJob = require('./upstreamJob.js');
+var util = require('./util.js');
+
+var USER_AGENT = 'stratum-pool-sha256/' + require('../package.json').version;
+var MAX_JOBS = 32;
+var DEFAULT_MAX_NONCES = 0x1000000;
+var NONCES_PER_TICK = 2000;
+
+var DIFF1 = BigInt('0x00000000ffff0000000000000000000000000000000000000000000000000000');
+
+
+/**
+ * A Stratum V1 connection to a pool as a SHA-256 miner.
+ *
+ * @class StratumMinerClient
+ * @extends {EventEmitter}
+ * @param {Object} clientOptions
+ * @param {string} clientOptions.host - Host of the pool
+ * @param {number} clientOptions.port - Stratum port of the pool
+ * @param {string} clientOptions.user - Worker name to authorize and submit shares as
+ * @param {string} [clientOptions.password='x'] - Worker password
+ * @param {string} [clientOptions.userAgent] - User agent sent with mining.subscribe
+ * @param {number} [clientOptions.versionMask] - Version-rolling mask to negotiate with mining.configure
+ * @param {boolean|Object} [clientOptions.tls] - Connect with TLS; an object is passed on to tls.connect
+ *
+ * @fires StratumMinerClient#subscribed - With (extraNonce1, extraNonce2Size) on subscription and mining.set_extranonce
+ * @fires StratumMinerClient#difficulty - With the share difficulty of mining.set_difficulty
+ * @fires StratumMinerClient#job - With (job, params) for each mining.notify, job being an {@link UpstreamJob} built
+ *        on the client's extranonce1
+ * @fires StratumMinerClient#versionMask - With the new mask of mining.set_version_mask
+ * @fires StratumMinerClient#reconnectRequested - With (host, port, waitTime) of client.reconnect
+ * @fires StratumMinerClient#message - With the text of client.show_message
+ * @fires StratumMinerClient#socketError - When the socket had an error
+ * @fires StratumMinerClient#disconnected - When the connection closed
+ */
+var StratumMinerClient = module.exports = function StratumMinerClient(clientOptions){
+
+    var _this = this;
+    var socket = null;
+    var requestId = 0;
+    var pending = {};
+    var extraNonce2Counter = 0;
+
+    // Set by the subscription or mining.set_extranonce
+    this.extraNonce1 = null;
+    this.extraNonce2Size = null;
+
+    // Stratum's difficulty until the pool sends mining.set_difficulty
+    this.difficulty = 1;
+
+    // Mask the pool accepted in mining.configure or sent with mining.set_version_mask, null without version rolling
+    this.versionMask = null;
+
+    // Jobs by ID, cleared when the pool asks to drop old work
+    this.jobs = {};
+    this.currentJob = null;
+
+    this.connected = false;
+    this.authorized = false;
+
+
+    function setExtraNonce(extraNonce1, extraNonce2Size){
+        _this.extraNonce1 = extraNonce1;
+        _this.extraNonce2Size = extraNonce2Size;
+        extraNonce2Counter = 0;
+        _this.emit('subscribed', extraNonce1, extraNonce2Size);
+    }
+
+    function addJob(params){
+        var job = new upstreamJob(params[0], params, _this.extraNonce1 || '');
+        if (params[8] === true)
+            _this.jobs = {};
+        var jobIds = Object.keys(_this.jobs);
+        if (jobIds.length >= MAX_JOBS)
+            delete _this.jobs[jobIds[0]];
+        _this.jobs[job.jobId] = job;
+        _this.currentJob = job;
+        _this.emit('job', job, params);
+    }
+
+    function handleMessage(message){
+        if (message.id !== null && message.id !== undefined && pending[message.id]){
+            var callback = pending[message.id];
+            delete pending[message.id];
+            return callback(message.error || null, message.result);
+        }
+        var params = message.params || [];
+        switch (message.method){
+            case 'mining.notify':
+                addJob(params);
+                break;
+            case 'mining.set_difficulty':
+                _this.difficulty = params[0];
+                _this.emit('difficulty', params[0]);
+                break;
+            case 'mining.set_extranonce':
+                // Jobs are built on the extranonce1, the pool sends new ones
+                _this.jobs = {};
+                _this.currentJob = null;
+                setExtraNonce(params[0], params[1]);
+                break;
+            case 'mining.set_version_mask':
+                _this.versionMask = util.parseVersionMask(params[0], 0);
+                _this.emit('versionMask', _this.versionMask);
+                break;
+            case 'client.reconnect':
+                _this.emit('reconnectRequested', params[0] || clientOptions.host, parseInt(params[1]) || clientOptions.port, params[2] || 0);
+                break;
+            case 'client.show_message':
+                _this.emit('message', params[0]);
+                break;
+        }
+    }
+
+
+    /**
+     * Runs mining.configure, mining.subscribe and mining.authorize on the open connection.
+     *
+     * @function handshake
+     * @param {Function} callback - Called with (error) once authorized
+     * @private
+     */
+    function handshake(callback){
+        if (clientOptions.versionMask){
+            _this.request('mining.configure', [['version-rolling'], {
+                'version-rolling.mask': util.packUInt32BE(clientOptions.versionMask).toString('hex'),
+                'version-rolling.min-bit-count': 2
+            }], function(error, result){
+                _this.versionMask = result && result['version-rolling'] === true ?
+                    util.parseVersionMask(result['version-rolling.mask'], 0) : null;
+            });
+        }
+        _this.request('mining.subscribe', [clientOptions.userAgent || USER_AGENT], function(error, result){
+            if (error || !Array.isArray(result))
+                return callback('mining.subscribe failed: ' + describeError(error));
+            setExtraNonce(result[1], result[2]);
+            _this.request('mining.authorize', [clientOptions.user, clientOptions.password || 'x'], function(error, result){
+                if (error || result !== true)
+                    return callback('Pool refused worker ' + clientOptions.user + ': ' + describeError(error));
+                _this.authorized = true;
+                callback(null);
+            });
+        });
+    }
+
+
+    /**
+     * Sends a request to the pool.
+     *
+     * @method request
+     * @param {string} method - Stratum method
+     * @param {Array} params - Method params
+     * @param {Function} [callback] - Called with (error, result) of the pool's answer; error is the pool's
+     *        [code, message] or {message} when the connection closed before it answered
+     */
+    this.request = function(method, params, callback){
+        if (!socket || !_this.connected){
+            if (callback)
+                callback({message: 'not connected'}, null);
+            return;
+        }
+        var id = ++requestId;
+        if (callback)
+            pending[id] = callback;
+        socket.write(JSON.stringify({id: id, method: method, params: params}) + '\n');
+    };
+
+    /**
+     * Connects to the pool, negotiates version rolling if a versionMask was given, then subscribes and authorizes.
+     *
+     * @method connect
+     * @param {Function} callback - Called with (error) once the worker is authorized or the handshake failed;
+     *        error is a message
+     */
+    this.connect = function(callback){
+        var buffer = '';
+        var done = false;
+        var finish = function(error){
+            if (done)
+                return;
+            done = true;
+            callback(error);
+        };
+
+        socket = clientOptions.tls ?
+            tls.connect(Object.assign({host: clientOptions.host, port: clientOptions.port}, clientOptions.tls === true ? {} : clientOptions.tls)) :
+            net.connect(clientOptions.port, clientOptions.host);
+        var connection = socket;
+        socket.setEncoding('utf8');
+        socket.setKeepAlive(true);
+        socket.on(clientOptions.tls ? 'secureConnect' : 'connect', function(){
+            _this.connected = true;
+            handshake(finish);
+        }).on('data', function(data){
+            buffer += data;
+            var lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(function(line){
+                if (!line.trim())
+                    return;
+                var message;
+                try {
+                    message = JSON.parse(line);
+                }
+                catch(e){
+                    return _this.emit('socketError', new Error('Malformed message from pool: ' + line));
+                }
+                handleMessage(message);
+            });
+        }).on('error', function(error){
+            _this.emit('socketError', error);
+            finish('Cannot connect to ' + clientOptions.host + ':' + clientOptions.port + ': ' + error.message);
+        }).on('close', function(){
+            if (connection !== socket)
+                return;
+            _this.connected = false;
+            _this.authorized = false;
+            var callbacks = pending;
+            pending = {};
+            Object.keys(callbacks).forEach(function(id){
+                callbacks[id]({message: 'disconnected'}, null);
+            });
+            finish('Disconnected from ' + clientOptions.host + ':' + clientOptions.port);
+            _this.emit('disconnected');
+        });
+    };
+
+    /**
+     * Gets the next extranonce2 of the current extranonce, counting up from zero.
+     *
+     * @method nextExtraNonce2
+     * @returns {string} Extranonce2 of extraNonce2Size bytes (hex)
+     */
+    this.nextExtraNonce2 = function(){
+        var extraNonce2 = Buffer.alloc(_this.extraNonce2Size);
+        var counter = extraNonce2Counter++;
+        for (var i = extraNonce2.length - 1; i >= 0 && counter > 0; i--){
+            extraNonce2[i] = counter & 0xff;
+            counter = Math.floor(counter / 256);
+        }
+        return extraNonce2.toString('hex');
+    };
+
+    /**
+     * Builds the coinbase transaction of a job for an extranonce2.
+     *
+     * @method buildCoinbase
+     * @param {UpstreamJob} job - Job of the pool
+     * @param {string} extraNonce2 - Extranonce2 (hex)
+     * @returns {Buffer} Serialized coinbase transaction
+     */
+    this.buildCoinbase = function(job, extraNonce2){
+        return job.serializeCoinbase(Buffer.alloc(0), Buffer.from(extraNonce2, 'hex'));
+    };
+
+    /**
+     * Builds the merkle root of a job for an extranonce2.
+     *
+     * @method buildMerkleRoot
+     * @param {UpstreamJob} job - Job of the pool
+     * @param {string} extraNonce2 - Extranonce2 (hex)
+     * @returns {string} Merkle root as it goes into mining.submit's header, in RPC byte order (hex)
+     */
+    this.buildMerkleRoot = function(job, extraNonce2){
+        var coinbaseHash = util.sha256d(_this.buildCoinbase(job, extraNonce2));
+        return util.reverseBuffer(job.merkleTree.withFirst(coinbaseHash)).toString('hex');
+    };
+
+    /**
+     * Builds the block header of a job.
+     *
+     * @method buildHeader
+     * @param {UpstreamJob} job - Job of the pool
+     * @param {string} extraNonce2 - Extranonce2 (hex)
+     * @param {string} nTime - Block timestamp (hex)
+     * @param {string} nonce - Nonce (hex)
+     * @param {number} [version] - Rolled block version
+     * @returns {Buffer} 80-byte serialized block header
+     */
+    this.buildHeader = function(job, extraNonce2, nTime, nonce, version){
+        return job.serializeHeader(_this.buildMerkleRoot(job, extraNonce2), nTime, nonce, version);
+    };
+
+    /**
+     * Searches nonces of a job on the CPU for a share, a few thousand per event loop tick. Only practical at
+     * very low difficulties: a difficulty 1 share takes about 2^32 hashes.
+     *
+     * @method findShare
+     * @param {Object} [search] - Defaults to the current job and difficulty, the next extranonce2 and the job's ntime
+     * @param {UpstreamJob} [search.job] - Job to mine
+     * @param {number} [search.difficulty] - Share difficulty to reach
+     * @param {string} [search.extraNonce2] - Extranonce2 (hex)
+     * @param {string} [search.nTime] - Block timestamp (hex)
+     * @param {number} [search.version] - Rolled block version
+     * @param {number} [search.maxNonces=16777216] - Nonces to try before giving up
+     * @param {Function} callback - Called with (error, share), share being {jobId, extraNonce2, nTime, nonce,
+     *        version, hash, difficulty} as submit takes it, or null if no nonce reached the difficulty
+     */
+    this.findShare = function(search, callback){
+        if (typeof search === 'function'){
+            callback = search;
+            search = {};
+        }
+        var job = search.job || _this.currentJob;
+        if (!job)
+            return callback('No job to mine');
+
+        var difficulty = search.difficulty || _this.difficulty;
+        var extraNonce2 = search.extraNonce2 || _this.nextExtraNonce2();
+        var nTime = search.nTime || util.packUInt32BE(job.rpcData.curtime).toString('hex');
+        var maxNonces = search.maxNonces || DEFAULT_MAX_NONCES;
+        var header = _this.buildHeader(job, extraNonce2, nTime, '00000000', search.version);
+        var nonce = 0;
+
+        var searchNonces = function(){
+            var last = Math.min(nonce + NONCES_PER_TICK, maxNonces);
+            for (; nonce < last; nonce++){
+                header.writeUInt32LE(nonce, 76);
+                var hash = util.sha256d(header);
+                var shareDifficulty = Number(DIFF1 * BigInt(1e18) / BigInt('0x' + util.reverseBuffer(hash).toString('hex'))) / 1e18;
+                if (shareDifficulty >= difficulty){
+                    return callback(null, {
+                        jobId: job.jobId,
+                        extraNonce2: extraNonce2,
+                        nTime: nTime,
+                        nonce: util.packUInt32BE(nonce).toString('hex'),
+                        version: search.version ? util.packUInt32BE(search.version).toString('hex') : undefined,
+                        hash: util.reverseBuffer(hash).toString('hex'),
+                        difficulty: shareDifficulty
+                    });
+                }
+            }
+            if (nonce >= maxNonces)
+                return callback(null, null);
+            setImmediate(searchNonces);
+        };
+        searchNonces();
+    };
+
+    /**
+     * Submits a share.
+     *
+     * @method submit
+     * @param {Object} share - {jobId, extraNonce2, nTime, nonce, version}, hex strings as in mining.submit;
+     *        version is only sent when set
+     * @param {Function} callback - Called with (accepted, reason), reason being the pool's error when rejected
+     */
+    this.submit = function(share, callback){
+        var params = [clientOptions.user, share.jobId, share.extraNonce2, share.nTime, share.nonce];
+        if (share.version)
+            params.push(share.version);
+        _this.request('mining.submit', params, function(error, result){
+            callback(!error && result === true, error || result !== true ? describeError(error) : null);
+        });
+    };
+
+    /**
+     * Closes the connection.
+     *
+     * @method close
+     */
+    this.close = function(){
+        if (socket)
+            socket.destroy();
+    };
+};
+StratumMinerClient.prototype.__proto__ = events.EventEmitter.prototype;
+
+
+/**
+ * Turns an error of a Stratum answer into its message.
+ *
+ * @function describeError
+ * @param {Array|Object|null} error - [code, message], {message} or null for a plain refusal
+ * @returns {string} Error message
+ * @private
+ */
+function describeError(error){
+    if (!error)
+        return 'refused';
+    if (Array.isArray(error))
+        return error[1];
+    return error.message || JSON.stringify(error);
+}
@@ -0,0 +1,899 @@
+/**
+ * @module sv2
+ * @description Stratum V2 mining protocol listener. Each encrypted SV2 connection may open any number of
+ * standard or extended mining channels; every channel is exposed to the pool as a client object with the
+ * same events and methods as a V1 StratumClient (subscription, submit, sendDifficulty, sendMiningJob, ...),
+ * so job distribution, share validation, vardiff and banning work unchanged for both protocols.
+ * @see {@link https://github.com/stratum-mining/sv2-spec}
+ */
+
+var events = require('events');
+
+var util = require('./util.js');
+var noise = require('./noise.js');
+var secp256k1 = require('./secp256k1.js');
+
+var PROTOCOL_VERSION = 2;
+var MINING_PROTOCOL = 0;
+var CHANNEL_BIT = 0x8000;
+var MAX_MESSAGE_LENGTH = 16384;
+var HANDSHAKE_TIMEOUT = 10; //seconds
+var SV2_VERSION_ROLLING_MASK = 0x1fffe000; //BIP 320 bits, the only ones SV2 devices may roll
+
+// SetupConnection flags for the mining protocol
+var FLAG_REQUIRES_WORK_SELECTION = 0x02;
+var FLAG_REQUIRES_VERSION_ROLLING = 0x04;
+// SetupConnection.Success flags
+var FLAG_REQUIRES_FIXED_VERSION = 0x01;
+
+/**
+ * Message definitions: type id, whether the channel bit is set, and the ordered field list.
+ * @private
+ */
+var MESSAGES = {
+    SetupConnection: {type: 0x00, channel: false, fields: [
+        ['protocol', 'U8'], ['minVersion', 'U16'], ['maxVersion', 'U16'], ['flags', 'U32'],
+        ['endpointHost', 'STR0_255'], ['endpointPort', 'U16'], ['vendor', 'STR0_255'],
+        ['hardwareVersion', 'STR0_255'], ['firmware', 'STR0_255'], ['deviceId', 'STR0_255']
+    ]},
+    SetupConnectionSuccess: {type: 0x01, channel: false, fields: [['usedVersion', 'U16'], ['flags', 'U32']]},
+    SetupConnectionError: {type: 0x02, channel: false, fields: [['flags', 'U32'], ['errorCode', 'STR0_255']]},
+    OpenStandardMiningChannel: {type: 0x10, channel: false, fields: [
+        ['requestId', 'U32'], ['userIdentity', 'STR0_255'], ['nominalHashRate', 'F32'], ['maxTarget', 'U256']
+    ]},
+    OpenStandardMiningChannelSuccess: {type: 0x11, channel: false, fields: [
+        ['requestId', 'U32'], ['channelId', 'U32'], ['target', 'U256'], ['extranoncePrefix', 'B0_32'], ['groupChannelId', 'U32']
+    ]},
+    OpenMiningChannelError: {type: 0x12, channel: false, fields: [['requestId', 'U32'], ['errorCode', 'STR0_255']]},
+    OpenExtendedMiningChannel: {type: 0x13, channel: false, fields: [
+        ['requestId', 'U32'], ['userIdentity', 'STR0_255'], ['nominalHashRate', 'F32'], ['maxTarget', 'U256'],
+        ['minExtranonceSize', 'U16']
+    ]},
+    OpenExtendedMiningChannelSuccess: {type: 0x14, channel: false, fields: [
+        ['requestId', 'U32'], ['channelId', 'U32'], ['target', 'U256'], ['extranonceSize', 'U16'], ['extranoncePrefix', 'B0_32']
+    ]},
+    UpdateChannel: {type: 0x16, channel: true, fields: [['channelId', 'U32'], ['nominalHashRate', 'F32'], ['maximumTarget', 'U256']]},
+    UpdateChannelError: {type: 0x17, channel: true, fields: [['channelId', 'U32'], ['errorCode', 'STR0_255']]},
+    CloseChannel: {type: 0x18, channel: true, fields: [['channelId', 'U32'], ['reasonCode', 'STR0_255']]},
+    SubmitSharesStandard: {type: 0x1a, channel: true, fields: [
+        ['channelId', 'U32'], ['sequenceNumber', 'U32'], ['jobId', 'U32'], ['nonce', 'U32'], ['ntime', 'U32'], ['version', 'U32']
+    ]},
+    SubmitSharesExtended: {type: 0x1b, channel: true, fields: [
+        ['channelId', 'U32'], ['sequenceNumber', 'U32'], ['jobId', 'U32'], ['nonce', 'U32'], ['ntime', 'U32'], ['version', 'U32'],
+        ['extranonce', 'B0_32']
+    ]},
+    SubmitSharesSuccess: {type: 0x1c, channel: true, fields: [
+        ['channelId', 'U32'], ['lastSequenceNumber', 'U32'], ['newSubmitsAcceptedCount', 'U32'], ['newSharesSum', 'U64']
+    ]},
+    SubmitSharesError: {type: 0x1d, channel: true, fields: [['channelId', 'U32'], ['sequenceNumber', 'U32'], ['errorCode', 'STR0_255']]},
+    NewMiningJob: {type: 0x15, channel: true, fields: [
+        ['channelId', 'U32'], ['jobId', 'U32'], ['minNtime', 'OPTION_U32'], ['version', 'U32'], ['merkleRoot', 'U256']
+    ]},
+    NewExtendedMiningJob: {type: 0x1f, channel: true, fields: [
+        ['channelId', 'U32'], ['jobId', 'U32'], ['minNtime', 'OPTION_U32'], ['version', 'U32'], ['versionRollingAllowed', 'BOOL'],
+        ['merklePath', 'SEQ0_255_U256'], ['coinbaseTxPrefix', 'B0_64K'], ['coinbaseTxSuffix', 'B0_64K']
+    ]},
+    SetNewPrevHash: {type: 0x20, channel: true, fields: [
+        ['channelId', 'U32'], ['jobId', 'U32'], ['prevHash', 'U256'], ['minNtime', 'U32'], ['nbits', 'U32']
+    ]},
+    SetTarget: {type: 0x21, channel: true, fields: [['channelId', 'U32'], ['maximumTarget', 'U256']]},
+    Reconnect: {type: 0x25, channel: false, fields: [['newHost', 'STR0_255'], ['newPort', 'U16']]}
+};
+
+var MESSAGE_NAMES = {};
+Object.keys(MESSAGES).forEach(function(name){
+    MESSAGE_NAMES[MESSAGES[name].type] = name;
+});
+
+// V1 share error codes translated to SV2 error_code strings
+var SHARE_ERROR_CODES = {
+    21: 'invalid-job-id',
+    22: 'duplicate-share',
+    23: 'difficulty-too-low',
+    24: 'unauthorized-worker'
+};
+
+
+function prefixedBuffer(data, lengthBytes, maxLength){
+    if (data.length > maxLength)
+        throw new Error('SV2 field exceeds ' + maxLength + ' bytes');
+    var prefix = Buffer.alloc(lengthBytes);
+    prefix.writeUIntLE(data.length, 0, lengthBytes);
+    return Buffer.concat([prefix, data]);
+}
+
+/**
+ * Serializes one field value according to its SV2 data type.
+ * @private
+ */
+function writeField(type, value){
+    var buff;
+    switch(type){
+        case 'BOOL':
+            return Buffer.from([value ? 1 : 0]);
+        case 'U8':
+            return Buffer.from([value & 0xff]);
+        case 'U16':
+            buff = Buffer.alloc(2);
+            buff.writeUInt16LE(value, 0);
+            return buff;
+        case 'U32':
+            buff = Buffer.alloc(4);
+            buff.writeUInt32LE(value >>> 0, 0);
+            return buff;
+        case 'U64':
+            buff = Buffer.alloc(8);
+            buff.writeBigUInt64LE(BigInt(Math.max(0, Math.floor(value))), 0);
+            return buff;
+        case 'F32':
+            buff = Buffer.alloc(4);
+            buff.writeFloatLE(value, 0);
+            return buff;
+        case 'U256':
+            if (!Buffer.isBuffer(value) || value.length !== 32)
+                throw new Error('U256 field must be a 32 byte buffer');
+            return value;
+        case 'STR0_255':
+            return prefixedBuffer(Buffer.from(value || '', 'utf8'), 1, 255);
+        case 'B0_32':
+            return prefixedBuffer(value, 1, 32);
+        case 'B0_64K':
+            return prefixedBuffer(value, 2, 65535);
+        case 'SEQ0_255_U256':
+            if (value.length > 255)
+                throw new Error('SEQ0_255 field exceeds 255 items');
+            return Buffer.concat([Buffer.from([value.length])].concat(value));
+        case 'OPTION_U32':
+            if (value === null || value === undefined)
+                return Buffer.from([0]);
+            return Buffer.concat([Buffer.from([1]), writeField('U32', value)]);
+        default:
+            throw new Error('Unknown SV2 field type ' + type);
+    }
+}
+
+/**
+ * Reads one field value from a payload, advancing cursor.offset.
+ * @private
+ */
+function readField(type, payload, cursor){
+    function take(length){
+        if (cursor.offset + length > payload.length)
+            throw new Error('Truncated SV2 message');
+        var slice = payload.slice(cursor.offset, cursor.offset + length);
+        cursor.offset += length;
+        return slice;
+    }
+    switch(type){
+        case 'BOOL':
+            return take(1)[0] !== 0;
+        case 'U8':
+            return take(1)[0];
+        case 'U16':
+            return take(2).readUInt16LE(0);
+        case 'U32':
+            return take(4).readUInt32LE(0);
+        case 'U64':
+            return Number(take(8).readBigUInt64LE(0));
+        case 'F32':
+            return take(4).readFloatLE(0);
+        case 'U256':
+            return Buffer.from(take(32));
+        case 'STR0_255':
+            return take(take(1)[0]).toString('utf8');
+        case 'B0_32':
+            var length = take(1)[0];
+            if (length > 32)
+                throw new Error('B0_32 field exceeds 32 bytes');
+            return Buffer.from(take(length));
+        case 'B0_64K':
+            return Buffer.from(take(take(2).readUInt16LE(0)));
+        case 'SEQ0_255_U256':
+            var items = [];
+            for (var count = take(1)[0]; count > 0; count--)
+                items.push(Buffer.from(take(32)));
+            return items;
+        case 'OPTION_U32':
+            return take(1)[0] === 0 ? null : take(4).readUInt32LE(0);
+        default:
+            throw new Error('Unknown SV2 field type ' + type);
+    }
+}
+
+/**
+ * Encodes a message as a plaintext SV2 frame (6-byte header followed by the payload).
+ *
+ * @function encodeMessage
+ * @param {string} name - Message name, e.g. 'SetupConnection'
+ * @param {Object} fields - Field values keyed by the camelCased spec field name
+ * @returns {Buffer} Frame
+ */
+exports.encodeMessage = function(name, fields){
+    var definition = MESSAGES[name];
+    if (!definition)
+        throw new Error('Unknown SV2 message ' + name);
+    var payload = Buffer.concat(definition.fields.map(function(field){
+        return writeField(field[1], fields[field[0]]);
+    }));
+    var header = Buffer.alloc(noise.HEADER_LENGTH);
+    header.writeUInt16LE(definition.channel ? CHANNEL_BIT : 0, 0);
+    header.writeUInt8(definition.type, 2);
+    header.writeUIntLE(payload.length, 3, 3);
+    return Buffer.concat([header, payload]);
+};
+
+/**
+ * Parses a plaintext frame header.
+ *
+ * @function decodeHeader
+ * @param {Buffer} header - 6-byte header
+ * @returns {Object} {extensionType, channelMessage, messageType, length}
+ */
+exports.decodeHeader = function(header){
+    var extensionType = header.readUInt16LE(0);
+    return {
+        extensionType: extensionType & ~CHANNEL_BIT,
+        channelMessage: (extensionType & CHANNEL_BIT) !== 0,
+        messageType: header.readUInt8(2),
+        length: header.readUIntLE(3, 3)
+    };
+};
+
+/**
+ * Decodes a message payload. Returns null for message types this module does not know.
+ *
+ * @function decodeMessage
+ * @param {number} messageType - Message type from the frame header
+ * @param {Buffer} payload - Message payload
+ * @returns {Object|null} {name, fields}
+ */
+exports.decodeMessage = function(messageType, payload){
+    var name = MESSAGE_NAMES[messageType];
+    if (!name)
+        return null;
+    var cursor = {offset: 0};
+    var fields = {};
+    MESSAGES[name].fields.forEach(function(field){
+        fields[field[0]] = readField(field[1], payload, cursor);
+    });
+    return {name: name, fields: fields};
+};
+
+/**
+ * Converts a 256-bit target to the little-endian U256 wire format.
+ * @function targetToU256
+ * @param {BigInt} target
+ * @returns {Buffer}
+ */
+exports.targetToU256 = function(target){
+    return util.reverseBuffer(Buffer.from(target.toString(16).padStart(64, '0'), 'hex'));
+};
+
+/**
+ * Converts a little-endian U256 target to a BigInt.
+ * @function u256ToTarget
+ * @param {Buffer} u256
+ * @returns {BigInt}
+ */
+exports.u256ToTarget = function(u256){
+    return BigInt('0x' + util.reverseBuffer(Buffer.from(u256)).toString('hex'));
+};
+
+/**
+ * Builds the key material for an SV2 port: the Noise static key and a certificate signed by the
+ * authority key that miners are configured to trust. Keys not given in the config are generated,
+ * in which case miners cannot authenticate the pool and must connect without an authority key.
+ *
+ * @function createServerKeys
+ * @param {Object|boolean} config - The port's `sv2` option
+ * @param {string} [config.authorityPrivateKey] - Hex authority secret key
+ * @param {string} [config.staticPrivateKey] - Hex Noise static secret key
+ * @param {number} [config.certificateValidity=86400] - Certificate lifetime in seconds
+ * @returns {Object} {authorityPublicKey, staticPrivateKey, getCertificate()}
+ */
+exports.createServerKeys = function(config){
+    config = typeof config === 'object' && config !== null ? config : {};
+    var authorityPrivateKey = config.authorityPrivateKey ? Buffer.from(config.authorityPrivateKey, 'hex') : secp256k1.generatePrivateKey();
+    var staticPrivateKey = config.staticPrivateKey ? Buffer.from(config.staticPrivateKey, 'hex') : secp256k1.generatePrivateKey();
+    var validity = config.certificateValidity || 86400;
+    var certificate = null;
+    return {
+        authorityPublicKey: secp256k1.getXOnlyPublicKey(authorityPrivateKey),
+        staticPrivateKey: staticPrivateKey,
+        getCertificate: function(){
+            var now = Math.floor(Date.now() / 1000);
+            if (!certificate || now > certificate.notValidAfter - validity / 2)
+                certificate = noise.createCertificate(authorityPrivateKey, staticPrivateKey, now - 60, now + validity);
+            return certificate;
+        }
+    };
+};
+
+
+/**
+ * A standard or extended mining channel, presented to the pool with the StratumClient interface.
+ *
+ * @class Sv2Channel
+ * @extends {EventEmitter}
+ * @param {Object} options
+ * @param {Sv2Connection} options.connection - Owning connection
+ * @param {number} options.channelId - Channel id on the connection
+ * @param {number} options.requestId - Request id of the open message
+ * @param {boolean} options.extended - Extended (true) or standard (false) channel
+ * @param {string} options.userIdentity - Worker name
+ * @param {BigInt} options.maxTarget - Largest target the device accepts
+ * @param {number} [options.minExtranonceSize] - Extended channels: minimum rollable extranonce bytes
+ *
+ * @fires Sv2Channel#subscription
+ * @fires Sv2Channel#submit
+ * @fires Sv2Channel#socketDisconnect
+ * @fires Sv2Channel#socketTimeout
+ * @fires Sv2Channel#triggerBan
+ * @fires Sv2Channel#checkBan
+ */
+var Sv2Channel = exports.Channel = function Sv2Channel(options){
+    var _this = this;
+    var connection = options.connection;
+    var banning = connection.options.banning;
+    var pendingDifficulty = null;
+    var pendingJob = null;
+    var opened = false;
+    var closed = false;
+    var currentPrevHash = null;
+    var extraNonce2 = null;
+    var sharesSum = 0;
+    var reportedSharesSum = 0;
+
+    this.socket = connection.socket;
+    this.remoteAddress = connection.remoteAddress;
+    this.channelId = options.channelId;
+    this.extended = options.extended;
+    this.workerName = options.userIdentity;
+    this.workerPass = '';
+    this.lastActivity = Date.now();
+    this.shares = {valid: 0, invalid: 0};
+    this.asicboost = connection.options.asicboost === true;
+    this.versionMask = this.asicboost ? (util.parseVersionMask(connection.options.versionMask) & SV2_VERSION_ROLLING_MASK) >>> 0 : 0;
+
+    var considerBan = (!banning || !banning.enabled) ? function(){ return false } : function(shareValid){
+        if (shareValid === true) _this.shares.valid++;
+        else _this.shares.invalid++;
+        var totalShares = _this.shares.valid + _this.shares.invalid;
+        if (totalShares >= banning.checkThreshold){
+            var percentBad = (_this.shares.invalid / totalShares) * 100;
+            if (percentBad < banning.invalidPercent) //reset shares
+                _this.shares = {valid: 0, invalid: 0};
+            else {
+                _this.emit('triggerBan', _this.shares.invalid + ' out of the last ' + totalShares + ' shares were invalid');
+                _this.socket.destroy();
+                return true;
+            }
+        }
+        return false;
+    };
+
+    function send(name, fields){
+        connection.send(name, fields);
+    }
+
+    function openError(errorCode){
+        send('OpenMiningChannelError', {requestId: options.requestId, errorCode: errorCode});
+        _this.close(null);
+    }
+
+    /**
+     * Target for the current difficulty, capped at the device's maximum target.
+     * Lowers the effective difficulty when the cap applies.
+     * @private
+     */
+    function currentTarget(){
+        var target = util.targetFromDifficulty(_this.difficulty);
+        if (target > options.maxTarget){
+            target = options.maxTarget;
+            _this.difficulty = util.difficultyFromTarget(target);
+        }
+        return exports.targetToU256(target);
+    }
+
+    /**
+     * Authorizes the user identity and allocates the channel's extranonce through the pool's
+     * subscription handler, then confirms the channel and sends the latest job.
+     */
+    this.open = function(){
+        _this.emit('checkBan');
+        if (_this.socket.destroyed)
+            return;
+        connection.options.authorizeFn(_this.remoteAddress, _this.socket.localPort, _this.workerName, _this.workerPass, function(result){
+            _this.authorized = (!result.error && result.authorized);
+            if (result.disconnect === true){
+                _this.socket.destroy();
+                return;
+            }
+            if (!_this.authorized)
+                return openError('unknown-user');
+            if (result.difficulty && result.difficulty > 0)
+                _this.enqueueNextDifficulty(result.difficulty);
+
+            var subscriptionError = 'subscription-failed';
+            _this.emit('subscription', {}, function(error, extraNonce1, extraNonce2Size){
+                if (error) return;
+                subscriptionError = null;
+                _this.extraNonce1 = extraNonce1;
+                _this.extraNonce2Size = extraNonce2Size;
+            });
+            if (subscriptionError)
+                return openError(subscriptionError);
+
+            if (_this.difficulty === undefined)
+                _this.difficulty = util.difficultyFromTarget(options.maxTarget);
+
+            if (options.extended){
+                if (options.minExtranonceSize > _this.extraNonce2Size)
+                    return openError('min-extranonce-size-too-large');
+                opened = true;
+                send('OpenExtendedMiningChannelSuccess', {
+                    requestId: options.requestId,
+                    channelId: _this.channelId,
+                    target: currentTarget(),
+                    extranonceSize: _this.extraNonce2Size,
+                    extranoncePrefix: Buffer.from(_this.extraNonce1, 'hex')
+                });
+            }
+            else {
+                extraNonce2 = Buffer.alloc(_this.extraNonce2Size).toString('hex');
+                opened = true;
+                send('OpenStandardMiningChannelSuccess', {
+                    requestId: options.requestId,
+                    channelId: _this.channelId,
+                    target: currentTarget(),
+                    extranoncePrefix: Buffer.from(_this.extraNonce1 + extraNonce2, 'hex'),
+                    groupChannelId: 0
+                });
+            }
+            if (pendingJob){
+                var job = pendingJob;
+                pendingJob = null;
+                _this.sendMiningJob(job);
+            }
+        });
+    };
+
+    /**
+     * Handles UpdateChannel: a new maximum target from the device.
+     * @param {Object} message - Decoded UpdateChannel fields
+     */
+    this.handleUpdate = function(message){
+        options.maxTarget = exports.u256ToTarget(message.maximumTarget);
+        if (opened && util.targetFromDifficulty(_this.difficulty) > options.maxTarget){
+            _this.previousDifficulty = _this.difficulty;
+            send('SetTarget', {channelId: _this.channelId, maximumTarget: currentTarget()});
+            _this.emit('difficultyChanged', _this.difficulty);
+        }
+    };
+
+    /**
+     * Handles SubmitSharesStandard and SubmitSharesExtended.
+     * @param {Object} message - Decoded submit fields
+     */
+    this.handleSubmit = function(message){
+        _this.lastActivity = Date.now();
+        function reject(errorCode){
+            send('SubmitSharesError', {channelId: _this.channelId, sequenceNumber: message.sequenceNumber, errorCode: errorCode});
+        }
+        if (!opened){
+            considerBan(false);
+            return reject('invalid-channel-id');
+        }
+        if (options.extended && (!message.extranonce || message.extranonce.length !== _this.extraNonce2Size)){
+            considerBan(false);
+            return reject('invalid-extranonce-size');
+        }
+        _this.emit('submit',
+            {
+                name        : _this.workerName,
+                jobId       : message.jobId.toString(16),
+                extraNonce2 : options.extended ? message.extranonce.toString('hex') : extraNonce2,
+                nTime       : util.packUInt32BE(message.ntime).toString('hex'),
+                nonce       : util.packUInt32BE(message.nonce).toString('hex'),
+                version     : util.packUInt32BE(message.version).toString('hex')
+            },
+            function(error, result){
+                if (considerBan(result))
+                    return;
+                if (result){
+                    // Shares count by their difficulty; the U64 field carries the integer growth of the
+                    // running sum so fractional difficulties add up instead of being truncated per share
+                    sharesSum += _this.difficulty;
+                    var newSharesSum = Math.floor(sharesSum) - reportedSharesSum;
+                    reportedSharesSum += newSharesSum;
+                    send('SubmitSharesSuccess', {
+                        channelId: _this.channelId,
+                        lastSequenceNumber: message.sequenceNumber,
+                        newSubmitsAcceptedCount: 1,
+                        newSharesSum: newSharesSum
+                    });
+                }
+                else {
+                    var code = error && (SHARE_ERROR_CODES[error[0]] || String(error[1]).toLowerCase().replace(/[^a-z0-9]+/g, '-'));
+                    reject(code || 'invalid-share');
+                }
+            }
+        );
+    };
+
+    /**
+     * Closes the channel. Sends CloseChannel when a reason code is given.
+     * @param {string|null} reasonCode
+     */
+    this.close = function(reasonCode){
+        if (closed) return;
+        closed = true;
+        if (reasonCode)
+            send('CloseChannel', {channelId: _this.channelId, reasonCode: reasonCode});
+        connection.removeChannel(_this.channelId);
+        _this.emit('socketDisconnect');
+    };
+
+    this.getLabel = function(){
+        return (_this.workerName || '(unauthorized)') + ' [' + _this.remoteAddress + ']';
+    };
+
+    /**
+     * Asks the miner to reconnect. Reconnect applies to the whole connection, so it is sent once
+     * however many channels the connection has open.
+     * @param {string} [host] - Host to reconnect to, the current one if omitted
+     * @param {number} [port] - Port to reconnect to
+     */
+    this.sendReconnect = function(host, port){
+        connection.sendReconnect(host, port);
+    };
+
+    this.enqueueNextDifficulty = function(requestedNewDifficulty){
+        pendingDifficulty = requestedNewDifficulty;
+        return true;
+    };
+
+    /**
+     * Sets a new difficulty, sent as SetTarget once the channel is open.
+     * @param {number} difficulty
+     * @returns {boolean} False if the difficulty is unchanged
+     */
+    this.sendDifficulty = function(difficulty){
+        if (difficulty === _this.difficulty)
+            return false;
+        _this.previousDifficulty = _this.difficulty;
+        _this.difficulty = difficulty;
+        if (opened)
+            send('SetTarget', {channelId: _this.channelId, maximumTarget: currentTarget()});
+        return true;
+    };
+
+    /**
+     * Translates V1 job params to NewMiningJob/NewExtendedMiningJob, followed by SetNewPrevHash
+     * when the job builds on a new previous block hash.
+     * @param {Array} jobParams - mining.notify params
+     */
+    this.sendMiningJob = function(jobParams){
+        var lastActivityAgo = Date.now() - _this.lastActivity;
+        if (lastActivityAgo > connection.options.connectionTimeout * 1000){
+            _this.emit('socketTimeout', 'last submitted a share was ' + (lastActivityAgo / 1000 | 0) + ' seconds ago');
+            _this.close('timeout');
+            return;
+        }
+        if (!opened){
+            pendingJob = jobParams;
+            return;
+        }
+
+        if (pendingDifficulty !== null){
+            var result = _this.sendDifficulty(pendingDifficulty);
+            pendingDifficulty = null;
+            if (result)
+                _this.emit('difficultyChanged', _this.difficulty);
+        }
+
+        var jobId = parseInt(jobParams[0], 16) >>> 0;
+        var prevHash = Buffer.from(jobParams[1], 'hex').swap32();
+        var coinb1 = Buffer.from(jobParams[2], 'hex');
+        var coinb2 = Buffer.from(jobParams[3], 'hex');
+        var merklePath = jobParams[4].map(function(step){ return Buffer.from(step, 'hex'); });
+        var version = parseInt(jobParams[5], 16) >>> 0;
+        var nTime = parseInt(jobParams[7], 16) >>> 0;
+        var isNewPrevHash = !currentPrevHash || !currentPrevHash.equals(prevHash);
+
+        if (options.extended){
+            send('NewExtendedMiningJob', {
+                channelId: _this.channelId,
+                jobId: jobId,
+                minNtime: isNewPrevHash ? null : nTime,
+                version: version,
+                versionRollingAllowed: _this.asicboost,
+                merklePath: merklePath,
+                coinbaseTxPrefix: coinb1,
+                coinbaseTxSuffix: coinb2
+            });
+        }
+        else {
+            var merkleRoot = merklePath.reduce(function(root, step){
+                return util.sha256d(Buffer.concat([root, step]));
+            }, util.sha256d(Buffer.concat([coinb1, Buffer.from(_this.extraNonce1 + extraNonce2, 'hex'), coinb2])));
+            send('NewMiningJob', {
+                channelId: _this.channelId,
+                jobId: jobId,
+                minNtime: isNewPrevHash ? null : nTime,
+                version: version,
+                merkleRoot: merkleRoot
+            });
+        }
+
+        if (isNewPrevHash){
+            currentPrevHash = prevHash;
+            send('SetNewPrevHash', {
+                channelId: _this.channelId,
+                jobId: jobId,
+                prevHash: prevHash,
+                minNtime: nTime,
+                nbits: parseInt(jobParams[6], 16) >>> 0
+            });
+        }
+    };
+
+    this.setVersionMask = function(){
+        return false;
+    };
+
+    this.manuallyAuthClient = function(username){
+        _this.workerName = username;
+        _this.authorized = true;
+    };
+
+    this.manuallySetValues = function(otherClient){
+        _this.extraNonce1        = otherClient.extraNonce1;
+        _this.previousDifficulty = otherClient.previousDifficulty;
+        _this.difficulty         = otherClient.difficulty;
+    };
+};
+Sv2Channel.prototype.__proto__ = events.EventEmitter.prototype;
+
+
+/**
+ * One encrypted SV2 connection: Noise handshake, SetupConnection and channel multiplexing.
+ *
+ * @class Sv2Connection
+ * @extends {EventEmitter}
+ * @param {Object} options
+ * @param {net.Socket} options.socket - Accepted socket
+ * @param {Object} options.keys - Result of createServerKeys
+ * @param {Function} options.authorizeFn - Function to authorize workers
+ * @param {Object} [options.banning] - Ban configuration settings
+ * @param {number} options.connectionTimeout - Seconds without shares before a channel is closed
+ * @param {boolean} [options.tcpProxyProtocol] - Expect a HAProxy PROXY v1 line before the handshake
+ * @param {boolean} [options.asicboost] - Whether devices may roll the BIP 320 version bits
+ * @param {number|string} [options.versionMask] - Pool's version-rolling mask
+ *
+ * @fires Sv2Connection#channel - When a channel is requested, before it is opened
+ * @fires Sv2Connection#malformedMessage - On handshake, decryption or decoding failures
+ * @fires Sv2Connection#socketFlooded - When a frame exceeds the maximum message length
+ */
+var Sv2Connection = exports.Connection = function Sv2Connection(options){
+    var _this = this;
+    var socket = options.socket;
+    var state = options.tcpProxyProtocol === true ? 'proxy' : 'handshake';
+    var buffer = Buffer.alloc(0);
+    var session = null;
+    var header = null;
+    var channels = {};
+    var channelCounter = 0;
+    var reconnectSent = false;
+
+    this.options = options;
+    this.socket = socket;
+    this.remoteAddress = socket.remoteAddress;
+
+    var handshakeTimeout = setTimeout(function(){
+        socket.destroy();
+    }, HANDSHAKE_TIMEOUT * 1000);
+
+    function fail(reason){
+        _this.emit('malformedMessage', reason);
+        socket.destroy();
+    }
+
+    /**
+     * Sends a message on the connection.
+     * @param {string} name - Message name
+     * @param {Object} fields - Message fields
+     */
+    this.send = function(name, fields){
+        if (session && !socket.destroyed)
+            socket.write(session.encryptFrame(exports.encodeMessage(name, fields)));
+    };
+
+    /**
+     * Sends Reconnect, at most once per connection.
+     * @param {string} [host] - Host to reconnect to, the current one if omitted
+     * @param {number} [port] - Port to reconnect to
+     */
+    this.sendReconnect = function(host, port){
+        if (reconnectSent) return;
+        reconnectSent = true;
+        _this.send('Reconnect', {newHost: host || '', newPort: host ? port || socket.localPort : 0});
+    };
+
+    this.removeChannel = function(channelId){
+        delete channels[channelId];
+    };
+
+    this.getChannels = function(){
+        return channels;
+    };
+
+    function setupConnection(message){
+        var flags = message.flags;
+        var error = null;
+        if (message.protocol !== MINING_PROTOCOL)
+            error = {flags: 0, errorCode: 'unsupported-protocol'};
+        else if (message.minVersion > PROTOCOL_VERSION || message.maxVersion < PROTOCOL_VERSION)
+            error = {flags: 0, errorCode: 'protocol-version-mismatch'};
+        else if (flags & FLAG_REQUIRES_WORK_SELECTION)
+            error = {flags: FLAG_REQUIRES_WORK_SELECTION, errorCode: 'unsupported-feature-flags'};
+        else if ((flags & FLAG_REQUIRES_VERSION_ROLLING) && options.asicboost !== true)
+            error = {flags: FLAG_REQUIRES_VERSION_ROLLING, errorCode: 'unsupported-feature-flags'};
+
+        if (error){
+            _this.send('SetupConnectionError', error);
+            socket.end();
+            return;
+        }
+        _this.setup = message;
+        state = 'ready';
+        _this.send('SetupConnectionSuccess', {
+            usedVersion: PROTOCOL_VERSION,
+            flags: options.asicboost === true ? 0 : FLAG_REQUIRES_FIXED_VERSION
+        });
+    }
+
+    function openChannel(message, extended){
+        var channelId = ++channelCounter;
+        var channel = new Sv2Channel({
+            connection: _this,
+            channelId: channelId,
+            requestId: message.requestId,
+            extended: extended,
+            userIdentity: message.userIdentity,
+            maxTarget: exports.u256ToTarget(message.maxTarget),
+            minExtranonceSize: message.minExtranonceSize
+        });
+        channels[channelId] = channel;
+        _this.emit('channel', channel);
+        channel.open();
+    }
+
+    function handleMessage(message){
+        if (state !== 'ready'){
+            if (message.name !== 'SetupConnection')
+                return fail('expected SetupConnection, got ' + message.name);
+            return setupConnection(message.fields);
+        }
+        var channel = message.fields.channelId !== undefined ? channels[message.fields.channelId] : null;
+        switch(message.name){
+            case 'OpenStandardMiningChannel':
+                openChannel(message.fields, false);
+                break;
+            case 'OpenExtendedMiningChannel':
+                openChannel(message.fields, true);
+                break;
+            case 'SubmitSharesStandard':
+            case 'SubmitSharesExtended':
+                if (!channel){
+                    _this.send('SubmitSharesError', {
+                        channelId: message.fields.channelId,
+                        sequenceNumber: message.fields.sequenceNumber,
+                        errorCode: 'invalid-channel-id'
+                    });
+                    return;
+                }
+                channel.handleSubmit(message.fields);
+                break;
+            case 'UpdateChannel':
+                if (channel)
+                    channel.handleUpdate(message.fields);
+                else
+                    _this.send('UpdateChannelError', {channelId: message.fields.channelId, errorCode: 'invalid-channel-id'});
+                break;
+            case 'CloseChannel':
+                if (channel)
+                    channel.close(null);
+                break;
+            default:
+                _this.emit('unknownMessage', message.name);
+                break;
+        }
+    }
+
+    function processBuffer(){
+        while (true){
+            if (state === 'proxy'){
+                var lineEnd = buffer.indexOf('\r\n');
+                if (lineEnd === -1){
+                    if (buffer.length > 107) return fail('invalid PROXY header');
+                    return;
+                }
+                var line = buffer.slice(0, lineEnd).toString('ascii');
+                buffer = buffer.slice(lineEnd + 2);
+                if (line.indexOf('PROXY') === 0)
+                    _this.remoteAddress = line.split(' ')[2];
+                else
+                    _this.emit('tcpProxyError', line);
+                state = 'handshake';
+            }
+            else if (state === 'handshake'){
+                if (buffer.length < noise.ACT_ONE_LENGTH) return;
+                var responder = new noise.Responder({
+                    staticPrivateKey: options.keys.staticPrivateKey,
+                    certificate: options.keys.getCertificate()
+                });
+                var actOne = buffer.slice(0, noise.ACT_ONE_LENGTH);
+                buffer = buffer.slice(noise.ACT_ONE_LENGTH);
+                try {
+                    socket.write(responder.respond(actOne));
+                } catch(e) {
+                    return fail('handshake failed: ' + e.message);
+                }
+                clearTimeout(handshakeTimeout);
+                session = responder.session;
+                state = 'setup';
+            }
+            else if (header === null){
+                if (buffer.length < noise.ENCRYPTED_HEADER_LENGTH) return;
+                try {
+                    header = exports.decodeHeader(session.decryptHeader(buffer.slice(0, noise.ENCRYPTED_HEADER_LENGTH)));
+                } catch(e) {
+                    return fail('could not decrypt frame header');
+                }
+                buffer = buffer.slice(noise.ENCRYPTED_HEADER_LENGTH);
+                if (header.length > MAX_MESSAGE_LENGTH){
+                    _this.emit('socketFlooded');
+                    socket.destroy();
+                    return;
+                }
+            }
+            else {
+                var encryptedLength = noise.encryptedPayloadLength(header.length);
+                if (buffer.length < encryptedLength) return;
+                var message;
+                try {
+                    var payload = session.decryptPayload(buffer.slice(0, encryptedLength));
+                    message = header.extensionType === 0 ? exports.decodeMessage(header.messageType, payload) : null;
+                } catch(e) {
+                    return fail('could not decode message type ' + header.messageType + ': ' + e.message);
+                }
+                buffer = buffer.slice(encryptedLength);
+                if (message)
+                    handleMessage(message);
+                else
+                    _this.emit('unknownMessage', 'extension ' + header.extensionType + ' type ' + header.messageType);
+                header = null;
+                if (socket.destroyed) return;
+            }
+        }
+    }
+
+    socket.on('data', function(data){
+        buffer = Buffer.concat([buffer, data]);
+        processBuffer();
+    });
+    socket.on('close', function(){
+        clearTimeout(handshakeTimeout);
+        Object.keys(channels).forEach(function(channelId){
+            channels[channelId].close(null);
+        });
+    });
+    socket.on('error', function(err){
+        if (err.code === 'ECONNRESET') return;
+        Object.keys(channels).forEach(function(channelId){
+            channels[channelId].emit('socketError', err);
+        });
+    });
+};
+Sv2Connection.prototype.__proto__ = events.EventEmitter.prototype;
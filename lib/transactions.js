@@ -5,6 +5,15 @@
  */
 
 var util = require('./util.js');
+var CoinbaseBuilder = require('./coinbaseBuilder.js');
+
+// Consensus limit for the coinbase input script
+var MAX_SCRIPTSIG_SIZE = 100;
+var MAX_OP_RETURN_DATA = 80; // largest data carrier nodes relay by default
+var DEFAULT_POOL_NAME = 'EloPool.Cloud';
+var DEFAULT_SIGNATURE = '/{pool}/';
+var DEFAULT_WORKER_SIGNATURE = '/{pool}/Mined by {worker}/';
+var DEFAULT_TX_COMMENT = 'https://github.com/zone117x/node-stratum';
 
 
 /*
@@ -123,116 +132,256 @@ var Generation = exports.Generation = function Generation(rpcData, publicKey, ex
 
 
 /**
- * Generates the output transactions for the coinbase transaction.
- * This includes payouts for masternodes, superblocks, pool fees, and the main pool reward.
+ * Reads a Bitcoin varint and moves the cursor past it.
  *
  * @private
- * @param {Buffer} poolRecipient - The pool's address script for receiving rewards
- * @param {Array<Object>} recipients - Array of fee recipients
- * @param {Object} rpcData - Block template data from daemon
- * @returns {Buffer} Serialized transaction outputs
+ * @param {Object} cursor - {buffer, offset}
+ * @returns {number} Value
+ */
+var readVarInt = function(cursor){
+    var first = cursor.buffer[cursor.offset];
+    var value;
+    if (first < 0xfd){
+        cursor.offset += 1;
+        return first;
+    }
+    if (first === 0xfd)
+        value = cursor.buffer.readUInt16LE(cursor.offset + 1);
+    else if (first === 0xfe)
+        value = cursor.buffer.readUInt32LE(cursor.offset + 1);
+    else
+        value = Number(cursor.buffer.readBigUInt64LE(cursor.offset + 1));
+    cursor.offset += first === 0xfd ? 3 : first === 0xfe ? 5 : 9;
+    return value;
+};
+
+/**
+ * Serializes a coinbase transaction the way it has to appear in a block committing to witness data
+ * (BIP141): with the segwit marker and flag after the version, and a single 32 byte witness reserved
+ * value as the witness of its input. The txid, and with it the merkle root, stays that of the legacy
+ * serialization passed in. The witness goes right after the outputs, so whatever follows them (the lock
+ * time, and the comment of txMessages coins) is kept in place.
+ * @see {@link https://github.com/bitcoin/bips/blob/master/bip-0141.mediawiki#commitment-structure}
+ *
+ * @param {Buffer} coinbase - Legacy serialized coinbase transaction
+ * @param {Object} [options]
+ * @param {boolean} [options.timestamp] - The coinbase has a POS timestamp after the version
+ * @returns {Buffer} Witness serialized coinbase transaction
+ * @throws {Error} If the coinbase is truncated
+ */
+exports.witnessCoinbase = function(coinbase, options){
+    var versionEnd = options && options.timestamp ? 8 : 4;
+    var cursor = {buffer: coinbase, offset: versionEnd};
+    var inputs = readVarInt(cursor);
+    for (var i = 0; i < inputs; i++){
+        cursor.offset += 36; //previous output
+        var scriptSigLength = readVarInt(cursor);
+        cursor.offset += scriptSigLength + 4; //scriptSig, sequence
+    }
+    var outputs = readVarInt(cursor);
+    for (var o = 0; o < outputs; o++){
+        cursor.offset += 8; //amount
+        var scriptLength = readVarInt(cursor);
+        cursor.offset += scriptLength;
+    }
+    if (cursor.offset + 4 > coinbase.length)
+        throw new Error('Truncated coinbase transaction');
+
+    return Buffer.concat([
+        coinbase.slice(0, versionEnd),
+        Buffer.from([0x00, 0x01]), //marker, flag
+        coinbase.slice(versionEnd, cursor.offset),
+        util.varIntBuffer(1),
+        util.varIntBuffer(32),
+        Buffer.alloc(32), //witness reserved value, all zero as the daemon's default_witness_commitment assumes
+        coinbase.slice(cursor.offset)
+    ]);
+};
+
+
+/**
+ * Builds a data carrier output script: OP_RETURN followed by a single push of the data.
+ *
+ * @param {Buffer} data - At most 80 bytes
+ * @returns {Buffer} Output script
+ * @throws {Error} If the data is over 80 bytes
  */
-var generateOutputTransactions = function(poolRecipient, recipients, rpcData){
+exports.opReturnScript = function(data){
+    if (data.length > MAX_OP_RETURN_DATA)
+        throw new Error('OP_RETURN data is ' + data.length + ' bytes, over the ' + MAX_OP_RETURN_DATA + ' byte limit');
+    return Buffer.concat([
+        Buffer.from([0x6a]),
+        //OP_PUSHDATA1 is needed for pushes over 75 bytes
+        data.length > 75 ? Buffer.from([0x4c, data.length]) : Buffer.from([data.length]),
+        data
+    ]);
+};
 
-    var reward = rpcData.coinbasevalue;
-    var rewardToPool = reward;
 
-    var txOutputBuffers = [];
+/**
+ * Output provider of the payees daemons of masternode coins put in their templates: the masternode or
+ * superblock payees and the template's payee. A payee without payee_amount gets a fifth of the reward.
+ *
+ * @private
+ * @param {Object} context - Build context, see createCoinbaseBuilder
+ * @param {number} remaining - Block reward not yet paid
+ * @returns {Array<Object>} {script, amount} outputs
+ */
+var daemonPayees = function(context, remaining){
 
+    var rpcData = context.rpcData;
+    var reward = remaining;
+    var outputs = [];
 
+    var pay = function(payee, amount){
+        reward -= amount;
+        outputs.push({script: util.addressToScript(payee), amount: amount});
+    };
 
 /* Dash 12.1 */
 if (rpcData.masternode && rpcData.superblock) {
     if (rpcData.masternode.payee) {
-        var payeeReward = 0;
-
-        payeeReward = rpcData.masternode.amount;
-        reward -= payeeReward;
-        rewardToPool -= payeeReward;
-
-        var payeeScript = util.addressToScript(rpcData.masternode.payee);
-        txOutputBuffers.push(Buffer.concat([
-            util.packInt64LE(payeeReward),
-            util.varIntBuffer(payeeScript.length),
-            payeeScript
-        ]));
+        pay(rpcData.masternode.payee, rpcData.masternode.amount);
     } else if (rpcData.superblock.length > 0) {
         for(var i in rpcData.superblock){
-            var payeeReward = 0;
-
-            payeeReward = rpcData.superblock[i].amount;
-            reward -= payeeReward;
-            rewardToPool -= payeeReward;
-
-            var payeeScript = util.addressToScript(rpcData.superblock[i].payee);
-            txOutputBuffers.push(Buffer.concat([
-                util.packInt64LE(payeeReward),
-                util.varIntBuffer(payeeScript.length),
-                payeeScript
-            ]));
+            pay(rpcData.superblock[i].payee, rpcData.superblock[i].amount);
         }
     }
 }
 
 if (rpcData.payee) {
-    var payeeReward = 0;
-
-    if (rpcData.payee_amount) {
-        payeeReward = rpcData.payee_amount;
-    } else {
-        payeeReward = Math.ceil(reward / 5);
-    }
+    pay(rpcData.payee, rpcData.payee_amount ? rpcData.payee_amount : Math.ceil(reward / 5));
+}
 
-        reward -= payeeReward;
-        rewardToPool -= payeeReward;
+    return outputs;
 
-        var payeeScript = util.addressToScript(rpcData.payee);
-        txOutputBuffers.push(Buffer.concat([
-            util.packInt64LE(payeeReward),
-            util.varIntBuffer(payeeScript.length),
-            payeeScript
-        ]));
-    }
+};
 
 
+/**
+ * Renders a coinbase signature template, replacing {worker}, {height} and {pool}.
+ *
+ * @function renderSignature
+ * @param {string} template - Signature template, e.g. '/{pool}/Mined by {worker}/'
+ * @param {Object} values - {worker, height, pool}
+ * @returns {string} Rendered signature
+ */
+var renderSignature = exports.renderSignature = function(template, values){
+    return template.replace(/\{(worker|height|pool)\}/g, function(match, key){
+        return values[key] === undefined || values[key] === null ? '' : String(values[key]);
+    });
+};
 
-    for (var i = 0; i < recipients.length; i++){
-        var recipientReward = Math.floor(recipients[i].percent * reward);
-        rewardToPool -= recipientReward;
+/**
+ * Builds the signature push of the coinbase scriptSig so that the whole scriptSig fits in the
+ * 100 byte consensus limit. A long {worker} value is shortened to fit; if the signature is still
+ * too long an error is thrown.
+ *
+ * @private
+ * @param {string} template - Signature template
+ * @param {Object} values - {worker, height, pool}
+ * @param {number} available - Bytes of the scriptSig left for the signature push
+ * @returns {Buffer} Length prefixed signature
+ */
+var signatureScript = function(template, values, available){
+    var worker = values.worker ? String(values.worker) : '';
+    var render = function(){
+        return Buffer.from(renderSignature(template, {worker: worker, height: values.height, pool: values.pool}));
+    };
 
-        txOutputBuffers.push(Buffer.concat([
-            util.packInt64LE(recipientReward),
-            util.varIntBuffer(recipients[i].script.length),
-            recipients[i].script
-        ]));
+    var signature = render();
+    while (signature.length + 1 > available && worker.length > 0 && template.indexOf('{worker}') !== -1){
+        worker = worker.slice(0, -1);
+        signature = render();
     }
+    if (signature.length + 1 > available)
+        throw new Error('Coinbase scriptSig would be ' + (MAX_SCRIPTSIG_SIZE - available + signature.length + 1) +
+            ' bytes, over the ' + MAX_SCRIPTSIG_SIZE + ' byte limit; shorten the coinbase signature "' + template + '"');
 
+    return Buffer.concat([Buffer.from([signature.length]), signature]);
+};
 
-    txOutputBuffers.unshift(Buffer.concat([
-        util.packInt64LE(rewardToPool),
-        util.varIntBuffer(poolRecipient.length),
-        poolRecipient
-    ]));
 
-    if (rpcData.default_witness_commitment !== undefined){
-        witness_commitment = Buffer.from(rpcData.default_witness_commitment, 'hex');
-        txOutputBuffers.unshift(Buffer.concat([
-            util.packInt64LE(0),
-            util.varIntBuffer(witness_commitment.length),
-            witness_commitment
-        ]));
-    }
+/**
+ * Creates the builder of the pool's coinbase transactions. Its scriptSig has the 'height', 'flags', 'time' and
+ * merged mining 'auxpow' segments before the extranonce and the 'signature' segment after it; its outputs are, in order, the
+ * 'witnessCommitment', the 'pool' output taking the remaining reward, the daemon's 'payees', the fee
+ * 'recipients' and the fixed 'extraOutputs'. The fixed amounts are paid before the recipients' percentages
+ * are taken from what is left.
+ *
+ * @function createCoinbaseBuilder
+ * @param {Object} [options]
+ * @param {string} [options.reward] - Reward type ('POW' or 'POS')
+ * @param {boolean} [options.txMessages] - Whether the coin has transaction comments
+ * @param {string} [options.txComment] - Transaction comment for coins with txMessages
+ * @returns {CoinbaseBuilder} Builder whose build context takes, besides rpcData and extraNoncePlaceholder:
+ *          payoutScript (script receiving the remaining reward), recipients ({percent, script} fee recipients),
+ *          extraOutputs ({script, amount} outputs), worker, signature, poolName and auxCommitment (see CreateGeneration)
+ */
+exports.createCoinbaseBuilder = function(options){
+    options = options || {};
+
+    var builder = new CoinbaseBuilder({
+        version: options.txMessages === true ? 2 : 1,
+        //Only required for POS coins
+        timestamp: options.reward === 'POS',
+        //For coins that support/require transaction comments
+        comment: options.txMessages === true ? util.serializeString(options.txComment || DEFAULT_TX_COMMENT) : undefined
+    });
 
-    return Buffer.concat([
-        util.varIntBuffer(txOutputBuffers.length),
-        Buffer.concat(txOutputBuffers)
-    ]);
+    builder.addScriptSigSegment('height', function(context){
+        return util.serializeNumber(context.rpcData.height);
+    }, 'prefix');
+    builder.addScriptSigSegment('flags', function(context){
+        var coinbaseaux = context.rpcData.coinbaseaux;
+        return coinbaseaux && coinbaseaux.flags ? Buffer.from(coinbaseaux.flags, 'hex') : Buffer.alloc(0);
+    }, 'prefix');
+    builder.addScriptSigSegment('time', function(){
+        return util.serializeNumber(Date.now() / 1000 | 0);
+    }, 'prefix');
+    builder.addScriptSigSegment('auxpow', function(context){
+        return context.auxCommitment || Buffer.alloc(0);
+    }, 'prefix');
+    builder.addScriptSigSegment('signature', function(context, available){
+        return signatureScript(
+            context.signature || (context.worker ? DEFAULT_WORKER_SIGNATURE : DEFAULT_SIGNATURE),
+            {worker: context.worker, height: context.rpcData.height, pool: context.poolName || DEFAULT_POOL_NAME},
+            available
+        );
+    });
+
+    builder.addOutputProvider('witnessCommitment', function(context){
+        if (context.rpcData.default_witness_commitment === undefined)
+            return null;
+        return {script: Buffer.from(context.rpcData.default_witness_commitment, 'hex'), amount: 0};
+    });
+    builder.addOutputProvider('pool', function(context){
+        return {script: context.payoutScript, remainder: true};
+    });
+    builder.addOutputProvider('payees', daemonPayees);
+    builder.addOutputProvider('recipients', function(context){
+        return (context.recipients || []).map(function(recipient){
+            return {script: recipient.script, percent: recipient.percent};
+        });
+    });
+    builder.addOutputProvider('extraOutputs', function(context, remaining){
+        var extraOutputs = context.extraOutputs || [];
+        var extraAmount = extraOutputs.reduce(function(total, output){
+            return total + output.amount;
+        }, 0);
+        if (extraAmount > remaining)
+            throw CoinbaseBuilder.outputsError('Extra coinbase outputs pay ' + extraAmount + ' but only ' + remaining + ' of the block reward is left');
+        return extraOutputs.map(function(output){
+            return {script: output.script, amount: output.amount};
+        });
+    });
 
+    return builder;
 };
 
 
 /**
- * Creates a generation (coinbase) transaction for a new block.
+ * Creates a generation (coinbase) transaction for a new block with the builder of createCoinbaseBuilder.
  * The transaction is split at the extranonce placeholder to allow miners
  * to provide their own extranonce values.
  *
@@ -244,77 +393,37 @@ if (rpcData.payee) {
  * @param {boolean} txMessages - Whether to include transaction messages
  * @param {Array<Object>} recipients - Array of fee recipients with percent and script
  * @param {string} [minerName] - Optional miner name to include in coinbase signature
+ * @param {Object} [coinbaseOptions]
+ * @param {string} [coinbaseOptions.signature] - Signature template with {worker}, {height} and {pool} placeholders;
+ *        defaults to '/{pool}/', or '/{pool}/Mined by {worker}/' when a miner name is given
+ * @param {string} [coinbaseOptions.poolName='EloPool.Cloud'] - Value of the {pool} placeholder
+ * @param {string} [coinbaseOptions.txComment] - Transaction comment for coins with txMessages
+ * @param {Array<Object>} [coinbaseOptions.extraOutputs] - Additional {script, amount} outputs, amounts in satoshis
+ * @param {Buffer} [coinbaseOptions.auxCommitment] - Merged mining commitment to the aux chains' blocks, see
+ *        auxPow.buildAuxMerkle
  * @returns {Array<Buffer>} Two-part transaction split at extranonce placeholder
+ * @throws {Error} If the scriptSig exceeds 100 bytes even with the {worker} value shortened
+ * @throws {RangeError} If the extra outputs pay more than the block reward
  */
-exports.CreateGeneration = function(rpcData, publicKey, extraNoncePlaceholder, reward, txMessages, recipients, minerName){
-
-    var txInputsCount = 1;
-    var txOutputsCount = 1;
-    var txVersion = txMessages === true ? 2 : 1;
-    var txLockTime = 0;
-
-    var txInPrevOutHash = "";
-    var txInPrevOutIndex = Math.pow(2, 32) - 1;
-    var txInSequence = 0;
-
-    //Only required for POS coins
-    var txTimestamp = reward === 'POS' ?
-        util.packUInt32LE(rpcData.curtime) : Buffer.alloc(0);
-
-    //For coins that support/require transaction comments
-    var txComment = txMessages === true ?
-        util.serializeString('https://github.com/zone117x/node-stratum') :
-        Buffer.alloc(0);
-
-
-    var scriptSigPart1 = Buffer.concat([
-        util.serializeNumber(rpcData.height),
-        Buffer.alloc(0),
-        util.serializeNumber(Date.now() / 1000 | 0),
-        Buffer.from([extraNoncePlaceholder.length])
-    ]);
-
-    // Include miner name if provided
-    var poolSignature = minerName ?
-        '/EloPool.Cloud/Mined by ' + minerName + '/' :
-        '/EloPool.Cloud/';
-    var scriptSigPart2 = util.serializeString(poolSignature);
-
-    var p1 = Buffer.concat([
-        util.packUInt32LE(txVersion),
-        txTimestamp,
-
-        //transaction input
-        util.varIntBuffer(txInputsCount),
-        util.uint256BufferFromHash(txInPrevOutHash),
-        util.packUInt32LE(txInPrevOutIndex),
-        util.varIntBuffer(scriptSigPart1.length + extraNoncePlaceholder.length + scriptSigPart2.length),
-        scriptSigPart1
-    ]);
-
-
-    /*
-    The generation transaction must be split at the extranonce (which located in the transaction input
-    scriptSig). Miners send us unique extranonces that we use to join the two parts in attempt to create
-    a valid share and/or block.
-     */
-
-
-    var outputTransactions = generateOutputTransactions(publicKey, recipients, rpcData);
+exports.CreateGeneration = function(rpcData, publicKey, extraNoncePlaceholder, reward, txMessages, recipients, minerName, coinbaseOptions){
+    coinbaseOptions = coinbaseOptions || {};
 
-    var p2 = Buffer.concat([
-        scriptSigPart2,
-        util.packUInt32LE(txInSequence),
-        //end transaction input
-
-        //transaction output
-        outputTransactions,
-        //end transaction ouput
-
-        util.packUInt32LE(txLockTime),
-        txComment
-    ]);
+    var builder = exports.createCoinbaseBuilder({
+        reward: reward,
+        txMessages: txMessages,
+        txComment: coinbaseOptions.txComment
+    });
 
-    return [p1, p2];
+    return builder.build({
+        rpcData: rpcData,
+        extraNoncePlaceholder: extraNoncePlaceholder,
+        payoutScript: publicKey,
+        recipients: recipients,
+        extraOutputs: coinbaseOptions.extraOutputs,
+        worker: minerName,
+        signature: coinbaseOptions.signature,
+        poolName: coinbaseOptions.poolName,
+        auxCommitment: coinbaseOptions.auxCommitment
+    }).coinbase;
 
 };
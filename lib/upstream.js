@@ -0,0 +1,174 @@
+/**
+ * @module upstream
+ * @description Connection of a proxying pool to its upstream Stratum V1 pool: subscribes and authorizes once
+ * connected, reports the upstream's jobs, difficulty and extranonce, submits shares and reconnects when the
+ * connection drops.
+ */
+
+var events = require('events');
+
+var stratumMinerClient = require('./stratumMinerClient.js');
+
+var DEFAULT_RECONNECT_DELAY = 5000;
+
+
+/**
+ * A single Stratum V1 client connection shared by all local miners of a proxying pool.
+ *
+ * @class Upstream
+ * @extends {EventEmitter}
+ * @param {Object} upstreamOptions
+ * @param {string} upstreamOptions.host - Host of the upstream pool
+ * @param {number} upstreamOptions.port - Stratum port of the upstream pool
+ * @param {string} upstreamOptions.user - Worker name shares are submitted as
+ * @param {string} [upstreamOptions.password='x'] - Worker password
+ * @param {number} [upstreamOptions.reconnectDelay=5000] - Delay before reconnecting after the connection dropped (ms)
+ * @param {number} [upstreamOptions.versionMask] - Version-rolling mask to negotiate with mining.configure
+ *
+ * @fires Upstream#subscribed - With (extraNonce1, extraNonce2Size) on every subscription and on mining.set_extranonce
+ * @fires Upstream#difficulty - With the share difficulty of mining.set_difficulty
+ * @fires Upstream#job - With the params of mining.notify
+ * @fires Upstream#versionMask - With the negotiated version-rolling mask (null if refused) on every connection and
+ *        on mining.set_version_mask
+ * @fires Upstream#disconnected - When the connection dropped; it is reestablished after reconnectDelay
+ * @fires Upstream#log - With (severity, message)
+ */
+var Upstream = module.exports = function Upstream(upstreamOptions){
+
+    var _this = this;
+    var client = null;
+    var reconnectTimeout;
+    var closed = true;
+    var readyCallback = null;
+    var host = upstreamOptions.host;
+    var port = upstreamOptions.port;
+
+    // Set once subscribed, from the subscription or mining.set_extranonce
+    this.extraNonce1 = null;
+    this.extraNonce2Size = null;
+    this.difficulty = null;
+
+    // Mask the upstream accepted in mining.configure, null if version rolling was not negotiated
+    this.versionMask = null;
+
+    this.connected = false;
+
+
+    function open(){
+        var connection = client = new stratumMinerClient({
+            host: host,
+            port: port,
+            user: upstreamOptions.user,
+            password: upstreamOptions.password,
+            versionMask: upstreamOptions.versionMask
+        });
+
+        connection.on('subscribed', function(extraNonce1, extraNonce2Size){
+            _this.extraNonce1 = extraNonce1;
+            _this.extraNonce2Size = extraNonce2Size;
+            _this.emit('subscribed', extraNonce1, extraNonce2Size);
+        }).on('difficulty', function(difficulty){
+            _this.difficulty = difficulty;
+            _this.emit('difficulty', difficulty);
+        }).on('job', function(job, params){
+            _this.emit('job', params);
+        }).on('versionMask', function(versionMask){
+            _this.versionMask = versionMask;
+            _this.emit('versionMask', versionMask);
+        }).on('reconnectRequested', function(newHost, newPort){
+            host = newHost;
+            port = newPort;
+            _this.emit('log', 'debug', 'Upstream asked to reconnect to ' + host + ':' + port);
+            connection.close();
+        }).on('message', function(text){
+            _this.emit('log', 'debug', 'Upstream message: ' + text);
+        }).on('socketError', function(error){
+            _this.emit('log', 'warning', 'Upstream connection error: ' + error.message);
+        }).on('disconnected', function(){
+            if (connection !== client || !_this.connected)
+                return;
+            _this.connected = false;
+            if (closed)
+                return;
+            _this.emit('disconnected');
+            reconnectTimeout = setTimeout(open, upstreamOptions.reconnectDelay || DEFAULT_RECONNECT_DELAY);
+        });
+
+        connection.connect(function(error){
+            if (connection !== client)
+                return;
+            if (error)
+                return fail('Upstream: ' + error);
+            _this.connected = true;
+            _this.versionMask = connection.versionMask;
+            _this.emit('versionMask', _this.versionMask);
+            _this.emit('log', 'debug', 'Connected to ' + host + ':' + port + ' as ' + upstreamOptions.user);
+            if (readyCallback){
+                var callback = readyCallback;
+                readyCallback = null;
+                callback(null);
+            }
+        });
+    }
+
+    // Fails the first connection attempt, later ones are retried
+    function fail(message){
+        _this.emit('log', 'error', message);
+        if (readyCallback){
+            var callback = readyCallback;
+            readyCallback = null;
+            _this.close();
+            return callback(message);
+        }
+        client.close();
+        if (closed)
+            return;
+        _this.emit('disconnected');
+        reconnectTimeout = setTimeout(open, upstreamOptions.reconnectDelay || DEFAULT_RECONNECT_DELAY);
+    }
+
+
+    /**
+     * Connects to the upstream pool, then subscribes and authorizes.
+     *
+     * @method connect
+     * @param {Function} callback - Called with (error) once the first connection is authorized or failed
+     */
+    this.connect = function(callback){
+        if (!closed)
+            return;
+        closed = false;
+        readyCallback = callback;
+        open();
+    };
+
+    /**
+     * Submits a share for an upstream job.
+     *
+     * @method submit
+     * @param {Object} share - {jobId, extraNonce2, nTime, nonce, version}, hex strings as in mining.submit;
+     *        version is only sent when set
+     * @param {Function} callback - Called with (accepted, reason), reason being the upstream's error when rejected
+     */
+    this.submit = function(share, callback){
+        if (!_this.connected)
+            return callback(false, 'upstream disconnected');
+        client.submit(share, function(accepted, reason){
+            callback(accepted, reason === 'disconnected' ? 'upstream disconnected' : reason);
+        });
+    };
+
+    /**
+     * Closes the connection for good.
+     *
+     * @method close
+     */
+    this.close = function(){
+        closed = true;
+        _this.connected = false;
+        clearTimeout(reconnectTimeout);
+        if (client)
+            client.close();
+    };
+};
+Upstream.prototype.__proto__ = events.EventEmitter.prototype;
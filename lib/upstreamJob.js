@@ -0,0 +1,177 @@
+var merkleTree = require('./merkleTree.js');
+var util = require('./util.js');
+
+var DEFAULT_MAX_SUBMITS = 250000;
+
+/**
+ * Reads the BIP34 block height from the scriptSig at the start of coinb1: a push of the height, or OP_1 to
+ * OP_16 for the first blocks.
+ *
+ * @function coinbaseHeight
+ * @param {Buffer} coinb1 - First part of the coinbase, version, input count, prevout and scriptSig length first
+ * @returns {number|null} Height, or null if coinb1 does not start with one
+ * @private
+ */
+function coinbaseHeight(coinb1){
+    var push = coinb1[42];
+    if (push >= 0x51 && push <= 0x60)
+        return push - 0x50;
+    if (push >= 1 && push <= 4 && coinb1.length >= 43 + push)
+        return coinb1.readUIntLE(43, push);
+    return null;
+}
+
+/**
+ * A job of an upstream pool turned into a local job of a proxying pool. The upstream extranonce1 is appended
+ * to coinb1, so local miners fill the upstream extranonce2 with their own extranonce1 and extranonce2. It has
+ * the members of BlockTemplate that JobManager and the pool use to hand out work and check shares; as the
+ * block's transactions are unknown, blocks are never built from it.
+ *
+ * @class UpstreamJob
+ * @param {string} jobId - Local job ID
+ * @param {Array} params - mining.notify params of the upstream pool: [jobId, prevhash, coinb1, coinb2,
+ *        merkleBranch, version, nbits, ntime, cleanJobs]
+ * @param {string} upstreamExtraNonce1 - Extranonce1 the upstream pool gave the proxy (hex)
+ * @param {number} [maxSubmits=250000] - Number of submissions remembered for duplicate detection; once reached
+ *        the job takes no more submissions
+ */
+var UpstreamJob = module.exports = function UpstreamJob(jobId, params, upstreamExtraNonce1, maxSubmits){
+
+    var submits = new Set();
+    maxSubmits = maxSubmits || DEFAULT_MAX_SUBMITS;
+
+    var coinb1 = Buffer.from(params[2], 'hex');
+
+    this.jobId = jobId;
+    this.upstream = true;
+    this.upstreamJobId = params[0];
+    this.auxMerkle = null;
+
+    // The fields of a block template the job's params carry
+    this.rpcData = {
+        previousblockhash: util.reverseByteOrder(Buffer.from(params[1], 'hex')).toString('hex'),
+        version: parseInt(params[5], 16),
+        bits: params[6],
+        curtime: parseInt(params[7], 16),
+        height: coinbaseHeight(coinb1),
+        transactions: []
+    };
+
+    this.target = util.bignumFromBitsHex(params[6]);
+    var diff1 = BigInt('0x00000000ffff0000000000000000000000000000000000000000000000000000');
+    this.difficulty = Number((diff1 * BigInt(1e9)) / this.target.value) / 1e9;
+
+    this.prevHashReversed = params[1];
+    this.merkleBranch = params[4];
+    this.merkleTree = merkleTree.fromBranch(params[4]);
+    this.generationTransaction = [
+        Buffer.concat([coinb1, Buffer.from(upstreamExtraNonce1, 'hex')]),
+        Buffer.from(params[3], 'hex')
+    ];
+
+    /**
+     * Serializes the coinbase with the local miner's extranonces, which together form the upstream extranonce2.
+     *
+     * @method serializeCoinbase
+     * @param {Buffer} extraNonce1 - Worker's extranonce1
+     * @param {Buffer} extraNonce2 - Miner's extranonce2
+     * @returns {Buffer} Complete serialized coinbase transaction
+     */
+    this.serializeCoinbase = function(extraNonce1, extraNonce2){
+        return Buffer.concat([this.generationTransaction[0], extraNonce1, extraNonce2, this.generationTransaction[1]]);
+    };
+
+    /**
+     * Serializes a block header of the job.
+     *
+     * @method serializeHeader
+     * @param {string} merkleRoot - Merkle root hash (hex)
+     * @param {string} nTime - Block timestamp (hex)
+     * @param {string} nonce - Mining nonce (hex)
+     * @param {number} [version] - Rolled block version
+     * @returns {Buffer} 80-byte serialized block header
+     */
+    this.serializeHeader = function(merkleRoot, nTime, nonce, version){
+        var header = Buffer.alloc(80);
+        var position = 0;
+        header.write(nonce, position, 4, 'hex');
+        header.write(this.rpcData.bits, position += 4, 4, 'hex');
+        header.write(nTime, position += 4, 4, 'hex');
+        header.write(merkleRoot, position += 4, 32, 'hex');
+        header.write(this.rpcData.previousblockhash, position += 32, 32, 'hex');
+        header.writeUInt32BE(version || this.rpcData.version, position + 32);
+        return util.reverseBuffer(header);
+    };
+
+    function submissionKey(extraNonce1, extraNonce2, nTime, nonce, version){
+        var submission = (extraNonce1 + extraNonce2 + nTime + nonce).toLowerCase();
+        if (version !== undefined)
+            submission += ':' + (version >>> 0).toString(16);
+        return submission;
+    }
+
+    /**
+     * Tells whether a share submission was registered before, see BlockTemplate#hasSubmit.
+     *
+     * @method hasSubmit
+     * @returns {boolean} True if the submission is a duplicate
+     */
+    this.hasSubmit = function(extraNonce1, extraNonce2, nTime, nonce, version){
+        return submits.has(submissionKey(extraNonce1, extraNonce2, nTime, nonce, version));
+    };
+
+    /**
+     * Tells whether the job takes no more submissions, see BlockTemplate#isSubmitLimitReached.
+     *
+     * @method isSubmitLimitReached
+     * @returns {boolean}
+     */
+    this.isSubmitLimitReached = function(){
+        return submits.size >= maxSubmits;
+    };
+
+    /**
+     * Registers an accepted share submission to prevent duplicate shares, see BlockTemplate#registerSubmit.
+     * Coinbase variants do not apply to upstream jobs.
+     *
+     * @method registerSubmit
+     * @param {string} extraNonce1 - Worker's extranonce1
+     * @param {string} extraNonce2 - Miner's extranonce2
+     * @param {string} nTime - Block timestamp
+     * @param {string} nonce - Mining nonce
+     * @param {number} [version] - Rolled block version
+     * @returns {boolean} True if the submission was registered, false if it is a duplicate or the submit
+     *          limit is reached
+     */
+    this.registerSubmit = function(extraNonce1, extraNonce2, nTime, nonce, version){
+        var submission = submissionKey(extraNonce1, extraNonce2, nTime, nonce, version);
+        if (submits.has(submission) || submits.size >= maxSubmits)
+            return false;
+        submits.add(submission);
+        return true;
+    };
+
+    /**
+     * Gets the mining.notify params of the job for local miners. Coinbase variants do not apply, the
+     * upstream pool builds the coinbase.
+     *
+     * @method getJobParams
+     * @returns {Array} Job parameters array for Stratum protocol
+     */
+    this.getJobParams = function(){
+        if (!this.jobParams){
+            this.jobParams = [
+                this.jobId,
+                this.prevHashReversed,
+                this.generationTransaction[0].toString('hex'),
+                this.generationTransaction[1].toString('hex'),
+                this.merkleBranch,
+                params[5],
+                params[6],
+                params[7],
+                true
+            ];
+        }
+        return this.jobParams;
+    };
+};
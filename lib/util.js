@@ -10,6 +10,8 @@ var base58 = require('bs58');
 var bchaddr = require('bchaddrjs');
 var bignum = require('./bignum-compat');
 
+var DIFF1_TARGET = BigInt('0x00000000ffff0000000000000000000000000000000000000000000000000000');
+
 /**
  * Creates an address from an example address and a RIPEMD-160 hash.
  * Supports both legacy and CashAddr formats for Bitcoin Cash.
@@ -435,39 +437,183 @@ exports.miningKeyToScript = function(key){
 };
 
 /**
- * Converts a wallet address to a pay-to-pubkey-hash script for POW coins.
- * Supports both legacy and CashAddr formats for Bitcoin Cash.
+ * Address parameters of the networks addressToScript checks addresses against. Coins with other
+ * version bytes or prefixes pass their own object of the same shape.
  *
- * @function addressToScript
- * @param {string} addr - Cryptocurrency address
- * @returns {Buffer} P2PKH script buffer
- * @throws {Error} If address format is invalid
+ * @type {Object<string, Object>}
+ * @property {Object} mainnet - {name, pubKeyHash, scriptHash, bech32, cashAddr}
+ * @property {Object} testnet - Testnet parameters
+ * @property {Object} regtest - Regtest parameters: testnet's version bytes with its own bech32 and CashAddr prefixes
  */
-exports.addressToScript = function(addr){
-    var address = addr;
+var networks = exports.networks = {
+    mainnet: {name: 'mainnet', pubKeyHash: 0x00, scriptHash: 0x05, bech32: 'bc', cashAddr: 'bitcoincash'},
+    testnet: {name: 'testnet', pubKeyHash: 0x6f, scriptHash: 0xc4, bech32: 'tb', cashAddr: 'bchtest'},
+    regtest: {name: 'regtest', pubKeyHash: 0x6f, scriptHash: 0xc4, bech32: 'bcrt', cashAddr: 'bchreg'}
+};
 
-    // Check if it's a CashAddr format
-    if (bchaddr.isCashAddress(address)) {
-        try {
-            // Convert CashAddr to legacy format
-            address = bchaddr.toLegacyAddress(address);
-        } catch (err) {
-            console.error('Invalid CashAddr format: ' + addr);
-            throw new Error('Invalid CashAddr format');
+var BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+var BECH32_GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+//Checksum constants of bech32 (BIP173, witness version 0) and bech32m (BIP350, versions 1 to 16)
+var BECH32_CONST = 1;
+var BECH32M_CONST = 0x2bc830a3;
+
+function bech32Polymod(values){
+    var chk = 1;
+    for (var i = 0; i < values.length; i++){
+        var top = chk >>> 25;
+        chk = ((chk & 0x1ffffff) << 5) ^ values[i];
+        for (var j = 0; j < 5; j++){
+            if ((top >>> j) & 1)
+                chk ^= BECH32_GENERATOR[j];
         }
     }
+    return chk >>> 0;
+}
 
-    // Now process as legacy address
-    var decoded = base58.decode(address);
+/**
+ * Decodes a bech32 or bech32m string.
+ * @param {string} str
+ * @returns {Object|null} {hrp, data (5 bit groups without checksum), constant}, null if it is not bech32
+ * @private
+ */
+function bech32Decode(str){
+    if (str.length > 90 || (str !== str.toLowerCase() && str !== str.toUpperCase()))
+        return null;
+    str = str.toLowerCase();
+    var separator = str.lastIndexOf('1');
+    if (separator < 1 || separator + 7 > str.length)
+        return null;
+    var hrp = str.slice(0, separator);
+    var data = [];
+    for (var i = separator + 1; i < str.length; i++){
+        var value = BECH32_CHARSET.indexOf(str[i]);
+        if (value === -1)
+            return null;
+        data.push(value);
+    }
+    var expanded = [];
+    for (i = 0; i < hrp.length; i++)
+        expanded.push(hrp.charCodeAt(i) >> 5);
+    expanded.push(0);
+    for (i = 0; i < hrp.length; i++)
+        expanded.push(hrp.charCodeAt(i) & 31);
+    var constant = bech32Polymod(expanded.concat(data));
+    if (constant !== BECH32_CONST && constant !== BECH32M_CONST)
+        return null;
+    return {hrp: hrp, data: data.slice(0, -6), constant: constant};
+}
+
+//Regroups 5 bit groups into bytes, null if the padding is invalid
+function fromWords(words){
+    var acc = 0, bits = 0, bytes = [];
+    for (var i = 0; i < words.length; i++){
+        acc = (acc << 5) | words[i];
+        bits += 5;
+        if (bits >= 8){
+            bits -= 8;
+            bytes.push((acc >> bits) & 0xff);
+        }
+    }
+    if (bits >= 5 || (acc << (8 - bits)) & 0xff)
+        return null;
+    return Buffer.from(bytes);
+}
 
-    if (decoded.length != 25){
-        console.error('invalid address length for ' + address);
-        throw new Error('Invalid address length');
+/**
+ * Decodes a base58check address, verifying its checksum.
+ * @param {string} address
+ * @returns {Buffer|null} Version byte followed by the 20 byte hash, null if it is not base58check
+ * @private
+ */
+function base58CheckDecode(address){
+    var decoded;
+    try {
+        decoded = Buffer.from(base58.decode(address));
+    }
+    catch(e){
+        return null;
+    }
+    if (decoded.length !== 25 || !exports.sha256d(decoded.slice(0, 21)).slice(0, 4).equals(decoded.slice(21)))
+        return null;
+    return decoded.slice(0, 21);
+}
+
+function legacyScript(payload, addr, network){
+    var version = payload[0];
+    var hash = payload.slice(1);
+    var isScriptHash;
+    if (network){
+        if (version !== network.pubKeyHash && version !== network.scriptHash)
+            throw new Error('Address ' + addr + ' has version byte 0x' + ('0' + version.toString(16)).slice(-2) +
+                ' which is not a ' + network.name + ' address');
+        isScriptHash = version === network.scriptHash;
+    }
+    else {
+        //Without network parameters only Bitcoin's P2SH version bytes are recognized
+        isScriptHash = version === networks.mainnet.scriptHash || version === networks.testnet.scriptHash;
     }
+    if (isScriptHash)
+        return Buffer.concat([Buffer.from([0xa9, 0x14]), hash, Buffer.from([0x87])]);
+    return Buffer.concat([Buffer.from([0x76, 0xa9, 0x14]), hash, Buffer.from([0x88, 0xac])]);
+}
+
+function witnessScript(decoded, addr, network){
+    if (network && decoded.hrp !== network.bech32)
+        throw new Error('Address ' + addr + ' has prefix ' + decoded.hrp + ' which is not a ' + network.name + ' address');
+    var version = decoded.data[0];
+    var program = decoded.data.length > 0 ? fromWords(decoded.data.slice(1)) : null;
+    if (version > 16 || !program || program.length < 2 || program.length > 40)
+        throw new Error('Invalid witness program in address ' + addr);
+    if (version === 0 && program.length !== 20 && program.length !== 32)
+        throw new Error('Invalid version 0 witness program length in address ' + addr);
+    if (decoded.constant !== (version === 0 ? BECH32_CONST : BECH32M_CONST))
+        throw new Error('Address ' + addr + ' uses the wrong checksum for witness version ' + version);
+    return Buffer.concat([
+        Buffer.from([version === 0 ? 0x00 : 0x50 + version, program.length]),
+        program
+    ]);
+}
 
-    var pubkey = decoded.slice(1,-4);
+/**
+ * Converts a wallet address to the output script (scriptPubKey) paying it:
+ *  - base58 P2PKH and P2SH addresses, checksum verified
+ *  - CashAddr p2pkh and p2sh addresses, with or without prefix
+ *  - bech32 (witness version 0: P2WPKH, P2WSH) and bech32m (version 1 and up: P2TR) addresses
+ *
+ * Given network parameters the address must belong to that network, so a testnet address cannot be
+ * used on mainnet or the other way around.
+ *
+ * @function addressToScript
+ * @param {string} addr - Cryptocurrency address
+ * @param {Object} [network] - Network the address must be for, e.g. util.networks.mainnet
+ * @returns {Buffer} Output script buffer
+ * @throws {Error} If the address cannot be decoded or is for another network
+ */
+exports.addressToScript = function(addr, network){
+    var address = String(addr);
 
-    return Buffer.concat([Buffer.from([0x76, 0xa9, 0x14]), pubkey, Buffer.from([0x88, 0xac])]);
+    var segwit = bech32Decode(address);
+    if (segwit && segwit.hrp.indexOf(':') === -1)
+        return witnessScript(segwit, address, network);
+
+    var legacy = base58CheckDecode(address);
+    if (legacy)
+        return legacyScript(legacy, address, network);
+
+    var cashLegacy = null;
+    try {
+        if (bchaddr.isCashAddress(address))
+            cashLegacy = base58CheckDecode(bchaddr.toLegacyAddress(address));
+    }
+    catch(e){}
+    if (cashLegacy){
+        //CashAddr carries the same network and type as the legacy address it converts to
+        if (network && address.indexOf(':') !== -1 && address.split(':')[0].toLowerCase() !== network.cashAddr)
+            throw new Error('Address ' + address + ' has prefix ' + address.split(':')[0] + ' which is not a ' + network.name + ' address');
+        return legacyScript(cashLegacy, address, network);
+    }
+
+    throw new Error('Invalid address ' + address);
 };
 
 
@@ -612,3 +758,52 @@ exports.convertBitsToBuff = function(bitsBuff){
 exports.getTruncatedDiff = function(shift){
     return exports.convertBitsToBuff(exports.bufferToCompactBits(exports.shiftMax256Right(shift)));
 };
+
+/**
+ * Normalises a version-rolling mask (BIP 310) from pool configuration.
+ * Accepts numbers or hex strings with or without a "0x" prefix, as found in JSON pool configs.
+ *
+ * @function parseVersionMask
+ * @param {number|string} [mask] - Configured mask
+ * @param {number} [defaultMask=0x1fffe000] - Mask to use when none is configured, the BIP 320 bits by default
+ * @returns {number} Unsigned 32-bit mask
+ */
+exports.parseVersionMask = function(mask, defaultMask){
+    if (typeof defaultMask !== 'number')
+        defaultMask = 0x1fffe000;
+    if (typeof mask === 'string')
+        mask = /^(0x)?[0-9a-f]{1,8}$/i.test(mask) ? parseInt(mask.replace(/^0x/i, ''), 16) : NaN;
+    if (typeof mask !== 'number' || !isFinite(mask))
+        return defaultMask >>> 0;
+    return mask >>> 0;
+};
+
+/**
+ * Converts a share difficulty to a 256-bit target, relative to the difficulty 1 target.
+ * Targets above 2^256 - 1 (difficulty below the smallest representable) are clamped.
+ *
+ * @function targetFromDifficulty
+ * @param {number} difficulty - Share difficulty
+ * @returns {BigInt} Target
+ */
+exports.targetFromDifficulty = function(difficulty){
+    var maxTarget = (1n << 256n) - 1n;
+    var scaledDifficulty = BigInt(Math.round(difficulty * 1e9));
+    if (scaledDifficulty <= 0n)
+        return maxTarget;
+    var target = (DIFF1_TARGET * 1000000000n) / scaledDifficulty;
+    return target > maxTarget ? maxTarget : target;
+};
+
+/**
+ * Converts a 256-bit target to a share difficulty, relative to the difficulty 1 target.
+ *
+ * @function difficultyFromTarget
+ * @param {BigInt} target - Target
+ * @returns {number} Difficulty
+ */
+exports.difficultyFromTarget = function(target){
+    if (target <= 0n)
+        return Infinity;
+    return Number((DIFF1_TARGET * 1000000000n) / target) / 1e9;
+};
@@ -99,6 +99,7 @@ var varDiff = module.exports = function varDiff(port, varDiffOptions){
      * 
      * @method manageClient
      * @param {Object} client - Stratum client object to manage
+     * @returns {Function} Stops managing the client, e.g. when it moves to another pool instance
      */
     this.manageClient = function(client){
 
@@ -113,7 +114,7 @@ var varDiff = module.exports = function varDiff(port, varDiffOptions){
         var lastRtc;
         var timeBuffer;
 
-        client.on('submit', function(){
+        var onSubmit = function(){
 
             var ts = (Date.now() / 1000) | 0;
 
@@ -159,7 +160,12 @@ var varDiff = module.exports = function varDiff(port, varDiffOptions){
             var newDiff = toFixed(client.difficulty * ddiff, 8);
             timeBuffer.clear();
             _this.emit('newDifficulty', client, newDiff);
-        });
+        };
+
+        client.on('submit', onSubmit);
+        return function(){
+            client.removeListener('submit', onSubmit);
+        };
     };
 };
 varDiff.prototype.__proto__ = events.EventEmitter.prototype;
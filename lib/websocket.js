@@ -0,0 +1,341 @@
+/**
+ * @module websocket
+ * @description Minimal server-side WebSocket (RFC 6455) transport for Stratum clients.
+ * Performs the HTTP upgrade on an accepted socket and wraps it in a socket-like object that emits each
+ * text message as a newline-terminated line, so StratumClient can read and write it like a TCP socket.
+ * @see {@link https://www.rfc-editor.org/rfc/rfc6455}
+ */
+
+var crypto = require('crypto');
+var events = require('events');
+
+var WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+var MAX_HANDSHAKE_LENGTH = 8192;
+var HANDSHAKE_TIMEOUT = 10000;
+var MAX_MESSAGE_LENGTH = 65536;
+
+var OPCODE_CONTINUATION = 0x0;
+var OPCODE_TEXT = 0x1;
+var OPCODE_BINARY = 0x2;
+var OPCODE_CLOSE = 0x8;
+var OPCODE_PING = 0x9;
+var OPCODE_PONG = 0xa;
+
+var CLOSE_PROTOCOL_ERROR = 1002;
+var CLOSE_UNSUPPORTED_DATA = 1003;
+var CLOSE_MESSAGE_TOO_BIG = 1009;
+
+
+/**
+ * Builds an unmasked (server to client) frame.
+ *
+ * @function encodeFrame
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer} Frame
+ */
+var encodeFrame = exports.encodeFrame = function(opcode, payload){
+    var header;
+    if (payload.length < 126){
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    }
+    else if (payload.length < 65536){
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    }
+    else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+};
+
+/**
+ * Computes the Sec-WebSocket-Accept value for a client key.
+ *
+ * @function acceptKey
+ * @param {string} key - Sec-WebSocket-Key header value
+ * @returns {string} Base64 accept value
+ */
+var acceptKey = exports.acceptKey = function(key){
+    return crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+};
+
+/**
+ * Parses an HTTP upgrade request head.
+ * @param {string} head - Request line and headers, without the terminating blank line
+ * @returns {Object} {method, path, headers}
+ * @private
+ */
+function parseRequest(head){
+    var lines = head.split('\r\n');
+    var requestLine = lines.shift().split(' ');
+    var headers = {};
+    lines.forEach(function(line){
+        var colon = line.indexOf(':');
+        if (colon > 0)
+            headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    });
+    return {method: requestLine[0], path: (requestLine[1] || '').split('?')[0], headers: headers};
+}
+
+
+/**
+ * Socket-like wrapper around an upgraded connection. Incoming text messages are emitted as 'data'
+ * strings terminated by a newline; every line passed to write() is sent as its own text message.
+ *
+ * @class WebSocketConnection
+ * @extends {EventEmitter}
+ * @param {net.Socket|tls.TLSSocket} socket - Upgraded socket
+ * @param {Buffer} [head] - Bytes received after the upgrade request
+ *
+ * @fires WebSocketConnection#data - For each complete text message
+ * @fires WebSocketConnection#close - When the underlying socket closes
+ * @fires WebSocketConnection#error - On socket errors
+ */
+var WebSocketConnection = exports.Connection = function WebSocketConnection(socket, head){
+    var _this = this;
+    var buffer = Buffer.alloc(0);
+    var fragments = [];
+    var fragmentsLength = 0;
+    var closing = false;
+
+    this.socket = socket;
+    this.destroyed = false;
+
+    function close(code){
+        if (closing) return;
+        closing = true;
+        var payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        socket.end(encodeFrame(OPCODE_CLOSE, payload));
+    }
+
+    function handleFrame(opcode, payload){
+        switch(opcode){
+            case OPCODE_TEXT:
+            case OPCODE_CONTINUATION:
+                return true;
+            case OPCODE_BINARY:
+                close(CLOSE_UNSUPPORTED_DATA);
+                return false;
+            case OPCODE_CLOSE:
+                close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+                return false;
+            case OPCODE_PING:
+                if (!closing) socket.write(encodeFrame(OPCODE_PONG, payload));
+                return false;
+            case OPCODE_PONG:
+                return false;
+            default:
+                close(CLOSE_PROTOCOL_ERROR);
+                return false;
+        }
+    }
+
+    function processBuffer(){
+        while (buffer.length >= 2 && !closing){
+            var fin = (buffer[0] & 0x80) !== 0;
+            var opcode = buffer[0] & 0x0f;
+            var masked = (buffer[1] & 0x80) !== 0;
+            var length = buffer[1] & 0x7f;
+            var offset = 2;
+
+            if ((buffer[0] & 0x70) !== 0 || !masked)
+                return close(CLOSE_PROTOCOL_ERROR);
+            if (length === 126){
+                if (buffer.length < 4) return;
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            }
+            else if (length === 127){
+                if (buffer.length < 10) return;
+                var longLength = buffer.readBigUInt64BE(2);
+                if (longLength > BigInt(MAX_MESSAGE_LENGTH))
+                    return close(CLOSE_MESSAGE_TOO_BIG);
+                length = Number(longLength);
+                offset = 10;
+            }
+            if (opcode >= OPCODE_CLOSE && (length > 125 || !fin))
+                return close(CLOSE_PROTOCOL_ERROR);
+            if (fragmentsLength + length > MAX_MESSAGE_LENGTH)
+                return close(CLOSE_MESSAGE_TOO_BIG);
+            if (buffer.length < offset + 4 + length) return;
+
+            var mask = buffer.slice(offset, offset + 4);
+            var payload = Buffer.from(buffer.slice(offset + 4, offset + 4 + length));
+            for (var i = 0; i < payload.length; i++)
+                payload[i] ^= mask[i & 3];
+            buffer = buffer.slice(offset + 4 + length);
+
+            if ((opcode === OPCODE_CONTINUATION) !== (fragments.length > 0) && opcode < OPCODE_CLOSE)
+                return close(CLOSE_PROTOCOL_ERROR);
+            if (!handleFrame(opcode, payload))
+                continue;
+
+            fragments.push(payload);
+            fragmentsLength += payload.length;
+            if (fin){
+                var message = Buffer.concat(fragments).toString('utf8');
+                fragments = [];
+                fragmentsLength = 0;
+                _this.emit('data', message + '\n');
+            }
+        }
+    }
+
+    socket.on('data', function(data){
+        buffer = Buffer.concat([buffer, data]);
+        processBuffer();
+    });
+    socket.on('close', function(){
+        _this.destroyed = true;
+        _this.emit('close');
+    });
+    socket.on('error', function(err){
+        _this.emit('error', err);
+    });
+
+    if (head && head.length > 0){
+        buffer = head;
+        process.nextTick(processBuffer);
+    }
+};
+WebSocketConnection.prototype.__proto__ = events.EventEmitter.prototype;
+
+/**
+ * Sends each newline-separated line of data as a text message.
+ * @param {string} data - One or more newline-terminated lines
+ * @returns {boolean} False if the connection is closed
+ */
+WebSocketConnection.prototype.write = function(data){
+    if (this.destroyed || this.socket.destroyed)
+        return false;
+    var socket = this.socket;
+    String(data).split('\n').forEach(function(line){
+        if (line !== '')
+            socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(line, 'utf8')));
+    });
+    return true;
+};
+
+WebSocketConnection.prototype.end = function(){
+    this.socket.end(encodeFrame(OPCODE_CLOSE, Buffer.from([0x03, 0xe8])));
+};
+
+WebSocketConnection.prototype.destroy = function(){
+    this.destroyed = true;
+    this.socket.destroy();
+};
+
+WebSocketConnection.prototype.setEncoding = function(){
+    // messages are always decoded as UTF-8 text
+};
+
+WebSocketConnection.prototype.setKeepAlive = function(enable, initialDelay){
+    this.socket.setKeepAlive(enable, initialDelay);
+};
+
+WebSocketConnection.prototype.getPeerCertificate = function(){
+    return this.socket.getPeerCertificate();
+};
+
+['remoteAddress', 'remotePort', 'localPort', 'encrypted', 'authorized', 'authorizationError'].forEach(function(property){
+    Object.defineProperty(WebSocketConnection.prototype, property, {
+        get: function(){ return this.socket[property]; }
+    });
+});
+
+
+/**
+ * Performs the server side of the WebSocket opening handshake on an accepted socket.
+ *
+ * @function accept
+ * @param {net.Socket|tls.TLSSocket} socket - Accepted socket
+ * @param {Object} [options]
+ * @param {string} [options.path] - Only accept upgrades for this request path
+ * @param {number} [options.handshakeTimeout=10000] - Time (ms) the client has to send the upgrade request
+ * @param {Function} callback - Called with (error, WebSocketConnection)
+ */
+exports.accept = function(socket, options, callback){
+    options = options || {};
+    var received = Buffer.alloc(0);
+
+    var finished = false;
+
+    // Nothing else listens on the socket before the upgrade, so resets and stalled clients are handled here
+    var timeout = setTimeout(function(){
+        fail(new Error('WebSocket handshake timed out'));
+    }, options.handshakeTimeout || HANDSHAKE_TIMEOUT);
+
+    function finish(){
+        finished = true;
+        clearTimeout(timeout);
+        socket.removeListener('data', onData);
+        socket.removeListener('close', onClose);
+    }
+
+    function fail(error){
+        finish();
+        socket.destroy();
+        callback(error);
+    }
+
+    // Stays attached after a refused upgrade, whose response may still fail to reach a reset client
+    function onError(error){
+        if (finished)
+            return socket.destroy();
+        fail(error);
+    }
+
+    function onClose(){
+        fail(new Error('Socket closed during the WebSocket handshake'));
+    }
+
+    function reject(status, reason){
+        finish();
+        socket.end('HTTP/1.1 ' + status + '\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+        callback(new Error(reason));
+    }
+
+    function onData(data){
+        received = Buffer.concat([received, data]);
+        var headEnd = received.indexOf('\r\n\r\n');
+        if (headEnd === -1){
+            if (received.length > MAX_HANDSHAKE_LENGTH)
+                reject('431 Request Header Fields Too Large', 'Handshake too large');
+            return;
+        }
+        var request = parseRequest(received.slice(0, headEnd).toString('latin1'));
+        var headers = request.headers;
+
+        if (request.method !== 'GET' || !/\bwebsocket\b/i.test(headers.upgrade || '') ||
+            !/\bupgrade\b/i.test(headers.connection || '') || !headers['sec-websocket-key'])
+            return reject('400 Bad Request', 'Not a WebSocket upgrade request');
+        if (headers['sec-websocket-version'] !== '13')
+            return reject('426 Upgrade Required\r\nSec-WebSocket-Version: 13', 'Unsupported WebSocket version');
+        if (options.path && request.path !== options.path)
+            return reject('404 Not Found', 'Unknown WebSocket path ' + request.path);
+
+        finish();
+        socket.removeListener('error', onError);
+        var response = [
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            'Sec-WebSocket-Accept: ' + acceptKey(headers['sec-websocket-key'])
+        ];
+        if (headers['sec-websocket-protocol'])
+            response.push('Sec-WebSocket-Protocol: ' + headers['sec-websocket-protocol'].split(',')[0].trim());
+        socket.write(response.join('\r\n') + '\r\n\r\n');
+        callback(null, new WebSocketConnection(socket, received.slice(headEnd + 4)));
+    }
+
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.on('close', onClose);
+};
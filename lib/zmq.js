@@ -0,0 +1,299 @@
+/**
+ * @module zmq
+ * @description Minimal pure JavaScript ZeroMQ SUB socket (ZMTP 3.0, NULL mechanism) for the block
+ * notifications coin daemons publish with zmqpubhashblock / zmqpubrawblock.
+ * @see {@link https://rfc.zeromq.org/spec/23/}
+ * @see {@link https://github.com/bitcoin/bitcoin/blob/master/doc/zmq.md}
+ */
+
+var net = require('net');
+var events = require('events');
+
+var util = require('./util.js');
+
+var GREETING_LENGTH = 64;
+var FLAG_MORE = 0x01;
+var FLAG_LONG = 0x02;
+var FLAG_COMMAND = 0x04;
+
+var MAX_MESSAGE_SIZE = 64 * 1024 * 1024; // rawblock carries whole blocks
+var MAX_RECONNECT_INTERVAL = 30000;
+
+
+/**
+ * Builds the 64 byte ZMTP 3.0 greeting announcing the NULL mechanism as a client.
+ * @returns {Buffer}
+ * @private
+ */
+function greeting(){
+    var buffer = Buffer.alloc(GREETING_LENGTH);
+    buffer[0] = 0xff;
+    buffer[9] = 0x7f;
+    buffer[10] = 3;
+    buffer[11] = 0;
+    buffer.write('NULL', 12, 'ascii');
+    return buffer;
+}
+
+/**
+ * Encodes a ZMTP frame.
+ *
+ * @function encodeFrame
+ * @param {Buffer} body - Frame body
+ * @param {Object} [flags]
+ * @param {boolean} [flags.more] - More frames of the same message follow
+ * @param {boolean} [flags.command] - Command frame
+ * @returns {Buffer} Frame
+ */
+var encodeFrame = exports.encodeFrame = function(body, flags){
+    flags = flags || {};
+    var flagsByte = (flags.more ? FLAG_MORE : 0) | (flags.command ? FLAG_COMMAND : 0);
+    var header;
+    if (body.length > 255){
+        header = Buffer.alloc(9);
+        header[0] = flagsByte | FLAG_LONG;
+        header.writeBigUInt64BE(BigInt(body.length), 1);
+    }
+    else {
+        header = Buffer.from([flagsByte, body.length]);
+    }
+    return Buffer.concat([header, body]);
+};
+
+/**
+ * Encodes a command (READY, ERROR, ...) with its properties.
+ *
+ * @function encodeCommand
+ * @param {string} name - Command name
+ * @param {Object} [properties] - Property name to string value
+ * @returns {Buffer} Command frame
+ */
+var encodeCommand = exports.encodeCommand = function(name, properties){
+    var parts = [Buffer.from([name.length]), Buffer.from(name, 'ascii')];
+    Object.keys(properties || {}).forEach(function(property){
+        var value = Buffer.from(properties[property], 'ascii');
+        var valueLength = Buffer.alloc(4);
+        valueLength.writeUInt32BE(value.length, 0);
+        parts.push(Buffer.from([property.length]), Buffer.from(property, 'ascii'), valueLength, value);
+    });
+    return encodeFrame(Buffer.concat(parts), {command: true});
+};
+
+/**
+ * Decodes a command frame body.
+ * @param {Buffer} body
+ * @returns {Object|null} {name, properties}, or null when a length runs past the end of the frame
+ * @private
+ */
+function decodeCommand(body){
+    if (body.length < 1 || 1 + body[0] > body.length)
+        return null;
+    var name = body.slice(1, 1 + body[0]).toString('ascii');
+    var properties = {};
+    var offset = 1 + body[0];
+    if (name === 'READY'){
+        while (offset < body.length){
+            if (offset + 1 + body[offset] + 4 > body.length)
+                return null;
+            var propertyName = body.slice(offset + 1, offset + 1 + body[offset]).toString('ascii');
+            offset += 1 + body[offset];
+            var valueLength = body.readUInt32BE(offset);
+            if (offset + 4 + valueLength > body.length)
+                return null;
+            properties[propertyName.toLowerCase()] = body.slice(offset + 4, offset + 4 + valueLength).toString('ascii');
+            offset += 4 + valueLength;
+        }
+    }
+    else if (name === 'ERROR'){
+        if (offset >= body.length || offset + 1 + body[offset] > body.length)
+            return null;
+        properties.reason = body.slice(offset + 1, offset + 1 + body[offset]).toString('ascii');
+    }
+    return {name: name, properties: properties};
+}
+
+
+/**
+ * ZeroMQ subscriber for coin daemon notifications. Reconnects with a growing delay whenever the
+ * connection drops, and reports gaps in the per-topic sequence numbers the daemon attaches to
+ * every notification so missed blocks can be caught up on.
+ *
+ * @class Subscriber
+ * @extends {EventEmitter}
+ * @param {Object} options
+ * @param {string} [options.host='127.0.0.1'] - Daemon host
+ * @param {number} options.port - Port of the daemon's zmqpub* endpoint
+ * @param {Array<string>} [options.topics=['hashblock']] - Topics to subscribe to
+ * @param {number} [options.reconnectInterval=1000] - Initial reconnect delay (ms), doubled up to 30s
+ *
+ * @fires Subscriber#connected - When the ZMTP handshake completed
+ * @fires Subscriber#disconnected - When an established connection is lost
+ * @fires Subscriber#message - With (topic, body, sequence) for every notification
+ * @fires Subscriber#hashblock - With (blockHash, sequence)
+ * @fires Subscriber#rawblock - With (blockHash, block, sequence)
+ * @fires Subscriber#missedNotifications - With (topic, expectedSequence, sequence) when notifications were skipped
+ * @fires Subscriber#socketError - On connection or protocol errors
+ */
+var Subscriber = exports.Subscriber = function Subscriber(options){
+    var _this = this;
+    var socket = null;
+    var reconnectTimeout = null;
+    var reconnectInterval = options.reconnectInterval || 1000;
+    var closed = false;
+    var sequences = {};
+    var topics = options.topics || ['hashblock'];
+
+    this.connected = false;
+
+    function scheduleReconnect(){
+        if (closed) return;
+        reconnectTimeout = setTimeout(connect, reconnectInterval);
+        reconnectInterval = Math.min(reconnectInterval * 2, MAX_RECONNECT_INTERVAL);
+    }
+
+    function handleMessage(parts){
+        if (parts.length < 2) return;
+        var topic = parts[0].toString('ascii');
+        var body = parts[1];
+        var sequence = parts.length > 2 && parts[2].length === 4 ? parts[2].readUInt32LE(0) : null;
+
+        if (sequence !== null){
+            if (topic in sequences && sequence !== ((sequences[topic] + 1) >>> 0))
+                _this.emit('missedNotifications', topic, (sequences[topic] + 1) >>> 0, sequence);
+            sequences[topic] = sequence;
+        }
+
+        _this.emit('message', topic, body, sequence);
+        if (topic === 'hashblock' && body.length === 32)
+            _this.emit('hashblock', body.toString('hex'), sequence);
+        else if (topic === 'rawblock' && body.length >= 80)
+            _this.emit('rawblock', util.reverseBuffer(util.sha256d(body.slice(0, 80))).toString('hex'), body, sequence);
+    }
+
+    function connect(){
+        var buffer = Buffer.alloc(0);
+        // Chunks received since buffer was last assembled, joined once the frame they belong to is complete
+        var chunks = [];
+        var pendingLength = 0;
+        var neededLength = GREETING_LENGTH;
+        var greeted = false;
+        var parts = [];
+        var messageSize = 0;
+
+        socket = net.connect({host: options.host || '127.0.0.1', port: options.port});
+        socket.setKeepAlive(true);
+        socket.setNoDelay(true);
+        socket.write(greeting());
+
+        function fail(reason){
+            _this.emit('socketError', reason);
+            socket.destroy();
+        }
+
+        function handleFrame(flags, body){
+            if (flags & FLAG_COMMAND){
+                var command = decodeCommand(body);
+                if (!command)
+                    return fail('malformed ZMTP command');
+                if (command.name === 'READY'){
+                    var socketType = (command.properties['socket-type'] || '').toUpperCase();
+                    if (socketType !== 'PUB' && socketType !== 'XPUB')
+                        return fail('unexpected peer socket type ' + socketType);
+                    topics.forEach(function(topic){
+                        socket.write(encodeFrame(Buffer.concat([Buffer.from([1]), Buffer.from(topic, 'ascii')])));
+                    });
+                    reconnectInterval = options.reconnectInterval || 1000;
+                    _this.connected = true;
+                    _this.emit('connected');
+                }
+                else if (command.name === 'ERROR')
+                    fail('peer refused connection: ' + command.properties.reason);
+                return;
+            }
+            parts.push(body);
+            messageSize += body.length;
+            if (!(flags & FLAG_MORE)){
+                var message = parts;
+                parts = [];
+                messageSize = 0;
+                handleMessage(message);
+            }
+        }
+
+        function processBuffer(){
+            if (!greeted){
+                if (buffer.length < GREETING_LENGTH){
+                    neededLength = GREETING_LENGTH;
+                    return;
+                }
+                if (buffer[0] !== 0xff || buffer[9] !== 0x7f || buffer[10] < 3)
+                    return fail('peer does not speak ZMTP 3');
+                if (buffer.slice(12, 32).toString('ascii').replace(/\0+$/, '') !== 'NULL')
+                    return fail('peer requires an unsupported security mechanism');
+                buffer = buffer.slice(GREETING_LENGTH);
+                greeted = true;
+                socket.write(encodeCommand('READY', {'Socket-Type': 'SUB'}));
+            }
+            while (buffer.length >= 2 && !socket.destroyed){
+                var flags = buffer[0];
+                var headerLength = flags & FLAG_LONG ? 9 : 2;
+                if (buffer.length < headerLength){
+                    neededLength = headerLength;
+                    return;
+                }
+                var size = flags & FLAG_LONG ? Number(buffer.readBigUInt64BE(1)) : buffer[1];
+                if (messageSize + size > MAX_MESSAGE_SIZE)
+                    return fail('message exceeds ' + MAX_MESSAGE_SIZE + ' bytes');
+                if (buffer.length < headerLength + size){
+                    neededLength = headerLength + size;
+                    return;
+                }
+                var body = buffer.slice(headerLength, headerLength + size);
+                buffer = buffer.slice(headerLength + size);
+                handleFrame(flags, body);
+            }
+            neededLength = 2;
+        }
+
+        socket.on('data', function(data){
+            chunks.push(data);
+            pendingLength += data.length;
+            if (buffer.length + pendingLength < neededLength) return;
+            if (buffer.length > 0)
+                chunks.unshift(buffer);
+            buffer = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks);
+            chunks = [];
+            pendingLength = 0;
+            processBuffer();
+        });
+        socket.on('error', function(e){
+            _this.emit('socketError', e.message);
+        });
+        socket.on('close', function(){
+            if (_this.connected){
+                _this.connected = false;
+                _this.emit('disconnected');
+            }
+            scheduleReconnect();
+        });
+    }
+
+    /**
+     * Connects to the publisher; reconnects automatically until close() is called.
+     */
+    this.connect = function(){
+        closed = false;
+        connect();
+    };
+
+    /**
+     * Closes the connection and stops reconnecting.
+     */
+    this.close = function(){
+        closed = true;
+        clearTimeout(reconnectTimeout);
+        if (socket)
+            socket.destroy();
+    };
+};
+Subscriber.prototype.__proto__ = events.EventEmitter.prototype;